@@ -25,6 +25,7 @@
  */
 
 load("gp/tools.js");
+load("gp/capfile.js");
 
 var sdAid = new ByteString("A000000003000000", HEX);
 
@@ -71,11 +72,15 @@ sd.deleteAID(applAid, [0x9000, 0x6A88, 0x6A80] );
 print("Delete old load file...");
 sd.deleteAID(loadFileAid, [0x9000, 0x6A88, 0x6A80] );
 
+var cap = new CAPFile();
+cap.readFile("apdutest/apdutest.cap");
+print(cap);
+
 print("InstallForLoad...");
-sd.installForLoad(loadFileAid, sdAid, null, null, null);
+sd.installForLoad(loadFileAid, sdAid, cap.getLoadFileDataBlockHash(crypto), null, null);
 
 print("Loading applet...");
-sd.loadByName("apdutest/apdutest.cap");
+cap.sendLoad(card);
 
 print("Instantiating applet...");
 
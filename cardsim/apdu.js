@@ -97,17 +97,27 @@ APDU.INS_PSO					= 0x2A;
 APDU.INS_RESET_RETRY_COUNTER	= 0x2C;
 APDU.INS_ACTIVATE				= 0x44;
 APDU.INS_GENERATE_KEY_PAIR		= 0x46;
+APDU.INS_MANAGE_CHANNEL			= 0x70;
 APDU.INS_EXTERNAL_AUTHENTICATE	= 0x82;
 APDU.INS_GET_CHALLENGE			= 0x84;
 APDU.INS_GENERAL_AUTHENTICATE	= 0x86;
 APDU.INS_COMPUTE_DIGITAL_SIGN	= 0x9E;
+APDU.INS_SEARCH_RECORD			= 0xA2;
 APDU.INS_SELECT					= 0xA4;
 APDU.INS_READBINARY				= 0xB0;
 APDU.INS_READ_BINARY			= 0xB0;
 APDU.INS_READ_RECORD			= 0xB2;
 APDU.INS_VERIFY_CERTIFICATE		= 0xBE;
+APDU.INS_GET_RESPONSE			= 0xC0;
+APDU.INS_WRITE_RECORD			= 0xD2;
 APDU.INS_UPDATE_BINARY			= 0xD6;
+APDU.INS_UPDATE_RECORD			= 0xDC;
+APDU.INS_CREATE_FILE			= 0xE0;
+APDU.INS_APPEND_RECORD			= 0xE2;
+APDU.INS_DELETE_FILE			= 0xE4;
 APDU.INS_TERMINATE				= 0xE6;
+APDU.INS_TERMINATE_DF			= 0xE6;
+APDU.INS_TERMINATE_EF			= 0xE8;
 
 APDU.SW_OK                 = 0x9000;      	/* Process completed                 */
 
@@ -120,6 +130,7 @@ APDU.SW_DATAINV            = 0x6281;      	/*-Warning: Part of data corrupted
 APDU.SW_EOF                = 0x6282;      	/*-Warning: End of file reached      */
 APDU.SW_INVFILE            = 0x6283;      	/* Warning: Invalidated file         */
 APDU.SW_INVFORMAT          = 0x6284;      	/* Warning: Invalid file control     */
+APDU.SW_FILETERMINATED     = 0x6285;      	/* Warning: Selected file in termination state */
 APDU.SW_WARNINGNVCHG       = 0x6300;      	/*-Warning: NV-Ram changed           */
 APDU.SW_WARNINGCOUNT       = 0x63C0;      	/*-Warning: Warning with counter     */
 APDU.SW_WARNING0LEFT       = 0x63C0;      	/*-Warning: Verify fail, no try left */
@@ -336,6 +347,24 @@ APDU.prototype.isChained = function() {
 
 
 
+/**
+ * Gets the logical channel number encoded in the class byte
+ *
+ * <p>The first interindustry class encodes channels 0 to 3 in bits b2 - b1, the further
+ *    interindustry class encodes channels 4 to 19 in bits b4 - b1.</p>
+ *
+ * @type Number
+ * @return the logical channel number
+ */
+APDU.prototype.getChannel = function() {
+	if ((this.cla & 0x40) == 0x40) {
+		return 4 + (this.cla & 0x0F);
+	}
+	return this.cla & 0x03;
+}
+
+
+
 /**
  * Test if command is send using secure messaging
  *
@@ -343,6 +372,9 @@ APDU.prototype.isChained = function() {
  * @return true if secure messaging is indicated in CLA byte
  */
 APDU.prototype.isSecureMessaging = function() {
+	if ((this.cla & 0x40) == 0x40) {		// Further interindustry class
+		return (this.cla & 0x20) == 0x20;
+	}
 	return (this.cla & 0x08) == 0x08;
 }
 
@@ -355,6 +387,9 @@ APDU.prototype.isSecureMessaging = function() {
  * @return true if secure messaging is using an authenticated header
  */
 APDU.prototype.isAuthenticatedHeader = function() {
+	if ((this.cla & 0x40) == 0x40) {		// Further interindustry class
+		return false;
+	}
 	return (this.cla & 0x0C) == 0x0C;
 }
 
@@ -0,0 +1,598 @@
+/**
+ *  ---------
+ * |.##> <##.|  Open Smart Card Development Platform (www.openscdp.org)
+ * |#       #|
+ * |#       #|  Copyright (c) 1999-2009 CardContact Software & System Consulting
+ * |'##> <##'|  Andreas Schwier, 32429 Minden, Germany (www.cardcontact.de)
+ *  ---------
+ *
+ *  This file is part of OpenSCDP.
+ *
+ *  OpenSCDP is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License version 2 as
+ *  published by the Free Software Foundation.
+ *
+ *  OpenSCDP is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with OpenSCDP; if not, write to the Free Software
+ *  Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA  02110-1301  USA
+ *
+ * @fileoverview APDU trace recorder and replay for card simulations
+ *
+ * <p>A trace is recorded by wrapping the simulation object before registering it with the adapter:</p>
+ *
+ * <pre>
+ *	var sim = new SimpleCardSimulator();
+ *	CARDSIM.setSimulationObject(new APDUTraceRecorder(sim, "/tmp/simplecard.trace"));
+ * </pre>
+ *
+ * <p>A recorded trace is replayed against a fresh simulation object with:</p>
+ *
+ * <pre>
+ *	var trace = APDUTrace.load("/tmp/simplecard.trace");
+ *	assert(trace.replay(new SimpleCardSimulator()) == null);
+ * </pre>
+ */
+
+
+
+/**
+ * Create an empty APDU trace
+ *
+ * <p>The trace is a sequence of reset and APDU entries. In the trace file each entry is written as a
+ *    line starting with date and time, followed by the keyword RESET, ATR, C or R and the hexadecimal
+ *    value. Lines starting with # contain the decoded secure messaging and TLV structures and are ignored
+ *    when the trace is parsed.</p>
+ *
+ * @class Class implementing an APDU trace that can be saved, loaded and replayed
+ * @constructor
+ */
+function APDUTrace() {
+	this.entries = [];
+}
+
+
+/** Names of the secure messaging data objects */
+APDUTrace.SMDO = [];
+APDUTrace.SMDO[0x81] = "Plain value";
+APDUTrace.SMDO[0x85] = "Cryptogram";
+APDUTrace.SMDO[0x87] = "Padding-content indicator and cryptogram";
+APDUTrace.SMDO[0x8E] = "Cryptographic checksum";
+APDUTrace.SMDO[0x97] = "Le";
+APDUTrace.SMDO[0x99] = "Processing status";
+
+
+
+/**
+ * Add a reset entry
+ *
+ * @param {Number} type the reset type
+ * @param {ByteString} atr the answer to reset
+ * @param {Date} time the time of the reset (optional, default now)
+ * @type Object
+ * @return the new entry
+ */
+APDUTrace.prototype.addReset = function(type, atr, time) {
+	var entry = { type: "reset", resetType: type, atr: atr, time: (time ? time : new Date()) };
+	this.entries.push(entry);
+	return entry;
+}
+
+
+
+/**
+ * Add an APDU entry
+ *
+ * @param {ByteString} capdu the command APDU
+ * @param {ByteString} rapdu the response APDU
+ * @param {Date} time the time the command was received (optional, default now)
+ * @param {Date} responseTime the time the response was returned (optional, default now)
+ * @type Object
+ * @return the new entry
+ */
+APDUTrace.prototype.addAPDU = function(capdu, rapdu, time, responseTime) {
+	var entry = { type: "apdu", command: capdu, response: rapdu,
+				time: (time ? time : new Date()),
+				responseTime: (responseTime ? responseTime : new Date()) };
+	this.entries.push(entry);
+	return entry;
+}
+
+
+
+/**
+ * Format a time stamp
+ *
+ * @param {Date} date the time stamp
+ * @type String
+ * @return the time stamp as YYYY-MM-DD hh:mm:ss.mmm
+ */
+APDUTrace.formatTime = function(date) {
+	function pad(n, l) {
+		var s = "" + n;
+		while (s.length < l) {
+			s = "0" + s;
+		}
+		return s;
+	}
+
+	return pad(date.getFullYear(), 4) + "-" + pad(date.getMonth() + 1, 2) + "-" + pad(date.getDate(), 2) + " " +
+			pad(date.getHours(), 2) + ":" + pad(date.getMinutes(), 2) + ":" + pad(date.getSeconds(), 2) + "." +
+			pad(date.getMilliseconds(), 3);
+}
+
+
+
+/**
+ * Parse a time stamp
+ *
+ * @param {String} date the date as YYYY-MM-DD
+ * @param {String} time the time as hh:mm:ss.mmm
+ * @type Date
+ * @return the time stamp
+ */
+APDUTrace.parseTime = function(date, time) {
+	var d = date.split("-");
+	var t = time.split(/[:.]/);
+	return new Date(parseInt(d[0], 10), parseInt(d[1], 10) - 1, parseInt(d[2], 10),
+					parseInt(t[0], 10), parseInt(t[1], 10), parseInt(t[2], 10), parseInt(t[3], 10));
+}
+
+
+
+/**
+ * Returns true if the command APDU is protected with secure messaging
+ *
+ * @param {ByteString} capdu the command APDU
+ * @type boolean
+ * @return true if the class byte indicates secure messaging
+ */
+APDUTrace.isSecureMessaging = function(capdu) {
+	var cla = capdu.byteAt(0);
+	if ((cla & 0x40) == 0x40) {		// Further interindustry class
+		return (cla & 0x20) == 0x20;
+	}
+	return (cla & 0x08) == 0x08;
+}
+
+
+
+/**
+ * Extract the data field from a command APDU
+ *
+ * @param {ByteString} capdu the command APDU
+ * @type ByteString
+ * @return the command data field or null if the APDU has no data field
+ */
+APDUTrace.getCommandData = function(capdu) {
+	if (capdu.length <= 5) {
+		return null;
+	}
+	if (capdu.byteAt(4) != 0) {
+		return capdu.bytes(5, capdu.byteAt(4));
+	}
+	if (capdu.length <= 7) {
+		return null;
+	}
+	return capdu.bytes(7, (capdu.byteAt(5) << 8) + capdu.byteAt(6));
+}
+
+
+
+/**
+ * Decode a sequence of TLV encoded data objects
+ *
+ * @param {ByteString} data the data to decode
+ * @param {Array} names the names of data objects indexed by tag (optional)
+ * @type String[]
+ * @return the decoded lines or an empty list if the data is not TLV encoded
+ */
+APDUTrace.decodeTLV = function(data, names) {
+	var lines = [];
+	try	{
+		var tl = new TLVList(data, TLV.EMV);
+		for (var i = 0; i < tl.length; i++) {
+			var t = tl.index(i);
+			if (names) {
+				var name = names[t.getTag()];
+				lines.push(t.getTag().toString(16).toUpperCase() + " " + (name ? name : "Unknown") + " : " + t.getValue().toString(HEX));
+			} else {
+				var str = new ASN1(t.getTLV()).toString();
+				lines = lines.concat(str.split("\n"));
+			}
+		}
+	}
+	catch(e) {
+		return [];
+	}
+	return lines;
+}
+
+
+
+/**
+ * Decode the data field of a command APDU
+ *
+ * @param {ByteString} capdu the command APDU
+ * @type String[]
+ * @return the decoded lines
+ */
+APDUTrace.decodeCommand = function(capdu) {
+	var data = APDUTrace.getCommandData(capdu);
+	if (!data) {
+		return [];
+	}
+	if (APDUTrace.isSecureMessaging(capdu)) {
+		return APDUTrace.decodeTLV(data, APDUTrace.SMDO);
+	}
+	return APDUTrace.decodeTLV(data);
+}
+
+
+
+/**
+ * Decode the data field of a response APDU
+ *
+ * @param {ByteString} rapdu the response APDU
+ * @param {boolean} sm true if the command was protected with secure messaging
+ * @type String[]
+ * @return the decoded lines
+ */
+APDUTrace.decodeResponse = function(rapdu, sm) {
+	if (rapdu.length <= 2) {
+		return [];
+	}
+	var data = rapdu.left(rapdu.length - 2);
+	if (sm) {
+		return APDUTrace.decodeTLV(data, APDUTrace.SMDO);
+	}
+	return APDUTrace.decodeTLV(data);
+}
+
+
+
+/**
+ * Format an entry as lines of the trace file
+ *
+ * @param {Object} entry the entry
+ * @type String
+ * @return the formatted entry, including decoded data objects
+ */
+APDUTrace.formatEntry = function(entry) {
+	var str = "";
+
+	function append(time, keyword, value, decoded) {
+		str += APDUTrace.formatTime(time) + " " + keyword + " " + value + "\n";
+		for (var i = 0; i < decoded.length; i++) {
+			str += "#   " + decoded[i] + "\n";
+		}
+	}
+
+	if (entry.type == "reset") {
+		append(entry.time, "RESET", entry.resetType, []);
+		append(entry.time, "ATR", entry.atr.toString(HEX), []);
+	} else {
+		append(entry.time, "C", entry.command.toString(HEX), APDUTrace.decodeCommand(entry.command));
+		append(entry.responseTime, "R", entry.response.toString(HEX), APDUTrace.decodeResponse(entry.response, APDUTrace.isSecureMessaging(entry.command)));
+	}
+	return str;
+}
+
+
+
+/**
+ * Return the trace in the format of the trace file
+ *
+ * @type String
+ * @return the trace
+ */
+APDUTrace.prototype.toString = function() {
+	var str = "";
+	for (var i = 0; i < this.entries.length; i++) {
+		str += APDUTrace.formatEntry(this.entries[i]);
+	}
+	return str;
+}
+
+
+
+/**
+ * Parse a trace in the format of the trace file
+ *
+ * @param {String} str the trace
+ * @type APDUTrace
+ * @return the parsed trace
+ */
+APDUTrace.parse = function(str) {
+	var trace = new APDUTrace();
+	var lines = str.split(/\r?\n/);
+	var entry = null;
+
+	for (var i = 0; i < lines.length; i++) {
+		var line = lines[i].replace(/^\s+|\s+$/g, "");
+		if ((line.length == 0) || (line.charAt(0) == "#")) {
+			continue;
+		}
+
+		var f = line.split(/\s+/);
+		if (f.length != 4) {
+			throw new GPError("APDUTrace", GPError.INVALID_DATA, 0, "Invalid trace entry in line " + (i + 1) + ": " + line);
+		}
+		var time = APDUTrace.parseTime(f[0], f[1]);
+
+		switch(f[2]) {
+		case "RESET":
+			entry = trace.addReset(parseInt(f[3], 10), null, time);
+			entry.line = i + 1;
+			break;
+		case "ATR":
+			if (!entry || (entry.type != "reset") || entry.atr) {
+				throw new GPError("APDUTrace", GPError.INVALID_DATA, 0, "ATR without RESET in line " + (i + 1));
+			}
+			entry.atr = new ByteString(f[3], HEX);
+			break;
+		case "C":
+			entry = trace.addAPDU(new ByteString(f[3], HEX), null, time, null);
+			entry.line = i + 1;
+			break;
+		case "R":
+			if (!entry || (entry.type != "apdu") || entry.response) {
+				throw new GPError("APDUTrace", GPError.INVALID_DATA, 0, "Response without command in line " + (i + 1));
+			}
+			entry.response = new ByteString(f[3], HEX);
+			entry.responseTime = time;
+			break;
+		default:
+			throw new GPError("APDUTrace", GPError.INVALID_DATA, 0, "Unknown keyword " + f[2] + " in line " + (i + 1));
+		}
+	}
+	return trace;
+}
+
+
+
+/**
+ * Save the trace to a file
+ *
+ * @param {String} filename the fully qualified file name
+ */
+APDUTrace.prototype.save = function(filename) {
+	var fw = new java.io.FileWriter(filename);
+	fw.write(this.toString());
+	fw.close();
+}
+
+
+
+/**
+ * Load a trace from a file
+ *
+ * @param {String} filename the fully qualified file name
+ * @type APDUTrace
+ * @return the loaded trace
+ */
+APDUTrace.load = function(filename) {
+	var f = new java.io.FileReader(filename);
+	var bfr = new java.io.BufferedReader(f);
+
+	var str = "";
+	var line;
+	while ((line = bfr.readLine()) != null) {
+		str += line + "\n";
+	}
+	bfr.close();
+	f.close();
+
+	return APDUTrace.parse(str);
+}
+
+
+
+/**
+ * Replay the trace against a simulation object
+ *
+ * <p>Each recorded reset and command APDU is send to the simulation object and the ATR, the response
+ *    data and the status word are compared with the recorded values. The replay stops at the first
+ *    mismatch.</p>
+ *
+ * @param {Object} sim the simulation object implementing processAPDU() and reset()
+ * @type Object
+ * @return null if all responses matched, otherwise an object describing the first mismatch with the properties
+ *         index, line, command, expected, actual and message
+ */
+APDUTrace.prototype.replay = function(sim) {
+	for (var i = 0; i < this.entries.length; i++) {
+		var entry = this.entries[i];
+		var mismatch = null;
+
+		if (entry.type == "reset") {
+			var atr = sim.reset(entry.resetType);
+			if (entry.atr && !entry.atr.equals(atr)) {
+				mismatch = { command: null, expected: entry.atr, actual: atr, message: "ATR mismatch" };
+			}
+		} else {
+			var rapdu = sim.processAPDU(entry.command);
+			var expected = entry.response;
+			if (expected) {
+				var esw = expected.right(2);
+				var asw = rapdu.right(2);
+				if (!esw.equals(asw)) {
+					mismatch = { command: entry.command, expected: expected, actual: rapdu, message: "SW mismatch, expected " + esw.toString(HEX) + " but got " + asw.toString(HEX) };
+				} else if (!expected.equals(rapdu)) {
+					mismatch = { command: entry.command, expected: expected, actual: rapdu, message: "Response data mismatch" };
+				}
+			}
+		}
+
+		if (mismatch) {
+			mismatch.index = i;
+			mismatch.line = entry.line;
+			print("Replay failed at entry " + i + (entry.line ? " (line " + entry.line + ")" : "") + ": " + mismatch.message);
+			if (mismatch.command) {
+				print("Command  : " + mismatch.command.toString(HEX));
+			}
+			print("Expected : " + mismatch.expected.toString(HEX));
+			print("Actual   : " + mismatch.actual.toString(HEX));
+			return mismatch;
+		}
+	}
+	print("Replayed " + this.entries.length + " entries without mismatch");
+	return null;
+}
+
+
+
+/**
+ * Create a recorder that wraps a simulation object and traces all resets and APDUs
+ *
+ * <p>The recorder implements the interface of a simulation object and can be registered with the
+ *    simulation adapter in place of the wrapped simulation object.</p>
+ *
+ * @class Class implementing an APDU trace recorder for simulation objects
+ * @constructor
+ * @param {Object} sim the simulation object implementing processAPDU() and reset()
+ * @param {String} filename the fully qualified name of the trace file (optional, no file written if undefined)
+ */
+function APDUTraceRecorder(sim, filename) {
+	this.sim = sim;
+	this.trace = new APDUTrace();
+	this.writer = null;
+
+	if (filename) {
+		this.writer = new java.io.FileWriter(filename);
+		this.writer.write("# APDU trace started " + APDUTrace.formatTime(new Date()) + "\n");
+		this.writer.flush();
+	}
+}
+
+
+
+/**
+ * Write entry to trace file
+ *
+ * @param {Object} entry the trace entry
+ */
+APDUTraceRecorder.prototype.write = function(entry) {
+	if (this.writer) {
+		this.writer.write(APDUTrace.formatEntry(entry));
+		this.writer.flush();
+	}
+}
+
+
+
+/**
+ * Process an inbound APDU
+ *
+ * @param {ByteString} capdu the command APDU
+ * @type ByteString
+ * @return the response APDU
+ */
+APDUTraceRecorder.prototype.processAPDU = function(capdu) {
+	var time = new Date();
+	var rapdu = this.sim.processAPDU(capdu);
+	this.write(this.trace.addAPDU(capdu, rapdu, time));
+	return rapdu;
+}
+
+
+
+/**
+ * Respond to reset request
+ *
+ * @param {Number} type reset type (One of Card.RESET_COLD or Card.RESET.WARM)
+ * @type ByteString
+ * @return answer to reset
+ */
+APDUTraceRecorder.prototype.reset = function(type) {
+	var atr = this.sim.reset(type);
+	this.write(this.trace.addReset(type, atr));
+	return atr;
+}
+
+
+
+/**
+ * Return the recorded trace
+ *
+ * @type APDUTrace
+ * @return the trace
+ */
+APDUTraceRecorder.prototype.getTrace = function() {
+	return this.trace;
+}
+
+
+
+/**
+ * Close the trace file
+ */
+APDUTraceRecorder.prototype.close = function() {
+	if (this.writer) {
+		this.writer.close();
+		this.writer = null;
+	}
+}
+
+
+
+/**
+ * Simple unit test
+ */
+APDUTrace.test = function() {
+	function TestSimulator(content, size) {
+		this.mf = new DF(FCP.newDF("3F00", null),
+							new TransparentEF(FCP.newTransparentEF("EF01", 1, 100), content),
+							new TransparentEF(FCP.newTransparentEF("EF02", 2, size))
+						);
+		this.reset(0);
+	}
+
+	TestSimulator.prototype.reset = function(type) {
+		this.commandInterpreter = new CommandInterpreter(new FileSelector(this.mf));
+		return new ByteString("3B80800101", HEX);
+	}
+
+	TestSimulator.prototype.processAPDU = function(capdu) {
+		var apdu = new APDU(capdu);
+		this.commandInterpreter.processAPDU(apdu);
+		return apdu.getResponseAPDU();
+	}
+
+	var content = new ByteString("3006040101040102", HEX);
+
+	var recorder = new APDUTraceRecorder(new TestSimulator(content, 100));
+	recorder.reset(0);
+	recorder.processAPDU(new ByteString("00A4000C02EF01", HEX));
+	recorder.processAPDU(new ByteString("00B0000000", HEX));
+	recorder.processAPDU(new ByteString("00D6820003010203", HEX));
+	recorder.processAPDU(new ByteString("00B0820000", HEX));
+	recorder.processAPDU(new ByteString("0CB082000A8E080102030405060708", HEX));
+
+	var str = recorder.getTrace().toString();
+	print(str);
+	assert(str.indexOf("#   8E Cryptographic checksum : 0102030405060708") > 0);
+
+	var trace = APDUTrace.parse(str);
+	assert(trace.entries.length == 6);
+	assert(trace.entries[0].atr.toString(HEX) == "3B80800101");
+	assert(trace.entries[2].response.equals(content.concat(new ByteString("9000", HEX))));
+
+	assert(trace.replay(new TestSimulator(content, 100)) == null);
+
+	// Modified content of EF01 causes a response data mismatch
+	var mismatch = trace.replay(new TestSimulator(new ByteString("3006040101040103", HEX), 100));
+	assert(mismatch != null);
+	assert(mismatch.index == 2);
+	assert(mismatch.message == "Response data mismatch");
+
+	// Smaller EF02 causes a SW mismatch
+	var mismatch = trace.replay(new TestSimulator(content, 2));
+	assert(mismatch != null);
+	assert(mismatch.index == 3);
+	assert(mismatch.message.indexOf("SW mismatch") == 0);
+}
@@ -0,0 +1,221 @@
+/**
+ *  ---------
+ * |.##> <##.|  Open Smart Card Development Platform (www.openscdp.org)
+ * |#       #|
+ * |#       #|  Copyright (c) 1999-2009 CardContact Software & System Consulting
+ * |'##> <##'|  Andreas Schwier, 32429 Minden, Germany (www.cardcontact.de)
+ *  ---------
+ *
+ *  This file is part of OpenSCDP.
+ *
+ *  OpenSCDP is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License version 2 as
+ *  published by the Free Software Foundation.
+ *
+ *  OpenSCDP is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with OpenSCDP; if not, write to the Free Software
+ *  Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA  02110-1301  USA
+ *
+ * @fileoverview Card capabilities announced in the ATR and in EF.ATR/INFO
+ */
+
+
+
+/**
+ * Create a card capabilities object
+ *
+ * <p>The card capabilities define the size of the APDU buffer and the number of logical channels
+ *    supported by a simulated card. They are announced in the historical bytes of the ATR and in the
+ *    extended length information contained in EF.ATR/INFO.</p>
+ *
+ * @class Class implementing the capabilities of a simulated card
+ * @constructor
+ * @param {Number} maxCData the maximum number of bytes in the command data field (optional, default 65535)
+ * @param {Number} maxRData the maximum number of bytes in the response data field (optional, default 65536)
+ * @param {Number} maxChannels the number of logical channels, including the basic channel (optional, default 20)
+ */
+function CardCapabilities(maxCData, maxRData, maxChannels) {
+	this.maxCData = (typeof(maxCData) == "undefined") ? 65535 : maxCData;
+	this.maxRData = (typeof(maxRData) == "undefined") ? 65536 : maxRData;
+	this.maxChannels = (typeof(maxChannels) == "undefined") ? 20 : maxChannels;
+}
+
+
+
+/**
+ * Returns true if extended length APDUs are supported
+ *
+ * @type boolean
+ * @return true if Nc or Ne can exceed the limits of short length APDUs
+ */
+CardCapabilities.prototype.isExtendedLength = function() {
+	return (this.maxCData > 255) || (this.maxRData > 256);
+}
+
+
+
+/**
+ * Encode the card capabilities data object as defined in ISO 7816-4, clause 8.1.1.2.7
+ *
+ * <p>The first software function table announces selection by full DF name, by file identifier,
+ *    short EF identifier and record number. The third software function table announces command chaining,
+ *    extended length and the logical channels supported.</p>
+ *
+ * @type ByteString
+ * @return the three software function tables
+ */
+CardCapabilities.prototype.getCardCapabilities = function() {
+	var bb = new ByteBuffer();
+	bb.append(0x96);
+	bb.append(0x01);
+
+	var sft3 = 0x80;				// Command chaining
+	if (this.isExtendedLength()) {
+		sft3 |= 0x60;				// Extended Lc and Le, extended length information in EF.ATR/INFO
+	}
+	if (this.maxChannels > 1) {
+		sft3 |= 0x18;				// Channel number assigned by card or by interface device
+		sft3 |= (this.maxChannels > 8 ? 7 : this.maxChannels - 1);
+	}
+	bb.append(sft3);
+	return bb.toByteString();
+}
+
+
+
+/**
+ * Encode the historical bytes
+ *
+ * <p>The historical bytes start with category indicator '80' followed by the card capabilities
+ *    in COMPACT-TLV format.</p>
+ *
+ * @type ByteString
+ * @return the historical bytes
+ */
+CardCapabilities.prototype.getHistoricalBytes = function() {
+	return new ByteString("8073", HEX).concat(this.getCardCapabilities());
+}
+
+
+
+/**
+ * Encode the answer to reset
+ *
+ * @type ByteString
+ * @return the ATR containing the historical bytes
+ */
+CardCapabilities.prototype.getATR = function() {
+	var hb = this.getHistoricalBytes();
+	var bb = new ByteBuffer();
+	bb.append(0x3B);
+	bb.append(0x60 | hb.length);
+	bb.append(new ByteString("0000", HEX));
+	bb.append(hb);
+	return bb.toByteString();
+}
+
+
+
+/**
+ * Encode the extended length information data object '7F66' for EF.ATR/INFO
+ *
+ * @type ByteString
+ * @return the encoded extended length information
+ */
+CardCapabilities.prototype.getExtendedLengthInfo = function() {
+	var t = new ASN1(0x7F66,
+						new ASN1(ASN1.INTEGER, CardCapabilities.encodeUnsigned(this.maxCData)),
+						new ASN1(ASN1.INTEGER, CardCapabilities.encodeUnsigned(this.maxRData))
+					);
+	return t.getBytes();
+}
+
+
+
+/**
+ * Encode a positive number as value of an INTEGER
+ *
+ * @param {Number} value the value
+ * @type ByteString
+ * @return the encoded value with a leading '00' if the most significant bit is set
+ */
+CardCapabilities.encodeUnsigned = function(value) {
+	var bs = ByteString.valueOf(value);
+	if (bs.byteAt(0) & 0x80) {
+		bs = new ByteString("00", HEX).concat(bs);
+	}
+	return bs;
+}
+
+
+
+/**
+ * Simple unit test
+ */
+CardCapabilities.test = function() {
+	var cc = new CardCapabilities(1000, 500, 4);
+
+	var atr = cc.getATR();
+	print(atr);
+	assert(atr.toString(HEX) == "3B65000080739601FB");
+
+	var info = new ASN1(cc.getExtendedLengthInfo());
+	print(info);
+	assert(info.get(0).value.toUnsigned() == 1000);
+	assert(info.get(1).value.toUnsigned() == 500);
+
+	var mf = new DF(FCP.newDF("3F00", null),
+						new TransparentEF(FCP.newTransparentEF("2F01", 0x1D, 100), cc.getExtendedLengthInfo()),
+						new TransparentEF(FCP.newTransparentEF("EF01", 1, 2000))
+					);
+
+	var ci = new CommandInterpreter(new FileSelector(mf));
+	ci.setCardCapabilities(cc);
+
+	var data = new ByteBuffer();
+	for (var i = 0; i < 1000; i++) {
+		data.append(i & 0xFF);
+	}
+	data = data.toByteString();
+
+	// Command data exceeding the buffer is rejected
+	var a = new APDU(0x00, 0xD6, 0x81, 0x00, data.concat(new ByteString("00", HEX)));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_WRONGLENGTH);
+
+	var a = new APDU(0x00, 0xD6, 0x81, 0x00, data);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	// Response data is truncated to the buffer size, the remainder is announced with 61xx
+	var a = new APDU(0x00, 0xB0, 0x81, 0x00, 1000);
+	ci.processAPDU(a);
+	print(a);
+	assert(a.getRData().equals(data.left(500)));
+	assert(a.getSW() == APDU.SW_OKMOREDATA);
+
+	var a = new APDU(0x00, 0xC0, 0x00, 0x00, 65536);
+	ci.processAPDU(a);
+	assert(a.getRData().equals(data.bytes(500)));
+	assert(a.getSW() == APDU.SW_OK);
+
+	// EF.ATR/INFO
+	var a = new APDU(0x00, 0xB0, 0x9D, 0x00, 0);
+	ci.processAPDU(a);
+	assert(a.getRData().equals(cc.getExtendedLengthInfo()));
+
+	// Only four logical channels
+	for (var i = 1; i < 4; i++) {
+		var a = new APDU(0x00, 0x70, 0x00, 0x00, 1);
+		ci.processAPDU(a);
+		assert(a.getSW() == APDU.SW_OK);
+	}
+	var a = new APDU(0x00, 0x70, 0x00, 0x00, 1);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_FUNCNOTSUPPORTED);
+}
@@ -0,0 +1,754 @@
+/**
+ *  ---------
+ * |.##> <##.|  Open Smart Card Development Platform (www.openscdp.org)
+ * |#       #|
+ * |#       #|  Copyright (c) 1999-2009 CardContact Software & System Consulting
+ * |'##> <##'|  Andreas Schwier, 32429 Minden, Germany (www.cardcontact.de)
+ *  ---------
+ *
+ *  This file is part of OpenSCDP.
+ *
+ *  OpenSCDP is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License version 2 as
+ *  published by the Free Software Foundation.
+ *
+ *  OpenSCDP is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with OpenSCDP; if not, write to the Free Software
+ *  Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA  02110-1301  USA
+ *
+ * @fileoverview Persistent card image for the card simulators
+ */
+
+
+
+/**
+ * Create a card image for the file system starting at the given MF
+ *
+ * <p>A card image captures the persistent state of a simulated card, that is the DF tree, the content
+ *    of all EFs and the meta information attached to DFs like authentication objects with their retry
+ *    counters, keys, trust anchors and other values. The image can be stored in a JSON or XML file and
+ *    loaded back, so that a simulated card keeps its state across shell restarts.</p>
+ *
+ * <p>Meta values that are neither primitive types, ByteString, ASN1, Date, Key, FSNode, Array, plain objects nor
+ *    instances of one of the classes listed in CardImage.CLASSES (e.g. access controllers) are not part of the image.
+ *    They are taken from a template file system when the image is restored.</p>
+ *
+ * @class Class implementing a persistent card image
+ * @constructor
+ * @param {DF} mf the master file of the file system
+ */
+function CardImage(mf) {
+	if (!(mf instanceof DF)) {
+		throw new GPError("CardImage", GPError.INVALID_TYPE, 0, "Argument must be of type DF");
+	}
+	this.mf = mf;
+}
+
+/** The global scope used to resolve the constructor of persistent classes */
+CardImage.scope = this;
+
+/** Version of the card image format */
+CardImage.VERSION = 1;
+
+/** Classes which instances are stored with all their properties */
+CardImage.CLASSES = [ "FCP", "AuthenticationObject", "SignatureKey", "TrustAnchor", "CVC", "PublicKeyReference",
+						"PACEInfo", "ChipAuthenticationInfo" ];
+
+/** Key components stored for keys */
+CardImage.KEYCOMPONENTS = [ "MODULUS", "EXPONENT", "CRT_P", "CRT_Q", "CRT_DP1", "CRT_DQ1", "CRT_PQ",
+						"ECC_CURVE_OID", "ECC_P", "ECC_A", "ECC_B", "ECC_GX", "ECC_GY", "ECC_N", "ECC_H",
+						"ECC_QX", "ECC_QY", "ECC_D", "DES", "AES" ];
+
+
+
+/**
+ * Gets the master file
+ *
+ * @type DF
+ * @return the master file
+ */
+CardImage.prototype.getMF = function() {
+	return this.mf;
+}
+
+
+
+/**
+ * Encode the file system into a card image model made of plain objects, arrays, strings, numbers and booleans
+ *
+ * @type Object
+ * @return the card image model
+ */
+CardImage.prototype.encode = function() {
+	this.objects = [];
+	var model = { format: "CardImage", version: CardImage.VERSION, mf: this.encodeValue(this.mf) };
+	delete this.objects;
+	return model;
+}
+
+
+
+/**
+ * Encode a single value
+ *
+ * @param {Object} value the value to encode
+ * @type Object
+ * @return the encoded value or undefined if the value is not persistent
+ */
+CardImage.prototype.encodeValue = function(value) {
+	if (value === null) {
+		return null;
+	}
+
+	switch(typeof(value)) {
+	case "undefined":
+	case "function":
+		return undefined;
+	case "boolean":
+	case "number":
+	case "string":
+		return value;
+	}
+
+	if (value instanceof ByteString) {
+		return { "$type": "ByteString", value: value.toString(HEX) };
+	}
+	if (value instanceof ASN1) {
+		return { "$type": "ASN1", value: value.getBytes().toString(HEX) };
+	}
+	if (value instanceof Date) {
+		return { "$type": "Date", value: value.getTime() };
+	}
+
+	for (var i = 0; i < this.objects.length; i++) {
+		if (this.objects[i] === value) {
+			return { "$ref": i };
+		}
+	}
+
+	if (value instanceof Key) {
+		this.objects.push(value);
+		return this.encodeKey(value, this.objects.length - 1);
+	}
+
+	if (value instanceof FSNode) {
+		this.objects.push(value);
+		return this.encodeNode(value, this.objects.length - 1);
+	}
+
+	var type;
+	if (value instanceof Array) {
+		type = "Array";
+	} else if (value.constructor === Object) {
+		type = "Object";
+	} else {
+		type = CardImage.getClassName(value);
+		if (type == null) {
+			return undefined;
+		}
+	}
+
+	this.objects.push(value);
+	return { "$type": type, "$id": this.objects.length - 1, entries: this.encodeEntries(value) };
+}
+
+
+
+/**
+ * Encode all persistent properties of an object
+ *
+ * @param {Object} o the object
+ * @type Object
+ * @return the encoded properties
+ */
+CardImage.prototype.encodeEntries = function(o) {
+	var entries = {};
+	for (var i in o) {
+		if (o.hasOwnProperty(i)) {
+			var e = this.encodeValue(o[i]);
+			if (typeof(e) != "undefined") {
+				entries[i] = e;
+			}
+		}
+	}
+	return entries;
+}
+
+
+
+/**
+ * Encode a key with all available components
+ *
+ * @param {Key} key the key
+ * @param {Number} id the object id
+ * @type Object
+ * @return the encoded key
+ */
+CardImage.prototype.encodeKey = function(key, id) {
+	var components = {};
+	for (var i = 0; i < CardImage.KEYCOMPONENTS.length; i++) {
+		var name = CardImage.KEYCOMPONENTS[i];
+		if (typeof(Key[name]) == "undefined") {
+			continue;
+		}
+		try	{
+			var c = key.getComponent(Key[name]);
+		}
+		catch(e) {
+			continue;
+		}
+		if (c instanceof ByteString) {
+			components[name] = c.toString(HEX);
+		}
+	}
+	var m = { "$type": "Key", "$id": id, keytype: key.getType(), components: components };
+	var size = key.getSize();
+	if (typeof(size) == "number") {
+		m.size = size;
+	}
+	return m;
+}
+
+
+
+/**
+ * Encode a file system node, including all child nodes and the meta information for a DF
+ *
+ * @param {FSNode} node the node
+ * @param {Number} id the object id
+ * @type Object
+ * @return the encoded node
+ */
+CardImage.prototype.encodeNode = function(node, id) {
+	var m = { "$id": id };
+
+	if (node instanceof DF) {
+		m["$type"] = "DF";
+	} else if (node instanceof CyclicEF) {
+		m["$type"] = "CyclicEF";
+	} else if (node instanceof LinearEF) {
+		m["$type"] = "LinearEF";
+	} else if (node instanceof TransparentEF) {
+		m["$type"] = "TransparentEF";
+	} else {
+		throw new GPError("CardImage", GPError.INVALID_TYPE, 0, "Unsupported file type for node " + node);
+	}
+
+	m.fcp = this.encodeValue(node.getFCP());
+
+	if (node instanceof DF) {
+		m.childs = [];
+		for (var i = 0; i < node.childs.length; i++) {
+			m.childs.push(this.encodeValue(node.childs[i]));
+		}
+		m.meta = this.encodeEntries(node.meta);
+	} else if (node instanceof LinearEF) {
+		m.records = this.encodeValue(node.records);
+	} else {
+		var content = this.encodeValue(node.content);
+		if (typeof(content) != "undefined") {
+			m.content = content;
+		}
+	}
+	return m;
+}
+
+
+
+/**
+ * Decode a card image model and create a new file system
+ *
+ * @param {Object} model the card image model
+ * @param {DF} template the file system from which non-persistent meta information is taken (optional)
+ * @type CardImage
+ * @return the card image with the restored file system
+ */
+CardImage.decode = function(model, template) {
+	if ((typeof(model) != "object") || (model.format != "CardImage")) {
+		throw new GPError("CardImage", GPError.INVALID_DATA, 0, "Data is not a card image");
+	}
+	if (model.version > CardImage.VERSION) {
+		throw new GPError("CardImage", GPError.INVALID_DATA, 0, "Card image version " + model.version + " is not supported");
+	}
+
+	var decoder = { objects: [] };
+	decoder.decodeValue = CardImage.decodeValue;
+	decoder.decodeNode = CardImage.decodeNode;
+	decoder.decodeEntries = CardImage.decodeEntries;
+
+	var mf = decoder.decodeNode(model.mf, template);
+	return new CardImage(mf);
+}
+
+
+
+/**
+ * Decode a single value
+ *
+ * <p>This function is called with this bound to the decoder state.</p>
+ *
+ * @param {Object} m the encoded value
+ * @type Object
+ * @return the decoded value
+ */
+CardImage.decodeValue = function(m) {
+	if ((m === null) || (typeof(m) != "object")) {
+		return m;
+	}
+
+	if (typeof(m["$ref"]) != "undefined") {
+		var o = this.objects[m["$ref"]];
+		if (typeof(o) == "undefined") {
+			throw new GPError("CardImage", GPError.INVALID_DATA, 0, "Undefined object reference " + m["$ref"]);
+		}
+		return o;
+	}
+
+	var type = m["$type"];
+	switch(type) {
+	case "ByteString":
+		return new ByteString(m.value, HEX);
+	case "ASN1":
+		return new ASN1(new ByteString(m.value, HEX));
+	case "Date":
+		return new Date(m.value);
+	case "Key":
+		var key = new Key();
+		this.objects[m["$id"]] = key;
+		key.setType(m.keytype);
+		if (typeof(m.size) == "number") {
+			key.setSize(m.size);
+		}
+		for (var i in m.components) {
+			key.setComponent(Key[i], new ByteString(m.components[i], HEX));
+		}
+		return key;
+	case "DF":
+	case "TransparentEF":
+	case "LinearEF":
+	case "CyclicEF":
+		return this.decodeNode(m);
+	case "Array":
+		var o = [];
+		break;
+	case "Object":
+		var o = {};
+		break;
+	default:
+		var o = CardImage.newInstance(type);
+	}
+
+	this.objects[m["$id"]] = o;
+	this.decodeEntries(o, m.entries);
+	return o;
+}
+
+
+
+/**
+ * Decode all properties into the given object
+ *
+ * <p>This function is called with this bound to the decoder state.</p>
+ *
+ * @param {Object} o the object to receive the properties
+ * @param {Object} entries the encoded properties
+ */
+CardImage.decodeEntries = function(o, entries) {
+	for (var i in entries) {
+		o[i] = this.decodeValue(entries[i]);
+	}
+}
+
+
+
+/**
+ * Decode a file system node
+ *
+ * <p>This function is called with this bound to the decoder state.</p>
+ *
+ * @param {Object} m the encoded node
+ * @param {DF} template the corresponding DF in the template file system or undefined
+ * @param {DF} parentTemplate the parent of the corresponding DF in the template file system or undefined
+ * @type FSNode
+ * @return the decoded node
+ */
+CardImage.decodeNode = function(m, template, parentTemplate) {
+	if (typeof(m["$ref"]) != "undefined") {
+		return this.decodeValue(m);
+	}
+
+	var fcp = this.decodeValue(m.fcp);
+	if (!(fcp instanceof FCP)) {
+		throw new GPError("CardImage", GPError.INVALID_DATA, 0, "Node without valid FCP");
+	}
+
+	if (parentTemplate instanceof DF) {
+		if (fcp.getFID()) {
+			template = parentTemplate.selectByFID(fcp.getFID());
+		} else if (fcp.getAID()) {
+			template = parentTemplate.selectByAID(fcp.getAID());
+		}
+	}
+
+	switch(m["$type"]) {
+	case "DF":
+		var node = new DF(fcp);
+		break;
+	case "TransparentEF":
+		var node = new TransparentEF(fcp);
+		break;
+	case "LinearEF":
+		var node = new LinearEF(fcp);
+		break;
+	case "CyclicEF":
+		var node = new CyclicEF(fcp);
+		break;
+	default:
+		throw new GPError("CardImage", GPError.INVALID_DATA, 0, "Unsupported node type " + m["$type"]);
+	}
+
+	this.objects[m["$id"]] = node;
+
+	if (node instanceof DF) {
+		if (!(template instanceof DF)) {
+			template = undefined;
+		}
+
+		for (var i = 0; i < m.childs.length; i++) {
+			node.add(this.decodeNode(m.childs[i], undefined, template));
+		}
+
+		this.decodeEntries(node.meta, m.meta);
+
+		if (template) {
+			for (var i in template.meta) {
+				if (typeof(node.meta[i]) == "undefined") {
+					node.meta[i] = template.meta[i];
+				}
+			}
+		}
+	} else if (node instanceof LinearEF) {
+		node.records = this.decodeValue(m.records);
+	} else if (typeof(m.content) != "undefined") {
+		node.content = this.decodeValue(m.content);
+	}
+
+	return node;
+}
+
+
+
+/**
+ * Returns the name of the persistent class for the given object
+ *
+ * @param {Object} o the object
+ * @type String
+ * @return the class name or null if the object is not an instance of a persistent class
+ */
+CardImage.getClassName = function(o) {
+	for (var i = 0; i < CardImage.CLASSES.length; i++) {
+		var name = CardImage.CLASSES[i];
+		var c = CardImage.scope[name];
+		if ((typeof(c) == "function") && (o.constructor === c)) {
+			return name;
+		}
+	}
+	return null;
+}
+
+
+
+/**
+ * Create an instance of a persistent class without calling the constructor
+ *
+ * @param {String} name the class name
+ * @type Object
+ * @return the new, uninitialized instance
+ */
+CardImage.newInstance = function(name) {
+	var c = CardImage.scope[name];
+	if ((typeof(c) != "function") || (CardImage.CLASSES.indexOf(name) < 0)) {
+		throw new GPError("CardImage", GPError.INVALID_DATA, 0, "Unknown class " + name + " in card image");
+	}
+	var F = function() {};
+	F.prototype = c.prototype;
+	return new F();
+}
+
+
+
+/**
+ * Encode the card image as JSON
+ *
+ * @type String
+ * @return the JSON encoded card image
+ */
+CardImage.prototype.toJSONString = function() {
+	return JSON.stringify(this.encode(), null, "\t");
+}
+
+
+
+/**
+ * Create a card image from JSON
+ *
+ * @param {String} str the JSON encoded card image
+ * @param {DF} template the file system from which non-persistent meta information is taken (optional)
+ * @type CardImage
+ * @return the card image with the restored file system
+ */
+CardImage.fromJSONString = function(str, template) {
+	return CardImage.decode(JSON.parse(str), template);
+}
+
+
+
+/**
+ * Encode the card image as XML
+ *
+ * @type XML
+ * @return the XML encoded card image
+ */
+CardImage.prototype.toXML = function() {
+	var xml = <cardimage/>;
+	xml.appendChild(CardImage.modelToXML(this.encode()));
+	return xml;
+}
+
+
+
+/**
+ * Create a card image from XML
+ *
+ * @param {XML} xml the XML encoded card image
+ * @param {DF} template the file system from which non-persistent meta information is taken (optional)
+ * @type CardImage
+ * @return the card image with the restored file system
+ */
+CardImage.fromXML = function(xml, template) {
+	if (xml.name().localName != "cardimage") {
+		throw new GPError("CardImage", GPError.INVALID_DATA, 0, "XML document is not a card image");
+	}
+	return CardImage.decode(CardImage.xmlToModel(xml.elements()[0]), template);
+}
+
+
+
+/**
+ * Convert the card image model into XML
+ *
+ * @param {Object} m the model
+ * @type XML
+ * @return the model as XML element
+ */
+CardImage.modelToXML = function(m) {
+	if (m === null) {
+		return <null/>;
+	}
+
+	switch(typeof(m)) {
+	case "boolean":
+		return <boolean>{m}</boolean>;
+	case "number":
+		return <number>{m}</number>;
+	case "string":
+		return <string>{m}</string>;
+	}
+
+	if (m instanceof Array) {
+		var xml = <array/>;
+		for (var i = 0; i < m.length; i++) {
+			xml.appendChild(CardImage.modelToXML(m[i]));
+		}
+		return xml;
+	}
+
+	var xml = <object/>;
+	for (var i in m) {
+		var e = <entry key={i}/>;
+		e.appendChild(CardImage.modelToXML(m[i]));
+		xml.appendChild(e);
+	}
+	return xml;
+}
+
+
+
+/**
+ * Convert XML into the card image model
+ *
+ * @param {XML} xml the XML element
+ * @type Object
+ * @return the model
+ */
+CardImage.xmlToModel = function(xml) {
+	switch(xml.name().localName) {
+	case "null":
+		return null;
+	case "boolean":
+		return xml.toString() == "true";
+	case "number":
+		return parseFloat(xml.toString());
+	case "string":
+		return xml.toString();
+	case "array":
+		var m = [];
+		for each (var e in xml.elements()) {
+			m.push(CardImage.xmlToModel(e));
+		}
+		return m;
+	case "object":
+		var m = {};
+		for each (var e in xml.entry) {
+			m[e.@key.toString()] = CardImage.xmlToModel(e.elements()[0]);
+		}
+		return m;
+	}
+	throw new GPError("CardImage", GPError.INVALID_DATA, 0, "Unexpected element " + xml.name().localName + " in card image");
+}
+
+
+
+/**
+ * Save the card image to a file
+ *
+ * <p>The format is XML if the file name ends with .xml, otherwise JSON.</p>
+ *
+ * @param {String} filename the fully qualified file name
+ */
+CardImage.prototype.save = function(filename) {
+	var fw = new java.io.FileWriter(filename);
+	if (CardImage.isXMLFile(filename)) {
+		fw.write("<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n");
+		fw.write(this.toXML().toXMLString());
+	} else {
+		fw.write(this.toJSONString());
+	}
+	fw.close();
+}
+
+
+
+/**
+ * Load a card image from a file
+ *
+ * <p>The format is XML if the file name ends with .xml, otherwise JSON.</p>
+ *
+ * @param {String} filename the fully qualified file name
+ * @param {DF} template the file system from which non-persistent meta information is taken (optional)
+ * @type CardImage
+ * @return the card image with the restored file system
+ */
+CardImage.load = function(filename, template) {
+	var f = new java.io.FileReader(filename);
+	var bfr = new java.io.BufferedReader(f);
+
+	var str = "";
+	var line;
+	while ((line = bfr.readLine()) != null) {
+		if (str.length || (line.substr(0, 2) != "<?")) {
+			str += line + "\n";
+		}
+	}
+	bfr.close();
+	f.close();
+
+	if (CardImage.isXMLFile(filename)) {
+		default xml namespace = "";
+		return CardImage.fromXML(new XML(str), template);
+	}
+	return CardImage.fromJSONString(str, template);
+}
+
+
+
+/**
+ * Returns true if the file name denotes an XML card image
+ *
+ * @param {String} filename the file name
+ * @type boolean
+ * @return true if the file name ends with .xml
+ */
+CardImage.isXMLFile = function(filename) {
+	return String(filename).toLowerCase().match(/\.xml$/) != null;
+}
+
+
+
+/**
+ * Simple unit test
+ */
+CardImage.test = function() {
+	var pin = new AuthenticationObject("PIN", AuthenticationObject.TYPE_PIN, 1, new ByteString("123456", ASCII));
+	var puk = new AuthenticationObject("PUK", AuthenticationObject.TYPE_PIN, 2, new ByteString("87654321", ASCII));
+	pin.unblockAuthenticationObject = puk;
+
+	var k = new Key();
+	k.setComponent(Key.AES, new ByteString("7CA110454A1A6E570131D9619DC1376E", HEX));
+
+	var ef = new LinearEF(FCP.newLinearEF("EF03", 3, FCP.LINEARFIXED, 4, 2), [ new ByteString("01020304", HEX) ]);
+
+	var mf = new DF(FCP.newDF("3F00", null),
+						new TransparentEF(FCP.newTransparentEF("EF01", 1, 100), new ByteString("4041424344", HEX)),
+						new DF(FCP.newDF("DF01", new ByteString("A000000001", HEX)),
+							ef,
+							new CyclicEF(FCP.newLinearEF("EF04", 4, FCP.CYCLIC, 3, 1), [ new ByteString("010203", HEX) ])
+						)
+					);
+
+	mf.addObject(pin);
+	mf.addObject(puk);
+	mf.addMeta("key", k);
+	mf.addMeta("efref", ef);
+	mf.addMeta("accessController", new AccessController());
+	mf.addMeta("info", { date: new Date(1262304000000), asn: new ASN1(ASN1.OCTET_STRING, new ByteString("AA", HEX)) });
+
+	pin.retrycounter = 1;
+
+	var str = new CardImage(mf).toJSONString();
+	print(str);
+
+	var mf2 = CardImage.fromJSONString(str, mf).getMF();
+	print(mf2.dump(""));
+
+	var pin2 = mf2.meta[AuthenticationObject.TYPE_PIN][1];
+	assert(pin2 instanceof AuthenticationObject);
+	assert(pin2 !== pin);
+	assert(pin2.retrycounter == 1);
+	assert(pin2.value.toString(ASCII) == "123456");
+	assert(pin2.unblockAuthenticationObject === mf2.meta[AuthenticationObject.TYPE_PIN][2]);
+	assert(pin2.isBlocked() == false);
+
+	assert(mf2.meta.key.getComponent(Key.AES).equals(k.getComponent(Key.AES)));
+	assert(mf2.meta.info.date.getTime() == 1262304000000);
+	assert(mf2.meta.info.asn.value.toString(HEX) == "AA");
+
+	// Access controllers are not persistent and taken from the template
+	assert(mf2.meta.accessController === mf.meta.accessController);
+
+	var ef01 = mf2.selectByFID(new ByteString("EF01", HEX));
+	assert(ef01 instanceof TransparentEF);
+	assert(ef01.content.toString(HEX) == "4041424344");
+	assert(mf2.selectBySFI(1) === ef01);
+
+	var df01 = mf2.selectByAID(new ByteString("A000000001", HEX));
+	assert(df01 instanceof DF);
+	assert(df01.getParent() === mf2);
+
+	var ef03 = df01.selectBySFI(3);
+	assert(ef03 instanceof LinearEF);
+	assert(ef03.records[0].toString(HEX) == "01020304");
+	assert(mf2.meta.efref === ef03);
+	assert(df01.selectBySFI(4) instanceof CyclicEF);
+
+	// Restored file system is operational
+	var ci = new CommandInterpreter(new FileSelector(mf2));
+	var a = new APDU(0x00, 0xB0, 0x81, 0x00, 0);
+	ci.processAPDU(a);
+	assert(a.getRData().toString(HEX) == "4041424344");
+}
@@ -35,17 +35,80 @@
  */
 function CommandInterpreter(fileSelector) {
 	this.fileSelector = fileSelector;
+	this.channels = [ { fileSelector: fileSelector } ];
+	this.channel = this.channels[0];
+	this.maxChannels = CommandInterpreter.MAX_CHANNELS;
+	this.maxCData = 65535;
+	this.maxRData = 65536;
+	this.chains = [];
+	this.pendingResponses = [];
+	this.protocolT0 = false;
 }
 
 
 
+CommandInterpreter.MAX_CHANNELS = 20;
+
+/** Instructions that do not support command chaining */
+CommandInterpreter.NO_CHAINING = [ APDU.INS_READ_BINARY, APDU.INS_READ_RECORD, APDU.INS_VERIFY, APDU.INS_CHANGE_REFERENCE_DATA, APDU.INS_RESET_RETRY_COUNTER ];
+
+
+
 /**
  * Set secure channel
  *
+ * <p>The secure channel is bound to the logical channel on which the current command was received.</p>
+ *
  * @param {SecureChannel} secureChannel the secure channel to used for unwrapping and wrapping APDUs
  */
 CommandInterpreter.prototype.setSecureChannel = function(secureChannel) {
 	this.secureChannel = secureChannel;
+	this.channel.secureChannel = secureChannel;
+}
+
+
+
+/**
+ * Set the number of logical channels supported, including the basic channel
+ *
+ * @param {Number} maxChannels the number of logical channels in the range 1 to 20
+ */
+CommandInterpreter.prototype.setMaxChannels = function(maxChannels) {
+	if ((maxChannels < 1) || (maxChannels > CommandInterpreter.MAX_CHANNELS)) {
+		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, 0, "Number of logical channels must be in the range 1 to " + CommandInterpreter.MAX_CHANNELS);
+	}
+	this.maxChannels = maxChannels;
+}
+
+
+
+/**
+ * Apply the buffer sizes and the number of logical channels defined in the card capabilities
+ *
+ * <p>Commands with a data field longer than the command buffer are rejected with SW1/SW2 = 6700. Response
+ *    data exceeding the response buffer is truncated and the remaining bytes are announced with
+ *    SW1/SW2 = 61xx.</p>
+ *
+ * @param {CardCapabilities} capabilities the card capabilities
+ */
+CommandInterpreter.prototype.setCardCapabilities = function(capabilities) {
+	this.maxCData = capabilities.maxCData;
+	this.maxRData = capabilities.maxRData;
+	this.setMaxChannels(capabilities.maxChannels);
+}
+
+
+
+/**
+ * Enable or disable the emulation of the T=0 transmission protocol
+ *
+ * <p>With T=0 a card can not return response data to a command that has no Le field. Instead
+ *    SW1/SW2 = 61xx announce the response, which the terminal must fetch using GET RESPONSE.</p>
+ *
+ * @param {boolean} t0 true to emulate T=0 behaviour
+ */
+CommandInterpreter.prototype.setProtocolT0 = function(t0) {
+	this.protocolT0 = t0;
 }
 
 
@@ -102,6 +165,8 @@ CommandInterpreter.prototype.readBinary = function(apdu) {
 		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_COMINCOMPATIBLE, "EF is not a transparent file in READ BINARY");
 	}
 
+	this.fileSelector.checkLifeCycle(ef);
+
 	var ac = this.fileSelector.getMeta("accessController");
 	if (ac && !ac.checkFileReadAccess(this, apdu, ef)) {
 		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_SECSTATNOTSAT, "Read access not allowed as determined by " + ac);
@@ -157,6 +222,8 @@ CommandInterpreter.prototype.updateBinary = function(apdu) {
 		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_COMINCOMPATIBLE, "EF is not a transparent file in UPDATE BINARY");
 	}
 
+	this.fileSelector.checkLifeCycle(ef);
+
 	var ac = this.fileSelector.getMeta("accessController");
 	if (ac && !ac.checkFileWriteAccess(this, apdu, ef)) {
 		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_SECSTATNOTSAT, "Write access not allowed as determined by " + ac);
@@ -185,31 +252,144 @@ CommandInterpreter.prototype.readRecord = function(apdu) {
 	}
 
 	var recno = apdu.getP1();
-	var sfi = apdu.getP2() >> 3;
 	var qualifier = apdu.getP2() & 0x7;
 
+	var ef = this.selectRecordEF(apdu, "READ RECORD");
+
+	var ac = this.fileSelector.getMeta("accessController");
+	if (ac && !ac.checkFileReadAccess(this, apdu, ef)) {
+		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_SECSTATNOTSAT, "Read access not allowed as determined by " + ac);
+	}
+
+	var data = ef.readRecord(apdu, recno, qualifier, apdu.getNe());
+
+	apdu.setRData(data);
+}
+
+
+
+/**
+ * Determine the record oriented EF addressed by the SFI in P2 or the current EF
+ *
+ * @param {APDU} apdu the command APDU
+ * @param {String} cmd the command name used in error messages
+ * @type LinearEF
+ * @return the record oriented EF
+ */
+CommandInterpreter.prototype.selectRecordEF = function(apdu, cmd) {
+	var ef;
+	var sfi = apdu.getP2() >> 3;
+
 	if (sfi > 0) {
 		ef = this.fileSelector.selectSFI(sfi);
 	} else {
 		ef = this.fileSelector.getCurrentEF();
 
 		if (ef == null) {
-			throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_COMNOTALLOWNOEF, "No current EF in READ RECORD");
+			throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_COMNOTALLOWNOEF, "No current EF in " + cmd);
 		}
 	}
 
 	if (!(ef instanceof LinearEF)) {
-		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_COMINCOMPATIBLE, "EF is not a linear file in READ RECORD");
+		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_COMINCOMPATIBLE, "EF is not a linear file in " + cmd);
+	}
+
+	this.fileSelector.checkLifeCycle(ef);
+	return ef;
+}
+
+
+
+/**
+ * Process an UPDATE RECORD or WRITE RECORD APDU
+ *
+ * @param {APDU} apdu the command and response APDU
+ * @param {Number} ins the instruction code
+ */
+CommandInterpreter.prototype.updateRecord = function(apdu, ins) {
+	var cmd = (ins == APDU.INS_WRITE_RECORD) ? "WRITE RECORD" : "UPDATE RECORD";
+
+	if (!apdu.hasCData()) {
+		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_WRONGLENGTH, "No data found in " + cmd);
+	}
+
+	var recno = apdu.getP1();
+	var qualifier = apdu.getP2() & 0x7;
+
+	var ef = this.selectRecordEF(apdu, cmd);
+
+	var ac = this.fileSelector.getMeta("accessController");
+	if (ac && !ac.checkFileWriteAccess(this, apdu, ef)) {
+		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_SECSTATNOTSAT, "Write access not allowed as determined by " + ac);
+	}
+
+	if (ins == APDU.INS_WRITE_RECORD) {
+		ef.writeRecord(apdu, recno, qualifier, apdu.getCData());
+	} else {
+		ef.updateRecord(apdu, recno, qualifier, apdu.getCData());
+	}
+}
+
+
+
+/**
+ * Process an APPEND RECORD APDU
+ *
+ * @param {APDU} apdu the command and response APDU
+ */
+CommandInterpreter.prototype.appendRecord = function(apdu) {
+	if (!apdu.hasCData()) {
+		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_WRONGLENGTH, "No data found in APPEND RECORD");
+	}
+
+	if ((apdu.getP1() != 0x00) || ((apdu.getP2() & 0x07) != 0x00)) {
+		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_INCP1P2, "Incorrect P1 or P2 in APPEND RECORD");
+	}
+
+	var ef = this.selectRecordEF(apdu, "APPEND RECORD");
+
+	var ac = this.fileSelector.getMeta("accessController");
+	if (ac && !ac.checkFileWriteAccess(this, apdu, ef)) {
+		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_SECSTATNOTSAT, "Write access not allowed as determined by " + ac);
+	}
+
+	ef.appendRecord(apdu, apdu.getCData());
+}
+
+
+
+/**
+ * Process a SEARCH RECORD APDU
+ *
+ * <p>Supports the simple search with P2 b3 - b1 = '100' (forward from record P1) and '101' (backward from record P1).
+ *    The response contains the numbers of all matching records.</p>
+ *
+ * @param {APDU} apdu the command and response APDU
+ */
+CommandInterpreter.prototype.searchRecord = function(apdu) {
+	if (!apdu.hasCData()) {
+		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_WRONGLENGTH, "No search string found in SEARCH RECORD");
 	}
 
+	var qualifier = apdu.getP2() & 0x07;
+	if ((qualifier != 4) && (qualifier != 5)) {
+		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_INCP1P2, "Only simple search supported in SEARCH RECORD");
+	}
+
+	var ef = this.selectRecordEF(apdu, "SEARCH RECORD");
+
 	var ac = this.fileSelector.getMeta("accessController");
 	if (ac && !ac.checkFileReadAccess(this, apdu, ef)) {
 		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_SECSTATNOTSAT, "Read access not allowed as determined by " + ac);
 	}
 
-	var data = ef.readRecord(apdu, recno, qualifier, apdu.getNe());
+	var list = ef.searchRecord(apdu, apdu.getP1(), qualifier == 4, apdu.getCData());
 
-	apdu.setRData(data);
+	var bb = new ByteBuffer();
+	for (var i = 0; i < list.length; i++) {
+		bb.append(list[i]);
+	}
+	apdu.setRData(bb.toByteString());
 }
 
 
@@ -229,11 +409,17 @@ CommandInterpreter.prototype.verify = function(apdu) {
 		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_RDNOTFOUND, "PIN with reference " + apdu.getP2() + " not found");
 	}
 
+	// Bit b8 in P2 indicates a specific PIN, which verification status is maintained for the current DF
+	var global = !(apdu.getP2() & 0x80);
+
 	if (apdu.hasCData()) {
 		pinao.verify(apdu.getCData());
+		if (!this.fileSelector.isAuthenticated(global, pinao)) {
+			this.fileSelector.addAuthenticationState(global, pinao);
+		}
 	} else {
-		if (!this.fileSelector.isAuthenticated(ao)) {
-			pinao.determineStatus();
+		if (!this.fileSelector.isAuthenticated(global, pinao)) {
+			throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_WARNINGCOUNT | pinao.retrycounter, "PIN not verified");
 		}
 	}
 
@@ -381,6 +567,419 @@ CommandInterpreter.prototype.handleSecMsgResponseAPDU = function(apdu) {
 
 
 
+/**
+ * Determine if a command handler processes the chaining indicator in the CLA byte itself
+ *
+ * <p>Derived classes override this method for commands like GENERAL AUTHENTICATE, where
+ *    the chaining indicator links protocol steps rather than segments of a single command.</p>
+ *
+ * @param {APDU} apdu the command APDU
+ * @param {Number} ins the normalized instruction code
+ * @type boolean
+ * @return true if command chaining is left to the command handler
+ */
+CommandInterpreter.prototype.isChainingHandledByCommand = function(apdu, ins) {
+	return false;
+}
+
+
+
+/**
+ * Collect segments of a chained command APDU
+ *
+ * <p>Segments are collected separately for each logical channel. All segments of a chain must
+ *    use the same CLA (except the chaining indicator), INS, P1 and P2. Any other command received
+ *    while a chain is pending aborts the chain with SW 6883. Commands listed in CommandInterpreter.NO_CHAINING
+ *    are rejected with SW 6884 if the chaining indicator is set.</p>
+ *
+ * <p>The command data of the last segment is replaced by the data of all segments.</p>
+ *
+ * @param {APDU} apdu the unwrapped command APDU
+ * @type boolean
+ * @return true if the APDU is complete and must be dispatched, false if more segments are expected
+ */
+CommandInterpreter.prototype.handleCommandChaining = function(apdu) {
+	var channel = apdu.getChannel();
+	var chain = this.chains[channel];
+
+	if (chain) {
+		if (((chain.cla & 0xEF) != (apdu.getCLA() & 0xEF)) ||
+			(chain.ins != apdu.getINS()) ||
+			(chain.p1 != apdu.getP1()) ||
+			(chain.p2 != apdu.getP2())) {
+			delete this.chains[channel];
+			throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_LASTCMDEXPECTED, "Last command of the chain expected");
+		}
+	}
+
+	if (apdu.isChained()) {
+		if (CommandInterpreter.NO_CHAINING.indexOf(apdu.getINS() & 0xFE) >= 0) {
+			throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_CHAINNOTSUPPORTED, "Chaining not supported in command");
+		}
+		if (!chain) {
+			chain = { cla: apdu.getCLA(), ins: apdu.getINS(), p1: apdu.getP1(), p2: apdu.getP2(), data: new ByteBuffer() };
+			this.chains[channel] = chain;
+		}
+		if (apdu.hasCData()) {
+			chain.data.append(apdu.getCData());
+		}
+		apdu.setSW(APDU.SW_OK);
+		return false;
+	}
+
+	if (chain) {
+		delete this.chains[channel];
+		if (apdu.hasCData()) {
+			chain.data.append(apdu.getCData());
+		}
+		if (chain.data.length > 0) {
+			apdu.setCData(chain.data.toByteString());
+		}
+	}
+	return true;
+}
+
+
+
+/**
+ * Split a response that exceeds the number of expected bytes or the response buffer
+ *
+ * <p>The part exceeding Ne or the response buffer size is retained for the logical channel and SW1/SW2 is set to 61xx, with
+ *    xx indicating the number of remaining bytes or '00' if 256 or more bytes are available.</p>
+ *
+ * @param {APDU} apdu the response APDU, already wrapped if secure messaging is active
+ * @param {Number} ne the number of expected bytes as received in the command APDU or undefined if no Le was given
+ */
+CommandInterpreter.prototype.handleResponseChaining = function(apdu, ne) {
+	if (!apdu.hasRData() || (apdu.getRData().length == 0)) {
+		return;
+	}
+
+	if (typeof(ne) == "undefined") {
+		if (!this.protocolT0) {
+			return;
+		}
+		ne = -1;
+	} else if (ne == 0) {
+		ne = 256;							// Short Le '00'
+	}
+
+	if (ne > this.maxRData) {
+		ne = this.maxRData;
+	}
+
+	var rdata = apdu.getRData();
+	if (rdata.length <= ne) {
+		return;
+	}
+
+	var pending = { data: rdata, sw: apdu.getSW() };
+
+	if (ne > 0) {
+		apdu.setRData(rdata.left(ne));
+		pending.data = rdata.bytes(ne);
+	} else {
+		apdu.setRData(null);
+	}
+	this.pendingResponses[apdu.getChannel()] = pending;
+
+	apdu.setSW(CommandInterpreter.moreDataSW(pending.data.length));
+}
+
+
+
+/**
+ * Return the SW 61xx indicating the number of bytes available with GET RESPONSE
+ *
+ * @param {Number} remaining the number of remaining bytes
+ * @type Number
+ * @return the status word
+ */
+CommandInterpreter.moreDataSW = function(remaining) {
+	return APDU.SW_OKMOREDATA | (remaining >= 256 ? 0 : remaining);
+}
+
+
+
+/**
+ * Process a GET RESPONSE APDU
+ *
+ * <p>GET RESPONSE returns the next part of a response retained by handleResponseChaining() for the same
+ *    logical channel. It is processed outside of secure messaging, as the retained part is already wrapped.</p>
+ *
+ * @param {APDU} apdu the command and response APDU
+ */
+CommandInterpreter.prototype.getResponse = function(apdu) {
+	var channel = apdu.getChannel();
+	var pending = this.pendingResponses[channel];
+
+	if (!pending) {
+		apdu.setSW(APDU.SW_CONDOFUSENOTSAT);
+		return;
+	}
+
+	if ((apdu.getP1() != 0x00) || (apdu.getP2() != 0x00)) {
+		apdu.setSW(APDU.SW_INCP1P2);
+		return;
+	}
+
+	if (apdu.hasCData()) {
+		apdu.setSW(APDU.SW_WRONGLENGTH);
+		return;
+	}
+
+	var ne = apdu.getNe();
+	if ((typeof(ne) == "undefined") || (ne == 0)) {
+		ne = 256;
+	}
+	if (ne > this.maxRData) {
+		ne = this.maxRData;
+	}
+
+	if (pending.data.length <= ne) {
+		delete this.pendingResponses[channel];
+		apdu.setRData(pending.data);
+		apdu.setSW(pending.sw);
+	} else {
+		apdu.setRData(pending.data.left(ne));
+		pending.data = pending.data.bytes(ne);
+		apdu.setSW(CommandInterpreter.moreDataSW(pending.data.length));
+	}
+}
+
+
+
+/**
+ * Determine the file addressed by P1 and the command data field of a file management command
+ *
+ * <p>P1 uses the same coding as in the SELECT command. If the command data field is empty and P1 is '00',
+ *    then the command refers to the current EF or, if no EF is selected or a DF is required, to the current DF.
+ *    The addressed file becomes the current file.</p>
+ *
+ * @param {APDU} apdu the command APDU
+ * @param {boolean} df true if the command refers to a DF
+ * @type FSNode
+ * @return the addressed file
+ */
+CommandInterpreter.prototype.selectFileForManagement = function(apdu, df) {
+	var p1 = apdu.getP1();
+
+	if (p1 == 0x03) {
+		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_INCP1P2, "Invalid P1 for file management command");
+	}
+
+	if ((p1 == 0x00) && !apdu.hasCData()) {
+		var node = df ? null : this.fileSelector.getCurrentEF();
+		if (!node) {
+			node = this.fileSelector.getCurrentDF();
+		}
+		return node;
+	}
+
+	return this.fileSelector.select(p1, apdu.getCData());
+}
+
+
+
+/**
+ * Process a CREATE FILE APDU
+ *
+ * <p>The command data field contains the FCP template for the new file, which is created in the current DF.
+ *    The new file becomes the current file. A transparent EF is initialized with zero bytes.</p>
+ *
+ * @param {APDU} apdu the command and response APDU
+ */
+CommandInterpreter.prototype.createFile = function(apdu) {
+	if ((apdu.getP1() != 0x00) || (apdu.getP2() != 0x00)) {
+		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_INCP1P2, "P1 and P2 must be 00 in CREATE FILE");
+	}
+
+	if (!apdu.hasCData()) {
+		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_WRONGLENGTH, "FCP template missing in CREATE FILE");
+	}
+
+	var fcp = FCP.parse(apdu.getCData());
+
+	var df = this.fileSelector.getCurrentDF();
+	this.fileSelector.checkLifeCycle(df);
+
+	var ac = this.fileSelector.getMeta("accessController");
+	if (ac && !ac.checkFileWriteAccess(this, apdu, df)) {
+		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_SECSTATNOTSAT, "Create file not allowed as determined by " + ac);
+	}
+
+	switch(fcp.type) {
+	case FCP.DEDICATEDFILE:
+		var node = new DF(fcp);
+		break;
+	case FCP.TRANSPARENT:
+		var bb = new ByteBuffer();
+		for (var i = 0; i < fcp.size; i++) {
+			bb.append(0);
+		}
+		var node = new TransparentEF(fcp, bb.toByteString());
+		break;
+	case FCP.CYCLIC:
+		var node = new CyclicEF(fcp, []);
+		break;
+	default:
+		var node = new LinearEF(fcp, []);
+	}
+
+	df.add(node);
+
+	if (fcp.getFID()) {
+		this.fileSelector.selectFID(fcp.getFID(), false, false);
+	}
+	apdu.setSW(APDU.SW_OK);
+}
+
+
+
+/**
+ * Process a DELETE FILE APDU
+ *
+ * <p>After deletion the parent DF of the deleted file becomes the current DF. The selection of the deleted
+ *    file is also invalidated on all other logical channels.</p>
+ *
+ * @param {APDU} apdu the command and response APDU
+ */
+CommandInterpreter.prototype.deleteFile = function(apdu) {
+	var node = this.selectFileForManagement(apdu);
+
+	var parent = node.getParent();
+	if (!parent) {
+		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "The MF can not be deleted");
+	}
+
+	var ac = this.fileSelector.getMeta("accessController");
+	if (ac && !ac.checkFileWriteAccess(this, apdu, node)) {
+		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_SECSTATNOTSAT, "Delete file not allowed as determined by " + ac);
+	}
+
+	for (var i = 0; i < this.channels.length; i++) {
+		if (this.channels[i]) {
+			this.channels[i].fileSelector.deselect(node);
+		}
+	}
+	parent.remove(node);
+
+	apdu.setSW(APDU.SW_OK);
+}
+
+
+
+/**
+ * Process an ACTIVATE FILE, DEACTIVATE FILE, TERMINATE DF or TERMINATE EF APDU
+ *
+ * <p>The command changes the life cycle status in the FCP of the addressed file. A terminated
+ *    file can not be activated or deactivated.</p>
+ *
+ * @param {APDU} apdu the command and response APDU
+ * @param {Number} ins the instruction code
+ */
+CommandInterpreter.prototype.changeLifeCycleStatus = function(apdu, ins) {
+	var node = this.selectFileForManagement(apdu, ins == APDU.INS_TERMINATE_DF);
+
+	switch(ins) {
+	case APDU.INS_ACTIVATE:
+		var lcs = FCP.ACTIVATED;
+		break;
+	case APDU.INS_DEACTIVATE:
+		var lcs = FCP.DEACTIVATED;
+		break;
+	case APDU.INS_TERMINATE_DF:
+		if (!node.isDF()) {
+			throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_COMINCOMPATIBLE, "TERMINATE DF requires a DF");
+		}
+		var lcs = FCP.TERMINATED;
+		break;
+	case APDU.INS_TERMINATE_EF:
+		if (node.isDF()) {
+			throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_COMNOTALLOWNOEF, "TERMINATE EF requires an EF");
+		}
+		var lcs = FCP.TERMINATED;
+		break;
+	}
+
+	var fcp = node.getFCP();
+	if (fcp.getLifeCycleStatus() == FCP.TERMINATED) {
+		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "File " + node + " is terminated");
+	}
+
+	var ac = this.fileSelector.getMeta("accessController");
+	if (ac && !ac.checkFileWriteAccess(this, apdu, node)) {
+		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_SECSTATNOTSAT, "Life cycle change not allowed as determined by " + ac);
+	}
+
+	fcp.setLifeCycleStatus(lcs);
+	apdu.setSW(APDU.SW_OK);
+}
+
+
+
+/**
+ * Process a MANAGE CHANNEL APDU
+ *
+ * <p>P1 = '00' opens a logical channel. With P2 = '00' the card assigns the channel number and
+ *    returns it in the response, otherwise P2 denotes the channel to open.</p>
+ *
+ * <p>P1 = '80' closes the logical channel in P2 or the channel denoted in CLA, if P2 = '00'.
+ *    The basic channel can not be closed.</p>
+ *
+ * @param {APDU} apdu the command and response APDU
+ */
+CommandInterpreter.prototype.manageChannel = function(apdu) {
+	if (apdu.hasCData()) {
+		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_WRONGLENGTH, "Command data not expected in MANAGE CHANNEL");
+	}
+
+	var p2 = apdu.getP2();
+
+	switch(apdu.getP1()) {
+	case 0x00:
+		if (p2 == 0x00) {
+			for (var channel = 1; (channel < this.maxChannels) && this.channels[channel]; channel++);
+			if (channel >= this.maxChannels) {
+				throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_FUNCNOTSUPPORTED, "No free logical channel");
+			}
+		} else {
+			var channel = p2;
+			if (channel >= this.maxChannels) {
+				throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_INCP1P2, "Logical channel " + channel + " not supported");
+			}
+			if (this.channels[channel]) {
+				throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "Logical channel " + channel + " already open");
+			}
+		}
+
+		var fs = this.fileSelector.newLogicalChannel(apdu.getChannel() != 0);
+		this.channels[channel] = { fileSelector: fs };
+
+		if (p2 == 0x00) {
+			apdu.setRData(ByteString.valueOf(channel));
+		}
+		break;
+	case 0x80:
+		var channel = (p2 == 0x00) ? apdu.getChannel() : p2;
+		if (channel == 0) {
+			throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_INCP1P2, "Basic channel can not be closed");
+		}
+		if (!this.channels[channel]) {
+			throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_INCP1P2, "Logical channel " + channel + " not open");
+		}
+		delete this.channels[channel];
+		delete this.chains[channel];
+		delete this.pendingResponses[channel];
+		break;
+	default:
+		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_INCP1P2, "Invalid P1 in MANAGE CHANNEL");
+	}
+	apdu.setSW(APDU.SW_OK);
+}
+
+
+
 /**
  * Dispatch to command handler based on instruction code
  *
@@ -393,10 +992,6 @@ CommandInterpreter.prototype.dispatch = function(apdu, ins) {
 		return;
 	}
 
-	if (apdu.isChained()) {
-		throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_CHAINNOTSUPPORTED, "Chaining not supported");
-	}
-
 	switch(ins) {
 		case APDU.INS_SELECT:
 			this.fileSelector.processSelectAPDU(apdu);
@@ -410,6 +1005,16 @@ CommandInterpreter.prototype.dispatch = function(apdu, ins) {
 		case APDU.INS_READ_RECORD:
 			this.readRecord(apdu);
 			break;
+		case APDU.INS_UPDATE_RECORD:
+		case APDU.INS_WRITE_RECORD:
+			this.updateRecord(apdu, ins);
+			break;
+		case APDU.INS_APPEND_RECORD:
+			this.appendRecord(apdu);
+			break;
+		case APDU.INS_SEARCH_RECORD:
+			this.searchRecord(apdu);
+			break;
 		case APDU.INS_VERIFY:
 			this.verify(apdu);
 			break;
@@ -422,6 +1027,21 @@ CommandInterpreter.prototype.dispatch = function(apdu, ins) {
 		case APDU.INS_MANAGE_SE:
 			this.manageSecurityEnvironment(apdu);
 			break;
+		case APDU.INS_MANAGE_CHANNEL:
+			this.manageChannel(apdu);
+			break;
+		case APDU.INS_CREATE_FILE:
+			this.createFile(apdu);
+			break;
+		case APDU.INS_DELETE_FILE:
+			this.deleteFile(apdu);
+			break;
+		case APDU.INS_ACTIVATE:
+		case APDU.INS_DEACTIVATE:
+		case APDU.INS_TERMINATE_DF:
+		case APDU.INS_TERMINATE_EF:
+			this.changeLifeCycleStatus(apdu, ins);
+			break;
 		default:
 			apdu.setSW(APDU.SW_INVINS);
 	}
@@ -435,6 +1055,30 @@ CommandInterpreter.prototype.dispatch = function(apdu, ins) {
  * @param {APDU} apdu the command and response APDU
  */
 CommandInterpreter.prototype.processAPDU = function(apdu) {
+	if (apdu.isISO() && (apdu.getINS() == APDU.INS_GET_RESPONSE)) {
+		this.getResponse(apdu);
+		return;
+	}
+
+	var channel = this.channels[apdu.getChannel()];
+	if (!channel) {
+		apdu.setSW(APDU.SW_LCNOTSUPPORTED);
+		return;
+	}
+	this.channel = channel;
+	this.fileSelector = channel.fileSelector;
+	this.secureChannel = channel.secureChannel;
+
+	delete this.pendingResponses[apdu.getChannel()];
+
+	if (apdu.hasCData() && (apdu.getCData().length > this.maxCData)) {
+		GPSystem.trace("Command data exceeds buffer size of " + this.maxCData + " bytes");
+		apdu.setSW(APDU.SW_WRONGLENGTH);
+		return;
+	}
+
+	var ne = apdu.getNe();
+
 	try	{
 		this.handleSecMsgCommandAPDU(apdu);
 		
@@ -443,12 +1087,14 @@ CommandInterpreter.prototype.processAPDU = function(apdu) {
 		var tlv = (ins & 1) == 1;
 		ins &= 0xFE;
 		
-		var ac = this.fileSelector.getMeta("accessController");
-		if (ac && !ac.checkCommandAccess(this, apdu)) {
-			throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_SECSTATNOTSAT, "Command not allowed as determined by " + ac);
-		}
+		if (this.isChainingHandledByCommand(apdu, ins) || this.handleCommandChaining(apdu)) {
+			var ac = this.fileSelector.getMeta("accessController");
+			if (ac && !ac.checkCommandAccess(this, apdu)) {
+				throw new GPError("CommandInterpreter", GPError.INVALID_DATA, APDU.SW_SECSTATNOTSAT, "Command not allowed as determined by " + ac);
+			}
 
-		this.dispatch(apdu, ins);
+			this.dispatch(apdu, ins);
+		}
 	}
 	catch(e) {
 		GPSystem.trace(e.fileName + "#" + e.lineNumber + ": " + e);
@@ -460,5 +1106,368 @@ CommandInterpreter.prototype.processAPDU = function(apdu) {
 		}
 	}
 	this.handleSecMsgResponseAPDU(apdu);
+	this.handleResponseChaining(apdu, ne);
 }
 
+
+
+
+/**
+ * Simple unit test
+ */
+CommandInterpreter.test = function() {
+	var mf = new DF(FCP.newDF("3F00", null),
+						new TransparentEF(FCP.newTransparentEF("EF01", 1, 600)),
+						new DF(FCP.newDF("DF01", new ByteString("A000000001", HEX)),
+							new TransparentEF(FCP.newTransparentEF("EF02", 2, 16), new ByteString("000102030405060708090A0B0C0D0E0F", HEX))
+						)
+					);
+
+	var ci = new CommandInterpreter(new FileSelector(mf));
+
+	var bb = new ByteBuffer();
+	for (var i = 0; i < 300; i++) {
+		bb.append(i & 0xFF);
+	}
+	var data = bb.toByteString();
+
+	// Chained UPDATE BINARY in two segments
+	var a = new APDU(0x10, 0xD6, 0x81, 0x00, data.left(200));
+	ci.processAPDU(a);
+	print(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x00, 0xD6, 0x81, 0x00, data.bytes(200));
+	ci.processAPDU(a);
+	print(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x00, 0xB0, 0x81, 0x00, 65536);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+	assert(a.getRData().equals(data));
+
+	// Chain interrupted by a different command
+	var a = new APDU(0x10, 0xD6, 0x81, 0x00, data.left(10));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x00, 0xB0, 0x81, 0x00, 0);
+	ci.processAPDU(a);
+	print(a);
+	assert(a.getSW() == APDU.SW_LASTCMDEXPECTED);
+
+	// Chains on different logical channels are independent
+	var a = new APDU(0x00, 0x70, 0x00, 0x01);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x11, 0xD6, 0x81, 0x00, data.left(10));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x00, 0xB0, 0x81, 0x00, 0);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	// Response exceeding Ne is retrieved with GET RESPONSE
+	var a = new APDU(0x00, 0xA4, 0x00, 0x04, new ByteString("EF01", HEX), 5);
+	ci.processAPDU(a);
+	print(a);
+	assert((a.getSW() & 0xFF00) == APDU.SW_OKMOREDATA);
+	assert(a.getRData().length == 5);
+	var fcp = a.getRData();
+
+	var a = new APDU(0x00, 0xC0, 0x00, 0x00, a.getSW() & 0xFF);
+	ci.processAPDU(a);
+	print(a);
+	assert(a.getSW() == APDU.SW_OK);
+	fcp = fcp.concat(a.getRData());
+	assert(fcp.byteAt(0) == 0x62);
+	assert(fcp.byteAt(1) == fcp.length - 2);
+
+	var a = new APDU(0x00, 0xC0, 0x00, 0x00, 0);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_CONDOFUSENOTSAT);
+
+	// T=0 announces response data for a command without Le
+	ci.setProtocolT0(true);
+	var a = new APDU(0x00, 0xA4, 0x00, 0x04, new ByteString("EF01", HEX));
+	ci.processAPDU(a);
+	print(a);
+	assert((a.getSW() & 0xFF00) == APDU.SW_OKMOREDATA);
+	assert(!a.hasRData());
+
+	var a = new APDU(0x00, 0xC0, 0x00, 0x00, a.getSW() & 0xFF);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+	assert(a.getRData().equals(fcp));
+	ci.setProtocolT0(false);
+
+	// Each logical channel has its own current DF
+	var a = new APDU(0x00, 0x70, 0x00, 0x00, 1);
+	ci.processAPDU(a);
+	print(a);
+	assert(a.getSW() == APDU.SW_OK);
+	assert(a.getRData().toUnsigned() == 2);
+
+	var a = new APDU(0x02, 0xA4, 0x04, 0x0C, new ByteString("A000000001", HEX));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x02, 0xB0, 0x82, 0x00, 0);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+	assert(a.getRData().length == 16);
+
+	var a = new APDU(0x00, 0xB0, 0x82, 0x00, 0);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_FILENOTFOUND);
+
+	var a = new APDU(0x02, 0xB0, 0x81, 0x00, 1);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_FILENOTFOUND);
+
+	// Further interindustry class
+	var a = new APDU(0x00, 0x70, 0x00, 0x05);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x41, 0xB0, 0x81, 0x00, 1);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x41, 0x70, 0x80, 0x00);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x41, 0xB0, 0x81, 0x00, 1);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_LCNOTSUPPORTED);
+
+	// Basic channel can not be closed
+	var a = new APDU(0x00, 0x70, 0x80, 0x00);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_INCP1P2);
+
+	// Create a transparent EF in the MF
+	var a = new APDU(0x00, 0xA4, 0x00, 0x0C);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var fcp = new ASN1(0x62,
+						new ASN1(0x82, new ByteString("01", HEX)),
+						new ASN1(0x83, new ByteString("EF05", HEX)),
+						new ASN1(0x80, new ByteString("0010", HEX)),
+						new ASN1(0x88, new ByteString("28", HEX)),
+						new ASN1(0x8A, new ByteString("05", HEX)),
+						new ASN1(0x8C, new ByteString("030000", HEX))
+					);
+	var a = new APDU(0x00, 0xE0, 0x00, 0x00, fcp.getBytes());
+	ci.processAPDU(a);
+	print(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var childs = mf.childs.length;
+	var a = new APDU(0x00, 0xE0, 0x00, 0x00, fcp.getBytes());
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_FILEEXISTS);
+	assert(mf.childs.length == childs);
+
+	// A new file identifier with a duplicate SFI must not leave a partially added file
+	var fcp = new ASN1(0x62,
+						new ASN1(0x82, new ByteString("01", HEX)),
+						new ASN1(0x83, new ByteString("EF06", HEX)),
+						new ASN1(0x80, new ByteString("0010", HEX)),
+						new ASN1(0x88, new ByteString("28", HEX))
+					);
+	var a = new APDU(0x00, 0xE0, 0x00, 0x00, fcp.getBytes());
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_FILEEXISTS);
+	assert(mf.childs.length == childs);
+
+	var a = new APDU(0x00, 0xA4, 0x02, 0x0C, new ByteString("EF06", HEX));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_FILENOTFOUND);
+
+	var a = new APDU(0x00, 0xA4, 0x00, 0x0C);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x00, 0xB0, 0x85, 0x00, 0);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+	assert(a.getRData().equals(new ByteString("00000000000000000000000000000000", HEX)));
+
+	// A deactivated EF can be selected but not accessed
+	var a = new APDU(0x00, 0x04, 0x00, 0x00);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x00, 0xB0, 0x85, 0x00, 0);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_CONDOFUSENOTSAT);
+
+	var a = new APDU(0x00, 0xA4, 0x02, 0x04, new ByteString("EF05", HEX), 0);
+	ci.processAPDU(a);
+	print(a);
+	assert(a.getSW() == APDU.SW_INVFILE);
+	assert(new ASN1(a.getRData()).find(0x8A).value.toUnsigned() == FCP.DEACTIVATED);
+	assert(new ASN1(a.getRData()).find(0x8C).value.toString(HEX) == "030000");
+
+	var a = new APDU(0x00, 0x44, 0x02, 0x00, new ByteString("EF05", HEX));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x00, 0xB0, 0x85, 0x00, 0);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	// A terminated EF can not be activated again
+	var a = new APDU(0x00, 0xE8, 0x00, 0x00);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x00, 0xA4, 0x02, 0x0C, new ByteString("EF05", HEX));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_FILETERMINATED);
+
+	var a = new APDU(0x00, 0x44, 0x00, 0x00);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_CONDOFUSENOTSAT);
+
+	var a = new APDU(0x00, 0xE4, 0x02, 0x00, new ByteString("EF05", HEX));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x00, 0xA4, 0x02, 0x0C, new ByteString("EF05", HEX));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_FILENOTFOUND);
+
+	// Create a DF, which becomes the current DF, and a linear EF in it
+	var fcp = new ASN1(0x62,
+						new ASN1(0x82, new ByteString("38", HEX)),
+						new ASN1(0x83, new ByteString("DF02", HEX))
+					);
+	var a = new APDU(0x00, 0xE0, 0x00, 0x00, fcp.getBytes());
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var fcp = new ASN1(0x62,
+						new ASN1(0x82, new ByteString("0221001005", HEX)),
+						new ASN1(0x83, new ByteString("EF11", HEX)),
+						new ASN1(0x88, new ByteString("08", HEX))
+					);
+	var a = new APDU(0x00, 0xE0, 0x00, 0x00, fcp.getBytes());
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x00, 0xA4, 0x02, 0x04, new ByteString("EF11", HEX), 0);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+	assert(new ASN1(a.getRData()).find(0x82).value.toString(HEX) == "0221001005");
+	assert(new ASN1(a.getRData()).find(0x8A).value.toUnsigned() == FCP.CREATION);
+
+	// Files in a terminated DF can not be accessed
+	var a = new APDU(0x00, 0xE6, 0x00, 0x00);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x00, 0xB2, 0x01, 0x0C, 0);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_CONDOFUSENOTSAT);
+
+	// Deleting a DF invalidates its selection on other logical channels
+	var a = new APDU(0x02, 0xA4, 0x00, 0x0C);
+	ci.processAPDU(a);
+	var a = new APDU(0x02, 0xA4, 0x01, 0x0C, new ByteString("DF02", HEX));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_FILETERMINATED);
+
+	var a = new APDU(0x00, 0xA4, 0x00, 0x0C);
+	ci.processAPDU(a);
+	var a = new APDU(0x00, 0xE4, 0x01, 0x00, new ByteString("DF02", HEX));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x02, 0xA4, 0x02, 0x0C, new ByteString("EF01", HEX));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x00, 0xE4, 0x00, 0x00);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_CONDOFUSENOTSAT);
+
+	// Record oriented commands on a linear EF with 3 records of 4 bytes, SFI 3
+	var fcp = new ASN1(0x62,
+						new ASN1(0x82, new ByteString("0221000403", HEX)),
+						new ASN1(0x83, new ByteString("EF03", HEX)),
+						new ASN1(0x88, new ByteString("18", HEX)),
+						new ASN1(0x8A, new ByteString("05", HEX))
+					);
+	var a = new APDU(0x00, 0xE0, 0x00, 0x00, fcp.getBytes());
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	for (var i = 1; i <= 3; i++) {
+		var a = new APDU(0x00, 0xE2, 0x00, 0x18, new ByteString("0102030" + i, HEX));
+		ci.processAPDU(a);
+		assert(a.getSW() == APDU.SW_OK);
+	}
+
+	var a = new APDU(0x00, 0xE2, 0x00, 0x18, new ByteString("01020304", HEX));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OUTOFMEMORY);
+
+	var a = new APDU(0x00, 0xDC, 0x02, 0x1C, new ByteString("0102", HEX));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_WRONGLENGTH);
+
+	var a = new APDU(0x00, 0xDC, 0x02, 0x1C, new ByteString("AABBCCDD", HEX));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x00, 0xB2, 0x02, 0x1C, 0);
+	ci.processAPDU(a);
+	assert(a.getRData().toString(HEX) == "AABBCCDD");
+
+	var a = new APDU(0x00, 0xA2, 0x01, 0x1C, new ByteString("0102", HEX), 0);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+	assert(a.getRData().toString(HEX) == "0103");
+
+	var a = new APDU(0x00, 0xA2, 0x03, 0x1D, new ByteString("0102", HEX), 0);
+	ci.processAPDU(a);
+	assert(a.getRData().toString(HEX) == "0301");
+
+	var a = new APDU(0x00, 0xA2, 0x01, 0x1C, new ByteString("EE", HEX), 0);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_RECORDNOTFOUND);
+
+	// Cyclic EF with 3 records, SFI 4
+	var fcp = new ASN1(0x62,
+						new ASN1(0x82, new ByteString("0621000203", HEX)),
+						new ASN1(0x83, new ByteString("EF04", HEX)),
+						new ASN1(0x88, new ByteString("20", HEX)),
+						new ASN1(0x8A, new ByteString("05", HEX))
+					);
+	var a = new APDU(0x00, 0xE0, 0x00, 0x00, fcp.getBytes());
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	for (var i = 1; i <= 4; i++) {
+		var a = new APDU(0x00, 0xE2, 0x00, 0x20, ByteString.valueOf(i, 2));
+		ci.processAPDU(a);
+		assert(a.getSW() == APDU.SW_OK);
+	}
+
+	for (var i = 1; i <= 3; i++) {
+		var a = new APDU(0x00, 0xB2, i, 0x24, 0);
+		ci.processAPDU(a);
+		assert(a.getRData().toUnsigned() == 5 - i);
+	}
+
+	var a = new APDU(0x00, 0xB2, 0x04, 0x24, 0);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_RECORDNOTFOUND);
+}
@@ -51,6 +51,29 @@ FCP.LINEARFIXED   = 0x02;
 /** File type for record oriented EF with variable record size */
 FCP.LINEARVARIABLE   = 0x04;
 
+/** File type for cyclic EF with fixed record size */
+FCP.CYCLIC           = 0x06;
+
+
+/** Life cycle status creation state */
+FCP.CREATION       = 0x01;
+
+/** Life cycle status initialisation state */
+FCP.INITIALISATION = 0x03;
+
+/** Life cycle status operational state (deactivated) */
+FCP.DEACTIVATED    = 0x04;
+
+/** Life cycle status operational state (activated) */
+FCP.ACTIVATED      = 0x05;
+
+/** Life cycle status termination state */
+FCP.TERMINATED     = 0x0C;
+
+
+/** Tags of the security attributes in the FCP */
+FCP.SECURITYATTRIBUTETAGS = [ 0x86, 0x8B, 0x8C, 0x8D, 0xA0, 0xA1, 0xAB ];
+
 
 /**
  * Convert an integer value into an two byte ByteString
@@ -181,12 +204,12 @@ FCP.newDF = function(fid, aid, supl) {
 
 
 /**
- * Construct a new FCP object for an EF of type linear.
+ * Construct a new FCP object for an EF of type linear or cyclic.
  *
  * @param {String|ByteString} fid the file identifier (2 Bytes)
  * @param {Number} sfi the short file identifier or -1 or 0 if not defined
- * @param {Number} type the file type, one of FCP.LINEARFIXED or FCP.LINEARVARIABLE
- * @param {Number} recno the maximum number of records
+ * @param {Number} type the file type, one of FCP.LINEARFIXED, FCP.LINEARVARIABLE or FCP.CYCLIC
+ * @param {Number} recno the maximum number of records or undefined if not limited
  * @param {Number} recsize the maximum or fixed record size
  * @param {ByteString} supl supplemental information
  * @type FCP
@@ -196,11 +219,146 @@ FCP.newLinearEF = function(fid, sfi, type, recno, recsize, supl) {
 	if (typeof(recsize) != "number") {
 		throw new GPError("FCP", GPError.INVALID_TYPE, 3, "Argument recsize must be of type Number");
 	}
-	if (typeof(recno) != "number") {
+	if ((typeof(recno) != "number") && ((typeof(recno) != "undefined") || (type == FCP.CYCLIC))) {
 		throw new GPError("FCP", GPError.INVALID_TYPE, 4, "Argument recno must be of type Number");
 	}
+	if (recno > 0xFFFF) {
+		throw new GPError("FCP", GPError.INVALID_DATA, 4, "Number of records must not exceed 65535");
+	}
 
 	var fcp = FCP.newFCP(fid, sfi, type, false, false, supl);
+
+	fcp.recno = recno;
+	fcp.recsize = recsize;
+	return fcp;
+}
+
+
+
+/**
+ * Construct a new FCP object from an encoded FCP template as used in CREATE FILE
+ *
+ * <p>The template must contain the file descriptor '82'. Supported are the file size '80',
+ *    file identifier '83', DF name '84', short EF identifier '88', life cycle status '8A',
+ *    the security attributes '86', '8B', '8C', '8D', 'A0', 'A1' and 'AB' and the proprietary
+ *    information 'A5'. If the life cycle status is missing, then the file is created in the
+ *    creation state.</p>
+ *
+ * @param {ByteString} bs the encoded FCP template with tag '62'
+ * @type FCP
+ * @return the newly constructed FCP object
+ */
+FCP.parse = function(bs) {
+	try	{
+		var t = new ASN1(bs);
+	}
+	catch(e) {
+		throw new GPError("FCP", GPError.INVALID_DATA, APDU.SW_INVLCTLV, "Invalid TLV structure in FCP");
+	}
+
+	if (t.tag != 0x62) {
+		throw new GPError("FCP", GPError.INVALID_DATA, APDU.SW_INVDATA, "FCP template must have tag 62");
+	}
+
+	var fid = null;
+	var sfi = -1;
+	var lcs = FCP.CREATION;
+	var aid = null;
+	var fdb, size, recno, recsize, supl;
+	var sa = new ByteBuffer();
+
+	for (var i = 0; i < t.elements; i++) {
+		var o = t.get(i);
+		var v = o.value;
+		switch(o.tag) {
+		case 0x80:
+			size = v.toUnsigned();
+			break;
+		case 0x82:
+			if (v.length < 1) {
+				throw new GPError("FCP", GPError.INVALID_DATA, APDU.SW_INVDATA, "Empty file descriptor");
+			}
+			if (v.length > 6) {
+				throw new GPError("FCP", GPError.INVALID_DATA, APDU.SW_INVDATA, "File descriptor must not exceed 6 bytes");
+			}
+			fdb = v.byteAt(0);
+			if (v.length == 3) {
+				recsize = v.byteAt(2);
+			} else if (v.length >= 4) {
+				recsize = v.bytes(2, 2).toUnsigned();
+				if (v.length >= 5) {
+					recno = v.bytes(4).toUnsigned();
+				}
+			}
+			break;
+		case 0x83:
+			if (v.length != 2) {
+				throw new GPError("FCP", GPError.INVALID_DATA, APDU.SW_INVDATA, "File identifier must be 2 bytes");
+			}
+			fid = v;
+			break;
+		case 0x84:
+			aid = v;
+			break;
+		case 0x88:
+			if (v.length > 0) {
+				sfi = v.byteAt(0) >> 3;
+				if ((sfi == 0) || (sfi > 30)) {
+					throw new GPError("FCP", GPError.INVALID_DATA, APDU.SW_INVDATA, "SFI must be in the range 1 to 30");
+				}
+			}
+			break;
+		case 0x8A:
+			lcs = v.byteAt(0);
+			if ((lcs & 0xFC) == 0x04) {
+				lcs = (lcs & 0x01) ? FCP.ACTIVATED : FCP.DEACTIVATED;
+			} else if ((lcs & 0xFC) == 0x0C) {
+				lcs = FCP.TERMINATED;
+			}
+			break;
+		case 0xA5:
+			supl = o.getBytes();
+			break;
+		default:
+			if (FCP.SECURITYATTRIBUTETAGS.indexOf(o.tag) >= 0) {
+				sa.append(o.getBytes());
+			}
+		}
+	}
+
+	if (typeof(fdb) == "undefined") {
+		throw new GPError("FCP", GPError.INVALID_DATA, APDU.SW_INVDATA, "File descriptor missing in FCP");
+	}
+
+	var category = fdb & 0x38;
+	var type = fdb & 0x07;
+	if (category == FCP.DEDICATEDFILE) {
+		var fcp = FCP.newDF(fid, aid, supl);
+	} else if ((category != 0x00) && (category != 0x08)) {
+		throw new GPError("FCP", GPError.INVALID_DATA, APDU.SW_INVDATA, "File category " + category.toString(16) + " not supported");
+	} else if (type == FCP.TRANSPARENT) {
+		if (typeof(size) == "undefined") {
+			throw new GPError("FCP", GPError.INVALID_DATA, APDU.SW_INVDATA, "File size missing in FCP");
+		}
+		var fcp = FCP.newTransparentEF(fid, sfi, size, supl);
+	} else if ((type == FCP.LINEARFIXED) || (type == FCP.LINEARVARIABLE) || (type == FCP.CYCLIC)) {
+		if (typeof(recsize) == "undefined") {
+			throw new GPError("FCP", GPError.INVALID_DATA, APDU.SW_INVDATA, "Record size missing in FCP");
+		}
+		if ((type == FCP.CYCLIC) && (typeof(recno) == "undefined")) {
+			throw new GPError("FCP", GPError.INVALID_DATA, APDU.SW_INVDATA, "Number of records missing in FCP for cyclic EF");
+		}
+		var fcp = FCP.newLinearEF(fid, sfi, type, recno, recsize, supl);
+	} else {
+		throw new GPError("FCP", GPError.INVALID_DATA, APDU.SW_INVDATA, "File type " + type.toString(16) + " not supported");
+	}
+
+	fcp.shareable = (fdb & 0x40) == 0x40;
+	fcp.internal = (category == 0x08);
+	fcp.lifeCycle = lcs;
+	if (sa.length > 0) {
+		fcp.securityAttributes = sa.toByteString();
+	}
 	return fcp;
 }
 
@@ -242,6 +400,61 @@ FCP.prototype.getSFI = function() {
 
 
 
+/**
+ * Returns the life cycle status
+ *
+ * <p>Files without an explicit life cycle status are operational and activated.</p>
+ *
+ * @type Number
+ * @return the life cycle status, one of FCP.CREATION, FCP.INITIALISATION, FCP.ACTIVATED, FCP.DEACTIVATED or FCP.TERMINATED
+ */
+FCP.prototype.getLifeCycleStatus = function() {
+	if (typeof(this.lifeCycle) == "undefined") {
+		return FCP.ACTIVATED;
+	}
+	return this.lifeCycle;
+}
+
+
+
+/**
+ * Sets the life cycle status
+ *
+ * @param {Number} lcs the life cycle status, one of FCP.CREATION, FCP.INITIALISATION, FCP.ACTIVATED, FCP.DEACTIVATED or FCP.TERMINATED
+ */
+FCP.prototype.setLifeCycleStatus = function(lcs) {
+	this.lifeCycle = lcs;
+}
+
+
+
+/**
+ * Returns the security attributes
+ *
+ * @type ByteString
+ * @return the concatenated security attribute data objects or undefined if none are defined
+ */
+FCP.prototype.getSecurityAttributes = function() {
+	return this.securityAttributes;
+}
+
+
+
+/**
+ * Sets the security attributes
+ *
+ * <p>The security attributes are a concatenation of the data objects '86' (proprietary), '8B' (referenced
+ *    to EF.ARR), '8C' (compact format), '8D' (reference to security environment), 'A0', 'A1' (security attribute
+ *    template) or 'AB' (expanded format).</p>
+ *
+ * @param {ByteString} sa the security attributes
+ */
+FCP.prototype.setSecurityAttributes = function(sa) {
+	this.securityAttributes = sa;
+}
+
+
+
 /**
  * Returns the encoded FCP
  *
@@ -256,9 +469,19 @@ FCP.prototype.getBytes = function() {
 	}
 
 	var bb = new ByteBuffer();
-	bb.append(this.type);
+	bb.append(this.type | (this.shareable ? 0x40 : 0x00) | (this.internal ? 0x08 : 0x00));
 	
-	// ToDo: extra type bytes
+	if (typeof(this.recsize) != "undefined") {
+		bb.append(0x21);
+		bb.append(FCP.short2bytestring(this.recsize));
+		if (typeof(this.recno) != "undefined") {
+			if (this.recno > 0xFF) {
+				bb.append(FCP.short2bytestring(this.recno));
+			} else {
+				bb.append(this.recno);
+			}
+		}
+	}
 	
 	fcp.add(new ASN1("fileDescriptor", 0x82, bb.toByteString()));
 	
@@ -276,6 +499,16 @@ FCP.prototype.getBytes = function() {
 		fcp.add(new ASN1("shortFileIdentifier", 0x88, bb.toByteString()));
 	}
 	
+	if (typeof(this.lifeCycle) != "undefined") {
+		var bb = new ByteBuffer();
+		bb.append(this.lifeCycle);
+		fcp.add(new ASN1("lifeCycleStatus", 0x8A, bb.toByteString()));
+	}
+
+	if (this.securityAttributes) {
+		fcp = new ASN1("fcp", 0x62, fcp.value.concat(this.securityAttributes));
+	}
+	
 	return(fcp.getBytes());
 }
 
@@ -520,13 +753,12 @@ function LinearEF(fcp, records) {
 	if (!(fcp instanceof FCP)) {
 		throw new GPError("LinearEF", GPError.INVALID_TYPE, APDU.SW_GENERALERROR, "Argument 1 must be of type FCP");
 	}
-	print(typeof(records));
 	if ((typeof(records) != "undefined") && (records != null) && (typeof(records) != "object")) {
 		throw new GPError("LinearEF", GPError.INVALID_TYPE, APDU.SW_GENERALERROR, "Argument 2 must be of type ByteString[]");
 	}
 
 	FSNode.call(this, fcp);
-	this.records = records;
+	this.records = records ? records : [];
 }
 
 LinearEF.prototype = new FSNode();
@@ -535,16 +767,14 @@ LinearEF.prototype.constructor = LinearEF;
 
 
 /**
- * Reads a record from a linear EF
+ * Check that the record reference is absolute and return the index into the record array
  *
- * @param {APDU} apdu the APDU used for reading
  * @param {Number} recno the record number
- * @param {Number} qualifier the qualifier as encoded in bit b3 - b1 of P1
- * @param {Number} length the length in bytes or 0 for all in short APDU or 65536 for all in extended APDUs
- * @type ByteString
- * @return the data read
+ * @param {Number} qualifier the qualifier as encoded in bit b3 - b1 of P2
+ * @type Number
+ * @return the index of the record
  */
-LinearEF.prototype.readRecord = function(apdu, recno, qualifier, length) {
+LinearEF.prototype.getRecordIndex = function(recno, qualifier) {
 	if (typeof(recno) != "number") {
 		throw new GPError("LinearEF", GPError.INVALID_TYPE, APDU.SW_GENERALERROR, "Record number must be type Number");
 	}
@@ -555,16 +785,61 @@ LinearEF.prototype.readRecord = function(apdu, recno, qualifier, length) {
 	if (recno == 0) {
 		throw new GPError("LinearEF", GPError.INVALID_DATA, APDU.SW_INCP1P2, "Current record referencing with P1=00 not support");
 	}
-	recno--;
-
-	if (recno >= this.records.length) {
-		throw new GPError("LinearEF", GPError.INVALID_DATA, APDU.SW_RECORDNOTFOUND, "Record number exeeds number of defined records");
-	}
 
 	if (qualifier != 4) {
 		throw new GPError("LinearEF", GPError.INVALID_DATA, APDU.SW_INCP1P2, "Only absolute record references supported");
 	}
 
+	return recno - 1;
+}
+
+
+
+/**
+ * Check that a record fits the record size defined in the FCP
+ *
+ * <p>Records in EFs with fixed record size must match the record size exactly.</p>
+ *
+ * @param {ByteString} data the record data
+ */
+LinearEF.prototype.checkRecordSize = function(data) {
+	if ((typeof(data) != "object") || !(data instanceof ByteString)) {
+		throw new GPError("LinearEF", GPError.INVALID_TYPE, APDU.SW_GENERALERROR, "Data must be a ByteString");
+	}
+
+	var recsize = this.fcp.recsize;
+	if (typeof(recsize) == "undefined") {
+		return;
+	}
+
+	if (data.length > recsize) {
+		throw new GPError("LinearEF", GPError.INVALID_DATA, APDU.SW_WRONGLENGTH, "Record exceeds maximum record size of " + recsize);
+	}
+
+	if ((this.fcp.type != FCP.LINEARVARIABLE) && (data.length != recsize)) {
+		throw new GPError("LinearEF", GPError.INVALID_DATA, APDU.SW_WRONGLENGTH, "Record size must be " + recsize);
+	}
+}
+
+
+
+/**
+ * Reads a record from a linear EF
+ *
+ * @param {APDU} apdu the APDU used for reading
+ * @param {Number} recno the record number
+ * @param {Number} qualifier the qualifier as encoded in bit b3 - b1 of P1
+ * @param {Number} length the length in bytes or 0 for all in short APDU or 65536 for all in extended APDUs
+ * @type ByteString
+ * @return the data read
+ */
+LinearEF.prototype.readRecord = function(apdu, recno, qualifier, length) {
+	recno = this.getRecordIndex(recno, qualifier);
+
+	if (recno >= this.records.length) {
+		throw new GPError("LinearEF", GPError.INVALID_DATA, APDU.SW_RECORDNOTFOUND, "Record number exeeds number of defined records");
+	}
+
 	var record = this.records[recno];
 
 	var rlen = length;
@@ -587,6 +862,175 @@ LinearEF.prototype.readRecord = function(apdu, recno, qualifier, length) {
 
 
 
+/**
+ * Replace the content of an existing record
+ *
+ * @param {APDU} apdu the APDU used for updating
+ * @param {Number} recno the record number
+ * @param {Number} qualifier the qualifier as encoded in bit b3 - b1 of P2
+ * @param {ByteString} data the new record content
+ */
+LinearEF.prototype.updateRecord = function(apdu, recno, qualifier, data) {
+	recno = this.getRecordIndex(recno, qualifier);
+
+	if (recno >= this.records.length) {
+		throw new GPError("LinearEF", GPError.INVALID_DATA, APDU.SW_RECORDNOTFOUND, "Record number exeeds number of defined records");
+	}
+
+	this.checkRecordSize(data);
+	this.records[recno] = data;
+	apdu.setSW(APDU.SW_OK);
+}
+
+
+
+/**
+ * Write a record
+ *
+ * <p>Other than UPDATE RECORD, the WRITE RECORD command can also write records not yet existing, as long as the
+ *    maximum number of records is not exceeded. Skipped records are created empty or filled with '00' for
+ *    EFs with fixed record size.</p>
+ *
+ * @param {APDU} apdu the APDU used for writing
+ * @param {Number} recno the record number
+ * @param {Number} qualifier the qualifier as encoded in bit b3 - b1 of P2
+ * @param {ByteString} data the new record content
+ */
+LinearEF.prototype.writeRecord = function(apdu, recno, qualifier, data) {
+	recno = this.getRecordIndex(recno, qualifier);
+
+	if ((typeof(this.fcp.recno) != "undefined") && (recno >= this.fcp.recno)) {
+		throw new GPError("LinearEF", GPError.INVALID_DATA, APDU.SW_RECORDNOTFOUND, "Record number exeeds maximum number of records");
+	}
+
+	this.checkRecordSize(data);
+
+	while (this.records.length < recno) {
+		var bb = new ByteBuffer();
+		if (this.fcp.type != FCP.LINEARVARIABLE) {
+			for (var i = 0; i < this.fcp.recsize; i++) {
+				bb.append(0);
+			}
+		}
+		this.records.push(bb.toByteString());
+	}
+
+	this.records[recno] = data;
+	apdu.setSW(APDU.SW_OK);
+}
+
+
+
+/**
+ * Append a record after the last record
+ *
+ * @param {APDU} apdu the APDU used for appending
+ * @param {ByteString} data the new record content
+ */
+LinearEF.prototype.appendRecord = function(apdu, data) {
+	this.checkRecordSize(data);
+
+	if ((typeof(this.fcp.recno) != "undefined") && (this.records.length >= this.fcp.recno)) {
+		throw new GPError("LinearEF", GPError.INVALID_DATA, APDU.SW_OUTOFMEMORY, "Maximum number of records reached");
+	}
+
+	this.records.push(data);
+	apdu.setSW(APDU.SW_OK);
+}
+
+
+
+/**
+ * Search records for a given byte string
+ *
+ * <p>Performs a simple search starting at the given record, either forward to the last or backward to the first record.</p>
+ *
+ * @param {APDU} apdu the APDU used for searching
+ * @param {Number} recno the record number to start with
+ * @param {boolean} forward true to search forward, false to search backward
+ * @param {ByteString} str the string to search for
+ * @type Number[]
+ * @return the list of record numbers of matching records
+ */
+LinearEF.prototype.searchRecord = function(apdu, recno, forward, str) {
+	if (recno == 0) {
+		recno = forward ? 1 : this.records.length;
+	}
+	if (recno > this.records.length) {
+		throw new GPError("LinearEF", GPError.INVALID_DATA, APDU.SW_RECORDNOTFOUND, "Record number exeeds number of defined records");
+	}
+
+	var list = [];
+	var i = recno - 1;
+	while ((i >= 0) && (i < this.records.length)) {
+		if (this.records[i].find(str) >= 0) {
+			list.push(i + 1);
+		}
+		i += forward ? 1 : -1;
+	}
+
+	if (list.length == 0) {
+		throw new GPError("LinearEF", GPError.INVALID_DATA, APDU.SW_RECORDNOTFOUND, "No matching record found");
+	}
+
+	apdu.setSW(APDU.SW_OK);
+	return list;
+}
+
+
+
+/**
+ * Creates a cyclic EF
+ *
+ * <p>In a cyclic EF record number 1 always denotes the most recently written record. Appending a record
+ *    to a full cyclic EF overwrites the oldest record.</p>
+ *
+ * @class Class implementing cyclic EFs
+ * @constructor
+ * @param {FCP} the file control parameter
+ * @param {ByteString[]} records the array of records, starting with the most recent record
+ */
+function CyclicEF(fcp, records) {
+	LinearEF.call(this, fcp, records);
+}
+
+CyclicEF.prototype = new LinearEF(new FCP());
+CyclicEF.prototype.constructor = CyclicEF;
+
+
+
+/**
+ * Append a record, which becomes record number 1
+ *
+ * @param {APDU} apdu the APDU used for appending
+ * @param {ByteString} data the new record content
+ */
+CyclicEF.prototype.appendRecord = function(apdu, data) {
+	this.checkRecordSize(data);
+
+	this.records.unshift(data);
+	if ((typeof(this.fcp.recno) != "undefined") && (this.records.length > this.fcp.recno)) {
+		this.records.pop();
+	}
+	apdu.setSW(APDU.SW_OK);
+}
+
+
+
+/**
+ * Records in a cyclic EF can only be added with APPEND RECORD
+ *
+ * @param {APDU} apdu the APDU used for writing
+ * @param {Number} recno the record number
+ * @param {Number} qualifier the qualifier as encoded in bit b3 - b1 of P2
+ * @param {ByteString} data the new record content
+ */
+CyclicEF.prototype.writeRecord = function(apdu, recno, qualifier, data) {
+	LinearEF.prototype.updateRecord.call(this, apdu, recno, qualifier, data);
+}
+
+
+
 /**
  * Creates a Dedicated File (DF)
  *
@@ -624,38 +1068,73 @@ DF.prototype.constructor = DF;
  * @param {FSNode} node the node to add
  */
 DF.prototype.add = function(node) {
+	var f = node.getFCP();
+	var fid = f.getFID();
+	if (node.isDF()) {
+		var aid = f.getAID();
+	} else {
+		var sfi = f.getSFI();
+	}
+
+	// Check for duplicates before the node is linked into the DF
+	if (fid && this.fidmap[fid]) {
+		throw new GPError("DF", GPError.INVALID_DATA, APDU.SW_FILEEXISTS, "Duplicate file identifier " + fid);
+	}
+	if (aid && this.aidmap[aid]) {
+		throw new GPError("DF", GPError.INVALID_DATA, APDU.SW_DFNAMEEXISTS, "Duplicate application identifier " + aid);
+	}
+	if ((typeof(sfi) != "undefined") && this.sfimap[sfi]) {
+		throw new GPError("DF", GPError.INVALID_DATA, APDU.SW_FILEEXISTS, "Duplicate short file identifier " + sfi);
+	}
+
 	this.childs.push(node);
 	node.setParent(this);
 
-	var f = node.getFCP();
-	
-	var fid = f.getFID();
 	if (fid) {
-		if (this.fidmap[fid]) {
-			throw new GPError("DF", GPError.INVALID_DATA, APDU.SW_FILEEXISTS, "Duplicate file identifier " + fid);
-		}
 		this.fidmap[fid] = node;
 	}
+	if (aid) {
+		this.aidmap[aid] = node;
+	}
+	if (typeof(sfi) != "undefined") {
+		this.sfimap[sfi] = node;
+	}
+}
+
+
+
+/**
+ * Removes a child node from the DF
+ *
+ * @param {FSNode} node the node to remove
+ */
+DF.prototype.remove = function(node) {
+	for (var i = 0; i < this.childs.length; i++) {
+		if (this.childs[i] === node) {
+			this.childs.splice(i, 1);
+			break;
+		}
+	}
+
+	var f = node.getFCP();
+
+	var fid = f.getFID();
+	if (fid && (this.fidmap[fid] === node)) {
+		delete this.fidmap[fid];
+	}
 
 	if (node.isDF()) {
 		var aid = f.getAID();
-		if (aid) {
-			if (this.aidmap[aid]) {
-				throw new GPError("DF", GPError.INVALID_DATA, APDU.SW_FILEEXISTS, "Duplicate application identifier " + aid);
-			}
-			this.aidmap[aid] = node;
+		if (aid && (this.aidmap[aid] === node)) {
+			delete this.aidmap[aid];
 		}
 	} else {
 		var sfi = f.getSFI();
-//		print("Found SFI " + sfi);
-		if (typeof(sfi) != "undefined") {
-			if (this.sfimap[sfi]) {
-				throw new GPError("DF", GPError.INVALID_DATA, APDU.SW_FILEEXISTS, "Duplicate short file identifier " + sfi);
-			}
-			this.sfimap[sfi] = node;
+		if ((typeof(sfi) != "undefined") && (this.sfimap[sfi] === node)) {
+			delete this.sfimap[sfi];
 		}
 	}
-
+	node.parent = null;
 }
 
 
@@ -832,6 +1311,43 @@ function FileSelector(mf) {
 
 
 
+/**
+ * Create a file selector for a newly opened logical channel
+ *
+ * <p>The new file selector maintains its own current DF, current EF, security environment and local
+ *    authentication state. The global authentication state is shared between all logical channels.</p>
+ *
+ * <p>If a logical channel is opened from the basic channel, then the MF becomes the current DF. If it is
+ *    opened from another logical channel, then the current DF of that channel is inherited.</p>
+ *
+ * @param {boolean} inheritCurrentDF true to inherit the current DF of this file selector
+ * @type FileSelector
+ * @return the file selector for the new logical channel
+ */
+FileSelector.prototype.newLogicalChannel = function(inheritCurrentDF) {
+	var fs = new FileSelector(this.mf);
+
+	fs.globalAuthenticationState = this.globalAuthenticationState;
+	if (inheritCurrentDF) {
+		fs.currentDF = this.currentDF;
+	}
+	return fs;
+}
+
+
+
+/**
+ * Returns the current DF
+ *
+ * @type DF
+ * @return the current DF
+ */
+FileSelector.prototype.getCurrentDF = function() {
+	return this.currentDF;
+}
+
+
+
 /**
  * Returns the current EF, if any
  *
@@ -995,6 +1511,31 @@ FileSelector.prototype.selectMF = function() {
 
 
 
+/**
+ * Invalidate the selection of a file system node that is going to be deleted
+ *
+ * <p>If the node is the current EF, then no EF is selected afterwards. If the node is the current DF or
+ *    contains the current DF, then the parent DF of the node becomes the current DF.</p>
+ *
+ * @param {FSNode} node the file system node, which must still be linked to its parent
+ */
+FileSelector.prototype.deselect = function(node) {
+	for (var df = this.currentDF; df; df = df.getParent()) {
+		if (df === node) {
+			this.currentDF = node.getParent();
+			this.currentEF = null;
+			this.localAuthenticationState = [];
+			return;
+		}
+	}
+
+	if (this.currentEF === node) {
+		this.currentEF = null;
+	}
+}
+
+
+
 /**
  * Select a DF entry by FID
  *
@@ -1050,7 +1591,7 @@ FileSelector.prototype.selectSFI = function(sfi) {
 
 
 /**
- * Processes the SELECT APDU
+ * Select a file system node using the selection method encoded in P1 of the SELECT command
  *
  * <p>Supports in P1</p>
  * <ul>
@@ -1060,25 +1601,17 @@ FileSelector.prototype.selectSFI = function(sfi) {
  *  <li>'01' with fid to select a DF in the current DF</li>
  *  <li>'02' with fid to select an EF in the current DF</li>
  *  <li>'03' with empty data to select the parent</li>
+ *  <li>'04' with a DF name to select an application</li>
  * </ul>
- * <p>Supports in P2</p>
- * <ul>
- *  <li>'00' with P1=='00' return no data</li>
- *  <li>'04' return FCP</li>
- *  <li>'0C' return no data</li>
- * </ul>
- * @param {APDU} apdu the select APDU
+ *
+ * @param {Number} p1 the selection method
+ * @param {ByteString} data the file identifier or DF name
+ * @type FSNode
+ * @return the selected file system node
  */
-FileSelector.prototype.processSelectAPDU = function(apdu) {
+FileSelector.prototype.select = function(p1, data) {
 	var node;
 
-	var p2 = apdu.getP2();
-	if ((p2 != 0x00) && (p2 != 0x04) && (p2 != 0x0C)) {
-		throw new GPError("FileSelector", GPError.INVALID_DATA, APDU.SW_INCP1P2, "Incorrect parameter P2 (" + p2.toString(16) + ")");
-	}
-
-	var data = apdu.getCData();
-	var p1 = apdu.getP1();
 	switch(p1) {
 	case 0x00:
 		if ((typeof(data) == "undefined") || (data.toString(HEX) == "3F00")) {
@@ -1120,7 +1653,56 @@ FileSelector.prototype.processSelectAPDU = function(apdu) {
 	default:
 		throw new GPError("FileSelector", GPError.INVALID_DATA, APDU.SW_INCP1P2, "Incorrect parameter P1 (" + p1.toString(16) + ")");
 	}
-	
+	return node;
+}
+
+
+
+/**
+ * Check that a file is operational and can be accessed
+ *
+ * <p>A file that is deactivated or terminated, or that is located in a deactivated or terminated DF,
+ *    can only be selected, activated, terminated or deleted.</p>
+ *
+ * @param {FSNode} node the file system node
+ */
+FileSelector.prototype.checkLifeCycle = function(node) {
+	while (node) {
+		var lcs = node.getFCP().getLifeCycleStatus();
+		if (lcs == FCP.DEACTIVATED) {
+			throw new GPError("FileSelector", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "File " + node + " is deactivated");
+		}
+		if (lcs == FCP.TERMINATED) {
+			throw new GPError("FileSelector", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "File " + node + " is terminated");
+		}
+		node = node.getParent();
+	}
+}
+
+
+
+/**
+ * Processes the SELECT APDU
+ *
+ * <p>See select() for the supported values of P1.</p>
+ * <p>Supports in P2</p>
+ * <ul>
+ *  <li>'00' with P1=='00' return no data</li>
+ *  <li>'04' return FCP</li>
+ *  <li>'0C' return no data</li>
+ * </ul>
+ * <p>Selecting a deactivated file returns SW1/SW2 = 6283, selecting a terminated file returns 6285.</p>
+ *
+ * @param {APDU} apdu the select APDU
+ */
+FileSelector.prototype.processSelectAPDU = function(apdu) {
+	var p2 = apdu.getP2();
+	if ((p2 != 0x00) && (p2 != 0x04) && (p2 != 0x0C)) {
+		throw new GPError("FileSelector", GPError.INVALID_DATA, APDU.SW_INCP1P2, "Incorrect parameter P2 (" + p2.toString(16) + ")");
+	}
+
+	var node = this.select(apdu.getP1(), apdu.getCData());
+
 	switch(p2) {
 	case 0x00:
 		apdu.setRData(node.getFCP().getFCI().getBytes());
@@ -1130,7 +1712,16 @@ FileSelector.prototype.processSelectAPDU = function(apdu) {
 		break;
 	}
 
-	apdu.setSW(APDU.SW_OK);
+	switch(node.getFCP().getLifeCycleStatus()) {
+	case FCP.DEACTIVATED:
+		apdu.setSW(APDU.SW_INVFILE);
+		break;
+	case FCP.TERMINATED:
+		apdu.setSW(APDU.SW_FILETERMINATED);
+		break;
+	default:
+		apdu.setSW(APDU.SW_OK);
+	}
 }
 
 
@@ -1204,6 +1795,47 @@ FileSelector.test = function() {
 	fs.processSelectAPDU(a);
 	print(fs);
 	print(a);
+
+	// Attributes not defined for a file are not encoded
+	var fcp = new ASN1(FCP.newTransparentEF("2F00", -1, 100).getBytes());
+	assert(fcp.find(0x82).value.toString(HEX) == "01");
+	assert(fcp.find(0x8A) == null);
+
+	var fcp = new ASN1(FCP.newLinearEF("EF03", 3, FCP.LINEARFIXED, 300, 16).getBytes());
+	assert(fcp.find(0x82).value.toString(HEX) == "02210010012C");
+
+	// Internal EF and file descriptor with record size only
+	var bs = new ASN1(0x62,
+						new ASN1(0x82, new ByteString("0A2110", HEX)),
+						new ASN1(0x83, new ByteString("EF05", HEX))
+					).getBytes();
+	var fcp = FCP.parse(bs);
+	assert(fcp.type == FCP.LINEARFIXED);
+	assert(fcp.internal);
+	assert(fcp.recsize == 16);
+	assert(typeof(fcp.recno) == "undefined");
+	assert(new ASN1(fcp.getBytes()).find(0x82).value.toString(HEX) == "0A210010");
+
+	var bs = new ASN1(0x62,
+						new ASN1(0x82, new ByteString("0221001001", HEX))
+					).getBytes();
+	assert(FCP.parse(bs).recno == 1);
+
+	var bs = new ASN1(0x62,
+						new ASN1(0x82, new ByteString("062100100102", HEX))
+					).getBytes();
+	assert(FCP.parse(bs).recno == 0x102);
+
+	var bs = new ASN1(0x62,
+						new ASN1(0x82, new ByteString("06210010010203", HEX))
+					).getBytes();
+	try	{
+		FCP.parse(bs);
+		assert(false);
+	}
+	catch(e) {
+		assert(e.reason == APDU.SW_INVDATA);
+	}
 }
 
 
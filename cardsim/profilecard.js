@@ -0,0 +1,185 @@
+/**
+ *  ---------
+ * |.##> <##.|  Open Smart Card Development Platform (www.openscdp.org)
+ * |#       #|  
+ * |#       #|  Copyright (c) 1999-2009 CardContact Software & System Consulting
+ * |'##> <##'|  Andreas Schwier, 32429 Minden, Germany (www.cardcontact.de)
+ *  --------- 
+ *
+ *  This file is part of OpenSCDP.
+ *
+ *  OpenSCDP is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License version 2 as
+ *  published by the Free Software Foundation.
+ *
+ *  OpenSCDP is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with OpenSCDP; if not, write to the Free Software
+ *  Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA  02110-1301  USA
+ *
+ * @fileoverview A card simulation built from GP card and application profiles
+ */
+
+load("filesystem.js");
+load("commandinterpreter.js");
+load("cardcapabilities.js");
+load("authenticationobject.js");
+load("seaccesscontroller.js");
+load("profileloader.js");
+load("cardimage.js");
+
+
+/**
+ * Create a card simulation object with a file system defined in a card profile
+ *
+ * <p>The application profiles referenced from the card profile are loaded from the directory
+ *    containing the card profile.</p>
+ *
+ * @class Class implementing a card simulation built from a GP card profile
+ * @constructor
+ * @param {String} cardProfile the fully qualified file name of the card profile
+ * @param {CardCapabilities} capabilities the buffer sizes and logical channels supported (optional)
+ */
+function ProfileCardSimulator(cardProfile, capabilities) {
+	this.capabilities = (typeof(capabilities) == "undefined") ? new CardCapabilities() : capabilities;
+
+	var file = new java.io.File(cardProfile);
+	var loader = new ProfileLoader(String(file.getParent()));
+	loader.loadApplicationProfiles();
+
+	this.mf = loader.buildFileSystem(cardProfile);
+	this.mf.addMeta("accessController", new SEAccessController());
+
+	var efatr = this.mf.selectByFID(new ByteString("2F01", HEX));
+	if (!efatr) {
+		this.mf.add(new TransparentEF(FCP.newTransparentEF("2F01", -1, 100), this.capabilities.getExtendedLengthInfo()));
+	} else if ((efatr instanceof TransparentEF) && !efatr.content) {
+		efatr.content = this.capabilities.getExtendedLengthInfo();
+	}
+
+	this.initialize();
+}
+
+
+
+/**
+ * Initialize card runtime
+ */
+ProfileCardSimulator.prototype.initialize = function() {
+	this.fileSelector = new FileSelector(this.mf);
+	this.commandInterpreter = new CommandInterpreter(this.fileSelector);
+	this.commandInterpreter.setCardCapabilities(this.capabilities);
+}
+
+
+
+/**
+ * Process an inbound APDU
+ *
+ * @param {ByteString} capdu the command APDU
+ * @type ByteString
+ * @return the response APDU
+ */ 
+ProfileCardSimulator.prototype.processAPDU = function(capdu) {
+	print("Command APDU : " + capdu);
+
+	var apdu;
+	
+	try	{
+		apdu = new APDU(capdu);
+	}
+	catch(e) {
+		GPSystem.trace(e);
+		var sw = APDU.SW_GENERALERROR;
+		if (e instanceof GPError) {
+			sw = e.reason;
+		}
+		var bb = new ByteBuffer();
+		bb.append(sw >> 8);
+		bb.append(sw & 0xFF);
+		return bb.toByteString();
+	}
+
+	this.commandInterpreter.processAPDU(apdu);
+	
+	var rapdu = apdu.getResponseAPDU();
+	print("Response APDU: " + rapdu);
+	return rapdu;
+}
+
+
+
+/**
+ * Respond to reset request
+ *
+ * @param {Number} type reset type (One of Card.RESET_COLD or Card.RESET.WARM)
+ * @type ByteString
+ * @return answer to reset
+ */
+ProfileCardSimulator.prototype.reset = function(type) {
+	print("Reset type: " + type);
+
+	this.initialize();
+
+	var atr = this.capabilities.getATR();
+	return atr;
+}
+
+
+
+/**
+ * Save the persistent state of the simulated card to a card image
+ *
+ * <p>The card image is written as XML if the file name ends with .xml, otherwise as JSON.</p>
+ *
+ * @param {String} filename the fully qualified file name
+ */
+ProfileCardSimulator.prototype.saveCardImage = function(filename) {
+	var image = new CardImage(this.mf);
+	image.save(filename);
+}
+
+
+
+/**
+ * Restore the state of the simulated card from a card image
+ *
+ * <p>Meta information not contained in the card image is taken from the current file system.</p>
+ *
+ * @param {String} filename the fully qualified file name
+ */
+ProfileCardSimulator.prototype.loadCardImage = function(filename) {
+	var image = CardImage.load(filename, this.mf);
+	this.mf = image.getMF();
+	this.initialize();
+}
+
+
+
+/**
+ * Create new simulation and register with existing or newly created adapter singleton.
+ *
+ * @param {String} cardProfile the fully qualified file name of the card profile
+ */
+ProfileCardSimulator.newInstance = function(cardProfile) {
+	var sim = new ProfileCardSimulator(cardProfile);
+
+	if (typeof(CARDSIM) == "undefined") {
+		var adapter = new CardSimulationAdapter("JCOPSimulation", "8050");
+		adapter.setSimulationObject(sim);
+		adapter.start();
+		CARDSIM = adapter;
+		print("Simulation running...");
+	} else {
+		CARDSIM.setSimulationObject(sim);
+		print("Simulation replaced...");
+	}
+}
+
+
+
+ProfileCardSimulator.newInstance(GPSystem.mapFilename("cp_sample.xml", GPSystem.CWD));
@@ -0,0 +1,376 @@
+/**
+ *  ---------
+ * |.##> <##.|  Open Smart Card Development Platform (www.openscdp.org)
+ * |#       #|
+ * |#       #|  Copyright (c) 1999-2009 CardContact Software & System Consulting
+ * |'##> <##'|  Andreas Schwier, 32429 Minden, Germany (www.cardcontact.de)
+ *  ---------
+ *
+ *  This file is part of OpenSCDP.
+ *
+ *  OpenSCDP is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License version 2 as
+ *  published by the Free Software Foundation.
+ *
+ *  OpenSCDP is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with OpenSCDP; if not, write to the Free Software
+ *  Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA  02110-1301  USA
+ *
+ * @fileoverview Build the file system of a simulated card from GP card and application profiles
+ */
+
+
+
+/**
+ * Create a profile loader
+ *
+ * <p>The profile loader builds a DF / EF tree from a GP card profile and the application profiles
+ *    referenced from the ApplicationInstances element in the card profile. The application instance
+ *    with AID 3F00 defines the MF, all other application instances are created as DF selectable by AID
+ *    below the MF.</p>
+ *
+ * <p>The file structure of a DF is defined in the DataStructure element of the application profile:</p>
+ *
+ * <pre>
+ * &lt;scdp:DataStructure securityAttributes="8C0303FF00"&gt;
+ *   &lt;scdp:FileStructure arrayElement="EF" arrayIndex="#"&gt;
+ *     &lt;scdp:EF fid="EF01" sfi="1" type="T" name="EF.01" size="100" content="4041424344" securityAttributes="8C020100"/&gt;
+ *     &lt;scdp:EF fid="EF02" sfi="2" type="LF" name="EF.02" recordSize="4" records="3" arrayElement="Record" arrayIndex="#"&gt;
+ *       &lt;scdp:Record content="01020304"/&gt;
+ *     &lt;/scdp:EF&gt;
+ *   &lt;/scdp:FileStructure&gt;
+ *   &lt;scdp:AuthenticationObjects arrayElement="AuthenticationObject" arrayIndex="#"&gt;
+ *     &lt;scdp:AuthenticationObject name="PIN.CH" type="pin" id="1" value="123456" encoding="ASCII" retryCounter="3"
+ *                                minLength="6" allow="resetRetryCounter resetValue" unblock="PUK.CH"/&gt;
+ *   &lt;/scdp:AuthenticationObjects&gt;
+ * &lt;/scdp:DataStructure&gt;
+ * </pre>
+ *
+ * <p>The EF type is one of T (transparent), LF (linear fixed), LV (linear variable) or C (cyclic). For record
+ *    oriented EFs the content attribute defines the first record. Access rules are given as security attributes
+ *    in the encoding of the FCP and stored in the FCP of the DF or EF.</p>
+ *
+ * @class Class implementing a loader for card and application profiles
+ * @constructor
+ * @param {String} path the directory containing the application profiles (optional)
+ */
+function ProfileLoader(path) {
+	this.path = path;
+	this.profiles = [];
+}
+
+/** Default size for transparent EFs without size or content */
+ProfileLoader.DEFAULT_SIZE = 256;
+
+/** Default number of records for record oriented EFs */
+ProfileLoader.DEFAULT_RECORDS = 10;
+
+/** Default record size for record oriented EFs */
+ProfileLoader.DEFAULT_RECORDSIZE = 255;
+
+/** File types used in the type attribute of the EF element */
+ProfileLoader.FILETYPES = { "T": FCP.TRANSPARENT, "LF": FCP.LINEARFIXED, "LV": FCP.LINEARVARIABLE, "C": FCP.CYCLIC };
+
+
+
+/**
+ * Add an application profile
+ *
+ * @param {String} filename the fully qualified file name of the application profile
+ */
+ProfileLoader.prototype.addApplicationProfile = function(filename) {
+	var ap = GPXML.parse(filename);
+	this.profiles[ap.UniqueID] = ap;
+}
+
+
+
+/**
+ * Add all application profiles contained in the directory passed to the constructor
+ *
+ * <p>All XML files in the directory are parsed and files containing an ApplicationInfo element are
+ *    registered as application profile.</p>
+ */
+ProfileLoader.prototype.loadApplicationProfiles = function() {
+	var dir = new java.io.File(this.path);
+	var list = dir.list();
+	if (list == null) {
+		throw new GPError("ProfileLoader", GPError.INVALID_DATA, 0, "Directory " + this.path + " not found");
+	}
+	for (var i = 0; i < list.length; i++) {
+		var name = String(list[i]);
+		if (name.match(/\.xml$/)) {
+			var ap = GPXML.parse(this.path + "/" + name);
+			if (ap.ApplicationInfo && ap.UniqueID) {
+				this.profiles[ap.UniqueID] = ap;
+			}
+		}
+	}
+}
+
+
+
+/**
+ * Gets the application profile with the given unique id
+ *
+ * @param {String} uid the unique id of the application profile
+ * @type Object
+ * @return the parsed application profile
+ */
+ProfileLoader.prototype.getApplicationProfile = function(uid) {
+	var ap = this.profiles[uid];
+	if (!ap) {
+		throw new GPError("ProfileLoader", GPError.OBJECT_NOT_FOUND, 0, "Application profile " + uid + " not found");
+	}
+	return ap;
+}
+
+
+
+/**
+ * Build the file system for a card profile
+ *
+ * @param {String} filename the fully qualified file name of the card profile
+ * @type DF
+ * @return the MF of the new file system
+ */
+ProfileLoader.prototype.buildFileSystem = function(filename) {
+	var cp = GPXML.parse(filename);
+
+	var mf = null;
+	var dflist = [];
+
+	for each (var ai in cp.ApplicationInstances.ApplicationInstance) {
+		var aid = new ByteString(ai.AID, HEX);
+		var ap = this.getApplicationProfile(ai.ProfileID);
+
+		if (aid.toString(HEX) == "3F00") {
+			mf = this.buildDF(FCP.newDF("3F00", null), ap);
+		} else {
+			GPSystem.trace("Creating " + ai.Label + " from application profile " + ai.ProfileID);
+			dflist.push(this.buildDF(FCP.newDF(null, aid), ap));
+		}
+	}
+
+	if (mf == null) {
+		mf = new DF(FCP.newDF("3F00", null));
+	}
+
+	for (var i = 0; i < dflist.length; i++) {
+		mf.add(dflist[i]);
+	}
+
+	return mf;
+}
+
+
+
+/**
+ * Build a DF with the file structure and authentication objects defined in the application profile
+ *
+ * @param {FCP} fcp the FCP for the DF
+ * @param {Object} ap the parsed application profile
+ * @type DF
+ * @return the new DF
+ */
+ProfileLoader.prototype.buildDF = function(fcp, ap) {
+	var df = new DF(fcp);
+
+	var ds = ap.DataStructure;
+	if (!ds) {
+		return df;
+	}
+
+	if (ds.securityAttributes) {
+		fcp.setSecurityAttributes(new ByteString(ds.securityAttributes, HEX));
+	}
+
+	if (ds.FileStructure) {
+		for each (var efdesc in ds.FileStructure.EF) {
+			df.add(this.buildEF(efdesc));
+		}
+	}
+
+	if (ds.AuthenticationObjects) {
+		var aolist = [];
+		for each (var aodesc in ds.AuthenticationObjects.AuthenticationObject) {
+			var ao = this.buildAuthenticationObject(aodesc);
+			df.addObject(ao);
+			aolist[ao.name] = { ao: ao, desc: aodesc };
+		}
+
+		for each (var e in aolist) {
+			if (e.desc.unblock) {
+				e.ao.unblockAuthenticationObject = ProfileLoader.lookup(aolist, String(e.desc.unblock)).ao;
+			}
+			if (e.desc.unsuspend) {
+				e.ao.unsuspendAuthenticationObject = ProfileLoader.lookup(aolist, String(e.desc.unsuspend)).ao;
+			}
+		}
+	}
+
+	return df;
+}
+
+
+
+/**
+ * Build an EF from the description in the application profile
+ *
+ * @param {Object} efdesc the EF element from the application profile
+ * @type FSNode
+ * @return the new EF
+ */
+ProfileLoader.prototype.buildEF = function(efdesc) {
+	var type = ProfileLoader.FILETYPES[String(efdesc.type)];
+	if (typeof(type) == "undefined") {
+		throw new GPError("ProfileLoader", GPError.INVALID_DATA, 0, "Unsupported type " + efdesc.type + " for " + efdesc.name);
+	}
+
+	var fid = new ByteString(efdesc.fid, HEX);
+	var sfi = efdesc.sfi ? parseInt(efdesc.sfi) : -1;
+
+	if (type == FCP.TRANSPARENT) {
+		var content = efdesc.content ? new ByteString(efdesc.content, HEX) : undefined;
+		var size = ProfileLoader.DEFAULT_SIZE;
+		if (efdesc.size) {
+			size = parseInt(efdesc.size);
+		} else if (content) {
+			size = content.length;
+		}
+		var fcp = FCP.newTransparentEF(fid, sfi, size);
+		var ef = new TransparentEF(fcp, content);
+	} else {
+		var records = [];
+		if (efdesc.content) {
+			records.push(new ByteString(efdesc.content, HEX));
+		}
+		for each (var r in efdesc.Record) {
+			records.push(new ByteString(r.content, HEX));
+		}
+
+		var recno = efdesc.records ? parseInt(efdesc.records) : Math.max(records.length, ProfileLoader.DEFAULT_RECORDS);
+		var recsize = efdesc.recordSize ? parseInt(efdesc.recordSize) : ProfileLoader.DEFAULT_RECORDSIZE;
+
+		var fcp = FCP.newLinearEF(fid, sfi, type, recno, recsize);
+		if (type == FCP.CYCLIC) {
+			var ef = new CyclicEF(fcp, records);
+		} else {
+			var ef = new LinearEF(fcp, records);
+		}
+	}
+
+	if (efdesc.securityAttributes) {
+		fcp.setSecurityAttributes(new ByteString(efdesc.securityAttributes, HEX));
+	}
+
+	return ef;
+}
+
+
+
+/**
+ * Build an authentication object from the description in the application profile
+ *
+ * @param {Object} aodesc the AuthenticationObject element from the application profile
+ * @type AuthenticationObject
+ * @return the new authentication object
+ */
+ProfileLoader.prototype.buildAuthenticationObject = function(aodesc) {
+	var encoding = (aodesc.encoding == "HEX") ? HEX : ASCII;
+	var type = aodesc.type ? String(aodesc.type) : AuthenticationObject.TYPE_PIN;
+
+	var ao = new AuthenticationObject(String(aodesc.name), type, parseInt(aodesc.id), new ByteString(aodesc.value, encoding));
+
+	if (aodesc.retryCounter) {
+		ao.initialretrycounter = parseInt(aodesc.retryCounter);
+		ao.retrycounter = ao.initialretrycounter;
+	}
+	if (aodesc.minLength) {
+		ao.minLength = parseInt(aodesc.minLength);
+	}
+	if (aodesc.transport) {
+		ao.isTransport = aodesc.transport == "true";
+	}
+
+	if (aodesc.allow) {
+		var list = String(aodesc.allow).split(" ");
+		for (var i = 0; i < list.length; i++) {
+			var p = list[i];
+			if (p.length == 0) {
+				continue;
+			}
+			var name = "allow" + p.charAt(0).toUpperCase() + p.substr(1);
+			if (typeof(ao[name]) != "boolean") {
+				throw new GPError("ProfileLoader", GPError.INVALID_DATA, 0, "Unknown permission " + p + " for " + aodesc.name);
+			}
+			ao[name] = true;
+		}
+	}
+
+	return ao;
+}
+
+
+
+/**
+ * Lookup an authentication object by name
+ *
+ * @param {Object[]} aolist the authentication objects defined in the DF indexed by name
+ * @param {String} name the name of the authentication object
+ * @type Object
+ * @return the entry with the authentication object
+ */
+ProfileLoader.lookup = function(aolist, name) {
+	var e = aolist[name];
+	if (!e) {
+		throw new GPError("ProfileLoader", GPError.OBJECT_NOT_FOUND, 0, "Authentication object " + name + " not defined");
+	}
+	return e;
+}
+
+
+
+/**
+ * Simple unit test
+ */
+ProfileLoader.test = function() {
+	var path = GPSystem.mapFilename("", GPSystem.CWD);
+	var loader = new ProfileLoader(path);
+	loader.loadApplicationProfiles();
+
+	var mf = loader.buildFileSystem(path + "/cp_sample.xml");
+	print(mf.dump(""));
+
+	var ci = new CommandInterpreter(new FileSelector(mf));
+
+	var a = new APDU(0x00, 0xB2, 0x01, 0xF4, 0);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+	assert(a.getRData().toString(HEX) == "611E4F07A000000001010150134578616D706C65204170706C69636174696F6E");
+
+	var a = new APDU(0x00, 0xA4, 0x04, 0x04, new ByteString("A0000000010101", HEX), 0);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x00, 0xB2, 0x02, 0x1C, 0);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+	assert(a.getRData().toString(HEX) == "05060708");
+
+	var a = new APDU(0x00, 0xA4, 0x02, 0x04, new ByteString("EF01", HEX), 0);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+	assert(new ASN1(a.getRData()).find(0x8C).value.toString(HEX) == "0100");
+
+	var pin = mf.selectByAID(new ByteString("A0000000010101", HEX)).meta[AuthenticationObject.TYPE_PIN][1];
+	assert(pin.name == "PIN.CH");
+	assert(pin.retrycounter == 3);
+	assert(pin.allowResetRetryCounter);
+	assert(pin.unblockAuthenticationObject.name == "PUK.CH");
+}
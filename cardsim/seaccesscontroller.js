@@ -0,0 +1,673 @@
+/**
+ *  ---------
+ * |.##> <##.|  Open Smart Card Development Platform (www.openscdp.org)
+ * |#       #|
+ * |#       #|  Copyright (c) 1999-2009 CardContact Software & System Consulting
+ * |'##> <##'|  Andreas Schwier, 32429 Minden, Germany (www.cardcontact.de)
+ *  ---------
+ *
+ *  This file is part of OpenSCDP.
+ *
+ *  OpenSCDP is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License version 2 as
+ *  published by the Free Software Foundation.
+ *
+ *  OpenSCDP is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with OpenSCDP; if not, write to the Free Software
+ *  Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA  02110-1301  USA
+ *
+ * @fileoverview Access controller evaluating the security attributes defined in ISO 7816-4
+ */
+
+load("accesscontroller.js");
+
+
+
+/**
+ * Create an access controller that evaluates the security attributes contained in the FCP
+ *
+ * <p>The controller supports security attributes in compact format '8C', in expanded format 'AB'
+ *    and referenced to a record in EF.ARR '8B'. The access mode is determined from the instruction
+ *    and the type of the file system node as defined in ISO 7816-4, clause 9.3.3.</p>
+ *
+ * <p>Security conditions can require a verified PIN, secure messaging or an authenticated terminal,
+ *    optionally with a defined role. If a security condition references a security environment,
+ *    then the authentication template 'A4' defined for that SE determines the PIN or terminal role.
+ *    Without a definition any verified PIN or any authenticated terminal satisfies the condition.</p>
+ *
+ * <p>Access to nodes without security attributes is granted. Access modes not covered by the
+ *    security attributes are denied.</p>
+ *
+ * <p>PIN conditions are evaluated against the authentication state, which a successful VERIFY records
+ *    in the file selector for the MF or, with bit b8 set in P2, for the current DF.</p>
+ *
+ * @class Class implementing an access controller based on ISO 7816-4 security attributes
+ * @constructor
+ */
+function SEAccessController() {
+	AccessController.call(this);
+	this.name = "SEAccessController";
+	this.securityEnvironments = [];
+}
+
+SEAccessController.prototype = new AccessController();
+SEAccessController.prototype.constructor = SEAccessController;
+
+
+/** Access mode bits for EFs indexed by instruction */
+SEAccessController.EFACCESSMODE = [];
+SEAccessController.EFACCESSMODE[APDU.INS_READ_BINARY] = 0x01;
+SEAccessController.EFACCESSMODE[APDU.INS_READ_RECORD] = 0x01;
+SEAccessController.EFACCESSMODE[APDU.INS_SEARCH_RECORD] = 0x01;
+SEAccessController.EFACCESSMODE[APDU.INS_UPDATE_BINARY] = 0x02;
+SEAccessController.EFACCESSMODE[APDU.INS_UPDATE_RECORD] = 0x02;
+SEAccessController.EFACCESSMODE[APDU.INS_WRITE_RECORD] = 0x04;
+SEAccessController.EFACCESSMODE[APDU.INS_APPEND_RECORD] = 0x04;
+SEAccessController.EFACCESSMODE[APDU.INS_DEACTIVATE] = 0x08;
+SEAccessController.EFACCESSMODE[APDU.INS_ACTIVATE] = 0x10;
+SEAccessController.EFACCESSMODE[APDU.INS_TERMINATE_EF] = 0x20;
+SEAccessController.EFACCESSMODE[APDU.INS_DELETE_FILE] = 0x40;
+
+/** Access mode bits for DFs indexed by instruction */
+SEAccessController.DFACCESSMODE = [];
+SEAccessController.DFACCESSMODE[APDU.INS_CREATE_FILE] = 0x02;
+SEAccessController.DFACCESSMODE[APDU.INS_DEACTIVATE] = 0x08;
+SEAccessController.DFACCESSMODE[APDU.INS_ACTIVATE] = 0x10;
+SEAccessController.DFACCESSMODE[APDU.INS_TERMINATE_DF] = 0x20;
+SEAccessController.DFACCESSMODE[APDU.INS_DELETE_FILE] = 0x40;
+
+/** Usage qualifier for user authentication in the authentication template */
+SEAccessController.USAGE_USERAUTH = 0x08;
+
+/** Usage qualifier for external authentication in the authentication template */
+SEAccessController.USAGE_EXTAUTH = 0x80;
+
+
+
+/**
+ * Define the control reference templates for a security environment
+ *
+ * <p>The authentication template 'A4' contains the PIN reference in '83' and the usage qualifier in '95'.
+ *    For external authentication the usage qualifier is '80' and the required terminal role can be given as
+ *    object identifier '06'.</p>
+ *
+ * @param {Number} seid the security environment number in the range 1 to 14
+ * @param {ByteString} crts the concatenated control reference templates
+ */
+SEAccessController.prototype.setSecurityEnvironment = function(seid, crts) {
+	if ((seid < 1) || (seid > 14)) {
+		throw new GPError("SEAccessController", GPError.INVALID_DATA, 0, "SE number must be in the range 1 to 14");
+	}
+	this.securityEnvironments[seid] = crts;
+}
+
+
+
+/**
+ * Check if read access to file system node is allowed
+ *
+ * @param {CommandInterpreter} ci the command interpreter
+ * @param {APDU} apdu the APDU used to access the object
+ * @param {FSNode} node the file system object
+ * @type boolean
+ * @return true if access is allowed
+ */
+SEAccessController.prototype.checkFileReadAccess = function(ci, apdu, node) {
+	var sa = node.getFCP().getSecurityAttributes();
+	if (!sa) {
+		return true;
+	}
+	return this.checkSecurityAttributes(ci, apdu, node, sa);
+}
+
+
+
+/**
+ * Check if write access to file system node is allowed
+ *
+ * @param {CommandInterpreter} ci the command interpreter
+ * @param {APDU} apdu the APDU used to access the object
+ * @param {FSNode} node the file system object
+ * @type boolean
+ * @return true if access is allowed
+ */
+SEAccessController.prototype.checkFileWriteAccess = function(ci, apdu, node) {
+	var sa = node.getFCP().getSecurityAttributes();
+	if (!sa) {
+		return true;
+	}
+	return this.checkSecurityAttributes(ci, apdu, node, sa);
+}
+
+
+
+/**
+ * Determine the bit in the access mode byte for the command and node
+ *
+ * @param {APDU} apdu the APDU
+ * @param {FSNode} node the file system object
+ * @type Number
+ * @return the access mode bit or 0 if the command is not covered by the access mode byte
+ */
+SEAccessController.prototype.getAccessMode = function(apdu, node) {
+	var ins = apdu.getINS() & 0xFE;
+
+	if (!node.isDF()) {
+		var am = SEAccessController.EFACCESSMODE[ins];
+		return am ? am : 0;
+	}
+
+	var am = SEAccessController.DFACCESSMODE[ins];
+	if (!am) {
+		return 0;
+	}
+
+	if (ins == APDU.INS_CREATE_FILE) {
+		try	{
+			var fcp = FCP.parse(apdu.getCData());
+			if (fcp.type == FCP.DEDICATEDFILE) {
+				am = 0x04;
+			}
+		}
+		catch(e) {
+			GPSystem.trace("Invalid FCP in CREATE FILE: " + e);
+		}
+	}
+	return am;
+}
+
+
+
+/**
+ * Evaluate the security attributes of a node
+ *
+ * @param {CommandInterpreter} ci the command interpreter
+ * @param {APDU} apdu the APDU used to access the object
+ * @param {FSNode} node the file system object
+ * @param {ByteString} sa the security attributes from the FCP
+ * @type boolean
+ * @return true if access is allowed
+ */
+SEAccessController.prototype.checkSecurityAttributes = function(ci, apdu, node, sa) {
+	var am = this.getAccessMode(apdu, node);
+
+	var tl = new TLVList(sa, TLV.EMV);
+	for (var i = 0; i < tl.length; i++) {
+		var t = tl.index(i);
+		switch(t.getTag()) {
+		case 0x8C:
+			return this.checkCompactFormat(ci, apdu, t.getValue(), am);
+		case 0xAB:
+			return this.checkExpandedFormat(ci, apdu, t.getValue(), am);
+		case 0x8B:
+			var rule = this.getAccessRule(node, t.getValue());
+			if (!rule) {
+				GPSystem.trace("Access rule " + t.getValue().toString(HEX) + " not found in EF.ARR");
+				return false;
+			}
+			return this.checkExpandedFormat(ci, apdu, rule, am);
+		}
+	}
+
+	GPSystem.trace("No supported security attribute found in " + sa.toString(HEX));
+	return false;
+}
+
+
+
+/**
+ * Evaluate security attributes in compact format
+ *
+ * @param {CommandInterpreter} ci the command interpreter
+ * @param {APDU} apdu the APDU used to access the object
+ * @param {ByteString} rule the access mode byte followed by the security condition bytes
+ * @param {Number} am the access mode bit
+ * @type boolean
+ * @return true if access is allowed
+ */
+SEAccessController.prototype.checkCompactFormat = function(ci, apdu, rule, am) {
+	var amb = rule.byteAt(0);
+
+	if ((amb & 0x80) || !(amb & am)) {
+		GPSystem.trace("Access mode " + am + " not covered by access mode byte " + amb.toString(16));
+		return false;
+	}
+
+	// One security condition byte follows for each bit set in b7 to b1, starting with b7
+	var i = 1;
+	for (var b = 0x40; b > am; b >>= 1) {
+		if (amb & b) {
+			i++;
+		}
+	}
+
+	if (i >= rule.length) {
+		GPSystem.trace("Missing security condition byte in " + rule.toString(HEX));
+		return false;
+	}
+
+	return this.checkSecurityCondition(ci, apdu, rule.byteAt(i));
+}
+
+
+
+/**
+ * Evaluate a security condition byte
+ *
+ * @param {CommandInterpreter} ci the command interpreter
+ * @param {APDU} apdu the APDU used to access the object
+ * @param {Number} sc the security condition byte
+ * @type boolean
+ * @return true if the security condition is satisfied
+ */
+SEAccessController.prototype.checkSecurityCondition = function(ci, apdu, sc) {
+	if (sc == 0x00) {
+		return true;
+	}
+	if (sc == 0xFF) {
+		return false;
+	}
+
+	var seid = sc & 0x0F;
+	var results = [];
+
+	if (sc & 0x40) {
+		results.push(apdu.isSecureMessaging());
+	}
+	if (sc & 0x20) {
+		results.push(this.checkAuthentication(ci, seid, SEAccessController.USAGE_EXTAUTH));
+	}
+	if (sc & 0x10) {
+		results.push(this.checkAuthentication(ci, seid, SEAccessController.USAGE_USERAUTH));
+	}
+
+	var all = (sc & 0x80) == 0x80;
+	for (var i = 0; i < results.length; i++) {
+		if (all && !results[i]) {
+			return false;
+		}
+		if (!all && results[i]) {
+			return true;
+		}
+	}
+	return all;
+}
+
+
+
+/**
+ * Check user or external authentication as required by a security condition byte
+ *
+ * @param {CommandInterpreter} ci the command interpreter
+ * @param {Number} seid the security environment number or 0
+ * @param {Number} usage one of SEAccessController.USAGE_USERAUTH or SEAccessController.USAGE_EXTAUTH
+ * @type boolean
+ * @return true if the authentication was performed
+ */
+SEAccessController.prototype.checkAuthentication = function(ci, seid, usage) {
+	var crts = this.securityEnvironments[seid];
+	if (crts) {
+		var tl = new TLVList(crts, TLV.EMV);
+		for (var i = 0; i < tl.length; i++) {
+			var t = tl.index(i);
+			if ((t.getTag() == 0xA4) && (this.getUsage(t.getValue()) == usage)) {
+				return this.checkAuthenticationTemplate(ci, t.getValue());
+			}
+		}
+	}
+
+	if (usage == SEAccessController.USAGE_EXTAUTH) {
+		return this.isAuthenticatedTerminal(ci);
+	}
+
+	var fs = ci.fileSelector;
+	return (fs.globalAuthenticationState.length > 0) || (fs.localAuthenticationState.length > 0);
+}
+
+
+
+/**
+ * Return the usage qualifier from an authentication template
+ *
+ * @param {ByteString} at the value of the authentication template
+ * @type Number
+ * @return the usage qualifier, default is user authentication
+ */
+SEAccessController.prototype.getUsage = function(at) {
+	var t = new TLVList(at, TLV.EMV).find(0x95);
+	if (t) {
+		return t.getValue().byteAt(0) & SEAccessController.USAGE_EXTAUTH ? SEAccessController.USAGE_EXTAUTH : SEAccessController.USAGE_USERAUTH;
+	}
+	return SEAccessController.USAGE_USERAUTH;
+}
+
+
+
+/**
+ * Evaluate an authentication template
+ *
+ * <p>For user authentication the PIN referenced in '83' must be verified. For external authentication
+ *    the terminal must be authenticated and, if an object identifier '06' is contained, have the defined role.</p>
+ *
+ * @param {CommandInterpreter} ci the command interpreter
+ * @param {ByteString} at the value of the authentication template
+ * @type boolean
+ * @return true if the condition is satisfied
+ */
+SEAccessController.prototype.checkAuthenticationTemplate = function(ci, at) {
+	var tl = new TLVList(at, TLV.EMV);
+
+	if (this.getUsage(at) == SEAccessController.USAGE_EXTAUTH) {
+		if (!this.isAuthenticatedTerminal(ci)) {
+			GPSystem.trace("Must have passed terminal authentication");
+			return false;
+		}
+		var role = tl.find(0x06);
+		if (role && !ci.getTerminalRole().equals(role.getValue())) {
+			GPSystem.trace("Terminal role " + ci.getTerminalRole().toString(OID) + " does not match " + role.getValue().toString(OID));
+			return false;
+		}
+		return true;
+	}
+
+	var ref = tl.find(0x83);
+	if (!ref) {
+		var fs = ci.fileSelector;
+		return (fs.globalAuthenticationState.length > 0) || (fs.localAuthenticationState.length > 0);
+	}
+
+	var id = ref.getValue().byteAt(ref.getValue().length - 1);
+	var pin = ci.fileSelector.getObject(AuthenticationObject.TYPE_PIN, id);
+	if (!pin) {
+		GPSystem.trace("PIN with reference " + id + " not found");
+		return false;
+	}
+	return ci.fileSelector.isAuthenticated(!(id & 0x80), pin);
+}
+
+
+
+/**
+ * Returns true if the command interpreter has an authenticated terminal
+ *
+ * @param {CommandInterpreter} ci the command interpreter
+ * @type boolean
+ * @return true if terminal authentication was performed
+ */
+SEAccessController.prototype.isAuthenticatedTerminal = function(ci) {
+	return (typeof(ci.isAuthenticatedTerminal) == "function") && ci.isAuthenticatedTerminal();
+}
+
+
+
+/**
+ * Evaluate security attributes in expanded format
+ *
+ * <p>The rule is a sequence of access mode data objects, each followed by one or more security condition
+ *    data objects. If more than one security condition follows an access mode, then at least one must be
+ *    satisfied.</p>
+ *
+ * @param {CommandInterpreter} ci the command interpreter
+ * @param {APDU} apdu the APDU used to access the object
+ * @param {ByteString} rule the access mode and security condition data objects
+ * @param {Number} am the access mode bit
+ * @type boolean
+ * @return true if access is allowed
+ */
+SEAccessController.prototype.checkExpandedFormat = function(ci, apdu, rule, am) {
+	var tl = new TLVList(rule, TLV.EMV);
+	var matched = false;
+	var granted = false;
+
+	for (var i = 0; i < tl.length; i++) {
+		var t = tl.index(i);
+		var tag = t.getTag();
+
+		if ((tag >= 0x80) && (tag <= 0x8F)) {
+			if (matched) {
+				break;
+			}
+			matched = this.matchAccessMode(apdu, t, am);
+		} else if (matched) {
+			granted = granted || this.checkSecurityConditionDO(ci, apdu, t);
+		}
+	}
+
+	if (!matched) {
+		GPSystem.trace("Command not covered by access rule " + rule.toString(HEX));
+	}
+	return granted;
+}
+
+
+
+/**
+ * Match the command against an access mode data object
+ *
+ * @param {APDU} apdu the APDU
+ * @param {TLV} t the access mode data object
+ * @param {Number} am the access mode bit
+ * @type boolean
+ * @return true if the access mode data object covers the command
+ */
+SEAccessController.prototype.matchAccessMode = function(apdu, t, am) {
+	var tag = t.getTag();
+	var v = t.getValue();
+
+	if (tag == 0x80) {
+		return (v.length > 0) && !(v.byteAt(0) & 0x80) && ((v.byteAt(0) & am) != 0);
+	}
+
+	// Bits b4 to b1 of the tag indicate the presence of CLA, INS, P1 and P2 in the value
+	var header = [ apdu.getCLA() & 0xF0, apdu.getINS(), apdu.getP1(), apdu.getP2() ];
+	var mask = [ 0xF0, 0xFF, 0xFF, 0xFF ];
+	var ofs = 0;
+	for (var i = 0; i < 4; i++) {
+		if (tag & (0x08 >> i)) {
+			if (ofs >= v.length) {
+				return false;
+			}
+			if ((v.byteAt(ofs++) & mask[i]) != header[i]) {
+				return false;
+			}
+		}
+	}
+	return true;
+}
+
+
+
+/**
+ * Evaluate a security condition data object
+ *
+ * @param {CommandInterpreter} ci the command interpreter
+ * @param {APDU} apdu the APDU used to access the object
+ * @param {TLV} t the security condition data object
+ * @type boolean
+ * @return true if the security condition is satisfied
+ */
+SEAccessController.prototype.checkSecurityConditionDO = function(ci, apdu, t) {
+	switch(t.getTag()) {
+	case 0x90:					// Always
+		return true;
+	case 0x97:					// Never
+		return false;
+	case 0x9E:					// Security condition byte
+		return this.checkSecurityCondition(ci, apdu, t.getValue().byteAt(0));
+	case 0xA4:					// Authentication template
+		return this.checkAuthenticationTemplate(ci, t.getValue());
+	case 0xB4:					// Secure messaging templates
+	case 0xB6:
+	case 0xB8:
+		return apdu.isSecureMessaging();
+	case 0xA0:					// At least one of the contained conditions
+	case 0xAF:					// All of the contained conditions
+		var all = t.getTag() == 0xAF;
+		var tl = new TLVList(t.getValue(), TLV.EMV);
+		for (var i = 0; i < tl.length; i++) {
+			var r = this.checkSecurityConditionDO(ci, apdu, tl.index(i));
+			if (all && !r) {
+				return false;
+			}
+			if (!all && r) {
+				return true;
+			}
+		}
+		return all;
+	}
+	GPSystem.trace("Unsupported security condition data object " + t.getTag().toString(16));
+	return false;
+}
+
+
+
+/**
+ * Locate the access rule referenced in security attribute '8B'
+ *
+ * <p>The reference contains the file identifier of EF.ARR followed by the record number or by pairs
+ *    of SE number and record number, in which case the record for the first SE is used. EF.ARR is searched
+ *    for in the DF containing the node, in the DF itself if the node is a DF, and then in all parent DFs.</p>
+ *
+ * @param {FSNode} node the file system object
+ * @param {ByteString} ref the value of the referenced security attribute
+ * @type ByteString
+ * @return the access rule or null if not found
+ */
+SEAccessController.prototype.getAccessRule = function(node, ref) {
+	if (ref.length < 3) {
+		return null;
+	}
+
+	var fid = ref.left(2);
+	var recno = (ref.length == 3) ? ref.byteAt(2) : ref.byteAt(3);
+
+	var df = node.isDF() ? node : node.getParent();
+	while (df) {
+		var arr = df.selectByFID(fid);
+		if (arr instanceof LinearEF) {
+			var rule = arr.records[recno - 1];
+			return rule ? rule : null;
+		}
+		df = df.getParent();
+	}
+	return null;
+}
+
+
+
+/**
+ * Simple unit test
+ */
+SEAccessController.test = function() {
+	var arr = [
+		new ByteString("800101 90 00", HEX),					// Read always
+		new ByteString("800101 9000 800102 A4068301819501 08", HEX)	// Read always, update with local PIN 1
+	];
+
+	var mf = new DF(FCP.newDF("3F00", null),
+						new LinearEF(FCP.newLinearEF("0030", 0, FCP.LINEARVARIABLE, 10, 50), arr),
+						new TransparentEF(FCP.newTransparentEF("EF01", 1, 10), new ByteString("01020304", HEX)),
+						new TransparentEF(FCP.newTransparentEF("EF02", 2, 10), new ByteString("05060708", HEX)),
+						new TransparentEF(FCP.newTransparentEF("EF03", 3, 10), new ByteString("090A0B0C", HEX)),
+						new TransparentEF(FCP.newTransparentEF("EF04", 4, 10), new ByteString("0D0E0F10", HEX)),
+						new TransparentEF(FCP.newTransparentEF("EF05", 5, 10), new ByteString("11121314", HEX))
+					);
+
+	// Compact format: read always, update after PIN verification
+	mf.selectByFID(new ByteString("EF01", HEX)).getFCP().setSecurityAttributes(new ByteString("8C03031000", HEX));
+
+	// Expanded format: read with secure messaging, update never
+	mf.selectByFID(new ByteString("EF02", HEX)).getFCP().setSecurityAttributes(new ByteString("AB0A 800101 B400 800102 9700", HEX));
+
+	// Referenced to EF.ARR record 2
+	mf.selectByFID(new ByteString("EF03", HEX)).getFCP().setSecurityAttributes(new ByteString("8B03003002", HEX));
+
+	// Compact format: read for authenticated terminal with role defined in SE 1
+	mf.selectByFID(new ByteString("EF04", HEX)).getFCP().setSecurityAttributes(new ByteString("8C020121", HEX));
+
+	var pin = new AuthenticationObject("PIN", AuthenticationObject.TYPE_PIN, 1, new ByteString("123456", ASCII));
+	mf.addObject(pin);
+
+	var ac = new SEAccessController();
+	ac.setSecurityEnvironment(1, new ByteString("A40B 950180 0606 04007F000703", HEX));
+	mf.addMeta("accessController", ac);
+
+	var ci = new CommandInterpreter(new FileSelector(mf));
+
+	var a = new APDU(0x00, 0xB0, 0x81, 0x00, 0);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x00, 0xD6, 0x81, 0x00, new ByteString("11", HEX));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_SECSTATNOTSAT);
+
+	var a = new APDU(0x00, 0xB0, 0x82, 0x00, 0);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_SECSTATNOTSAT);
+
+	var a = new APDU(0x00, 0xB0, 0x83, 0x00, 0);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x00, 0xD6, 0x83, 0x00, new ByteString("11", HEX));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_SECSTATNOTSAT);
+
+	// No security attributes
+	var a = new APDU(0x00, 0xD6, 0x85, 0x00, new ByteString("11", HEX));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	// PIN verification state
+	var a = new APDU(0x00, 0x20, 0x00, 0x01);
+	ci.processAPDU(a);
+	assert(a.getSW() == (APDU.SW_WARNINGCOUNT | pin.retrycounter));
+
+	var a = new APDU(0x00, 0x20, 0x00, 0x01, new ByteString("123456", ASCII));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x00, 0x20, 0x00, 0x01);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x00, 0xD6, 0x81, 0x00, new ByteString("11", HEX));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	// EF.ARR requires the specific PIN 81
+	var a = new APDU(0x00, 0xD6, 0x83, 0x00, new ByteString("11", HEX));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_SECSTATNOTSAT);
+
+	var a = new APDU(0x00, 0x20, 0x00, 0x81, new ByteString("123456", ASCII));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x00, 0xD6, 0x83, 0x00, new ByteString("11", HEX));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	// Secure messaging and terminal role
+	var ef02 = mf.selectByFID(new ByteString("EF02", HEX));
+	assert(ac.checkFileReadAccess(ci, new APDU(0x0C, 0xB0, 0x00, 0x00, 0), ef02));
+	assert(!ac.checkFileWriteAccess(ci, new APDU(0x0C, 0xD6, 0x00, 0x00, new ByteString("11", HEX)), ef02));
+
+	var ef04 = mf.selectByFID(new ByteString("EF04", HEX));
+	assert(!ac.checkFileReadAccess(ci, new APDU(0x00, 0xB0, 0x00, 0x00, 0), ef04));
+
+	var role = new ByteString("04007F000703", HEX);
+	var terminal = { fileSelector: ci.fileSelector,
+					isAuthenticatedTerminal: function() { return true; },
+					getTerminalRole: function() { return role; } };
+	assert(ac.checkFileReadAccess(terminal, new APDU(0x00, 0xB0, 0x00, 0x00, 0), ef04));
+
+	role = new ByteString("04007F000704", HEX);
+	assert(!ac.checkFileReadAccess(terminal, new APDU(0x00, 0xB0, 0x00, 0x00, 0), ef04));
+}
@@ -26,7 +26,9 @@
 
 load("filesystem.js");
 load("commandinterpreter.js");
+load("cardcapabilities.js");
 load("securechannel.js");
+load("cardimage.js");
 
 
 /**
@@ -34,8 +36,11 @@ load("securechannel.js");
  *
  * @class Class implementing a simple ISO 7816-4 card simulation
  * @constructor
+ * @param {CardCapabilities} capabilities the buffer sizes and logical channels supported (optional)
  */
-function SimpleCardSimulator() {
+function SimpleCardSimulator(capabilities) {
+	this.capabilities = (typeof(capabilities) == "undefined") ? new CardCapabilities() : capabilities;
+
 	var aid = new ByteString("A0000000010101", HEX);
 
 	var efdir_example = new ASN1(0x61,
@@ -47,6 +52,7 @@ function SimpleCardSimulator() {
 
 	this.mf = new DF(FCP.newDF("3F00", null),
 						new LinearEF(FCP.newLinearEF("2F00", 30, FCP.LINEARVARIABLE, 20, 10), efdir),
+						new TransparentEF(FCP.newTransparentEF("2F01", 0x1D, 100), this.capabilities.getExtendedLengthInfo()),
 						new TransparentEF(FCP.newTransparentEF("2F02", 1, 100), new ByteString("5A0A00010203040506070809", HEX)),
 						new TransparentEF(FCP.newTransparentEF("EF01", 2, 100), new ByteString("4041424344", HEX)),
 						new DF(FCP.newDF("DF01", this.aid),
@@ -68,6 +74,7 @@ function SimpleCardSimulator() {
 SimpleCardSimulator.prototype.initialize = function() {
 	this.fileSelector = new FileSelector(this.mf);
 	this.commandInterpreter = new CommandInterpreter(this.fileSelector);
+	this.commandInterpreter.setCardCapabilities(this.capabilities);
 	
 	var sm = new SecureChannel(new Crypto());
 	
@@ -136,12 +143,42 @@ SimpleCardSimulator.prototype.reset = function(type) {
 
 	this.initialize();
 
-	var atr = new ByteString("3B600000", HEX);
+	var atr = this.capabilities.getATR();
 	return atr;
 }
 
 
 
+/**
+ * Save the persistent state of the simulated card to a card image
+ *
+ * <p>The card image is written as XML if the file name ends with .xml, otherwise as JSON.</p>
+ *
+ * @param {String} filename the fully qualified file name
+ */
+SimpleCardSimulator.prototype.saveCardImage = function(filename) {
+	var image = new CardImage(this.mf);
+	image.save(filename);
+}
+
+
+
+/**
+ * Restore the state of the simulated card from a card image
+ *
+ * <p>Meta information not contained in the card image, like access controllers, is taken from
+ *    the current file system.</p>
+ *
+ * @param {String} filename the fully qualified file name
+ */
+SimpleCardSimulator.prototype.loadCardImage = function(filename) {
+	var image = CardImage.load(filename, this.mf);
+	this.mf = image.getMF();
+	this.initialize();
+}
+
+
+
 /**
  * Create new simulation and register with existing or newly created adapter singleton.
  *
@@ -54,5 +54,10 @@ testRunner.addTestGroupFromXML("tg_updatebinary_odd_ins.xml", param);
 testRunner.addTestGroupFromXML("tg_updatebinary_sw.xml", param);
 testRunner.addTestGroupFromXML("tg_readrecord_even_ins.xml", param);
 testRunner.addTestGroupFromXML("tg_secmsg.xml", param);
+testRunner.addTestGroupFromXML("tg_chaining.xml", param);
+testRunner.addTestGroupFromXML("tg_getresponse.xml", param);
+testRunner.addTestGroupFromXML("tg_logicalchannels.xml", param);
+testRunner.addTestGroupFromXML("tg_filemanagement.xml", param);
+testRunner.addTestGroupFromXML("tg_lifecycle.xml", param);
 
 print("Test-Suite loaded...");
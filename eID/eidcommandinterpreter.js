@@ -1361,6 +1361,20 @@ eIDCommandInterpreter.prototype.computeDigitalSignature = function(apdu) {
 
 
 
+/**
+ * GENERAL AUTHENTICATE uses the chaining indicator to link the steps of PACE
+ *
+ * @param {APDU} apdu the apdu
+ * @param {Number} ins the normalized instruction code
+ * @type boolean
+ * @return true if command chaining is left to the command handler
+ */
+eIDCommandInterpreter.prototype.isChainingHandledByCommand = function(apdu, ins) {
+	return ins == APDU.INS_GENERAL_AUTHENTICATE;
+}
+
+
+
 /**
  * Dispatch to command handler based in INS byte in APDU
  *
@@ -1408,13 +1422,19 @@ eIDCommandInterpreter.prototype.dispatch = function(apdu, ins) {
 		}
 		break;
 	case APDU.INS_ACTIVATE:
-		this.manageActiveState(apdu);
-		break;
 	case APDU.INS_DEACTIVATE:
-		this.manageActiveState(apdu);
+		if (apdu.getP1() == 0x10) {
+			this.manageActiveState(apdu);
+		} else {
+			CommandInterpreter.prototype.dispatch.call(this, apdu, ins);		// File life cycle
+		}
 		break;
 	case APDU.INS_TERMINATE:
-		this.terminate(apdu);
+		if ((apdu.getP1() == 0x10) || (apdu.getP1() == 0x21)) {
+			this.terminate(apdu);
+		} else {
+			CommandInterpreter.prototype.dispatch.call(this, apdu, ins);		// File life cycle
+		}
 		break;
 	case APDU.INS_PSO:
 		if (apdu.getP2() == APDU.INS_VERIFY_CERTIFICATE) {
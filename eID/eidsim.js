@@ -27,9 +27,11 @@
 load("tools/file.js");
 
 load("../cardsim/filesystem.js");
+load("../cardsim/cardcapabilities.js");
 load("../cardsim/authenticationobject.js");
 load("../cardsim/trustanchor.js");
 load("../cardsim/signaturekey.js");
+load("../cardsim/cardimage.js");
 
 load("eidcommandinterpreter.js");
 load("eidaccesscontroller.js");
@@ -246,8 +248,10 @@ var cvcst = new TrustAnchor(c);
  *
  * @class Class implementing a simple ISO 7816-4 card simulation
  * @constructor
+ * @param {CardCapabilities} capabilities the buffer sizes and logical channels supported (optional)
  */
-function eIDSimulation() {
+function eIDSimulation(capabilities) {
+	this.capabilities = (typeof(capabilities) == "undefined") ? new CardCapabilities() : capabilities;
 	this.createFileSystem();
 	this.initialize();
 }
@@ -263,7 +267,8 @@ eIDSimulation.prototype.createFileSystem = function() {
 	this.mf = new DF(FCP.newDF("3F00", null),
 						new TransparentEF(FCP.newTransparentEF("011C", 0x1C, 100), cardAccess.getBytes()),
 						new TransparentEF(FCP.newTransparentEF("011D", 0x1D, 100), signedCardSecurity),
-						new TransparentEF(FCP.newTransparentEF("011B", 0x1B, 100), signedChipSecurity)
+						new TransparentEF(FCP.newTransparentEF("011B", 0x1B, 100), signedChipSecurity),
+						new TransparentEF(FCP.newTransparentEF("2F01", -1, 100), this.capabilities.getExtendedLengthInfo())
 					);
 
 	this.mf.addMeta("accessController", new MFAccessController());
@@ -441,6 +446,7 @@ eIDSimulation.prototype.createFileSystem = function() {
 eIDSimulation.prototype.initialize = function() {
 	this.fileSelector = new FileSelector(this.mf);
 	this.commandInterpreter = new eIDCommandInterpreter(this.fileSelector);
+	this.commandInterpreter.setCardCapabilities(this.capabilities);
 
 }
 
@@ -494,12 +500,42 @@ eIDSimulation.prototype.reset = function(type) {
 
 	this.initialize();
 
-	var atr = new ByteString("3B600000", HEX);
+	var atr = this.capabilities.getATR();
 	return atr;
 }
 
 
 
+/**
+ * Save the persistent state of the simulated card to a card image
+ *
+ * <p>The card image is written as XML if the file name ends with .xml, otherwise as JSON.</p>
+ *
+ * @param {String} filename the fully qualified file name
+ */
+eIDSimulation.prototype.saveCardImage = function(filename) {
+	var image = new CardImage(this.mf);
+	image.save(filename);
+}
+
+
+
+/**
+ * Restore the state of the simulated card from a card image
+ *
+ * <p>Meta information not contained in the card image, like access controllers, is taken from
+ *    the current file system.</p>
+ *
+ * @param {String} filename the fully qualified file name
+ */
+eIDSimulation.prototype.loadCardImage = function(filename) {
+	var image = CardImage.load(filename, this.mf);
+	this.mf = image.getMF();
+	this.initialize();
+}
+
+
+
 /**
  * Create new simulation and register with existing or newly created adapter singleton.
  *
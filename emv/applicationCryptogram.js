@@ -0,0 +1,280 @@
+/**
+ *  ---------
+ * |.##> <##.|  Open Smart Card Development Platform (www.openscdp.org)
+ * |#       #|  
+ * |#       #|  Copyright (c) 1999-2009 CardContact Software & System Consulting
+ * |'##> <##'|  Andreas Schwier, 32429 Minden, Germany (www.cardcontact.de)
+ *  --------- 
+ *
+ *  This file is part of OpenSCDP.
+ *
+ *  OpenSCDP is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License version 2 as
+ *  published by the Free Software Foundation.
+ *
+ *  OpenSCDP is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with OpenSCDP; if not, write to the Free Software
+ *  Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA  02110-1301  USA
+ *
+ * @fileoverview Key derivation and calculation of application cryptograms and authorisation response cryptograms
+ */
+
+
+
+/**
+ * Create an object for the calculation of application cryptograms
+ *
+ * <p>The ICC master key is derived from the issuer master key using option A and the session key using the
+ *    EMV common session key derivation. The application cryptogram is a retail MAC (ISO 9797-1 algorithm 3)
+ *    over the data elements listed in ApplicationCryptogram.INPUT, followed by the card verification results.
+ *    The authorisation response cryptogram is calculated using ARPC method 1 and the MAC for issuer
+ *    script commands using secure messaging format 1.</p>
+ *
+ * <p>The same calculation is used by the card simulation and by the off-card verification of cryptograms.</p>
+ *
+ * @class Class implementing key derivation and application cryptogram calculation
+ * @constructor
+ * @param {Crypto} crypto the crypto provider
+ */
+function ApplicationCryptogram(crypto) {
+	this.crypto = crypto;
+}
+
+
+
+/** Cryptogram types in the Cryptogram Information Data and in P1 of GENERATE AC */
+ApplicationCryptogram.AAC = 0x00;
+ApplicationCryptogram.TC = 0x40;
+ApplicationCryptogram.ARQC = 0x80;
+
+/** Data elements included in the cryptogram calculation (EMV 4.3 Book 2, Table 26) */
+ApplicationCryptogram.INPUT = [ 0x9F02, 0x9F03, 0x9F1A, 0x95, 0x5F2A, 0x9A, 0x9C, 0x9F37, 0x82, 0x9F36 ];
+
+
+
+/**
+ * Return a string for the cryptogram type
+ *
+ * @param {Number} cid the Cryptogram Information Data or P1 of GENERATE AC
+ * @type String
+ * @return one of "AAC", "TC", "ARQC" or "RFU"
+ */
+ApplicationCryptogram.typeToString = function(cid) {
+	switch(cid & 0xC0) {
+	case ApplicationCryptogram.AAC:
+		return "AAC";
+	case ApplicationCryptogram.TC:
+		return "TC";
+	case ApplicationCryptogram.ARQC:
+		return "ARQC";
+	}
+	return "RFU";
+}
+
+
+
+/**
+ * Extract the card verification results from the Issuer Application Data
+ *
+ * <p>The Issuer Application Data contains the length '06', the derivation key index, the cryptogram
+ *    version number and the four byte card verification results.</p>
+ *
+ * @param {ByteString} iad the Issuer Application Data (tag 9F10)
+ * @type ByteString
+ * @return the card verification results
+ */
+ApplicationCryptogram.getCVR = function(iad) {
+	if ((iad.length < 7) || (iad.byteAt(0) != 0x06)) {
+		throw new GPError("ApplicationCryptogram", GPError.INVALID_DATA, 0, "Unsupported format of Issuer Application Data " + iad.toString(HEX));
+	}
+	return iad.bytes(3, 4);
+}
+
+
+
+/**
+ * Derive the ICC master key from the issuer master key using option A
+ *
+ * <p>The rightmost 16 digits of the PAN concatenated with the PAN sequence number are encrypted with
+ *    the issuer master key to form the left half. The right half is the encryption of the inverted value.</p>
+ *
+ * @param {Key} imk the double length issuer master key
+ * @param {ByteString} pan the Application Primary Account Number (tag 5A)
+ * @param {ByteString} psn the PAN Sequence Number (tag 5F34) or null
+ * @type Key
+ * @return the ICC master key
+ */
+ApplicationCryptogram.prototype.deriveICCMasterKey = function(imk, pan, psn) {
+	var digits = pan.toString(HEX).replace(/F/g, "") + (psn ? psn.toString(HEX) : "00");
+	while (digits.length < 16) {
+		digits = "0" + digits;
+	}
+	var y = new ByteString(digits.substr(digits.length - 16), HEX);
+
+	var zl = this.crypto.encrypt(imk, Crypto.DES_ECB, y);
+	var zr = this.crypto.encrypt(imk, Crypto.DES_ECB, y.xor(new ByteString("FFFFFFFFFFFFFFFF", HEX)));
+
+	var mk = new Key();
+	mk.setComponent(Key.DES, zl.concat(zr));
+	return mk;
+}
+
+
+
+/**
+ * Derive a session key from the ICC master key using the EMV common session key derivation
+ *
+ * <p>The diversification value is the ATC followed by six zero bytes for application cryptograms and the
+ *    application cryptogram for secure messaging.</p>
+ *
+ * @param {Key} mk the ICC master key
+ * @param {ByteString} r the 8 byte diversification value
+ * @type Key
+ * @return the session key
+ */
+ApplicationCryptogram.prototype.deriveSessionKey = function(mk, r) {
+	var f1 = r.left(2).concat(new ByteString("F0", HEX)).concat(r.bytes(3));
+	var f2 = r.left(2).concat(new ByteString("0F", HEX)).concat(r.bytes(3));
+
+	var sk = new Key();
+	sk.setComponent(Key.DES, this.crypto.encrypt(mk, Crypto.DES_ECB, f1).concat(this.crypto.encrypt(mk, Crypto.DES_ECB, f2)));
+	return sk;
+}
+
+
+
+/**
+ * Derive the session key for application cryptograms
+ *
+ * @param {Key} mk the ICC master key for application cryptograms
+ * @param {ByteString} atc the two byte Application Transaction Counter
+ * @type Key
+ * @return the session key
+ */
+ApplicationCryptogram.prototype.deriveACSessionKey = function(mk, atc) {
+	return this.deriveSessionKey(mk, atc.concat(new ByteString("000000000000", HEX)));
+}
+
+
+
+/**
+ * Build the input to the cryptogram calculation
+ *
+ * @param {ByteString[]} dataElements the data elements indexed by tag
+ * @param {ByteString} cvr the card verification results
+ * @type ByteString
+ * @return the concatenated data elements and card verification results
+ */
+ApplicationCryptogram.prototype.getInput = function(dataElements, cvr) {
+	var bb = new ByteBuffer();
+	for (var i = 0; i < ApplicationCryptogram.INPUT.length; i++) {
+		var tag = ApplicationCryptogram.INPUT[i];
+		var value = dataElements[tag];
+		if (typeof(value) == "undefined") {
+			throw new GPError("ApplicationCryptogram", GPError.INVALID_DATA, 0, "Data element " + tag.toString(16) + " missing for cryptogram calculation");
+		}
+		bb.append(value);
+	}
+	bb.append(cvr);
+	return bb.toByteString();
+}
+
+
+
+/**
+ * Calculate the application cryptogram
+ *
+ * @param {Key} sk the session key for application cryptograms
+ * @param {ByteString[]} dataElements the data elements indexed by tag
+ * @param {ByteString} cvr the card verification results
+ * @type ByteString
+ * @return the 8 byte application cryptogram
+ */
+ApplicationCryptogram.prototype.calculateAC = function(sk, dataElements, cvr) {
+	var input = this.getInput(dataElements, cvr);
+	return this.crypto.sign(sk, Crypto.DES_MAC_EMV, input.pad(Crypto.ISO9797_METHOD_2));
+}
+
+
+
+/**
+ * Calculate the authorisation response cryptogram using ARPC method 1
+ *
+ * @param {Key} sk the session key for application cryptograms
+ * @param {ByteString} arqc the authorisation request cryptogram
+ * @param {ByteString} arc the two byte authorisation response code
+ * @type ByteString
+ * @return the 8 byte authorisation response cryptogram
+ */
+ApplicationCryptogram.prototype.calculateARPC = function(sk, arqc, arc) {
+	var x = arqc.xor(arc.concat(new ByteString("000000000000", HEX)));
+	return this.crypto.encrypt(sk, Crypto.DES_ECB, x);
+}
+
+
+
+/**
+ * Derive the session key for secure messaging in issuer script commands
+ *
+ * @param {Key} mk the ICC master key for secure messaging integrity
+ * @param {ByteString} arqc the authorisation request cryptogram returned in the first GENERATE AC
+ * @type Key
+ * @return the session key
+ */
+ApplicationCryptogram.prototype.deriveSMSessionKey = function(mk, arqc) {
+	return this.deriveSessionKey(mk, arqc);
+}
+
+
+
+/**
+ * Calculate the MAC for an issuer script command using secure messaging format 1
+ *
+ * <p>The MAC is calculated over the command header with Lc including the MAC, the Application Transaction Counter,
+ *    the authorisation request cryptogram and the plain command data (EMV 4.3 Book 2, Chapter 9.2.3).</p>
+ *
+ * @param {Key} sk the session key for secure messaging integrity
+ * @param {ByteString} header the CLA, INS, P1, P2 and Lc bytes of the command
+ * @param {ByteString} data the command data without the MAC
+ * @param {ByteString} atc the two byte Application Transaction Counter
+ * @param {ByteString} arqc the authorisation request cryptogram
+ * @type ByteString
+ * @return the 8 byte MAC
+ */
+ApplicationCryptogram.prototype.calculateScriptMAC = function(sk, header, data, atc, arqc) {
+	var input = header.concat(atc).concat(arqc).concat(data);
+	return this.crypto.sign(sk, Crypto.DES_MAC_EMV, input.pad(Crypto.ISO9797_METHOD_2));
+}
+
+
+
+/**
+ * Create an issuer script command with MAC
+ *
+ * @param {Key} sk the session key for secure messaging integrity
+ * @param {Number} cla the class byte, usually '84'
+ * @param {Number} ins the instruction byte
+ * @param {Number} p1 the parameter byte P1
+ * @param {Number} p2 the parameter byte P2
+ * @param {ByteString} data the plain command data or an empty ByteString
+ * @param {ByteString} atc the two byte Application Transaction Counter
+ * @param {ByteString} arqc the authorisation request cryptogram
+ * @type ByteString
+ * @return the command APDU for the issuer script template
+ */
+ApplicationCryptogram.prototype.createScriptCommand = function(sk, cla, ins, p1, p2, data, atc, arqc) {
+	var bb = new ByteBuffer();
+	bb.append(cla);
+	bb.append(ins);
+	bb.append(p1);
+	bb.append(p2);
+	bb.append(data.length + 8);
+	var header = bb.toByteString();
+
+	return header.concat(data).concat(this.calculateScriptMAC(sk, header, data, atc, arqc));
+}
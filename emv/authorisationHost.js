@@ -0,0 +1,271 @@
+/**
+ *  ---------
+ * |.##> <##.|  Open Smart Card Development Platform (www.openscdp.org)
+ * |#       #|
+ * |#       #|  Copyright (c) 1999-2009 CardContact Software & System Consulting
+ * |'##> <##'|  Andreas Schwier, 32429 Minden, Germany (www.cardcontact.de)
+ *  ---------
+ *
+ *  This file is part of OpenSCDP.
+ *
+ *  OpenSCDP is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License version 2 as
+ *  published by the Free Software Foundation.
+ *
+ *  OpenSCDP is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with OpenSCDP; if not, write to the Free Software
+ *  Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA  02110-1301  USA
+ *
+ * @fileoverview Scripted authorisation host for online transactions
+ */
+
+
+
+/**
+ * Create an authorisation host
+ *
+ * <p>The host verifies the ARQC in an authorisation request with the ICC master key derived from the issuer
+ *    master key for application cryptograms, applies the approval rules and responds with the Authorisation
+ *    Response Code and the ARPC in the Issuer Authentication Data. Issuer script commands queued for a PAN
+ *    are returned with the next approved or declined authorisation for that PAN. The MAC of the commands is
+ *    calculated with the ICC master key derived from the issuer master key for secure messaging integrity.</p>
+ *
+ * <p>Authorisation request and response are encoded as a list of EMV data objects, as in the ICC system related
+ *    data of an ISO 8583 message. The response can be passed to EMV.onlineCompletion() or EMVTerminal.completion().</p>
+ *
+ * @class Class implementing a simple authorisation host for online transactions
+ * @constructor
+ * @requires EMV
+ * @requires ApplicationCryptogram
+ * @param {Crypto} crypto the crypto provider
+ * @param {Key} imkAC the issuer master key for application cryptograms
+ * @param {Key} imkSMI the issuer master key for secure messaging integrity (optional, required for issuer scripts)
+ */
+function AuthorisationHost(crypto, imkAC, imkSMI) {
+	this.crypto = crypto;
+	this.imkAC = imkAC;
+	this.imkSMI = imkSMI;
+
+	/** Highest amount approved in the minor unit of the transaction currency or -1 for no limit */
+	this.amountLimit = 100000;
+
+	this.blockedPANs = [];
+	this.scripts = [];
+	this.scriptCounter = 0;
+
+	/** Result of the last authorisation */
+	this.lastAuthorisation = null;
+}
+
+
+
+/** Authorisation Response Codes */
+AuthorisationHost.ARC_APPROVED = "00";
+AuthorisationHost.ARC_DECLINED = "05";
+AuthorisationHost.ARC_AMOUNT_LIMIT_EXCEEDED = "61";
+AuthorisationHost.ARC_RESTRICTED_CARD = "62";
+
+/** Data elements in the authorisation request in addition to the input of the cryptogram calculation */
+AuthorisationHost.REQUEST = [ 0x5A, 0x5F34, EMV.CID, EMV.AC, EMV.IAD ];
+
+
+
+/**
+ * Create the authorisation request for the transaction in the EMV object
+ *
+ * <p>The data elements are taken from the terminal and the card data elements in the same way as for a DOL.</p>
+ *
+ * @param {EMV} emv the EMV object after the first GENERATE AC
+ * @type ByteString
+ * @return the data objects of the authorisation request
+ */
+AuthorisationHost.createRequest = function(emv) {
+	var tags = AuthorisationHost.REQUEST.concat(ApplicationCryptogram.INPUT);
+	var bb = new ByteBuffer();
+	for (var i = 0; i < tags.length; i++) {
+		var value = emv.terminalDE[tags[i]];
+		if (typeof(value) == "undefined") {
+			value = emv.cardDE[tags[i]];
+		}
+		if (typeof(value) != "undefined") {
+			bb.append(new ASN1(tags[i], value).getBytes());
+		}
+	}
+	return bb.toByteString();
+}
+
+
+
+/**
+ * Add a PAN to the list of blocked PANs
+ *
+ * @param {ByteString} pan the Application Primary Account Number
+ */
+AuthorisationHost.prototype.addBlockedPAN = function(pan) {
+	this.blockedPANs.push(pan.toString(HEX));
+}
+
+
+
+/**
+ * Determine if a PAN is blocked
+ *
+ * @param {ByteString} pan the Application Primary Account Number
+ * @type boolean
+ * @return true if the PAN is in the list of blocked PANs
+ */
+AuthorisationHost.prototype.isBlockedPAN = function(pan) {
+	var str = pan.toString(HEX);
+	for (var i = 0; i < this.blockedPANs.length; i++) {
+		if (this.blockedPANs[i] == str) {
+			return true;
+		}
+	}
+	return false;
+}
+
+
+
+/**
+ * Queue an issuer script command for the next authorisation of a PAN
+ *
+ * <p>Commands queued for the same template are returned in one issuer script with a new Issuer Script Identifier.
+ *    The command uses CLA '84' and the MAC is appended when the response is created.</p>
+ *
+ * @param {ByteString} pan the Application Primary Account Number
+ * @param {Number} ins the instruction byte, e.g. EMV.INS_APPLICATION_BLOCK
+ * @param {Number} p1 the parameter byte P1
+ * @param {Number} p2 the parameter byte P2
+ * @param {ByteString} data the plain command data (optional)
+ * @param {Number} template EMV.ISSUER_SCRIPT1 to process the command before or EMV.ISSUER_SCRIPT2 after the
+ *        second GENERATE AC (optional, default EMV.ISSUER_SCRIPT2)
+ */
+AuthorisationHost.prototype.addIssuerScriptCommand = function(pan, ins, p1, p2, data, template) {
+	if (typeof(data) == "undefined") {
+		data = new ByteString("", HEX);
+	}
+	if (typeof(template) == "undefined") {
+		template = EMV.ISSUER_SCRIPT2;
+	}
+	if (!this.imkSMI) {
+		throw new GPError("AuthorisationHost", GPError.INVALID_KEY, 0, "Issuer master key for secure messaging integrity required for issuer scripts");
+	}
+
+	this.scripts.push({ pan: pan.toString(HEX), ins: ins, p1: p1, p2: p2, data: data, template: template });
+}
+
+
+
+/**
+ * Create the issuer scripts with the commands queued for a PAN and remove the commands from the queue
+ *
+ * @param {ByteString[]} de the data elements from the authorisation request indexed by tag
+ * @type ByteString
+ * @return the issuer script templates or an empty ByteString
+ */
+AuthorisationHost.prototype.createIssuerScripts = function(de) {
+	var pan = de[0x5A].toString(HEX);
+	var ac = new ApplicationCryptogram(this.crypto);
+	var mk = null;
+	var bb = new ByteBuffer();
+
+	var templates = [ EMV.ISSUER_SCRIPT1, EMV.ISSUER_SCRIPT2 ];
+	for (var i = 0; i < templates.length; i++) {
+		var script = null;
+		var pending = [];
+		for (var j = 0; j < this.scripts.length; j++) {
+			var cmd = this.scripts[j];
+			if ((cmd.pan != pan) || (cmd.template != templates[i])) {
+				pending.push(cmd);
+				continue;
+			}
+			if (script == null) {
+				if (mk == null) {
+					mk = ac.deriveICCMasterKey(this.imkSMI, de[0x5A], de[0x5F34]);
+					var sk = ac.deriveSMSessionKey(mk, de[EMV.AC]);
+				}
+				this.scriptCounter++;
+				script = new ASN1(templates[i], new ASN1(EMV.ISSUER_SCRIPT_ID, ByteString.valueOf(this.scriptCounter, 4)));
+			}
+			var command = ac.createScriptCommand(sk, 0x84, cmd.ins, cmd.p1, cmd.p2, cmd.data, de[EMV.ATC], de[EMV.AC]);
+			script.add(new ASN1(EMV.ISSUER_SCRIPT_COMMAND, command));
+		}
+		this.scripts = pending;
+		if (script != null) {
+			bb.append(script.getBytes());
+		}
+	}
+	return bb.toByteString();
+}
+
+
+
+/**
+ * Authorise a transaction
+ *
+ * <p>The ARQC is verified first and the transaction is declined with '05' if the verification fails. In this case
+ *    the response contains neither Issuer Authentication Data nor issuer scripts. Otherwise the transaction is
+ *    declined with '62' if the PAN is blocked and with '61' if the amount exceeds the amount limit. The ARPC is
+ *    calculated for the resulting Authorisation Response Code using ARPC method 1.</p>
+ *
+ * @param {ByteString} request the data objects of the authorisation request as created by AuthorisationHost.createRequest()
+ * @type ByteString
+ * @return the data objects of the authorisation response
+ */
+AuthorisationHost.prototype.authorise = function(request) {
+	var de = [];
+	var tl = new TLVList(request, TLV.EMV);
+	for (var i = 0; i < tl.length; i++) {
+		de[tl.index(i).getTag()] = tl.index(i).getValue();
+	}
+
+	var tags = AuthorisationHost.REQUEST.concat(ApplicationCryptogram.INPUT);
+	for (var i = 0; i < tags.length; i++) {
+		if ((typeof(de[tags[i]]) == "undefined") && (tags[i] != 0x5F34)) {
+			throw new GPError("AuthorisationHost", GPError.INVALID_DATA, tags[i], "Data element " + tags[i].toString(16) + " missing in authorisation request");
+		}
+	}
+
+	if ((de[EMV.CID].byteAt(0) & 0xC0) != EMV.ARQC) {
+		throw new GPError("AuthorisationHost", GPError.INVALID_DATA, 0, "Authorisation request does not contain an ARQC");
+	}
+
+	var ac = new ApplicationCryptogram(this.crypto);
+	var mk = ac.deriveICCMasterKey(this.imkAC, de[0x5A], de[0x5F34]);
+	var sk = ac.deriveACSessionKey(mk, de[EMV.ATC]);
+	var cvr = ApplicationCryptogram.getCVR(de[EMV.IAD]);
+	var valid = ac.calculateAC(sk, de, cvr).equals(de[EMV.AC]);
+
+	var amount = parseInt(de[0x9F02].toString(HEX), 10);
+
+	if (!valid) {
+		GPSystem.trace("ARQC verification failed");
+		var arc = AuthorisationHost.ARC_DECLINED;
+	} else if (this.isBlockedPAN(de[0x5A])) {
+		var arc = AuthorisationHost.ARC_RESTRICTED_CARD;
+	} else if ((this.amountLimit >= 0) && (amount > this.amountLimit)) {
+		var arc = AuthorisationHost.ARC_AMOUNT_LIMIT_EXCEEDED;
+	} else {
+		var arc = AuthorisationHost.ARC_APPROVED;
+	}
+
+	this.lastAuthorisation = { pan: de[0x5A], atc: de[EMV.ATC], amount: amount, cryptogramValid: valid, arc: arc };
+	GPSystem.trace("Authorisation of " + de[0x5A].toString(HEX) + " with ATC " + de[EMV.ATC].toString(HEX) + " and amount " + amount + " responds " + arc);
+
+	var arcbin = new ByteString(arc, ASCII);
+	var bb = new ByteBuffer();
+	bb.append(new ASN1(EMV.ARC, arcbin).getBytes());
+
+	if (valid) {
+		var arpc = ac.calculateARPC(sk, de[EMV.AC], arcbin);
+		bb.append(new ASN1(EMV.ISSUER_AUTHENTICATION_DATA, arpc.concat(arcbin)).getBytes());
+		bb.append(this.createIssuerScripts(de));
+	}
+
+	return bb.toByteString();
+}
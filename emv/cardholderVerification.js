@@ -0,0 +1,384 @@
+/**
+ *  ---------
+ * |.##> <##.|  Open Smart Card Development Platform (www.openscdp.org)
+ * |#       #|
+ * |#       #|  Copyright (c) 1999-2009 CardContact Software & System Consulting
+ * |'##> <##'|  Andreas Schwier, 32429 Minden, Germany (www.cardcontact.de)
+ *  ---------
+ *
+ *  This file is part of OpenSCDP.
+ *
+ *  OpenSCDP is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License version 2 as
+ *  published by the Free Software Foundation.
+ *
+ *  OpenSCDP is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with OpenSCDP; if not, write to the Free Software
+ *  Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA  02110-1301  USA
+ *
+ * @fileoverview Cardholder verification with CVM list processing and offline PIN verification
+ */
+
+
+
+/**
+ * Create an object for cardholder verification
+ *
+ * <p>The CVM list is processed rule by rule. The first rule with a satisfied condition is performed and
+ *    if it fails, processing continues with the next rule only if indicated in the CVM code. The PIN
+ *    entered by the cardholder is taken from the pin property, which is null if the cardholder bypasses
+ *    PIN entry.</p>
+ *
+ * <p>For enciphered offline PIN the ICC PIN Encipherment Public Key is used if the card provides a certificate
+ *    for it, otherwise the ICC Public Key. Both are recovered with the DataAuthentication object.</p>
+ *
+ * @class Class implementing cardholder verification
+ * @constructor
+ * @requires EMVTerminal
+ * @requires DataAuthentication
+ * @param {EMVTerminal} terminal the terminal keeping TVR and TSI
+ * @param {DataAuthentication} da the data authentication object with the scheme public keys (optional)
+ */
+function CardholderVerification(terminal, da) {
+	this.terminal = terminal;
+	this.emv = terminal.emv;
+	this.crypto = terminal.crypto;
+	this.da = da;
+
+	/** PIN entered by the cardholder or null if PIN entry was bypassed */
+	this.pin = null;
+}
+
+
+
+/** Cardholder Verification Method codes */
+CardholderVerification.FAIL_CVM = 0x00;
+CardholderVerification.PLAINTEXT_PIN = 0x01;
+CardholderVerification.ENCIPHERED_PIN_ONLINE = 0x02;
+CardholderVerification.PLAINTEXT_PIN_AND_SIGNATURE = 0x03;
+CardholderVerification.ENCIPHERED_PIN = 0x04;
+CardholderVerification.ENCIPHERED_PIN_AND_SIGNATURE = 0x05;
+CardholderVerification.SIGNATURE = 0x1E;
+CardholderVerification.NO_CVM_REQUIRED = 0x1F;
+CardholderVerification.NO_CVM_PERFORMED = 0x3F;
+
+/** Apply succeeding rule if this CVM is unsuccessful */
+CardholderVerification.APPLY_SUCCEEDING = 0x40;
+
+/** Instructions for offline PIN verification */
+CardholderVerification.INS_VERIFY = 0x20;
+CardholderVerification.INS_GET_CHALLENGE = 0x84;
+
+/** Result in byte 3 of the CVM Results */
+CardholderVerification.RESULT_UNKNOWN = 0x00;
+CardholderVerification.RESULT_FAILED = 0x01;
+CardholderVerification.RESULT_SUCCESSFUL = 0x02;
+
+
+
+/**
+ * Encode a PIN as ISO 9564 format 2 PIN block
+ *
+ * @param {String} pin the PIN with 4 to 12 digits
+ * @type ByteString
+ * @return the 8 byte PIN block
+ */
+CardholderVerification.encodePINBlock = function(pin) {
+	if ((pin.length < 4) || (pin.length > 12)) {
+		throw new GPError("CardholderVerification", GPError.INVALID_DATA, pin.length, "PIN must have 4 to 12 digits");
+	}
+	var s = "2" + pin.length.toString(16) + pin;
+	while (s.length < 16) {
+		s += "F";
+	}
+	return new ByteString(s, HEX);
+}
+
+
+
+/**
+ * Determine if the terminal supports a CVM according to byte 2 of the Terminal Capabilities
+ *
+ * @param {Number} cvm the CVM code without the flag in b7
+ * @type boolean
+ * @return true if the CVM is supported
+ */
+CardholderVerification.prototype.isSupported = function(cvm) {
+	var caps = this.emv.terminalDE[0x9F33].byteAt(1);
+
+	switch(cvm) {
+	case CardholderVerification.FAIL_CVM:
+		return true;
+	case CardholderVerification.PLAINTEXT_PIN:
+		return (caps & 0x80) != 0;
+	case CardholderVerification.ENCIPHERED_PIN_ONLINE:
+		return (caps & 0x40) != 0;
+	case CardholderVerification.PLAINTEXT_PIN_AND_SIGNATURE:
+		return (caps & 0xA0) == 0xA0;
+	case CardholderVerification.ENCIPHERED_PIN:
+		return (caps & 0x10) != 0;
+	case CardholderVerification.ENCIPHERED_PIN_AND_SIGNATURE:
+		return (caps & 0x30) == 0x30;
+	case CardholderVerification.SIGNATURE:
+		return (caps & 0x20) != 0;
+	case CardholderVerification.NO_CVM_REQUIRED:
+		return (caps & 0x08) != 0;
+	}
+	return false;
+}
+
+
+
+/**
+ * Determine if the condition of a CVM rule is satisfied
+ *
+ * <p>Amounts X and Y are only compared if the transaction is in the application currency.
+ *    Unknown conditions are not satisfied.</p>
+ *
+ * @param {Number} cvm the CVM code without the flag in b7
+ * @param {Number} condition the CVM condition code
+ * @param {Number} x the amount X of the CVM list
+ * @param {Number} y the amount Y of the CVM list
+ * @type boolean
+ * @return true if the condition is satisfied
+ */
+CardholderVerification.prototype.isConditionSatisfied = function(cvm, condition, x, y) {
+	var terminalDE = this.emv.terminalDE;
+	var tt = terminalDE[0x9F35].byteAt(0) & 0x0F;
+	var unattended = (tt >= 4) && (tt <= 6);
+	var type = terminalDE[0x9C].byteAt(0);
+	var cash = (type == 0x01);
+	var cashback = (type == 0x09);
+
+	var currency = this.emv.cardDE[0x9F42];
+	var sameCurrency = (typeof(currency) != "undefined") && currency.equals(terminalDE[0x5F2A]);
+	var amount = this.terminal.getAmount();
+
+	switch(condition) {
+	case 0x00:
+		return true;
+	case 0x01:
+		return unattended && cash;
+	case 0x02:
+		return !cash && !cashback;
+	case 0x03:
+		return this.isSupported(cvm);
+	case 0x04:
+		return !unattended && cash;
+	case 0x05:
+		return cashback;
+	case 0x06:
+		return sameCurrency && (amount < x);
+	case 0x07:
+		return sameCurrency && (amount > x);
+	case 0x08:
+		return sameCurrency && (amount < y);
+	case 0x09:
+		return sameCurrency && (amount > y);
+	}
+	return false;
+}
+
+
+
+/**
+ * Return the public key for PIN encipherment
+ *
+ * @type Key
+ * @return the ICC PIN Encipherment Public Key, the ICC Public Key or null if no key could be recovered
+ */
+CardholderVerification.prototype.getPINEnciphermentKey = function() {
+	if (!this.da) {
+		return null;
+	}
+
+	var cardDE = this.emv.cardDE;
+	var key = new Key();
+	key.setType(Key.PUBLIC);
+
+	try	{
+		var issuerPublicKeyModulus = this.da.retrieveIssuerPublicKey();
+		if (typeof(cardDE[0x9F2D]) != "undefined") {
+			key.setComponent(Key.MODULUS, this.da.retrieveICCPINEnciphermentPublicKey(issuerPublicKeyModulus));
+			key.setComponent(Key.EXPONENT, cardDE[0x9F2E]);
+		} else {
+			key.setComponent(Key.MODULUS, this.da.retrieveICCPublicKey(issuerPublicKeyModulus));
+			key.setComponent(Key.EXPONENT, cardDE[0x9F47]);
+		}
+	}
+	catch(e) {
+		GPSystem.trace(e);
+		return null;
+	}
+	return key;
+}
+
+
+
+/**
+ * Perform offline PIN verification with VERIFY
+ *
+ * @param {boolean} enciphered true for enciphered PIN, false for plaintext PIN
+ * @type boolean
+ * @return true if the PIN was verified successfully
+ */
+CardholderVerification.prototype.verifyOfflinePIN = function(enciphered) {
+	var ptc = this.emv.getData(EMV.PTC);
+	if ((ptc != null) && (ptc.toUnsigned() == 0)) {
+		this.terminal.setTVR(EMVTerminal.TVR_PIN_TRY_LIMIT_EXCEEDED);
+		return false;
+	}
+
+	if (this.pin == null) {
+		this.terminal.setTVR(EMVTerminal.TVR_PIN_NOT_ENTERED);
+		return false;
+	}
+
+	var pinBlock = CardholderVerification.encodePINBlock(this.pin);
+
+	if (enciphered) {
+		var key = this.getPINEnciphermentKey();
+		if (key == null) {
+			this.emv.log("No key for PIN encipherment available");
+			return false;
+		}
+		var challenge = this.emv.card.sendApdu(0x00, CardholderVerification.INS_GET_CHALLENGE, 0x00, 0x00, 0x00, [0x9000]);
+		var modulus = key.getComponent(Key.MODULUS);
+
+		var data = new ByteString("7F", HEX).concat(pinBlock).concat(challenge).concat(this.crypto.generateRandom(modulus.length - 17));
+		var cryptogram = this.crypto.encrypt(key, Crypto.RSA, data);
+		this.emv.card.sendApdu(0x00, CardholderVerification.INS_VERIFY, 0x00, 0x88, cryptogram);
+	} else {
+		this.emv.card.sendApdu(0x00, CardholderVerification.INS_VERIFY, 0x00, 0x80, pinBlock);
+	}
+
+	var sw = this.emv.card.SW;
+	if (sw == 0x9000) {
+		return true;
+	}
+
+	this.emv.log("VERIFY failed with SW " + sw.toString(16));
+	if ((sw == 0x63C0) || (sw == 0x6983) || (sw == 0x6984)) {
+		this.terminal.setTVR(EMVTerminal.TVR_PIN_TRY_LIMIT_EXCEEDED);
+	}
+	return false;
+}
+
+
+
+/**
+ * Perform a Cardholder Verification Method
+ *
+ * @param {Number} cvm the CVM code without the flag in b7
+ * @type Number
+ * @return the result for the CVM Results, one of CardholderVerification.RESULT_UNKNOWN, RESULT_FAILED or RESULT_SUCCESSFUL
+ */
+CardholderVerification.prototype.performCVM = function(cvm) {
+	switch(cvm) {
+	case CardholderVerification.FAIL_CVM:
+		return CardholderVerification.RESULT_FAILED;
+	case CardholderVerification.PLAINTEXT_PIN:
+	case CardholderVerification.PLAINTEXT_PIN_AND_SIGNATURE:
+	case CardholderVerification.ENCIPHERED_PIN:
+	case CardholderVerification.ENCIPHERED_PIN_AND_SIGNATURE:
+		if (!this.isSupported(cvm)) {
+			this.terminal.setTVR(EMVTerminal.TVR_PIN_PAD_NOT_PRESENT);
+			return CardholderVerification.RESULT_FAILED;
+		}
+		var enciphered = (cvm == CardholderVerification.ENCIPHERED_PIN) || (cvm == CardholderVerification.ENCIPHERED_PIN_AND_SIGNATURE);
+		if (!this.verifyOfflinePIN(enciphered)) {
+			return CardholderVerification.RESULT_FAILED;
+		}
+		// Signature is still required
+		return (cvm == CardholderVerification.PLAINTEXT_PIN) || (cvm == CardholderVerification.ENCIPHERED_PIN) ?
+					CardholderVerification.RESULT_SUCCESSFUL : CardholderVerification.RESULT_UNKNOWN;
+	case CardholderVerification.ENCIPHERED_PIN_ONLINE:
+		if (!this.isSupported(cvm)) {
+			this.terminal.setTVR(EMVTerminal.TVR_PIN_PAD_NOT_PRESENT);
+			return CardholderVerification.RESULT_FAILED;
+		}
+		if (this.pin == null) {
+			this.terminal.setTVR(EMVTerminal.TVR_PIN_NOT_ENTERED);
+			return CardholderVerification.RESULT_FAILED;
+		}
+		this.terminal.setTVR(EMVTerminal.TVR_ONLINE_PIN_ENTERED);
+		return CardholderVerification.RESULT_UNKNOWN;
+	case CardholderVerification.SIGNATURE:
+		return this.isSupported(cvm) ? CardholderVerification.RESULT_UNKNOWN : CardholderVerification.RESULT_FAILED;
+	case CardholderVerification.NO_CVM_REQUIRED:
+		return this.isSupported(cvm) ? CardholderVerification.RESULT_SUCCESSFUL : CardholderVerification.RESULT_FAILED;
+	}
+
+	this.terminal.setTVR(EMVTerminal.TVR_UNRECOGNISED_CVM);
+	return CardholderVerification.RESULT_FAILED;
+}
+
+
+
+/**
+ * Process the CVM list and set CVM Results, TVR and TSI
+ *
+ * <p>Cardholder verification is only performed if supported according to the Application Interchange Profile.</p>
+ *
+ * @type ByteString
+ * @return the 3 byte CVM Results
+ */
+CardholderVerification.prototype.process = function() {
+	var results = ByteString.valueOf(CardholderVerification.NO_CVM_PERFORMED << 16, 3);
+
+	if (!(this.emv.cardDE[EMV.AIP].byteAt(0) & 0x10)) {
+		this.emv.log("Cardholder verification not supported by card");
+		this.emv.terminalDE[EMV.CVMRESULTS] = results;
+		return results;
+	}
+
+	this.terminal.setTSI(EMVTerminal.TSI_CVM_PERFORMED);
+
+	var list = this.emv.cardDE[EMV.CVMLIST];
+	if ((typeof(list) == "undefined") || (list.length < 10)) {
+		this.terminal.setTVR(EMVTerminal.TVR_ICC_DATA_MISSING);
+		this.emv.terminalDE[EMV.CVMRESULTS] = results;
+		return results;
+	}
+
+	var x = list.bytes(0, 4).toUnsigned();
+	var y = list.bytes(4, 4).toUnsigned();
+	var success = false;
+
+	for (var i = 8; i + 1 < list.length; i += 2) {
+		var code = list.byteAt(i);
+		var condition = list.byteAt(i + 1);
+		var cvm = code & 0x3F;
+
+		if (!this.isConditionSatisfied(cvm, condition, x, y)) {
+			continue;
+		}
+
+		var result = this.performCVM(cvm);
+		results = ByteString.valueOf((code << 16) | (condition << 8) | result, 3);
+		this.emv.log("CVM " + cvm.toString(16) + " with condition " + condition.toString(16) + " returned " + result);
+
+		if (result != CardholderVerification.RESULT_FAILED) {
+			success = true;
+			break;
+		}
+		if (!(code & CardholderVerification.APPLY_SUCCEEDING)) {
+			break;
+		}
+	}
+
+	if (!success) {
+		this.terminal.setTVR(EMVTerminal.TVR_CVM_NOT_SUCCESSFUL);
+		if (results.byteAt(0) == CardholderVerification.NO_CVM_PERFORMED) {
+			results = ByteString.valueOf((CardholderVerification.NO_CVM_PERFORMED << 16) | CardholderVerification.RESULT_FAILED, 3);
+		}
+	}
+
+	this.emv.terminalDE[EMV.CVMRESULTS] = results;
+	return results;
+}
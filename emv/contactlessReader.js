@@ -0,0 +1,464 @@
+/**
+ *  ---------
+ * |.##> <##.|  Open Smart Card Development Platform (www.openscdp.org)
+ * |#       #|
+ * |#       #|  Copyright (c) 1999-2009 CardContact Software & System Consulting
+ * |'##> <##'|  Andreas Schwier, 32429 Minden, Germany (www.cardcontact.de)
+ *  ---------
+ *
+ *  This file is part of OpenSCDP.
+ *
+ *  OpenSCDP is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License version 2 as
+ *  published by the Free Software Foundation.
+ *
+ *  OpenSCDP is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with OpenSCDP; if not, write to the Free Software
+ *  Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA  02110-1301  USA
+ *
+ * @fileoverview Contactless transaction path with entry point, reader limits and a fast DDA kernel
+ */
+
+
+
+/**
+ * Create a contactless reader for transactions with the card in the EMV object
+ *
+ * <p>The reader performs pre-processing against the reader limits, builds the candidate list from the
+ *    PPSE and activates the kernel for the first candidate. The kernel requests the cryptogram in
+ *    GET PROCESSING OPTIONS with the Terminal Transaction Qualifiers in the PDOL and verifies the Signed
+ *    Dynamic Application Data returned with a TC (fast DDA). The same kernel processing is used for all
+ *    supported kernel identifiers.</p>
+ *
+ * <p>The reader limits are public properties in the minor unit of the transaction currency.</p>
+ *
+ * @class Class implementing a contactless reader with entry point and kernel processing
+ * @constructor
+ * @requires EMV
+ * @requires EMVTerminal
+ * @requires DataAuthentication
+ * @param {EMV} emv an instance of the EMV class
+ */
+function ContactlessReader(emv) {
+	this.emv = emv;
+	this.crypto = emv.crypto;
+
+	/** Reader Contactless Floor Limit */
+	this.floorLimit = 5000;
+	/** Reader CVM Required Limit */
+	this.cvmRequiredLimit = 2500;
+	/** Reader Contactless Transaction Limit */
+	this.transactionLimit = 10000;
+	/** Reader is able to go online */
+	this.onlineCapable = true;
+	/** Cardholder verification methods supported by the reader */
+	this.onlinePINSupported = true;
+	this.signatureSupported = true;
+
+	this.combinations = [];
+	for (var i = 0; i < EMV.AIDLIST.length; i++) {
+		var aid = new ByteString(EMV.AIDLIST[i].aid, HEX);
+		this.addCombination(aid, ContactlessReader.getDefaultKernelID(aid), EMV.AIDLIST[i].partial);
+	}
+
+	this.candidates = [];
+	this.outcome = null;
+}
+
+
+
+/** Kernel identifiers */
+ContactlessReader.KERNEL_MASTERCARD = 2;
+ContactlessReader.KERNEL_VISA = 3;
+ContactlessReader.KERNEL_AMEX = 4;
+ContactlessReader.KERNEL_JCB = 5;
+ContactlessReader.KERNEL_DISCOVER = 6;
+ContactlessReader.KERNEL_UNIONPAY = 7;
+
+/** Default kernel by Registered Application Provider Identifier if the PPSE does not contain a kernel identifier */
+ContactlessReader.DEFAULT_KERNELS = [
+	{ rid: "A000000004", kernel: ContactlessReader.KERNEL_MASTERCARD },
+	{ rid: "A000000003", kernel: ContactlessReader.KERNEL_VISA },
+	{ rid: "A000000025", kernel: ContactlessReader.KERNEL_AMEX },
+	{ rid: "A000000065", kernel: ContactlessReader.KERNEL_JCB },
+	{ rid: "A000000152", kernel: ContactlessReader.KERNEL_DISCOVER },
+	{ rid: "A000000333", kernel: ContactlessReader.KERNEL_UNIONPAY }
+];
+
+/** Outcome status */
+ContactlessReader.APPROVED = 1;
+ContactlessReader.DECLINED = 2;
+ContactlessReader.ONLINE_REQUEST = 3;
+ContactlessReader.TRY_ANOTHER_INTERFACE = 4;
+ContactlessReader.END_APPLICATION = 5;
+
+/** Cardholder verification method in the outcome */
+ContactlessReader.CVM_NA = 0;
+ContactlessReader.CVM_NO_CVM = 1;
+ContactlessReader.CVM_SIGNATURE = 2;
+ContactlessReader.CVM_ONLINE_PIN = 3;
+
+ContactlessReader.STATUS_NAMES = [ "N/A", "Approved", "Declined", "Online Request", "Try Another Interface", "End Application" ];
+ContactlessReader.CVM_NAMES = [ "N/A", "No CVM", "Obtain Signature", "Online PIN" ];
+
+/** Card Transaction Qualifiers, byte 1 */
+ContactlessReader.CTQ_ONLINE_PIN_REQUIRED = 0x80;
+ContactlessReader.CTQ_SIGNATURE_REQUIRED = 0x40;
+ContactlessReader.CTQ_ONLINE_IF_ODA_FAILS = 0x20;
+
+
+
+/**
+ * Return the default kernel identifier for an AID
+ *
+ * @param {ByteString} aid the Application Identifier
+ * @type Number
+ * @return the kernel identifier or 0 if the RID is unknown
+ */
+ContactlessReader.getDefaultKernelID = function(aid) {
+	for (var i = 0; i < ContactlessReader.DEFAULT_KERNELS.length; i++) {
+		var e = ContactlessReader.DEFAULT_KERNELS[i];
+		if (aid.left(5).equals(new ByteString(e.rid, HEX))) {
+			return e.kernel;
+		}
+	}
+	return 0;
+}
+
+
+
+/**
+ * Convert an outcome into a human readable string
+ *
+ * @param {Object} outcome the outcome returned by process()
+ * @type String
+ * @return the outcome as string
+ */
+ContactlessReader.outcomeToString = function(outcome) {
+	var str = ContactlessReader.STATUS_NAMES[outcome.status] + ", CVM " + ContactlessReader.CVM_NAMES[outcome.cvm];
+	if (outcome.aid) {
+		str += ", AID " + outcome.aid.toString(HEX) + ", kernel " + outcome.kernel;
+	}
+	if (outcome.fdda != null) {
+		str += ", fast DDA " + (outcome.fdda ? "successful" : "failed");
+	}
+	return str;
+}
+
+
+
+/**
+ * Add a combination of AID and kernel supported by the reader
+ *
+ * @param {ByteString} aid the Application Identifier
+ * @param {Number} kernel the kernel identifier
+ * @param {boolean} partial true if the AID in the PPSE may be longer than the AID of the combination (optional)
+ */
+ContactlessReader.prototype.addCombination = function(aid, kernel, partial) {
+	this.combinations.push({ aid: aid, kernel: kernel, partial: partial ? true : false });
+}
+
+
+
+/**
+ * Set the amounts and the transaction type
+ *
+ * @param {Number} amount the authorised amount
+ * @param {Number} otherAmount the cashback amount (optional, default 0)
+ * @param {Number} type the transaction type (optional, default '00')
+ */
+ContactlessReader.prototype.setAmount = function(amount, otherAmount, type) {
+	this.emv.terminalDE[0x9F02] = EMVTerminal.encodeAmount(amount);
+	this.emv.terminalDE[0x9F03] = EMVTerminal.encodeAmount(otherAmount ? otherAmount : 0);
+	this.emv.terminalDE[0x9C] = ByteString.valueOf(type ? type : 0x00);
+}
+
+
+
+/**
+ * Compare the amount with the reader limits and set the Terminal Transaction Qualifiers
+ *
+ * @param {Number} amount the authorised amount
+ * @type Object
+ * @return the indicators notAllowed, floorLimitExceeded, cvmRequired and zeroAmount
+ */
+ContactlessReader.prototype.preProcessing = function(amount) {
+	var indicators = {
+		notAllowed: amount >= this.transactionLimit,
+		floorLimitExceeded: amount > this.floorLimit,
+		cvmRequired: amount >= this.cvmRequiredLimit,
+		zeroAmount: amount == 0
+	};
+
+	// EMV mode, supported CVMs and offline-only reader
+	var b1 = 0x20;
+	if (this.onlinePINSupported) {
+		b1 |= 0x04;
+	}
+	if (this.signatureSupported) {
+		b1 |= 0x02;
+	}
+	if (!this.onlineCapable) {
+		b1 |= 0x08;
+	}
+
+	// Online cryptogram required and CVM required
+	var b2 = 0x00;
+	if (indicators.floorLimitExceeded || indicators.zeroAmount) {
+		b2 |= 0x80;
+	}
+	if (indicators.cvmRequired) {
+		b2 |= 0x40;
+	}
+
+	// Fast DDA version 01 supported in byte 4
+	this.emv.terminalDE[EMV.TTQ] = ByteString.valueOf((b1 << 24) | (b2 << 16) | 0x80, 4);
+	return indicators;
+}
+
+
+
+/**
+ * Select the PPSE and build the candidate list from the directory entries matching a supported combination
+ *
+ * <p>Candidates with an Application Priority Indicator are ordered by priority, followed by candidates without
+ *    priority in the order of the directory. Entries with a domestic kernel identifier are ignored.</p>
+ *
+ * @type Object[]
+ * @return the candidate list with entries containing aid, label, priority and kernel
+ */
+ContactlessReader.prototype.buildCandidateList = function() {
+	this.candidates = [];
+
+	this.emv.selectPSE(true);
+	var pse = this.emv.getPSE();
+	if (pse == null) {
+		this.emv.log("No PPSE found");
+		return this.candidates;
+	}
+
+	for (var i = 0; i < pse.length; i++) {
+		var t = pse[i].find(EMV.AID);
+		if (!t) {
+			continue;
+		}
+		var aid = t.getValue();
+
+		var t = pse[i].find(EMV.LABEL);
+		var label = t ? t.getValue().toString(ASCII) : "";
+
+		var t = pse[i].find(EMV.PRIORITY);
+		var priority = t ? t.getValue().toUnsigned() & 0x0F : 0;
+
+		var kernel = 0;
+		var t = pse[i].find(EMV.KERNEL_ID);
+		if (t && (t.getValue().length > 0)) {
+			var b = t.getValue().byteAt(0);
+			// b8b7 of byte 1 is '00' for international kernels, '01' is reserved for EMVCo, '10' and '11' are domestic kernels
+			if (b & 0x80) {
+				this.emv.log("Ignoring " + aid.toString(HEX) + " with domestic kernel identifier");
+				continue;
+			}
+			kernel = b;
+		}
+		if (kernel == 0) {
+			kernel = ContactlessReader.getDefaultKernelID(aid);
+		}
+
+		for (var j = 0; j < this.combinations.length; j++) {
+			var c = this.combinations[j];
+			var match = c.partial ? (aid.length >= c.aid.length) && aid.left(c.aid.length).equals(c.aid) : aid.equals(c.aid);
+			if (match && (c.kernel == kernel)) {
+				this.candidates.push({ aid: aid, label: label, priority: priority, kernel: kernel, order: i });
+				break;
+			}
+		}
+	}
+
+	this.candidates.sort(function(a, b) {
+		var pa = a.priority ? a.priority : 0x10;
+		var pb = b.priority ? b.priority : 0x10;
+		return pa != pb ? pa - pb : a.order - b.order;
+	});
+
+	for (var i = 0; i < this.candidates.length; i++) {
+		var c = this.candidates[i];
+		this.emv.log("Candidate " + c.aid.toString(HEX) + " " + c.label + " priority " + c.priority + " kernel " + c.kernel);
+	}
+	return this.candidates;
+}
+
+
+
+/**
+ * Perform fast DDA with the Signed Dynamic Application Data returned by GET PROCESSING OPTIONS
+ *
+ * @param {DataAuthentication} da the data authentication object with the scheme public keys
+ * @type boolean
+ * @return true if the signature was verified successfully
+ */
+ContactlessReader.prototype.fastDDA = function(da) {
+	try	{
+		var issuerPublicKeyModulus = da.retrieveIssuerPublicKey();
+		var iccPublicKeyModulus = da.retrieveICCPublicKey(issuerPublicKeyModulus);
+		da.verifyFastDDA(iccPublicKeyModulus);
+	}
+	catch(e) {
+		GPSystem.trace(e);
+		return false;
+	}
+	return true;
+}
+
+
+
+/**
+ * Determine the CVM from the Card Transaction Qualifiers
+ *
+ * @param {Object} indicators the indicators from pre-processing
+ * @param {ByteString} ctq the Card Transaction Qualifiers or undefined
+ * @type Number
+ * @return the CVM or ContactlessReader.CVM_NA if a CVM is required but none is supported by reader and card
+ */
+ContactlessReader.prototype.selectCVM = function(indicators, ctq) {
+	if (!indicators.cvmRequired) {
+		return ContactlessReader.CVM_NO_CVM;
+	}
+
+	var b1 = (typeof(ctq) == "undefined") ? ContactlessReader.CTQ_SIGNATURE_REQUIRED : ctq.byteAt(0);
+	if ((b1 & ContactlessReader.CTQ_ONLINE_PIN_REQUIRED) && this.onlinePINSupported && this.onlineCapable) {
+		return ContactlessReader.CVM_ONLINE_PIN;
+	}
+	if ((b1 & ContactlessReader.CTQ_SIGNATURE_REQUIRED) && this.signatureSupported) {
+		return ContactlessReader.CVM_SIGNATURE;
+	}
+	return ContactlessReader.CVM_NA;
+}
+
+
+
+/**
+ * Activate the kernel for a candidate
+ *
+ * <p>The card returns the cryptogram in the response to GET PROCESSING OPTIONS. A TC is only approved offline
+ *    if fast DDA succeeds. If fast DDA fails, the transaction is sent online if requested by the card in the
+ *    Card Transaction Qualifiers.</p>
+ *
+ * @param {Object} candidate the entry from the candidate list
+ * @param {Object} indicators the indicators from pre-processing
+ * @param {DataAuthentication} da the data authentication object or null to skip fast DDA
+ * @type Object
+ * @return the outcome or null if the next candidate shall be selected
+ */
+ContactlessReader.prototype.kernelProcessing = function(candidate, indicators, da) {
+	var emv = this.emv;
+
+	try	{
+		emv.selectADF(candidate.aid);
+	}
+	catch(e) {
+		emv.log("Could not select " + candidate.aid.toString(HEX) + ", selecting next candidate");
+		return null;
+	}
+	if (typeof(emv.cardDE[EMV.PDOL]) == "undefined") {
+		emv.log("Card does not provide a PDOL");
+		return null;
+	}
+
+	emv.terminalDE[EMV.UN] = this.crypto.generateRandom(4);
+
+	try	{
+		emv.initApplProc();
+	}
+	catch(e) {
+		if (emv.card.SW == 0x6985) {
+			emv.log("GET PROCESSING OPTIONS returned 6985, selecting next candidate");
+			return null;
+		}
+		throw e;
+	}
+
+	var outcome = { status: ContactlessReader.DECLINED, cvm: ContactlessReader.CVM_NA, aid: candidate.aid, kernel: candidate.kernel, fdda: null };
+
+	var cid = emv.cardDE[EMV.CID];
+	if (typeof(cid) == "undefined") {
+		throw new GPError("ContactlessReader", GPError.INVALID_DATA, 0, "GET PROCESSING OPTIONS response does not contain a cryptogram");
+	}
+	outcome.cid = cid.byteAt(0) & 0xC0;
+
+	// Records may contain a proprietary data element with the same tag
+	var ctq = emv.cardDE[EMV.CTQ];
+	emv.readApplData();
+	if (typeof(ctq) != "undefined") {
+		emv.cardDE[EMV.CTQ] = ctq;
+	}
+
+	if (outcome.cid == EMV.AAC) {
+		return outcome;
+	}
+
+	outcome.cvm = this.selectCVM(indicators, ctq);
+	if (outcome.cvm == ContactlessReader.CVM_NA) {
+		emv.log("No common CVM");
+		return outcome;
+	}
+
+	if (outcome.cid == EMV.ARQC) {
+		outcome.status = this.onlineCapable ? ContactlessReader.ONLINE_REQUEST : ContactlessReader.DECLINED;
+		return outcome;
+	}
+
+	if ((emv.cardDE[EMV.AIP].byteAt(0) & 0x20) && da) {
+		outcome.fdda = this.fastDDA(da);
+	} else {
+		outcome.fdda = false;
+	}
+
+	if (outcome.fdda && (outcome.cvm != ContactlessReader.CVM_ONLINE_PIN)) {
+		outcome.status = ContactlessReader.APPROVED;
+	} else if ((typeof(ctq) != "undefined") && (ctq.byteAt(0) & ContactlessReader.CTQ_ONLINE_IF_ODA_FAILS) && this.onlineCapable) {
+		outcome.status = ContactlessReader.ONLINE_REQUEST;
+	}
+	return outcome;
+}
+
+
+
+/**
+ * Process a contactless transaction
+ *
+ * @param {Number} amount the authorised amount
+ * @param {DataAuthentication} da the data authentication object with the scheme public keys or null to skip fast DDA
+ * @type Object
+ * @return the outcome with properties status, cvm, aid, kernel, cid and fdda
+ */
+ContactlessReader.prototype.process = function(amount, da) {
+	this.setAmount(amount);
+	var indicators = this.preProcessing(amount);
+
+	var outcome = null;
+	if (indicators.notAllowed) {
+		this.emv.log("Contactless transaction limit exceeded");
+		outcome = { status: ContactlessReader.TRY_ANOTHER_INTERFACE, cvm: ContactlessReader.CVM_NA, fdda: null };
+	} else {
+		var candidates = this.buildCandidateList();
+		for (var i = 0; (i < candidates.length) && (outcome == null); i++) {
+			outcome = this.kernelProcessing(candidates[i], indicators, da);
+		}
+		if (outcome == null) {
+			outcome = { status: ContactlessReader.END_APPLICATION, cvm: ContactlessReader.CVM_NA, fdda: null };
+		}
+	}
+
+	var cvmResults = [ "3F0000", "1F0002", "1E0000", "020000" ];
+	this.emv.terminalDE[EMV.CVMRESULTS] = new ByteString(cvmResults[outcome.cvm], HEX);
+
+	this.outcome = outcome;
+	this.emv.log("Outcome: " + ContactlessReader.outcomeToString(outcome));
+	return outcome;
+}
@@ -100,7 +100,7 @@ DataAuthentication.prototype.getSchemePublicKey = function() {
 DataAuthentication.prototype.decryptIssuerPKCertificate = function() {
 	var certificate = this.emv.cardDE[0x90];
 	var key = this.getSchemePublicKey();
-	var decryptedCertificate = crypto.decrypt(key, Crypto.RSA, certificate);
+	var decryptedCertificate = this.crypto.decrypt(key, Crypto.RSA, certificate);
 	return(decryptedCertificate);
 }
 
@@ -130,7 +130,11 @@ DataAuthentication.prototype.retrieveIssuerPublicKey = function() {
 	// Step 5: Concatenation
 	var list;
 	list = cert.bytes(1, 14 + (modulus.length - 36));
+	// The remainder is only present if the issuer public key does not fit into the certificate
 	var remainder = this.emv.cardDE[0x92];
+	if (typeof(remainder) == "undefined") {
+		remainder = new ByteString("", HEX);
+	}
 	var exponent = this.emv.cardDE[0x9F32];
 	var remex = remainder.concat(exponent);
 	
@@ -188,7 +192,7 @@ DataAuthentication.prototype.verifySSAD = function(issuerPublicKeyModulus) {
 	assert(SSAD.length == issuerPublicKeyModulus.length);
 
 	// Step 2: The Recovered Data Trailer is equal to 'BC'
-	var decryptedSSAD = crypto.decrypt(key, Crypto.RSA, SSAD);
+	var decryptedSSAD = this.crypto.decrypt(key, Crypto.RSA, SSAD);
 	assert(decryptedSSAD.byteAt(decryptedSSAD.length -1) == 0xBC);
 
 	// Step 3: The Recovered Data Header is equal to '6A'
@@ -202,7 +206,7 @@ DataAuthentication.prototype.verifySSAD = function(issuerPublicKeyModulus) {
 	var daInput = this.emv.getDAInput();
 	var sdaTagList = this.emv.cardDE[0x9F4A];
 	var value = new ByteBuffer();
-	if(typeof(sdaTagList != "undefined")) {
+	if(typeof(sdaTagList) != "undefined") {
 		for(var i = 0; i < sdaTagList.length; i++) {
 			var tag = sdaTagList.byteAt(i);			
 			value = value.append(this.emv.cardDE[tag]);
@@ -245,7 +249,7 @@ DataAuthentication.prototype.retrieveICCPublicKey = function(issuerPublicKeyModu
 	assert(iccCert.length == issuerPublicKeyModulus.length);
 
 	// Step 2: The Recovered Data Trailer is equal to 'BC'
-	var decryptedICC = crypto.decrypt(key, Crypto.RSA, iccCert);
+	var decryptedICC = this.crypto.decrypt(key, Crypto.RSA, iccCert);
 	assert(decryptedICC.byteAt(decryptedICC.length - 1) == 0xBC);
 	
 	// Step 3: The Recovered Data Header is equal to '6A'	
@@ -257,6 +261,9 @@ DataAuthentication.prototype.retrieveICCPublicKey = function(issuerPublicKeyModu
 	// Step 5: Concatenation
 	var list = decryptedICC.bytes(1, (decryptedICC.length - 22));
 	var remainder = this.emv.cardDE[0x9F48];
+	if (typeof(remainder) == "undefined") {
+		remainder = new ByteString("", HEX);
+	}
 	var exponent = this.emv.cardDE[0x9F47];
 	var remex = remainder.concat(exponent);
 	list = list.concat(remex);	
@@ -264,7 +271,7 @@ DataAuthentication.prototype.retrieveICCPublicKey = function(issuerPublicKeyModu
 	list = list.concat(daInput);
 
 	var sdaTagList = this.emv.cardDE[0x9F4A];
-	if(typeof(sdaTagList != "undefined")) {
+	if(typeof(sdaTagList) != "undefined") {
 		var value = new ByteBuffer();
 		for(var i = 0; i < sdaTagList.length; i++) {
 			var tag = sdaTagList.byteAt(i);			
@@ -309,6 +316,47 @@ DataAuthentication.prototype.retrieveICCPublicKey = function(issuerPublicKeyModu
 	return(iccPublicKeyModulus)
 }	
 
+/**
+ * Retrieval of ICC PIN Encipherment Public Key.
+ * The certificate has the same format as the ICC Public Key Certificate, but the static data to be
+ * authenticated is not included in the hash.
+ *
+ * @param {ByteString} issuerPublicKeyModulus the Issuer Public Key Modulus
+ * @type ByteString
+ * @return the ICC PIN Encipherment Public Key Modulus
+*/
+DataAuthentication.prototype.retrieveICCPINEnciphermentPublicKey = function(issuerPublicKeyModulus) {
+	var key = new Key();
+	key.setType(Key.PUBLIC);
+	key.setComponent(Key.MODULUS, issuerPublicKeyModulus);
+	key.setComponent(Key.EXPONENT, this.emv.cardDE[0x9F32]);
+	var pinCert = this.emv.cardDE[0x9F2D];
+
+	// Step 1: ICC PIN Encipherment Public Key Certificate and Issuer Public Key Modulus have the same length
+	assert(pinCert.length == issuerPublicKeyModulus.length);
+
+	// Step 2 to 4: Recovered Data Trailer 'BC', Recovered Data Header '6A' and Certificate Format '04'
+	var decryptedPIN = this.crypto.decrypt(key, Crypto.RSA, pinCert);
+	assert(decryptedPIN.byteAt(decryptedPIN.length - 1) == 0xBC);
+	assert(decryptedPIN.byteAt(0) == 0x6A);
+	assert(decryptedPIN.byteAt(1) == 0x04);
+
+	// Step 5 to 7: Compare the recovered hash with the hash over the recovered data, remainder and exponent
+	var remainder = this.emv.cardDE[0x9F2F];
+	if (typeof(remainder) == "undefined") {
+		remainder = new ByteString("", HEX);
+	}
+	var list = decryptedPIN.bytes(1, (decryptedPIN.length - 22));
+	list = list.concat(remainder).concat(this.emv.cardDE[0x9F2E]);
+	var hashConcat = this.crypto.digest(Crypto.SHA_1, list);
+	assert(hashConcat.equals(decryptedPIN.bytes(decryptedPIN.length - 21, 20)));
+
+	// Step 8: Concatenate the Leftmost Digits of the ICC PIN Encipherment Public Key and the remainder
+	var length = decryptedPIN.byteAt(19);
+	var leftmostDigits = decryptedPIN.bytes(21, Math.min(length, issuerPublicKeyModulus.length - 42));
+	return(leftmostDigits.concat(remainder));
+}
+
 /**
  * Generation and verification of the dynamic signature.
  * A successfully retrieval of the ICC Public Key is required.
@@ -318,8 +366,8 @@ DataAuthentication.prototype.retrieveICCPublicKey = function(issuerPublicKeyModu
 DataAuthentication.prototype.dynamicDataAuthentication = function(iccPublicKeyModulus) {
 	var iccPublicKeyModulus = iccPublicKeyModulus;
 	
-	var Data = crypto.generateRandom(4);
-	var internalAuthenticate = card.sendApdu(0x00, 0x88, 0x00, 0x00, Data, 0x00);
+	var Data = this.crypto.generateRandom(4);
+	var internalAuthenticate = this.emv.card.sendApdu(0x00, EMV.INS_INTERNAL_AUTHENTICATE, 0x00, 0x00, Data, 0x00);
 	var asn = new ASN1(internalAuthenticate);
 	var tag = asn.find(0x9F4B);
 	var SDAD = tag.value;
@@ -328,7 +376,7 @@ DataAuthentication.prototype.dynamicDataAuthentication = function(iccPublicKeyMo
 	picKey.setType(Key.PUBLIC);
 	picKey.setComponent(Key.MODULUS, iccPublicKeyModulus);
 	picKey.setComponent(Key.EXPONENT, this.emv.cardDE[0x9F47]);
-	var decryptedSDAD = crypto.decrypt(picKey, Crypto.RSA, SDAD);
+	var decryptedSDAD = this.crypto.decrypt(picKey, Crypto.RSA, SDAD);
 	// Step 1: SDAD and ICC Public Key Modulus have the same length
 	assert(SDAD.length == iccPublicKeyModulus.length);
 	
@@ -354,3 +402,158 @@ DataAuthentication.prototype.dynamicDataAuthentication = function(iccPublicKeyMo
 	assert(hashConcat.equals(hashSDAD));
 	print("<-----------------------------DDA was successful------------------------------>\n");
 }
+
+
+/**
+ * Verification of the Signed Dynamic Application Data returned by GENERATE AC with CDA.
+ * A successful retrieval of the ICC Public Key is required.
+ *
+ * @param {ByteString} iccPublicKeyModulus the ICC Public Key Modulus
+ * @type ByteString
+ * @return the Application Cryptogram recovered from the Signed Dynamic Application Data
+*/
+DataAuthentication.prototype.verifyCDA = function(iccPublicKeyModulus) {
+	var SDAD = this.emv.cardDE[EMV.SDAD];
+	if (typeof(SDAD) == "undefined") {
+		throw new GPError("DataAuthentication", GPError.OBJECT_NOT_FOUND, 0, "No Signed Dynamic Application Data in GENERATE AC response");
+	}
+
+	var picKey = new Key();
+	picKey.setType(Key.PUBLIC);
+	picKey.setComponent(Key.MODULUS, iccPublicKeyModulus);
+	picKey.setComponent(Key.EXPONENT, this.emv.cardDE[0x9F47]);
+
+	// Step 1: SDAD and ICC Public Key Modulus have the same length
+	assert(SDAD.length == iccPublicKeyModulus.length);
+
+	// Step 2: The Recovered Data Trailer is equal to 'BC'
+	var decryptedSDAD = this.crypto.decrypt(picKey, Crypto.RSA, SDAD);
+	assert(decryptedSDAD.byteAt(decryptedSDAD.length - 1) == 0xBC);
+
+	// Step 3: The Recovered Data Header is equal to '6A'
+	assert(decryptedSDAD.byteAt(0) == 0x6A);
+
+	// Step 4: The Signed Data Format is equal to '05'
+	assert(decryptedSDAD.byteAt(1) == 0x05);
+
+	// Step 5: Concatenation of the recovered data and the Unpredictable Number
+	var list = decryptedSDAD.bytes(1, decryptedSDAD.length - 22);
+	list = list.concat(this.emv.terminalDE[EMV.UN]);
+
+	// Step 6: Generate hash from concatenation and compare with recovered hash
+	var hashConcat = this.crypto.digest(Crypto.SHA_1, list);
+	var hashSDAD = decryptedSDAD.bytes(decryptedSDAD.length - 21, 20);
+	assert(hashConcat.equals(hashSDAD));
+
+	// Step 7: Decode the ICC Dynamic Data into ICC Dynamic Number, Cryptogram Information Data, Application Cryptogram and Transaction Data Hash Code
+	var LDD = decryptedSDAD.byteAt(3);
+	var iccDynamicData = decryptedSDAD.bytes(4, LDD);
+	var ldn = iccDynamicData.byteAt(0);
+	var iccDynamicNumber = iccDynamicData.bytes(1, ldn);
+	var cid = iccDynamicData.bytes(1 + ldn, 1);
+	var cryptogram = iccDynamicData.bytes(2 + ldn, 8);
+	var transactionDataHashCode = iccDynamicData.bytes(10 + ldn, 20);
+
+	// Step 8: The Cryptogram Information Data in the SDAD is equal to the one in the response
+	assert(cid.equals(this.emv.cardDE[EMV.CID]));
+
+	// Step 9: Compare the Transaction Data Hash Code with the hash over PDOL data, CDOL data and the data objects in the response
+	var transactionData = this.emv.transactionData.concat(this.emv.generateACResponseData);
+	var hashTransaction = this.crypto.digest(Crypto.SHA_1, transactionData);
+	assert(hashTransaction.equals(transactionDataHashCode));
+
+	this.emv.cardDE[0x9F4C] = iccDynamicNumber;
+	this.emv.cardDE[EMV.AC] = cryptogram;
+
+	print("<-----------------------------CDA was successful------------------------------>\n");
+	return cryptogram;
+}
+
+/**
+ * Send GENERATE AC requesting a CDA signature and verify the Signed Dynamic Application Data.
+ * An AAC is returned by the card without signature.
+ *
+ * @param {ByteString} iccPublicKeyModulus the ICC Public Key Modulus
+ * @param {Number} p1 the cryptogram type, one of EMV.AAC, EMV.TC or EMV.ARQC (optional, default EMV.TC)
+ * @param {Number} dolTag EMV.CDOL1 for the first or EMV.CDOL2 for the second GENERATE AC (optional, default EMV.CDOL1)
+ * @type ByteString
+ * @return the Application Cryptogram
+*/
+DataAuthentication.prototype.generateACWithCDA = function(iccPublicKeyModulus, p1, dolTag) {
+	if (typeof(p1) == "undefined") {
+		p1 = EMV.TC;
+	}
+
+	var cryptogram = this.emv.generateAC(p1 | EMV.CDA, dolTag);
+
+	if (typeof(this.emv.cardDE[EMV.SDAD]) == "undefined") {
+		// Only an AAC may be returned without signature
+		assert((this.emv.cardDE[EMV.CID].byteAt(0) & 0xC0) == EMV.AAC);
+		return cryptogram;
+	}
+	return this.verifyCDA(iccPublicKeyModulus);
+}
+
+/**
+ * Verification of the Signed Dynamic Application Data returned by GET PROCESSING OPTIONS in a contactless
+ * transaction (fast DDA). A successful retrieval of the ICC Public Key is required.
+ *
+ * <p>The signature covers the Unpredictable Number, the Amount, Authorised, the Transaction Currency Code and the
+ *    Card Authentication Related Data. The ICC Dynamic Number must match the card unpredictable number in
+ *    the Card Authentication Related Data.</p>
+ *
+ * @param {ByteString} iccPublicKeyModulus the ICC Public Key Modulus
+ * @type ByteString
+ * @return the ICC Dynamic Number
+*/
+DataAuthentication.prototype.verifyFastDDA = function(iccPublicKeyModulus) {
+	var SDAD = this.emv.cardDE[EMV.SDAD];
+	if (typeof(SDAD) == "undefined") {
+		throw new GPError("DataAuthentication", GPError.OBJECT_NOT_FOUND, 0, "No Signed Dynamic Application Data in GET PROCESSING OPTIONS response");
+	}
+	var card = this.emv.cardDE[EMV.CARD_AUTHENTICATION_DATA];
+	if (typeof(card) == "undefined") {
+		throw new GPError("DataAuthentication", GPError.OBJECT_NOT_FOUND, 0, "No Card Authentication Related Data in GET PROCESSING OPTIONS response");
+	}
+
+	var picKey = new Key();
+	picKey.setType(Key.PUBLIC);
+	picKey.setComponent(Key.MODULUS, iccPublicKeyModulus);
+	picKey.setComponent(Key.EXPONENT, this.emv.cardDE[0x9F47]);
+
+	// Step 1: SDAD and ICC Public Key Modulus have the same length
+	assert(SDAD.length == iccPublicKeyModulus.length);
+
+	// Step 2: The Recovered Data Trailer is equal to 'BC'
+	var decryptedSDAD = this.crypto.decrypt(picKey, Crypto.RSA, SDAD);
+	assert(decryptedSDAD.byteAt(decryptedSDAD.length - 1) == 0xBC);
+
+	// Step 3: The Recovered Data Header is equal to '6A'
+	assert(decryptedSDAD.byteAt(0) == 0x6A);
+
+	// Step 4: The Signed Data Format is equal to '05'
+	assert(decryptedSDAD.byteAt(1) == 0x05);
+
+	// Step 5: Concatenation of the recovered data and the terminal data signed in fast DDA
+	var list = decryptedSDAD.bytes(1, decryptedSDAD.length - 22);
+	list = list.concat(this.emv.terminalDE[EMV.UN]);
+	list = list.concat(this.emv.terminalDE[0x9F02]);
+	list = list.concat(this.emv.terminalDE[0x5F2A]);
+	list = list.concat(card);
+
+	// Step 6: Generate hash from concatenation and compare with recovered hash
+	var hashConcat = this.crypto.digest(Crypto.SHA_1, list);
+	var hashSDAD = decryptedSDAD.bytes(decryptedSDAD.length - 21, 20);
+	assert(hashConcat.equals(hashSDAD));
+
+	// Step 7: The ICC Dynamic Number is the card unpredictable number in the Card Authentication Related Data
+	var LDD = decryptedSDAD.byteAt(3);
+	var iccDynamicData = decryptedSDAD.bytes(4, LDD);
+	var iccDynamicNumber = iccDynamicData.bytes(1, iccDynamicData.byteAt(0));
+	assert(iccDynamicNumber.equals(card.bytes(1, 4)));
+
+	this.emv.cardDE[0x9F4C] = iccDynamicNumber;
+
+	print("<---------------------------fast DDA was successful---------------------------->\n");
+	return iccDynamicNumber;
+}
@@ -70,7 +70,11 @@ d.verifySSAD(issuerPublicKeyModulus);
 var  iccPublicKeyModulus = d.retrieveICCPublicKey(issuerPublicKeyModulus);
 d.dynamicDataAuthentication(iccPublicKeyModulus);
 
-e.generateAC();
+if (e.cardDE[EMV.AIP].byteAt(0) & 0x01) {	// CDA supported
+	d.generateACWithCDA(iccPublicKeyModulus);
+} else {
+	e.generateAC();
+}
 
 //var getData = card.sendApdu(0x80, 0xCA, 0x9F, 0x36, 0x00);
 //print(getData);
@@ -27,6 +27,10 @@
 
 load("emv.js");
 load("emvView.js");
+load("applicationCryptogram.js");
+load("emvTerminal.js");
+load("emvReport.js");
+load("emvExport.js");
 
 // Example code
 var card = new Card(_scsh3.reader);
@@ -53,4 +57,15 @@ e.readApplData();
 
 v.displayDataElements();
 
+// Counters and transaction log as JSON, use r.save(filename) to write the report to a file
+var r = new EMVReport(e);
+print(r.toJSONString());
+
+// Set exportFile to save an export of the application, which emv/simulation loads with EMVSimulator.newInstance(false, filename)
+var exportFile = null;
+if (exportFile) {
+	var x = new EMVExport(e);
+	x.save(exportFile);
+}
+
 card.close();
@@ -46,6 +46,15 @@ function EMV(card, crypto) {
 	this.terminalDE[0x9F35] = new ByteString("15", HEX);
 	this.terminalDE[0x9F40] = new ByteString("0200000000", HEX);
 
+	this.terminalDE[0x9F02] = new ByteString("000000000001", HEX);
+	this.terminalDE[0x9F03] = new ByteString("000000000000", HEX);
+	this.terminalDE[0x95] = new ByteString("0000000000", HEX);
+	this.terminalDE[0x9B] = new ByteString("0000", HEX);
+	this.terminalDE[0x5F2A] = new ByteString("0978", HEX);
+	this.terminalDE[0x9A] = EMV.encodeDate(new Date());
+	this.terminalDE[0x9C] = new ByteString("00", HEX);
+	this.terminalDE[0x9F34] = new ByteString("3F0000", HEX);
+
 	this.verbose = false;
 }
 
@@ -57,25 +66,65 @@ EMV.PSE1 = new ByteString("1PAY.SYS.DDF01", ASCII);
 EMV.PSE2 = new ByteString("2PAY.SYS.DDF01", ASCII);
 
 EMV.INS_GET_PROCESSING_OPTIONS		= 0xA8;
+EMV.INS_GENERATE_AC					= 0xAE;
+EMV.INS_INTERNAL_AUTHENTICATE		= 0x88;
+EMV.INS_GET_DATA					= 0xCA;
+EMV.INS_EXTERNAL_AUTHENTICATE		= 0x82;
+EMV.INS_APPLICATION_BLOCK			= 0x1E;
+EMV.INS_APPLICATION_UNBLOCK			= 0x18;
+EMV.INS_PIN_CHANGE_UNBLOCK			= 0x24;
+
+EMV.AAC				= 0x00;
+EMV.TC				= 0x40;
+EMV.ARQC			= 0x80;
+EMV.CDA				= 0x10;
 
 EMV.AID				= 0x4F;
 EMV.LABEL			= 0x50;
 EMV.FCI				= 0x6F;
 EMV.TEMPLATE		= 0x70;
+EMV.ISSUER_SCRIPT1	= 0x71;
+EMV.ISSUER_SCRIPT2	= 0x72;
 EMV.RMTF2			= 0x77;
 EMV.RMTF1			= 0x80;
 EMV.AIP				= 0x82;
 EMV.DFNAME			= 0x84;
+EMV.ISSUER_SCRIPT_COMMAND = 0x86;
 EMV.PRIORITY		= 0x87;
 EMV.SFI				= 0x88;
+EMV.ARC				= 0x8A;
 EMV.CDOL1			= 0x8C;
 EMV.CDOL2			= 0x8D;
+EMV.TDOL			= 0x97;
+EMV.CVMLIST			= 0x8E;
 EMV.CAPKI			= 0x8F;
+EMV.ISSUER_AUTHENTICATION_DATA = 0x91;
 EMV.AFL				= 0x94;
+EMV.TVR				= 0x95;
+EMV.TSI				= 0x9B;
 EMV.FCI_ISSUER		= 0xA5;
 EMV.UN				= 0x9F37;
+EMV.IAD				= 0x9F10;
+EMV.AC				= 0x9F26;
+EMV.CID				= 0x9F27;
+EMV.ATC				= 0x9F36;
+EMV.LOATC			= 0x9F13;
+EMV.LCOL			= 0x9F14;
+EMV.PTC				= 0x9F17;
+EMV.ISSUER_SCRIPT_ID = 0x9F18;
+EMV.UCOL			= 0x9F23;
+EMV.CVMRESULTS		= 0x9F34;
 EMV.PDOL			= 0x9F38;
+EMV.DDOL			= 0x9F49;
 EMV.SDATL			= 0x9F4A;
+EMV.SDAD			= 0x9F4B;
+EMV.LOG_ENTRY		= 0x9F4D;
+EMV.LOG_FORMAT		= 0x9F4F;
+EMV.ISSUER_SCRIPT_RESULTS = 0x9F5B;
+EMV.KERNEL_ID		= 0x9F2A;
+EMV.TTQ				= 0x9F66;
+EMV.CARD_AUTHENTICATION_DATA = 0x9F69;
+EMV.CTQ				= 0x9F6C;
 EMV.FCI_ISSUER_DISCRETIONARY_DATA = 0xBF0C;
 EMV.DIRECTORY_ENTRY	= 0x61;
 
@@ -88,13 +137,101 @@ EMV.TAGLIST = new Array();
 EMV.TAGLIST[EMV.UN] = { name : "Unpredictable Number" };
 EMV.TAGLIST[EMV.CAPKI] = { name : "Certification Authority Public Key Index" };
 EMV.TAGLIST[EMV.SDATL] = { name : "Static Data Authentication Tag List" };
+EMV.TAGLIST[EMV.SDAD] = { name : "Signed Dynamic Application Data" };
 EMV.TAGLIST[EMV.CDOL1] = { name : "Card Risk Management Data Object List 1" };
 EMV.TAGLIST[EMV.CDOL2] = { name : "Card Risk Management Data Object List 2" };
+EMV.TAGLIST[EMV.TDOL] = { name : "Transaction Certificate Data Object List" };
+EMV.TAGLIST[EMV.PDOL] = { name : "Processing Options Data Object List" };
+EMV.TAGLIST[EMV.DDOL] = { name : "Dynamic Data Authentication Data Object List" };
+EMV.TAGLIST[EMV.IAD] = { name : "Issuer Application Data" };
+EMV.TAGLIST[EMV.AC] = { name : "Application Cryptogram" };
+EMV.TAGLIST[EMV.CID] = { name : "Cryptogram Information Data" };
+EMV.TAGLIST[EMV.ATC] = { name : "Application Transaction Counter" };
+EMV.TAGLIST[EMV.LOATC] = { name : "Last Online Application Transaction Counter Register" };
+EMV.TAGLIST[EMV.TVR] = { name : "Terminal Verification Results" };
+EMV.TAGLIST[EMV.TSI] = { name : "Transaction Status Information" };
+EMV.TAGLIST[EMV.CVMLIST] = { name : "Cardholder Verification Method (CVM) List" };
+EMV.TAGLIST[EMV.CVMRESULTS] = { name : "Cardholder Verification Method (CVM) Results" };
+EMV.TAGLIST[EMV.PTC] = { name : "PIN Try Counter" };
+EMV.TAGLIST[EMV.KERNEL_ID] = { name : "Kernel Identifier" };
+EMV.TAGLIST[EMV.TTQ] = { name : "Terminal Transaction Qualifiers" };
+EMV.TAGLIST[EMV.CARD_AUTHENTICATION_DATA] = { name : "Card Authentication Related Data" };
+EMV.TAGLIST[EMV.CTQ] = { name : "Card Transaction Qualifiers" };
+EMV.TAGLIST[EMV.ARC] = { name : "Authorisation Response Code" };
+EMV.TAGLIST[EMV.ISSUER_AUTHENTICATION_DATA] = { name : "Issuer Authentication Data" };
+EMV.TAGLIST[EMV.ISSUER_SCRIPT1] = { name : "Issuer Script Template 1" };
+EMV.TAGLIST[EMV.ISSUER_SCRIPT2] = { name : "Issuer Script Template 2" };
+EMV.TAGLIST[EMV.ISSUER_SCRIPT_COMMAND] = { name : "Issuer Script Command" };
+EMV.TAGLIST[EMV.ISSUER_SCRIPT_ID] = { name : "Issuer Script Identifier" };
+EMV.TAGLIST[EMV.ISSUER_SCRIPT_RESULTS] = { name : "Issuer Script Results" };
+EMV.TAGLIST[EMV.LCOL] = { name : "Lower Consecutive Offline Limit" };
+EMV.TAGLIST[EMV.UCOL] = { name : "Upper Consecutive Offline Limit" };
+EMV.TAGLIST[EMV.LOG_ENTRY] = { name : "Log Entry" };
+EMV.TAGLIST[EMV.LOG_FORMAT] = { name : "Log Format" };
 
 //EMV.pdol = 0x9F38179F1A0200009F33030000009F3501009F40050000000000;
 
 
 
+/**
+ * Encode a date as YYMMDD in BCD
+ *
+ * @param {Date} date the date
+ * @type ByteString
+ * @return the 3 byte date
+ */
+EMV.encodeDate = function(date) {
+	var s = "" + ((date.getFullYear() % 100) * 10000 + (date.getMonth() + 1) * 100 + date.getDate());
+	while (s.length < 6) {
+		s = "0" + s;
+	}
+	return new ByteString(s, HEX);
+}
+
+
+
+/**
+ * Decode a data object list into tag and length entries
+ *
+ * @param {ByteString} dol the data object list
+ * @type Object[]
+ * @return the entries with properties tag and length
+ */
+EMV.decodeDOL = function(dol) {
+	var list = [];
+	while (dol.length > 0) {
+		var l = ((dol.byteAt(0) & 0x1F) == 0x1F) ? 2 : 1;
+		if (dol.length < l + 1) {
+			throw new GPError("EMV", GPError.INVALID_DATA, 0, "Truncated data object list");
+		}
+		list.push({ tag: dol.left(l).toUnsigned(), length: dol.byteAt(l) });
+		dol = dol.bytes(l + 1);
+	}
+	return list;
+}
+
+
+
+/**
+ * Determine if a data object list contains a tag
+ *
+ * @param {ByteString} dol the data object list
+ * @param {Number} tag the tag
+ * @type boolean
+ * @return true if the tag is contained in the data object list
+ */
+EMV.containsTag = function(dol, tag) {
+	var list = EMV.decodeDOL(dol);
+	for (var i = 0; i < list.length; i++) {
+		if (list[i].tag == tag) {
+			return true;
+		}
+	}
+	return false;
+}
+
+
+
 /**
  * Log message if verbosity is enabled
  *
@@ -156,6 +293,10 @@ EMV.prototype.readRecord = function(sfi, recno) {
 
 /**
  * Create a Data Object List related ByteString
+ *
+ * <p>Data elements are taken from the terminal data elements or the card data elements. Data elements
+ *    not available are filled with zeros.</p>
+ *
  * @param {object} dol the Data Object List
  * @return ByteString related to the DOL
  * @type ByteString
@@ -163,23 +304,24 @@ EMV.prototype.readRecord = function(sfi, recno) {
 EMV.prototype.createDOL = function(dol) {
 	this.log("createDOL() called with " + dol.toString(HEX));
 	var dolenc = new ByteBuffer();
-	while (dol.length > 0) {
-		var b = dol.byteAt(0);
-		if ((b & 0x1F) == 0x1F) {
-			var tag = dol.left(2).toUnsigned();
-			var length = dol.byteAt(2);
-			var	dol = dol.bytes(3);	//Remove Tag and Length Byte
-		} else {
-			var tag = dol.left(1).toUnsigned();
-			var length = dol.byteAt(1);
-			var dol = dol.bytes(2);   //Remove Tag and Length Byte 
-		}
+	var list = EMV.decodeDOL(dol);
+	for (var j = 0; j < list.length; j++) {
+		var tag = list[j].tag;
+		var length = list[j].length;
 		this.log("Tag: " + tag.toString(HEX));
 		var addDolenc = this.terminalDE[tag];
+		if (typeof(addDolenc) == "undefined") {
+			addDolenc = this.cardDE[tag];
+		}
 		if (typeof(addDolenc) != "undefined") {
 			// ToDo: Padding
 			assert(length == addDolenc.length);
 			dolenc.append(addDolenc);
+		} else {
+			this.log("Tag " + tag.toString(HEX) + " not found, filled with zeros");
+			for (var i = 0; i < length; i++) {
+				dolenc.append(0);
+			}
 		}
 	}
 	dolenc = dolenc.toByteString();
@@ -190,6 +332,69 @@ EMV.prototype.createDOL = function(dol) {
 
 
 
+/**
+ * Send GET DATA APDU
+ *
+ * @param {Number} tag the tag of the data object, e.g. EMV.ATC
+ * @return the value of the data object or null if the card does not return the data object
+ * @type ByteString
+ */
+EMV.prototype.getData = function(tag) {
+	var data = this.card.sendApdu(0x80, EMV.INS_GET_DATA, tag >> 8, tag & 0xFF, 0);
+	if (this.card.SW != 0x9000) {
+		this.log("GET DATA for " + tag.toString(16) + " failed with SW " + this.card.SW.toString(16));
+		return null;
+	}
+
+	var tl = new TLVList(data, TLV.EMV);
+	if ((tl.length != 1) || (tl.index(0).getTag() != tag)) {
+		throw new GPError("EMV", GPError.INVALID_DATA, tag, "Invalid format in GET DATA response");
+	}
+	return tl.index(0).getValue();
+}
+
+
+
+/**
+ * Read the transaction log of the selected application
+ *
+ * <p>The Log Entry from the FCI Issuer Discretionary Data contains the SFI and the maximum number of records
+ *    of the transaction log. The Log Format is obtained with GET DATA and stored in the card data elements.
+ *    Records are read starting with the most recent transaction until the card returns an error.</p>
+ *
+ * @return the log records, each containing the values of the data elements listed in the Log Format, or
+ *         null if the application has no transaction log
+ * @type ByteString[]
+ */
+EMV.prototype.readTransactionLog = function() {
+	var logEntry = this.cardDE[EMV.LOG_ENTRY];
+	if (typeof(logEntry) == "undefined") {
+		this.log("Application does not provide a Log Entry");
+		return null;
+	}
+
+	var logFormat = this.getData(EMV.LOG_FORMAT);
+	if (logFormat == null) {
+		throw new GPError("EMV", GPError.INVALID_DATA, EMV.LOG_FORMAT, "Card provides a Log Entry but no Log Format");
+	}
+	this.cardDE[EMV.LOG_FORMAT] = logFormat;
+
+	var sfi = logEntry.byteAt(0);
+	var records = [];
+	for (var recno = 1; recno <= logEntry.byteAt(1); recno++) {
+		var data = this.readRecord(sfi, recno);
+		if (this.card.SW != 0x9000) {
+			break;
+		}
+		records.push(data);
+	}
+
+	this.log("Read " + records.length + " records from transaction log in SFI " + sfi);
+	return records;
+}
+
+
+
 /**
  * Send GET PROCESSING OPTION APDU
  *
@@ -393,6 +598,9 @@ EMV.prototype.getAID = function() {
 
 /**
  * Select application and return FCI
+ *
+ * <p>The FCI returned by the card is kept in the property fci.</p>
+ *
  * @param {ByteString} aid the Application Identifier
  */
 EMV.prototype.selectADF = function(aid) {
@@ -403,6 +611,7 @@ EMV.prototype.selectADF = function(aid) {
 	}
 	this.decodeFCI(fci);
 	this.cardDE[EMV.AID] = aid;
+	this.fci = fci;
 }
 
 
@@ -422,6 +631,15 @@ EMV.prototype.decodeFCI = function(fci) {
 			this.cardDE[a5.get(i).tag] = a5.get(i).value;
 			this.log("Found data element " + a5.get(i).tag.toString(HEX) + " = " + a5.get(i).value.toString(HEX));
 		}
+
+		// Data elements in the FCI Issuer Discretionary Data, e.g. the Log Entry
+		var bf0c = a5.find(EMV.FCI_ISSUER_DISCRETIONARY_DATA);
+		if (bf0c != null) {
+			for (var i = 0; i < bf0c.elements; i++) {
+				this.cardDE[bf0c.get(i).tag] = bf0c.get(i).value;
+				this.log("Found data element " + bf0c.get(i).tag.toString(HEX) + " = " + bf0c.get(i).value.toString(HEX));
+			}
+		}
 	}
 }
 
@@ -473,9 +691,11 @@ EMV.prototype.initApplProc = function() {
 
 	var pdol = this.cardDE[EMV.PDOL];
 	var pdolenc = null;
+	this.pdolData = new ByteString("", HEX);
 
 	if (typeof(pdol) != "undefined") {
 		pdolenc = this.createDOL(pdol);
+		this.pdolData = pdolenc;
 		var length = pdolenc.length
 		var length = length.toString(HEX);
 		if (pdolenc.length <= 0xF) {
@@ -486,6 +706,9 @@ EMV.prototype.initApplProc = function() {
 		print(pdolenc);
 	}
 
+	// Transaction data hashed for CDA, if the card returns the cryptogram without the first GENERATE AC
+	this.transactionData = this.pdolData;
+
 	var data = this.getProcessingOptions(pdolenc);
 
 	var tl = new TLVList(data, TLV.EMV);
@@ -513,6 +736,7 @@ EMV.prototype.initApplProc = function() {
 /**
  * Read application data as indicated in the Application File Locator.
  * Collect input to data authentication.
+ * The records read are kept with SFI and record number in the property records.
  *
  */
 EMV.prototype.readApplData = function() {
@@ -528,6 +752,9 @@ EMV.prototype.readApplData = function() {
 	// Collect input to data authentication	
 	var da = new ByteBuffer();
 
+	// Records read, each with sfi, recno and data
+	this.records = [];
+
 	while(afl.length > 0) {
 		var sfi = afl.byteAt(0) >> 3;	// Short file identifier
 		var srec = afl.byteAt(1);	// Start record
@@ -539,6 +766,7 @@ EMV.prototype.readApplData = function() {
 			var data = this.readRecord(sfi, srec);
 			print("Record No. " + srec);
 			print(data);
+			this.records.push({ sfi: sfi, recno: srec, data: data });
 
 			// Decode template
 			var tl = new TLVList(data, TLV.EMV);
@@ -584,28 +812,297 @@ EMV.prototype.getDAInput = function() {
 
 /**
  * Send GENERATE APPLICATION CRYPTOGRAM APDU
+ *
+ * <p>The command data is created from CDOL1 or CDOL2. If the DOL contains the ICC Dynamic Number, then it
+ *    is requested with GET CHALLENGE. The Cryptogram Information Data, Application Transaction Counter,
+ *    Application Cryptogram and Issuer Application Data from the response are added to the card data elements.</p>
+ *
+ * <p>If EMV.CDA is set in P1, then the card may return the Signed Dynamic Application Data instead of the
+ *    Application Cryptogram. The PDOL and CDOL data sent in the transaction and the data objects returned
+ *    in the response are kept for the verification with DataAuthentication.verifyCDA().</p>
+ *
+ * @param {Number} p1 the cryptogram type, one of EMV.AAC, EMV.TC or EMV.ARQC, optionally combined with EMV.CDA (optional, default EMV.TC)
+ * @param {Number} dolTag EMV.CDOL1 for the first or EMV.CDOL2 for the second GENERATE AC (optional, default EMV.CDOL1)
+ * @type ByteString
+ * @return the Application Cryptogram or undefined if the card returned the Signed Dynamic Application Data
+ */
+EMV.prototype.generateAC = function(p1, dolTag) {
+	if (typeof(p1) == "undefined") {
+		p1 = EMV.TC;
+	}
+	if (typeof(dolTag) == "undefined") {
+		dolTag = EMV.CDOL1;
+	}
+
+	var dol = this.cardDE[dolTag];
+	if (typeof(dol) == "undefined") {
+		throw new GPError("EMV", GPError.INVALID_DATA, dolTag, "Card does not provide " + EMV.TAGLIST[dolTag].name);
+	}
+
+	if (dolTag == EMV.CDOL1) {
+		this.terminalDE[EMV.UN] = this.crypto.generateRandom(4);
+		if (EMV.containsTag(dol, 0x9F4C)) {
+			this.cardDE[0x9F4C] = this.card.sendApdu(0x00, 0x84, 0x00, 0x00, 0x00, [0x9000]);
+		}
+	}
+
+	var data = this.createDOL(dol);
+
+	// Transaction data hashed for CDA
+	if (dolTag == EMV.CDOL1) {
+		this.transactionData = (this.pdolData ? this.pdolData : new ByteString("", HEX)).concat(data);
+	} else {
+		this.transactionData = this.transactionData.concat(data);
+	}
+
+	var rsp = this.card.sendApdu(0x80, EMV.INS_GENERATE_AC, p1, 0x00, data, 0x00, [0x9000]);
+
+	delete this.cardDE[EMV.AC];
+	delete this.cardDE[EMV.SDAD];
+	this.generateACResponseData = new ByteString("", HEX);
+
+	var tl = new TLVList(rsp, TLV.EMV);
+	if (tl.length != 1) {
+		throw new GPError("EMV", GPError.INVALID_DATA, 0, "Invalid format in GENERATE AC response");
+	}
+
+	var t = tl.index(0);
+	if (t.getTag() == EMV.RMTF1) {	// Format 1
+		var v = t.getValue();
+		this.cardDE[EMV.CID] = v.left(1);
+		this.cardDE[EMV.ATC] = v.bytes(1, 2);
+		this.cardDE[EMV.AC] = v.bytes(3, 8);
+		if (v.length > 11) {
+			this.cardDE[EMV.IAD] = v.bytes(11);
+		}
+	} else if (t.getTag() == EMV.RMTF2) {
+		var tl = new TLVList(t.getValue(), TLV.EMV);
+		this.addCardDEFromList(tl);
+
+		// All data objects except the Signed Dynamic Application Data are included in the transaction data hash code
+		var bb = new ByteBuffer();
+		for (var i = 0; i < tl.length; i++) {
+			if (tl.index(i).getTag() != EMV.SDAD) {
+				bb.append(tl.index(i).getTLV());
+			}
+		}
+		this.generateACResponseData = bb.toByteString();
+	} else {
+		throw new GPError("EMV", GPError.INVALID_DATA, 0, "Invalid tag in GENERATE AC response");
+	}
+
+	if (typeof(this.cardDE[EMV.AC]) == "undefined") {
+		if (typeof(this.cardDE[EMV.SDAD]) == "undefined") {
+			throw new GPError("EMV", GPError.INVALID_DATA, 0, "GENERATE AC response contains neither cryptogram nor signed dynamic application data");
+		}
+		this.log("GENERATE AC returned cryptogram information data " + this.cardDE[EMV.CID].toString(HEX) + " and signed dynamic application data");
+		return undefined;
+	}
+
+	this.log("GENERATE AC returned cryptogram information data " + this.cardDE[EMV.CID].toString(HEX) + " and cryptogram " + this.cardDE[EMV.AC].toString(HEX));
+	return this.cardDE[EMV.AC];
+}
+
+
+
+/**
+ * Set bits in a terminal data element, e.g. in the Terminal Verification Results or the Transaction Status Information
+ *
+ * @param {Number} tag the tag of the terminal data element
+ * @param {Number} index the index of the byte in the data element
+ * @param {Number} mask the bits to set
+ */
+EMV.prototype.setTerminalBit = function(tag, index, mask) {
+	var value = this.terminalDE[tag];
+	this.terminalDE[tag] = value.left(index).concat(ByteString.valueOf(value.byteAt(index) | mask)).concat(value.bytes(index + 1));
+}
+
+
+
+/**
+ * Send EXTERNAL AUTHENTICATE APDU
+ *
+ * @param {ByteString} iad the Issuer Authentication Data from the authorisation response
+ * @type boolean
+ * @return true if the card accepted the Issuer Authentication Data
  */
-EMV.prototype.generateAC = function() {
-	/*
-	p1
-	0x00 = AAC = reject transaction
-	0x40 = TC = proceed offline
-	0x80 = ARQC = go online
-	*/
-
-	var p1 = 0x40;
-
-	var authorisedAmount = new ByteString("000000000001", HEX);
-	var secondaryAmount = new ByteString("000000000000", HEX);
-	var tvr = new ByteString("0000000000", HEX);
-	var transCurrencyCode = new ByteString("0978", HEX);
-	var transDate = new ByteString("090730", HEX);
-	var transType = new ByteString("21", HEX);
-	var unpredictableNumber = crypto.generateRandom(4);
-	var iccDynamicNumber = card.sendApdu(0x00, 0x84, 0x00, 0x00, 0x00);
-	var DataAuthCode = this.cardDE[0x9F45];
-
-	var Data = authorisedAmount.concat(secondaryAmount).concat(tvr).concat(transCurrencyCode).concat(transDate).concat(transType).concat(unpredictableNumber).concat(iccDynamicNumber).concat(DataAuthCode); 
-
-	var generateAC = card.sendApdu(0x80, 0xAE, p1, 0x00, Data, 0x00);
+EMV.prototype.externalAuthenticate = function(iad) {
+	this.card.sendApdu(0x00, EMV.INS_EXTERNAL_AUTHENTICATE, 0x00, 0x00, iad);
+	if (this.card.SW != 0x9000) {
+		this.log("EXTERNAL AUTHENTICATE failed with SW " + this.card.SW.toString(16));
+		return false;
+	}
+	return true;
+}
+
+
+
+/**
+ * Send an issuer script command
+ *
+ * @param {ByteString} command the complete command APDU from the Issuer Script Command in tag '86'
+ * @type Number
+ * @return the status word returned by the card
+ */
+EMV.prototype.sendScriptCommand = function(command) {
+	var cla = command.byteAt(0);
+	var ins = command.byteAt(1);
+	var p1 = command.byteAt(2);
+	var p2 = command.byteAt(3);
+
+	if (command.length > 5) {
+		var lc = command.byteAt(4);
+		var data = command.bytes(5, lc);
+		if (command.length > 5 + lc) {
+			this.card.sendApdu(cla, ins, p1, p2, data, command.byteAt(5 + lc));
+		} else {
+			this.card.sendApdu(cla, ins, p1, p2, data);
+		}
+	} else if (command.length == 5) {
+		this.card.sendApdu(cla, ins, p1, p2, command.byteAt(4));
+	} else {
+		this.card.sendApdu(cla, ins, p1, p2);
+	}
+	return this.card.SW;
+}
+
+
+
+/**
+ * Process an issuer script from the authorisation response
+ *
+ * <p>The commands are sent in the sequence contained in the script. Processing stops with the first command for
+ *    which the card returns a status word other than '90xx', '62xx' or '63xx'. A failed script is recorded in the
+ *    Terminal Verification Results, depending on the template as failed before or after the final GENERATE AC.</p>
+ *
+ * @param {ByteString} script the Issuer Script Template 1 or 2 including tag and length
+ * @type ByteString
+ * @return the 5 byte Issuer Script Result, i.e. the result and sequence number followed by the Issuer Script Identifier
+ */
+EMV.prototype.processIssuerScript = function(script) {
+	var template = new TLVList(script, TLV.EMV).index(0);
+	var tl = new TLVList(template.getValue(), TLV.EMV);
+
+	var id = new ByteString("00000000", HEX);
+	var result = 0x20;						// Script processing successful
+	var seq = 0;
+
+	for (var i = 0; i < tl.length; i++) {
+		var t = tl.index(i);
+		if (t.getTag() == EMV.ISSUER_SCRIPT_ID) {
+			id = t.getValue();
+		} else if (t.getTag() == EMV.ISSUER_SCRIPT_COMMAND) {
+			seq++;
+			var sw = this.sendScriptCommand(t.getValue());
+			var sw1 = sw >> 8;
+			if ((sw1 != 0x90) && (sw1 != 0x62) && (sw1 != 0x63)) {
+				this.log("Issuer script command " + seq + " failed with SW " + sw.toString(16));
+				result = 0x10 | (seq < 15 ? seq : 15);	// Script processing failed in command seq
+				this.setTerminalBit(EMV.TVR, 4, template.getTag() == EMV.ISSUER_SCRIPT1 ? 0x20 : 0x10);
+				break;
+			}
+		}
+	}
+
+	this.log("Issuer script " + id.toString(HEX) + " processed with result " + result.toString(16));
+	return ByteString.valueOf(result).concat(id);
+}
+
+
+
+/**
+ * Complete an online transaction with the authorisation response from the issuer
+ *
+ * <p>The authorisation response contains the Authorisation Response Code in tag '8A' and optionally the Issuer
+ *    Authentication Data in tag '91' and issuer scripts in the templates '71' and '72'. If the terminal was unable
+ *    to go online, then the response is null and the Authorisation Response Code is set to 'Y3' (offline approved)
+ *    if a TC is requested in p1 as determined by the default action analysis, otherwise to 'Z3' (offline declined).</p>
+ *
+ * <p>The Issuer Authentication Data is sent in EXTERNAL AUTHENTICATE if the Application Interchange Profile
+ *    indicates that issuer authentication is supported and is always available for CDOL2. Issuer scripts in template
+ *    '71' are processed before and in template '72' after the second GENERATE AC. The Issuer Script Results are
+ *    stored in the terminal data element '9F5B'. The results of issuer authentication and script processing are
+ *    set in the Terminal Verification Results and the Transaction Status Information in '95' and '9B'.</p>
+ *
+ * @param {ByteString} response the data objects from the authorisation response or null if the terminal was unable to go online
+ * @param {Number} p1 the cryptogram type for the second GENERATE AC (optional, default EMV.TC if the Authorisation
+ *        Response Code is '00', '10', '11' or 'Y3' and issuer authentication did not fail, otherwise EMV.AAC)
+ * @param {boolean} cda true to request a CDA signature if a TC is requested in the second GENERATE AC (optional, default false)
+ * @type ByteString
+ * @return the Application Cryptogram or undefined if the card returned the Signed Dynamic Application Data
+ */
+EMV.prototype.onlineCompletion = function(response, p1, cda) {
+	if (response) {
+		var arc = new ByteString("Z3", ASCII);
+	} else {
+		var arc = new ByteString(((typeof(p1) != "undefined") && ((p1 & 0xC0) == EMV.TC)) ? "Y3" : "Z3", ASCII);
+	}
+	var iad = null;
+	var authenticated = true;
+	var scripts1 = [];
+	var scripts2 = [];
+
+	if (response) {
+		var tl = new TLVList(response, TLV.EMV);
+		for (var i = 0; i < tl.length; i++) {
+			var t = tl.index(i);
+			switch(t.getTag()) {
+			case EMV.ARC:
+				arc = t.getValue();
+				break;
+			case EMV.ISSUER_AUTHENTICATION_DATA:
+				iad = t.getValue();
+				break;
+			case EMV.ISSUER_SCRIPT1:
+				scripts1.push(t.getTLV());
+				break;
+			case EMV.ISSUER_SCRIPT2:
+				scripts2.push(t.getTLV());
+				break;
+			}
+		}
+	}
+
+	this.terminalDE[EMV.ARC] = arc;
+	delete this.terminalDE[EMV.ISSUER_AUTHENTICATION_DATA];
+	delete this.terminalDE[EMV.ISSUER_SCRIPT_RESULTS];
+
+	if (iad) {
+		this.terminalDE[EMV.ISSUER_AUTHENTICATION_DATA] = iad;
+		if (this.cardDE[EMV.AIP].byteAt(0) & 0x04) {
+			this.setTerminalBit(EMV.TSI, 0, 0x10);			// Issuer authentication was performed
+			if (!this.externalAuthenticate(iad)) {
+				this.setTerminalBit(EMV.TVR, 4, 0x40);		// Issuer authentication failed
+				authenticated = false;
+			}
+		}
+	}
+
+	var results = new ByteBuffer();
+	for (var i = 0; i < scripts1.length; i++) {
+		results.append(this.processIssuerScript(scripts1[i]));
+	}
+
+	if (typeof(p1) == "undefined") {
+		var code = arc.toString(ASCII);
+		var approved = (code == "00") || (code == "10") || (code == "11") || (code == "Y3");
+		p1 = (approved && authenticated) ? EMV.TC : EMV.AAC;
+	}
+	if (cda && (p1 == EMV.TC)) {
+		p1 |= EMV.CDA;
+	}
+
+	var cryptogram = this.generateAC(p1, EMV.CDOL2);
+
+	for (var i = 0; i < scripts2.length; i++) {
+		results.append(this.processIssuerScript(scripts2[i]));
+	}
+
+	if (results.length > 0) {
+		this.setTerminalBit(EMV.TSI, 0, 0x04);				// Script processing was performed
+		this.terminalDE[EMV.ISSUER_SCRIPT_RESULTS] = results.toByteString();
+		this.log("Issuer Script Results: " + this.terminalDE[EMV.ISSUER_SCRIPT_RESULTS].toString(HEX));
+	}
+
+	return cryptogram;
 }
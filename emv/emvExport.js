@@ -0,0 +1,191 @@
+/**
+ *  ---------
+ * |.##> <##.|  Open Smart Card Development Platform (www.openscdp.org)
+ * |#       #|
+ * |#       #|  Copyright (c) 1999-2009 CardContact Software & System Consulting
+ * |'##> <##'|  Andreas Schwier, 32429 Minden, Germany (www.cardcontact.de)
+ *  ---------
+ *
+ *  This file is part of OpenSCDP.
+ *
+ *  OpenSCDP is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License version 2 as
+ *  published by the Free Software Foundation.
+ *
+ *  OpenSCDP is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with OpenSCDP; if not, write to the Free Software
+ *  Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA  02110-1301  USA
+ *
+ * @fileoverview Machine readable export of an EMV application
+ */
+
+
+
+/**
+ * Create an export of the application selected and read in the EMV object
+ *
+ * <p>The export contains the FCI, the Application Interchange Profile and Application File Locator, all records
+ *    read from the card by SFI and record number, the decoded data object lists and the values obtained with
+ *    GET DATA. Binary values are encoded as hexadecimal strings.</p>
+ *
+ * <p>The export is the input for EMVDataModel.decode(), which allows to run a copy of the application in
+ *    the simulation. Keys are not part of the export.</p>
+ *
+ * @class Class implementing a machine readable export of an EMV application
+ * @constructor
+ * @requires EMV
+ * @param {EMV} emv an instance of the EMV class after readApplData()
+ */
+function EMVExport(emv) {
+	this.emv = emv;
+}
+
+
+
+/** Format identifier and version of the export */
+EMVExport.FORMAT = "EMVExport";
+EMVExport.VERSION = 1;
+
+/** Data object lists decoded in the export */
+EMVExport.DOLS = [ EMV.PDOL, EMV.CDOL1, EMV.CDOL2, EMV.TDOL, EMV.DDOL, EMV.LOG_FORMAT ];
+
+/** Data objects obtained with GET DATA */
+EMVExport.GETDATA = [ EMV.ATC, EMV.LOATC, EMV.PTC, EMV.LCOL, EMV.UCOL, EMV.LOG_FORMAT ];
+
+
+
+/**
+ * Encode a tag as hexadecimal string
+ *
+ * @param {Number} tag the tag
+ * @type String
+ * @return the tag as hexadecimal string
+ */
+EMVExport.tagToString = function(tag) {
+	return ByteString.valueOf(tag).toString(HEX);
+}
+
+
+
+/**
+ * Decode a data object list into tag and length entries
+ *
+ * @param {ByteString} dol the data object list
+ * @type Object[]
+ * @return the entries with properties tag, length and, if known, name
+ */
+EMVExport.decodeDOL = function(dol) {
+	var list = EMV.decodeDOL(dol);
+	for (var i = 0; i < list.length; i++) {
+		var tag = list[i].tag;
+		var entry = { tag: EMVExport.tagToString(tag), length: list[i].length };
+		if (EMV.TAGLIST[tag]) {
+			entry.name = EMV.TAGLIST[tag].name;
+		}
+		list[i] = entry;
+	}
+	return list;
+}
+
+
+
+/**
+ * Read the data objects listed in EMVExport.GETDATA
+ *
+ * @type Object
+ * @return the values as hexadecimal strings indexed by tag, with null for values not provided by the card
+ */
+EMVExport.prototype.readDataObjects = function() {
+	var values = {};
+	for (var i = 0; i < EMVExport.GETDATA.length; i++) {
+		var tag = EMVExport.GETDATA[i];
+		var value = this.emv.getData(tag);
+		values[EMVExport.tagToString(tag)] = (value == null) ? null : value.toString(HEX);
+	}
+	return values;
+}
+
+
+
+/**
+ * Create the export for the selected application
+ *
+ * @type Object
+ * @return the export as plain object
+ */
+EMVExport.prototype.getExport = function() {
+	var emv = this.emv;
+	if ((typeof(emv.fci) == "undefined") || (typeof(emv.records) == "undefined")) {
+		throw new GPError("EMVExport", GPError.INVALID_USAGE, 0, "Application must be selected and read before export");
+	}
+
+	var files = [];
+	var sfimap = [];
+	for (var i = 0; i < emv.records.length; i++) {
+		var r = emv.records[i];
+		var file = sfimap[r.sfi];
+		if (!file) {
+			file = { sfi: r.sfi, records: [] };
+			sfimap[r.sfi] = file;
+			files.push(file);
+		}
+		file.records.push({ recno: r.recno, data: r.data.toString(HEX) });
+	}
+
+	var data = this.readDataObjects();
+
+	// The Log Format is only available with GET DATA, so the card data elements are not modified
+	var dols = {};
+	for (var i = 0; i < EMVExport.DOLS.length; i++) {
+		var tag = EMVExport.DOLS[i];
+		var value = emv.cardDE[tag];
+		if ((tag == EMV.LOG_FORMAT) && (data[EMVExport.tagToString(tag)] != null)) {
+			value = new ByteString(data[EMVExport.tagToString(tag)], HEX);
+		}
+		if (value) {
+			dols[EMVExport.tagToString(tag)] = EMVExport.decodeDOL(value);
+		}
+	}
+
+	return {
+		format: EMVExport.FORMAT,
+		version: EMVExport.VERSION,
+		aid: emv.cardDE[EMV.AID].toString(HEX),
+		fci: emv.fci.toString(HEX),
+		aip: emv.cardDE[EMV.AIP].toString(HEX),
+		afl: emv.cardDE[EMV.AFL].toString(HEX),
+		files: files,
+		dols: dols,
+		getData: data
+	};
+}
+
+
+
+/**
+ * Create the export and encode it as JSON
+ *
+ * @type String
+ * @return the JSON encoded export
+ */
+EMVExport.prototype.toJSONString = function() {
+	return JSON.stringify(this.getExport(), null, "\t");
+}
+
+
+
+/**
+ * Create the export and save it as JSON file with UTF-8 encoding
+ *
+ * @param {String} filename the fully qualified file name
+ */
+EMVExport.prototype.save = function(filename) {
+	var fw = new java.io.OutputStreamWriter(new java.io.FileOutputStream(filename), "UTF-8");
+	fw.write(this.toJSONString());
+	fw.close();
+}
@@ -0,0 +1,249 @@
+/**
+ *  ---------
+ * |.##> <##.|  Open Smart Card Development Platform (www.openscdp.org)
+ * |#       #|
+ * |#       #|  Copyright (c) 1999-2009 CardContact Software & System Consulting
+ * |'##> <##'|  Andreas Schwier, 32429 Minden, Germany (www.cardcontact.de)
+ *  ---------
+ *
+ *  This file is part of OpenSCDP.
+ *
+ *  OpenSCDP is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License version 2 as
+ *  published by the Free Software Foundation.
+ *
+ *  OpenSCDP is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with OpenSCDP; if not, write to the Free Software
+ *  Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA  02110-1301  USA
+ *
+ * @fileoverview Machine readable card report with counters and transaction log
+ */
+
+
+
+/**
+ * Create a card report for the application selected in the EMV object
+ *
+ * <p>While EMVView prints the data elements for a human reader, the report collects the application data,
+ *    the counters obtained with GET DATA and the decoded transaction log in a plain object, which is
+ *    exported as JSON. Values not provided by the card are reported as null.</p>
+ *
+ * @class Class implementing a machine readable report of an EMV application
+ * @constructor
+ * @requires EMV
+ * @requires ApplicationCryptogram
+ * @requires EMVTerminal
+ * @param {EMV} emv an instance of the EMV class
+ */
+function EMVReport(emv) {
+	this.emv = emv;
+}
+
+
+
+/** Version of the report format */
+EMVReport.VERSION = 1;
+
+/** Counters and limits obtained with GET DATA */
+EMVReport.COUNTERS = [
+	{ tag: EMV.ATC, name: "atc" },
+	{ tag: EMV.LOATC, name: "lastOnlineATC" },
+	{ tag: EMV.PTC, name: "pinTryCounter" },
+	{ tag: EMV.LCOL, name: "lowerConsecutiveOfflineLimit" },
+	{ tag: EMV.UCOL, name: "upperConsecutiveOfflineLimit" }
+];
+
+/** Names of the transaction types in tag '9C' */
+EMVReport.TRANSACTION_TYPES = [];
+EMVReport.TRANSACTION_TYPES[0x00] = "Goods and Services";
+EMVReport.TRANSACTION_TYPES[0x01] = "Cash";
+EMVReport.TRANSACTION_TYPES[0x09] = "Cashback";
+EMVReport.TRANSACTION_TYPES[0x20] = "Refund";
+
+
+
+/**
+ * Decode a date YYMMDD into the format YYYY-MM-DD
+ *
+ * <p>Years 00 to 49 are in the 21st century, years 50 to 99 in the 20th century.</p>
+ *
+ * @param {ByteString} date the BCD encoded date
+ * @type String
+ * @return the date as string
+ */
+EMVReport.decodeDate = function(date) {
+	var str = date.toString(HEX);
+	var century = parseInt(str.substr(0, 2), 10) < 50 ? "20" : "19";
+	return century + str.substr(0, 2) + "-" + str.substr(2, 2) + "-" + str.substr(4, 2);
+}
+
+
+
+/**
+ * Decode a transaction log record according to the Log Format
+ *
+ * <p>The amounts, currency and country code, transaction date and time, transaction type, ATC and cryptogram
+ *    type are decoded into properties of the returned object. All data elements are also contained as hexadecimal
+ *    strings in the property dataElements, indexed by the tag.</p>
+ *
+ * @param {ByteString} logFormat the Log Format, a data object list
+ * @param {ByteString} record the log record
+ * @type Object
+ * @return the decoded transaction
+ */
+EMVReport.decodeLogRecord = function(logFormat, record) {
+	var transaction = { dataElements: {} };
+	var list = EMV.decodeDOL(logFormat);
+	var ofs = 0;
+
+	for (var i = 0; i < list.length; i++) {
+		var tag = list[i].tag;
+		var length = list[i].length;
+		if (ofs + length > record.length) {
+			throw new GPError("EMVReport", GPError.INVALID_DATA, ofs, "Log record shorter than Log Format");
+		}
+		var value = record.bytes(ofs, length);
+		ofs += length;
+
+		transaction.dataElements[ByteString.valueOf(tag).toString(HEX)] = value.toString(HEX);
+
+		switch(tag) {
+		case 0x9F02:
+			transaction.amount = EMVTerminal.decodeNumeric(value);
+			break;
+		case 0x9F03:
+			transaction.otherAmount = EMVTerminal.decodeNumeric(value);
+			break;
+		case 0x5F2A:
+			transaction.currency = value.toString(HEX).substr(1);
+			break;
+		case 0x9F1A:
+			transaction.country = value.toString(HEX).substr(1);
+			break;
+		case 0x9A:
+			transaction.date = EMVReport.decodeDate(value);
+			break;
+		case 0x9F21:
+			var str = value.toString(HEX);
+			transaction.time = str.substr(0, 2) + ":" + str.substr(2, 2) + ":" + str.substr(4, 2);
+			break;
+		case 0x9C:
+			transaction.type = value.byteAt(0);
+			var name = EMVReport.TRANSACTION_TYPES[transaction.type];
+			transaction.typeName = name ? name : "Unknown";
+			break;
+		case EMV.ATC:
+			transaction.atc = value.toUnsigned();
+			break;
+		case EMV.CID:
+			transaction.cryptogram = ApplicationCryptogram.typeToString(value.byteAt(0));
+			break;
+		case 0x9F4E:
+			transaction.merchantName = value.toString(ASCII);
+			break;
+		}
+	}
+	return transaction;
+}
+
+
+
+/**
+ * Read the counters and limits with GET DATA
+ *
+ * @type Object
+ * @return the counters with the properties listed in EMVReport.COUNTERS
+ */
+EMVReport.prototype.readCounters = function() {
+	var counters = {};
+	for (var i = 0; i < EMVReport.COUNTERS.length; i++) {
+		var c = EMVReport.COUNTERS[i];
+		var value = this.emv.getData(c.tag);
+		counters[c.name] = (value == null) ? null : value.toUnsigned();
+	}
+	return counters;
+}
+
+
+
+/**
+ * Read and decode the transaction log
+ *
+ * @type Object[]
+ * @return the decoded transactions, starting with the most recent, or null if the application has no transaction log
+ */
+EMVReport.prototype.readTransactions = function() {
+	var records = this.emv.readTransactionLog();
+	if (records == null) {
+		return null;
+	}
+
+	var transactions = [];
+	for (var i = 0; i < records.length; i++) {
+		transactions.push(EMVReport.decodeLogRecord(this.emv.cardDE[EMV.LOG_FORMAT], records[i]));
+	}
+	return transactions;
+}
+
+
+
+/**
+ * Create the report for the selected application
+ *
+ * <p>The PAN, PAN sequence number and expiration date are only included if the application data was read before.</p>
+ *
+ * @type Object
+ * @return the report as plain object
+ */
+EMVReport.prototype.getReport = function() {
+	var cardDE = this.emv.cardDE;
+	var hex = function(tag) {
+		return cardDE[tag] ? cardDE[tag].toString(HEX) : null;
+	}
+
+	var pan = hex(0x5A);
+	var report = {
+		format: "EMVReport",
+		version: EMVReport.VERSION,
+		aid: hex(EMV.AID),
+		label: cardDE[EMV.LABEL] ? cardDE[EMV.LABEL].toString(ASCII) : null,
+		pan: pan ? pan.replace(/F+$/, "") : null,
+		panSequenceNumber: hex(0x5F34),
+		expirationDate: cardDE[0x5F24] ? EMVReport.decodeDate(cardDE[0x5F24]) : null,
+		counters: this.readCounters()
+	};
+
+	report.transactions = this.readTransactions();
+	report.logFormat = hex(EMV.LOG_FORMAT);
+	return report;
+}
+
+
+
+/**
+ * Create the report and encode it as JSON
+ *
+ * @type String
+ * @return the JSON encoded report
+ */
+EMVReport.prototype.toJSONString = function() {
+	return JSON.stringify(this.getReport(), null, "\t");
+}
+
+
+
+/**
+ * Create the report and save it as JSON file with UTF-8 encoding
+ *
+ * @param {String} filename the fully qualified file name
+ */
+EMVReport.prototype.save = function(filename) {
+	var fw = new java.io.OutputStreamWriter(new java.io.FileOutputStream(filename), "UTF-8");
+	fw.write(this.toJSONString());
+	fw.close();
+}
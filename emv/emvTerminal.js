@@ -0,0 +1,676 @@
+/**
+ *  ---------
+ * |.##> <##.|  Open Smart Card Development Platform (www.openscdp.org)
+ * |#       #|
+ * |#       #|  Copyright (c) 1999-2009 CardContact Software & System Consulting
+ * |'##> <##'|  Andreas Schwier, 32429 Minden, Germany (www.cardcontact.de)
+ *  ---------
+ *
+ *  This file is part of OpenSCDP.
+ *
+ *  OpenSCDP is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License version 2 as
+ *  published by the Free Software Foundation.
+ *
+ *  OpenSCDP is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with OpenSCDP; if not, write to the Free Software
+ *  Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA  02110-1301  USA
+ *
+ * @fileoverview Terminal processing with Terminal Verification Results and Transaction Status Information
+ */
+
+
+
+/**
+ * Create a terminal for a transaction with the application selected in the EMV object
+ *
+ * <p>The terminal keeps the Terminal Verification Results and the Transaction Status Information in the
+ *    terminal data elements '95' and '9B' of the EMV object, so that they are sent in all data object lists.
+ *    The terminal parameters are public properties that can be changed before the transaction is started.
+ *    Amounts are given in the minor unit of the transaction currency.</p>
+ *
+ * @class Class implementing terminal processing for processing restrictions, offline data authentication,
+ *        cardholder verification, terminal risk management, terminal action analysis and online completion
+ * @constructor
+ * @requires EMV
+ * @requires EMVView
+ * @requires CardholderVerification
+ * @param {EMV} emv an instance of the EMV class
+ */
+function EMVTerminal(emv) {
+	this.emv = emv;
+	this.crypto = emv.crypto;
+	this.view = new EMVView(emv);
+
+	/** Terminal Floor Limit */
+	this.floorLimit = 5000;
+	/** Threshold Value for Biased Random Selection */
+	this.thresholdValue = 2000;
+	/** Target and Maximum Target Percentage to be used for Random Selection */
+	this.targetPercentage = 20;
+	this.maxTargetPercentage = 50;
+	/** Terminal is able to go online */
+	this.onlineCapable = true;
+	/** PIN entered by the cardholder or null if PIN entry is bypassed */
+	this.pin = null;
+
+	/** Terminal Action Codes */
+	this.tacDenial = new ByteString("0010000000", HEX);
+	this.tacOnline = new ByteString("DC4004F800", HEX);
+	this.tacDefault = new ByteString("DC4000A800", HEX);
+
+	// Application Version Number of the terminal and Terminal Capabilities with all CVMs, SDA, DDA and CDA
+	this.emv.terminalDE[0x9F09] = new ByteString("0002", HEX);
+	this.emv.terminalDE[0x9F33] = new ByteString("20F8C8", HEX);
+
+	this.initTransaction();
+}
+
+
+
+/** Terminal Verification Results, coded as byte index and bit mask */
+EMVTerminal.TVR_ODA_NOT_PERFORMED = 0x0080;
+EMVTerminal.TVR_SDA_FAILED = 0x0040;
+EMVTerminal.TVR_ICC_DATA_MISSING = 0x0020;
+EMVTerminal.TVR_EXCEPTION_FILE = 0x0010;
+EMVTerminal.TVR_DDA_FAILED = 0x0008;
+EMVTerminal.TVR_CDA_FAILED = 0x0004;
+EMVTerminal.TVR_DIFFERENT_VERSIONS = 0x0180;
+EMVTerminal.TVR_EXPIRED_APPLICATION = 0x0140;
+EMVTerminal.TVR_NOT_YET_EFFECTIVE = 0x0120;
+EMVTerminal.TVR_SERVICE_NOT_ALLOWED = 0x0110;
+EMVTerminal.TVR_NEW_CARD = 0x0108;
+EMVTerminal.TVR_CVM_NOT_SUCCESSFUL = 0x0280;
+EMVTerminal.TVR_UNRECOGNISED_CVM = 0x0240;
+EMVTerminal.TVR_PIN_TRY_LIMIT_EXCEEDED = 0x0220;
+EMVTerminal.TVR_PIN_PAD_NOT_PRESENT = 0x0210;
+EMVTerminal.TVR_PIN_NOT_ENTERED = 0x0208;
+EMVTerminal.TVR_ONLINE_PIN_ENTERED = 0x0204;
+EMVTerminal.TVR_FLOOR_LIMIT_EXCEEDED = 0x0380;
+EMVTerminal.TVR_LCOL_EXCEEDED = 0x0340;
+EMVTerminal.TVR_UCOL_EXCEEDED = 0x0320;
+EMVTerminal.TVR_RANDOM_SELECTION = 0x0310;
+EMVTerminal.TVR_MERCHANT_FORCED_ONLINE = 0x0308;
+EMVTerminal.TVR_DEFAULT_TDOL = 0x0480;
+EMVTerminal.TVR_ISSUER_AUTHENTICATION_FAILED = 0x0440;
+EMVTerminal.TVR_SCRIPT_FAILED_BEFORE_FINAL_AC = 0x0420;
+EMVTerminal.TVR_SCRIPT_FAILED_AFTER_FINAL_AC = 0x0410;
+
+/** Transaction Status Information, coded as byte index and bit mask */
+EMVTerminal.TSI_ODA_PERFORMED = 0x0080;
+EMVTerminal.TSI_CVM_PERFORMED = 0x0040;
+EMVTerminal.TSI_CARD_RISK_MANAGEMENT_PERFORMED = 0x0020;
+EMVTerminal.TSI_ISSUER_AUTHENTICATION_PERFORMED = 0x0010;
+EMVTerminal.TSI_TERMINAL_RISK_MANAGEMENT_PERFORMED = 0x0008;
+EMVTerminal.TSI_SCRIPT_PROCESSING_PERFORMED = 0x0004;
+
+
+
+/**
+ * Encode an amount as 6 byte numeric data element
+ *
+ * @param {Number} amount the amount in the minor unit of the currency
+ * @type ByteString
+ * @return the BCD encoded amount
+ */
+EMVTerminal.encodeAmount = function(amount) {
+	var s = "" + amount;
+	while (s.length < 12) {
+		s = "0" + s;
+	}
+	return new ByteString(s, HEX);
+}
+
+
+
+/**
+ * Decode a numeric data element
+ *
+ * @param {ByteString} value the BCD encoded value
+ * @type Number
+ * @return the value
+ */
+EMVTerminal.decodeNumeric = function(value) {
+	return parseInt(value.toString(HEX), 10);
+}
+
+
+
+/**
+ * Convert a date YYMMDD into a comparable number YYYYMMDD
+ *
+ * <p>Years 00 to 49 are in the 21st century, years 50 to 99 in the 20th century.</p>
+ *
+ * @param {ByteString} date the BCD encoded date
+ * @type Number
+ * @return the date as number
+ */
+EMVTerminal.dateToNumber = function(date) {
+	var d = EMVTerminal.decodeNumeric(date);
+	return d + (d < 500000 ? 20000000 : 19000000);
+}
+
+
+
+/**
+ * Reset Terminal Verification Results and Transaction Status Information for a new transaction
+ */
+EMVTerminal.prototype.initTransaction = function() {
+	this.tvr = [ 0, 0, 0, 0, 0 ];
+	this.tsi = [ 0, 0 ];
+	this.iccPublicKeyModulus = null;
+	this.da = null;
+	this.updateTerminalDE();
+}
+
+
+
+/**
+ * Copy Terminal Verification Results and Transaction Status Information into the terminal data elements
+ */
+EMVTerminal.prototype.updateTerminalDE = function() {
+	this.emv.terminalDE[EMV.TVR] = this.getTVR();
+	this.emv.terminalDE[EMV.TSI] = this.getTSI();
+}
+
+
+
+/**
+ * Set a bit in the Terminal Verification Results
+ *
+ * @param {Number} flag one of the EMVTerminal.TVR_ constants
+ */
+EMVTerminal.prototype.setTVR = function(flag) {
+	this.tvr[flag >> 8] |= flag & 0xFF;
+	this.emv.log("TVR set to " + this.getTVR().toString(HEX));
+	this.updateTerminalDE();
+}
+
+
+
+/**
+ * Determine if a bit in the Terminal Verification Results is set
+ *
+ * @param {Number} flag one of the EMVTerminal.TVR_ constants
+ * @type boolean
+ * @return true if the bit is set
+ */
+EMVTerminal.prototype.isTVRSet = function(flag) {
+	return (this.tvr[flag >> 8] & flag & 0xFF) != 0;
+}
+
+
+
+/**
+ * Set a bit in the Transaction Status Information
+ *
+ * @param {Number} flag one of the EMVTerminal.TSI_ constants
+ */
+EMVTerminal.prototype.setTSI = function(flag) {
+	this.tsi[flag >> 8] |= flag & 0xFF;
+	this.updateTerminalDE();
+}
+
+
+
+/**
+ * Return the Terminal Verification Results
+ *
+ * @type ByteString
+ * @return the 5 byte TVR
+ */
+EMVTerminal.prototype.getTVR = function() {
+	var bb = new ByteBuffer();
+	for (var i = 0; i < this.tvr.length; i++) {
+		bb.append(this.tvr[i]);
+	}
+	return bb.toByteString();
+}
+
+
+
+/**
+ * Return the Transaction Status Information
+ *
+ * @type ByteString
+ * @return the 2 byte TSI
+ */
+EMVTerminal.prototype.getTSI = function() {
+	var bb = new ByteBuffer();
+	for (var i = 0; i < this.tsi.length; i++) {
+		bb.append(this.tsi[i]);
+	}
+	return bb.toByteString();
+}
+
+
+
+/**
+ * Set the amounts and the transaction type
+ *
+ * @param {Number} amount the authorised amount
+ * @param {Number} otherAmount the cashback amount (optional, default 0)
+ * @param {Number} type the transaction type, '00' for goods and services, '01' for cash and '09' for cashback (optional, default '00')
+ */
+EMVTerminal.prototype.setAmount = function(amount, otherAmount, type) {
+	this.emv.terminalDE[0x9F02] = EMVTerminal.encodeAmount(amount);
+	this.emv.terminalDE[0x9F03] = EMVTerminal.encodeAmount(otherAmount ? otherAmount : 0);
+	this.emv.terminalDE[0x9C] = ByteString.valueOf(type ? type : 0x00);
+}
+
+
+
+/**
+ * Return the authorised amount
+ *
+ * @type Number
+ * @return the amount
+ */
+EMVTerminal.prototype.getAmount = function() {
+	return EMVTerminal.decodeNumeric(this.emv.terminalDE[0x9F02]);
+}
+
+
+
+/**
+ * Check that the data elements mandatory for all transactions were read from the card
+ */
+EMVTerminal.prototype.checkMandatoryData = function() {
+	var mandatory = [ 0x5F24, 0x5A, EMV.CDOL1, EMV.CDOL2 ];
+	for (var i = 0; i < mandatory.length; i++) {
+		if (typeof(this.emv.cardDE[mandatory[i]]) == "undefined") {
+			this.emv.log("Mandatory data element " + mandatory[i].toString(16) + " missing");
+			this.setTVR(EMVTerminal.TVR_ICC_DATA_MISSING);
+		}
+	}
+}
+
+
+
+/**
+ * Perform offline data authentication
+ *
+ * <p>CDA is preferred over DDA and DDA over SDA, if supported by card and terminal. For CDA the ICC public key
+ *    is recovered and the signature is verified in generateAC().</p>
+ *
+ * @param {DataAuthentication} da the data authentication object with the scheme public keys
+ */
+EMVTerminal.prototype.offlineDataAuthentication = function(da) {
+	var aip = this.emv.cardDE[EMV.AIP].byteAt(0);
+	var caps = this.emv.terminalDE[0x9F33].byteAt(2);
+
+	if ((aip & 0x01) && (caps & 0x08)) {
+		var failed = EMVTerminal.TVR_CDA_FAILED;
+		var required = [ EMV.CAPKI, 0x90, 0x9F32, 0x9F46, 0x9F47 ];
+	} else if ((aip & 0x20) && (caps & 0x40)) {
+		var failed = EMVTerminal.TVR_DDA_FAILED;
+		var required = [ EMV.CAPKI, 0x90, 0x9F32, 0x9F46, 0x9F47 ];
+	} else if ((aip & 0x40) && (caps & 0x80)) {
+		var failed = EMVTerminal.TVR_SDA_FAILED;
+		var required = [ EMV.CAPKI, 0x90, 0x9F32, 0x93 ];
+	} else {
+		this.setTVR(EMVTerminal.TVR_ODA_NOT_PERFORMED);
+		return;
+	}
+
+	this.setTSI(EMVTerminal.TSI_ODA_PERFORMED);
+
+	for (var i = 0; i < required.length; i++) {
+		if (typeof(this.emv.cardDE[required[i]]) == "undefined") {
+			this.emv.log("Data element " + required[i].toString(16) + " for offline data authentication missing");
+			this.setTVR(EMVTerminal.TVR_ICC_DATA_MISSING);
+			this.setTVR(failed);
+			return;
+		}
+	}
+
+	try	{
+		var issuerPublicKeyModulus = da.retrieveIssuerPublicKey();
+		if (failed == EMVTerminal.TVR_SDA_FAILED) {
+			da.verifySSAD(issuerPublicKeyModulus);
+		} else {
+			var iccPublicKeyModulus = da.retrieveICCPublicKey(issuerPublicKeyModulus);
+			if (failed == EMVTerminal.TVR_DDA_FAILED) {
+				da.dynamicDataAuthentication(iccPublicKeyModulus);
+			} else {
+				this.da = da;
+				this.iccPublicKeyModulus = iccPublicKeyModulus;
+			}
+		}
+	}
+	catch(e) {
+		GPSystem.trace(e);
+		this.setTVR(failed);
+	}
+}
+
+
+
+/**
+ * Perform processing restrictions for application version, application usage control and application dates
+ */
+EMVTerminal.prototype.processingRestrictions = function() {
+	var cardDE = this.emv.cardDE;
+	var terminalDE = this.emv.terminalDE;
+
+	// Application Version Number
+	var avn = cardDE[0x9F08];
+	if ((typeof(avn) != "undefined") && !avn.equals(terminalDE[0x9F09])) {
+		this.setTVR(EMVTerminal.TVR_DIFFERENT_VERSIONS);
+	}
+
+	// Application Usage Control
+	var auc = cardDE[0x9F07];
+	if (typeof(auc) != "undefined") {
+		var domestic = (typeof(cardDE[0x5F28]) != "undefined") && cardDE[0x5F28].equals(terminalDE[0x9F1A]);
+		var tt = terminalDE[0x9F35].byteAt(0);
+		var atm = (tt == 0x14) || (tt == 0x15) || (tt == 0x16);
+
+		var allowed = (auc.byteAt(0) & (atm ? 0x02 : 0x01)) != 0;
+		var goodsAndServices = domestic ? 0x28 : 0x14;
+
+		switch(terminalDE[0x9C].byteAt(0)) {
+		case 0x00:
+			allowed = allowed && (auc.byteAt(0) & goodsAndServices);
+			break;
+		case 0x01:
+			allowed = allowed && (auc.byteAt(0) & (domestic ? 0x80 : 0x40));
+			break;
+		case 0x09:
+			allowed = allowed && (auc.byteAt(0) & goodsAndServices) && (auc.byteAt(1) & (domestic ? 0x80 : 0x40));
+			break;
+		}
+
+		if (!allowed) {
+			this.setTVR(EMVTerminal.TVR_SERVICE_NOT_ALLOWED);
+		}
+	}
+
+	// Application Effective and Expiration Date
+	var date = EMVTerminal.dateToNumber(terminalDE[0x9A]);
+	if ((typeof(cardDE[0x5F25]) != "undefined") && (EMVTerminal.dateToNumber(cardDE[0x5F25]) > date)) {
+		this.setTVR(EMVTerminal.TVR_NOT_YET_EFFECTIVE);
+	}
+	if ((typeof(cardDE[0x5F24]) != "undefined") && (EMVTerminal.dateToNumber(cardDE[0x5F24]) < date)) {
+		this.setTVR(EMVTerminal.TVR_EXPIRED_APPLICATION);
+	}
+}
+
+
+
+/**
+ * Perform floor limit checking
+ */
+EMVTerminal.prototype.floorLimitChecking = function() {
+	if (this.getAmount() >= this.floorLimit) {
+		this.setTVR(EMVTerminal.TVR_FLOOR_LIMIT_EXCEEDED);
+	}
+}
+
+
+
+/**
+ * Perform random transaction selection
+ *
+ * <p>Transactions below the threshold value are selected with the target percentage. Above the threshold
+ *    the percentage increases linearly up to the maximum target percentage at the floor limit.</p>
+ */
+EMVTerminal.prototype.randomTransactionSelection = function() {
+	var amount = this.getAmount();
+	if (amount >= this.floorLimit) {
+		return;
+	}
+
+	var target = this.targetPercentage;
+	if (amount >= this.thresholdValue) {
+		target += (this.maxTargetPercentage - this.targetPercentage) * (amount - this.thresholdValue) / (this.floorLimit - this.thresholdValue);
+	}
+
+	var random = (this.crypto.generateRandom(1).toUnsigned() % 99) + 1;
+	if (random <= target) {
+		this.setTVR(EMVTerminal.TVR_RANDOM_SELECTION);
+	}
+}
+
+
+
+/**
+ * Perform velocity checking with the Application Transaction Counter and the Last Online ATC Register
+ *
+ * <p>Velocity checking is only performed if the card provides the Lower and Upper Consecutive Offline Limit.</p>
+ */
+EMVTerminal.prototype.velocityChecking = function() {
+	var lcol = this.emv.cardDE[0x9F14];
+	var ucol = this.emv.cardDE[0x9F23];
+	if ((typeof(lcol) == "undefined") || (typeof(ucol) == "undefined")) {
+		return;
+	}
+
+	var atc = this.emv.getData(EMV.ATC);
+	var loatc = this.emv.getData(EMV.LOATC);
+	if ((atc == null) || (loatc == null)) {
+		this.setTVR(EMVTerminal.TVR_LCOL_EXCEEDED);
+		this.setTVR(EMVTerminal.TVR_UCOL_EXCEEDED);
+		return;
+	}
+
+	var offline = atc.toUnsigned() - loatc.toUnsigned();
+	if (offline > lcol.toUnsigned()) {
+		this.setTVR(EMVTerminal.TVR_LCOL_EXCEEDED);
+	}
+	if (offline > ucol.toUnsigned()) {
+		this.setTVR(EMVTerminal.TVR_UCOL_EXCEEDED);
+	}
+	if (loatc.toUnsigned() == 0) {
+		this.setTVR(EMVTerminal.TVR_NEW_CARD);
+	}
+}
+
+
+
+/**
+ * Perform terminal risk management, if requested in the Application Interchange Profile
+ */
+EMVTerminal.prototype.terminalRiskManagement = function() {
+	if (!(this.emv.cardDE[EMV.AIP].byteAt(0) & 0x08)) {
+		this.emv.log("Terminal risk management not requested by card");
+		return;
+	}
+
+	this.floorLimitChecking();
+	this.randomTransactionSelection();
+	this.velocityChecking();
+
+	this.setTSI(EMVTerminal.TSI_TERMINAL_RISK_MANAGEMENT_PERFORMED);
+}
+
+
+
+/**
+ * Determine if the Terminal Verification Results match the issuer or terminal action code
+ *
+ * @param {String} name the name of the action codes used in the trace
+ * @param {ByteString} iac the Issuer Action Code
+ * @param {ByteString} tac the Terminal Action Code
+ * @type boolean
+ * @return true if any bit set in the TVR is also set in one of the action codes
+ */
+EMVTerminal.prototype.matchActionCode = function(name, iac, tac) {
+	var match = this.getTVR().and(iac.or(tac));
+	if (match.equals(new ByteString("0000000000", HEX))) {
+		return false;
+	}
+
+	if (this.emv.verbose) {
+		print("TVR matches " + name + " action codes:");
+		this.view.decodeActionCode(match);
+	}
+	return true;
+}
+
+
+
+/**
+ * Perform terminal action analysis
+ *
+ * <p>Missing Issuer Action Codes are treated as '0000000000' for denial and 'FFFFFFFFFF' for online and default.</p>
+ *
+ * @type Number
+ * @return the cryptogram type to request in the first GENERATE AC, one of EMV.AAC, EMV.TC or EMV.ARQC
+ */
+EMVTerminal.prototype.terminalActionAnalysis = function() {
+	var cardDE = this.emv.cardDE;
+	var iacDefault = cardDE[0x9F0D] ? cardDE[0x9F0D] : new ByteString("FFFFFFFFFF", HEX);
+	var iacDenial = cardDE[0x9F0E] ? cardDE[0x9F0E] : new ByteString("0000000000", HEX);
+	var iacOnline = cardDE[0x9F0F] ? cardDE[0x9F0F] : new ByteString("FFFFFFFFFF", HEX);
+
+	if (this.matchActionCode("denial", iacDenial, this.tacDenial)) {
+		return EMV.AAC;
+	}
+
+	if (this.onlineCapable) {
+		return this.matchActionCode("online", iacOnline, this.tacOnline) ? EMV.ARQC : EMV.TC;
+	}
+
+	return this.matchActionCode("default", iacDefault, this.tacDefault) ? EMV.AAC : EMV.TC;
+}
+
+
+
+/**
+ * Send GENERATE AC with the current TVR and TSI
+ *
+ * <p>If CDA was selected in offline data authentication, then the CDA signature is requested and verified. A failed
+ *    verification is recorded in the TVR and the transaction is declined.</p>
+ *
+ * @param {Number} p1 the cryptogram type, one of EMV.AAC, EMV.TC or EMV.ARQC
+ * @param {Number} dolTag EMV.CDOL1 for the first or EMV.CDOL2 for the second GENERATE AC (optional, default EMV.CDOL1)
+ * @type Number
+ * @return the cryptogram type returned by the card
+ */
+EMVTerminal.prototype.generateAC = function(p1, dolTag) {
+	this.setTSI(EMVTerminal.TSI_CARD_RISK_MANAGEMENT_PERFORMED);
+
+	if (this.iccPublicKeyModulus && (p1 != EMV.AAC) && !this.isTVRSet(EMVTerminal.TVR_CDA_FAILED)) {
+		try	{
+			this.da.generateACWithCDA(this.iccPublicKeyModulus, p1, dolTag);
+		}
+		catch(e) {
+			GPSystem.trace(e);
+			this.setTVR(EMVTerminal.TVR_CDA_FAILED);
+			return EMV.AAC;
+		}
+	} else {
+		this.emv.generateAC(p1, dolTag);
+	}
+
+	return this.emv.cardDE[EMV.CID].byteAt(0) & 0xC0;
+}
+
+
+
+/**
+ * Perform cardholder verification with the PIN in the pin property
+ *
+ * @param {DataAuthentication} da the data authentication object used to recover the key for enciphered PIN (optional)
+ * @type ByteString
+ * @return the CVM Results
+ */
+EMVTerminal.prototype.cardholderVerification = function(da) {
+	var cv = new CardholderVerification(this, da);
+	cv.pin = this.pin;
+	var results = cv.process();
+	this.emv.log("CVM Results: " + results);
+	return results;
+}
+
+
+
+/**
+ * Process a transaction with the selected application up to the first GENERATE AC
+ *
+ * @param {DataAuthentication} da the data authentication object with the scheme public keys or null to skip
+ *        offline data authentication
+ * @type Number
+ * @return the cryptogram type returned by the card
+ */
+EMVTerminal.prototype.process = function(da) {
+	this.initTransaction();
+
+	this.emv.initApplProc();
+	this.emv.readApplData();
+	this.checkMandatoryData();
+
+	if (da) {
+		this.offlineDataAuthentication(da);
+	} else {
+		this.setTVR(EMVTerminal.TVR_ODA_NOT_PERFORMED);
+	}
+
+	this.processingRestrictions();
+	this.cardholderVerification(da);
+	this.terminalRiskManagement();
+
+	var p1 = this.terminalActionAnalysis();
+	this.emv.log("Terminal action analysis requests cryptogram type " + p1.toString(16));
+
+	return this.generateAC(p1);
+}
+
+
+
+/**
+ * Complete an online transaction with the authorisation response from the issuer
+ *
+ * <p>If the terminal was unable to go online, then the cryptogram type for the second GENERATE AC is determined
+ *    by the default action codes. Otherwise EMV.onlineCompletion() requests a TC only if the Authorisation Response
+ *    Code approves the transaction and issuer authentication did not fail. If CDA was selected in offline data
+ *    authentication, then the CDA signature is requested for a TC and verified. Issuer authentication and issuer
+ *    script processing are recorded in the Terminal Verification Results and Transaction Status Information.</p>
+ *
+ * @param {ByteString} response the data objects from the authorisation response or null if the terminal was unable to go online
+ * @type Number
+ * @return the cryptogram type returned by the card in the second GENERATE AC
+ */
+EMVTerminal.prototype.completion = function(response) {
+	this.updateTerminalDE();
+
+	var p1 = undefined;
+	if (!response) {
+		var cardDE = this.emv.cardDE;
+		var iacDefault = cardDE[0x9F0D] ? cardDE[0x9F0D] : new ByteString("FFFFFFFFFF", HEX);
+		p1 = this.matchActionCode("default", iacDefault, this.tacDefault) ? EMV.AAC : EMV.TC;
+	}
+
+	var cda = this.iccPublicKeyModulus && !this.isTVRSet(EMVTerminal.TVR_CDA_FAILED);
+
+	this.emv.onlineCompletion(response, p1, cda);
+
+	// Take over the bits set during issuer authentication and script processing
+	var tvr = this.emv.terminalDE[EMV.TVR];
+	for (var i = 0; i < this.tvr.length; i++) {
+		this.tvr[i] = tvr.byteAt(i);
+	}
+	var tsi = this.emv.terminalDE[EMV.TSI];
+	for (var i = 0; i < this.tsi.length; i++) {
+		this.tsi[i] = tsi.byteAt(i);
+	}
+
+	if (cda && (typeof(this.emv.cardDE[EMV.SDAD]) != "undefined")) {
+		try	{
+			this.da.verifyCDA(this.iccPublicKeyModulus);
+		}
+		catch(e) {
+			GPSystem.trace(e);
+			this.setTVR(EMVTerminal.TVR_CDA_FAILED);
+			return EMV.AAC;
+		}
+	}
+
+	return this.emv.cardDE[EMV.CID].byteAt(0) & 0xC0;
+}
@@ -25,29 +25,151 @@
  */
 
 load("../../cardsim/commandinterpreter.js");
+load("../applicationCryptogram.js");
+load("emvkeyhierarchy.js");
 
 
 
 /**
  * Create a command interpreter
  *
+ * <p>The application state with the Application Transaction Counter is taken from the meta information
+ *    "ApplicationState" of the selected ADF, the card risk management data object lists from "CDOL1" and "CDOL2"
+ *    and the ICC master key for application cryptograms from "ICCMasterKeyAC". INTERNAL AUTHENTICATE uses the
+ *    dynamic data authentication data object list from "DDOL" and the ICC key pair from "ICCKeyPair". Without
+ *    "ICCKeyPair" the card does not create dynamic signatures and rejects INTERNAL AUTHENTICATE. The offline
+ *    PIN is verified against the PIN block in "ReferencePIN".</p>
+ *
+ * <p>EXTERNAL AUTHENTICATE and the issuer script commands are accepted after an ARQC was returned. The MAC of
+ *    issuer script commands is verified with a session key derived from the ICC master key in "ICCMasterKeySMI".</p>
+ *
+ * <p>Transactions completed with a TC or AAC are recorded in the cyclic EF in "TransactionLog" using the data
+ *    object list in "LogFormat". GET DATA also returns the Log Format and the consecutive offline limits in
+ *    "LCOL" and "UCOL".</p>
+ *
+ * <p>If the ADF has the meta information "PDOL", then GET PROCESSING OPTIONS performs a contactless transaction
+ *    with the Card Transaction Qualifiers from "CTQ".</p>
+ *
  * @class Class implementing a command interpreter that handles EMV command APDUs
  * @constructor
  * @param {FileSelector} fileSelector the file selector object
  */
 function EMVCommandInterpreter(fileSelector) {
 	CommandInterpreter.call(this, fileSelector);
+	this.crypto = new Crypto();
+	this.transaction = null;
 }
 
 // Inherit from CommandInterpreter
 EMVCommandInterpreter.prototype = new CommandInterpreter();
 EMVCommandInterpreter.constructor = EMVCommandInterpreter;
 
+/** Card verification results, byte 2 */
+EMVCommandInterpreter.CVR_SECOND_AAC = 0x00;
+EMVCommandInterpreter.CVR_SECOND_TC = 0x40;
+EMVCommandInterpreter.CVR_SECOND_NOT_REQUESTED = 0x80;
+EMVCommandInterpreter.CVR_FIRST_AAC = 0x00;
+EMVCommandInterpreter.CVR_FIRST_TC = 0x10;
+EMVCommandInterpreter.CVR_FIRST_ARQC = 0x20;
+EMVCommandInterpreter.CVR_ISSUER_AUTHENTICATION_FAILED = 0x08;
+EMVCommandInterpreter.CVR_OFFLINE_PIN_PERFORMED = 0x04;
+EMVCommandInterpreter.CVR_OFFLINE_PIN_FAILED = 0x02;
+EMVCommandInterpreter.CVR_UNABLE_TO_GO_ONLINE = 0x01;
+
+/** Derivation key index and cryptogram version number in the Issuer Application Data */
+EMVCommandInterpreter.DKI = 0x01;
+EMVCommandInterpreter.CVN = 0x0A;
+
+/** Default DDOL with the Unpredictable Number, used if the application has no DDOL */
+EMVCommandInterpreter.DEFAULT_DDOL = new ByteString("9F3704", HEX);
+
+
+
+/**
+ * Decode the data sent in a command according to a data object list
+ *
+ * @param {ByteString} dol the data object list
+ * @param {ByteString} data the command data
+ * @type ByteString[]
+ * @return the data elements indexed by tag
+ */
+EMVCommandInterpreter.decodeDOL = function(dol, data) {
+	var list = [];
+	var entries = EMV.decodeDOL(dol);
+	var ofs = 0;
+	for (var i = 0; i < entries.length; i++) {
+		var length = entries[i].length;
+		if (ofs + length > data.length) {
+			throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_WRONGLENGTH, "Command data shorter than data object list");
+		}
+		list[entries[i].tag] = data.bytes(ofs, length);
+		ofs += length;
+	}
+	if (ofs != data.length) {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_WRONGLENGTH, "Command data longer than data object list");
+	}
+	return list;
+}
+
+
+
+/**
+ * Encode data elements according to a data object list
+ *
+ * <p>Data elements not available are encoded as zero bytes. Shorter values are padded with leading zero bytes.</p>
+ *
+ * @param {ByteString} dol the data object list
+ * @param {ByteString[]} de the data elements indexed by tag
+ * @type ByteString
+ * @return the concatenated values
+ */
+EMVCommandInterpreter.encodeDOL = function(dol, de) {
+	var bb = new ByteBuffer();
+	var entries = EMV.decodeDOL(dol);
+	for (var i = 0; i < entries.length; i++) {
+		var length = entries[i].length;
+		var value = de[entries[i].tag];
+		if (typeof(value) == "undefined") {
+			value = new ByteString("", HEX);
+		}
+		for (var j = value.length; j < length; j++) {
+			bb.append(0);
+		}
+		bb.append(value.right(Math.min(value.length, length)));
+	}
+	return bb.toByteString();
+}
+
+
+
+/**
+ * Add a record for the completed transaction to the transaction log
+ *
+ * <p>The record contains the data elements of the transaction listed in the Log Format, including the
+ *    Application Transaction Counter and the Cryptogram Information Data.</p>
+ *
+ * @param {APDU} apdu the command APDU
+ * @param {Number} cid the type of cryptogram returned
+ */
+EMVCommandInterpreter.prototype.logTransaction = function(apdu, cid) {
+	var log = this.fileSelector.getMeta("TransactionLog");
+	if (!log) {
+		return;
+	}
+
+	var de = this.transaction.dataElements;
+	de[EMV.CID] = ByteString.valueOf(cid);
+	log.appendRecord(apdu, EMVCommandInterpreter.encodeDOL(this.fileSelector.getMeta("LogFormat"), de));
+}
+
 
 
 /**
  * Implements GET PROCESSING OPTIONS
  *
+ * <p>A new transaction is started and the Application Transaction Counter is incremented. In a contactless
+ *    transaction the response also contains the application cryptogram.</p>
+ *
  * @param {APDU} apdu the command APDU
  */
 EMVCommandInterpreter.prototype.getProcessingOptions = function(apdu) {
@@ -57,10 +179,578 @@ EMVCommandInterpreter.prototype.getProcessingOptions = function(apdu) {
 	var aip = this.fileSelector.getMeta("ApplicationInterchangeProfile");
 	var afl = this.fileSelector.getMeta("ApplicationFileLocator");
 
+	var state = this.fileSelector.getMeta("ApplicationState");
+	if (state.atc == 0xFFFF) {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "Application Transaction Counter exhausted");
+	}
+	state.atc++;
+	this.transaction = { atc: ByteString.valueOf(state.atc, 2), cid: null, arqc: null, pin: 0, pdolData: new ByteString("", HEX), transactionData: null };
+
 	var resp = new ASN1(0x77,
 						new ASN1(EMV.AIP, aip),
 						new ASN1(EMV.AFL, afl)
 					);
+
+	var pdol = this.fileSelector.getMeta("PDOL");
+	if (pdol) {
+		this.contactlessTransaction(apdu, pdol, resp);
+	}
+
+	apdu.setRData(resp.getBytes());
+	apdu.setSW(APDU.SW_OK);
+}
+
+
+
+/**
+ * Perform a contactless transaction with the data sent in GET PROCESSING OPTIONS
+ *
+ * <p>An ARQC is returned if the reader requires an online cryptogram or if online PIN is required by card and
+ *    reader for a transaction above the CVM required limit. An offline-only reader receives an AAC instead.
+ *    A TC is returned with the Signed Dynamic Application Data for fast DDA, signed over the Unpredictable Number,
+ *    Amount, Authorised, Transaction Currency Code and the Card Authentication Related Data.</p>
+ *
+ * @param {APDU} apdu the command APDU
+ * @param {ByteString} pdol the processing options data object list
+ * @param {ASN1} resp the response template to which the data objects are added
+ */
+EMVCommandInterpreter.prototype.contactlessTransaction = function(apdu, pdol, resp) {
+	if (!apdu.hasCData()) {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_WRONGLENGTH, "Command Template 83 missing in GET PROCESSING OPTIONS");
+	}
+	try	{
+		var cmd = new ASN1(apdu.getCData());
+	}
+	catch(e) {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INVDATA, "Invalid TLV structure in GET PROCESSING OPTIONS");
+	}
+	if (cmd.tag != 0x83) {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INVDATA, "Command Template 83 expected in GET PROCESSING OPTIONS");
+	}
+	var de = EMVCommandInterpreter.decodeDOL(pdol, cmd.value);
+
+	var ttq = de[EMV.TTQ];
+	if (!ttq || (ttq.length < 2)) {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "Terminal Transaction Qualifiers not contained in PDOL");
+	}
+	if (!(ttq.byteAt(0) & 0x20)) {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "Reader does not support EMV mode");
+	}
+
+	var ctq = this.fileSelector.getMeta("CTQ");
+	if (!ctq) {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "Card Transaction Qualifiers not defined for contactless application");
+	}
+
+	var tr = this.transaction;
+
+	var online = (ttq.byteAt(1) & 0x80) != 0;
+	if ((ttq.byteAt(1) & 0x40) && (ctq.byteAt(0) & 0x80) && (ttq.byteAt(0) & 0x04)) {
+		// Online PIN required by card and supported by reader
+		online = true;
+	}
+
+	var requested = ApplicationCryptogram.TC;
+	if (online) {
+		requested = (ttq.byteAt(0) & 0x08) ? ApplicationCryptogram.AAC : ApplicationCryptogram.ARQC;
+	}
+
+	de[0x82] = this.fileSelector.getMeta("ApplicationInterchangeProfile");
+	de[0x9F36] = tr.atc;
+	tr.dataElements = de;
+	tr.pdolData = cmd.value;
+
+	tr.cvr = tr.pin;
+	var cid = this.firstCardRiskManagement(requested);
+
+	var ac = new ApplicationCryptogram(this.crypto);
+	var sk = ac.deriveACSessionKey(this.fileSelector.getMeta("ICCMasterKeyAC"), tr.atc);
+	var cvr = ByteString.valueOf(0x03000000 | (tr.cvr << 16), 4);
+	var cryptogram = ac.calculateAC(sk, de, cvr);
+
+	tr.cid = cid;
+	if (cid == ApplicationCryptogram.ARQC) {
+		tr.arqc = cryptogram;
+	}
+	GPSystem.trace("GET PROCESSING OPTIONS returns " + ApplicationCryptogram.typeToString(cid) + " " + cryptogram.toString(HEX));
+
+	if (cid != ApplicationCryptogram.ARQC) {
+		this.logTransaction(apdu, cid);
+	}
+
+	var iad = ByteString.valueOf((0x06 << 16) | (EMVCommandInterpreter.DKI << 8) | EMVCommandInterpreter.CVN, 3).concat(cvr);
+
+	resp.add(new ASN1(EMV.CID, ByteString.valueOf(cid)));
+	resp.add(new ASN1(EMV.ATC, tr.atc));
+	resp.add(new ASN1(EMV.AC, cryptogram));
+	resp.add(new ASN1(EMV.IAD, iad));
+	resp.add(new ASN1(EMV.CTQ, ctq));
+
+	var icc = this.fileSelector.getMeta("ICCKeyPair");
+	if ((cid == ApplicationCryptogram.TC) && icc) {
+		var dn = this.crypto.generateRandom(4);
+		var card = ByteString.valueOf(0x01).concat(dn).concat(ctq);
+		resp.add(new ASN1(EMV.CARD_AUTHENTICATION_DATA, card));
+
+		var iccDynamicData = ByteString.valueOf(dn.length).concat(dn);
+		var terminalData = de[EMV.UN].concat(de[0x9F02]).concat(de[0x5F2A]).concat(card);
+
+		var kh = new EMVKeyHierarchy(this.crypto);
+		resp.add(new ASN1(EMV.SDAD, kh.createSDAD(icc, iccDynamicData, terminalData)));
+	}
+}
+
+
+
+/**
+ * Implements GET CHALLENGE
+ *
+ * <p>The challenge is returned as ICC Dynamic Number for the first GENERATE AC.</p>
+ *
+ * @param {APDU} apdu the command APDU
+ */
+EMVCommandInterpreter.prototype.getChallenge = function(apdu) {
+	if ((apdu.getP1() != 0x00) || (apdu.getP2() != 0x00)) {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INCP1P2, "P1 and P2 must be 00 in GET CHALLENGE");
+	}
+	this.challenge = this.crypto.generateRandom(8);
+	apdu.setRData(this.challenge);
+	apdu.setSW(APDU.SW_OK);
+}
+
+
+
+/**
+ * Implements INTERNAL AUTHENTICATE
+ *
+ * <p>The command data is decoded according to the DDOL or the default DDOL '9F3704' if the application has
+ *    no DDOL. The Signed Dynamic Application Data contains a new ICC Dynamic Number and is returned in format 2.</p>
+ *
+ * @param {APDU} apdu the command APDU
+ */
+EMVCommandInterpreter.prototype.internalAuthenticate = function(apdu) {
+	if ((apdu.getP1() != 0x00) || (apdu.getP2() != 0x00)) {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INCP1P2, "P1 and P2 must be 00 in INTERNAL AUTHENTICATE");
+	}
+
+	var icc = this.fileSelector.getMeta("ICCKeyPair");
+	if (!icc) {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "No ICC key pair for dynamic data authentication");
+	}
+
+	var data = apdu.hasCData() ? apdu.getCData() : new ByteString("", HEX);
+	var ddol = this.fileSelector.getMeta("DDOL");
+	if (!ddol) {
+		ddol = EMVCommandInterpreter.DEFAULT_DDOL;
+	}
+	EMVCommandInterpreter.decodeDOL(ddol, data);
+
+	var dn = this.crypto.generateRandom(8);
+	var iccDynamicData = ByteString.valueOf(dn.length).concat(dn);
+
+	var kh = new EMVKeyHierarchy(this.crypto);
+	var sdad = kh.createSDAD(icc, iccDynamicData, data);
+
+	var resp = new ASN1(EMV.RMTF2,
+						new ASN1(EMV.SDAD, sdad)
+					);
+	apdu.setRData(resp.getBytes());
+	apdu.setSW(APDU.SW_OK);
+}
+
+
+
+/**
+ * Implements VERIFY for offline plaintext PIN with P2 '80' and offline enciphered PIN with P2 '88'
+ *
+ * <p>The enciphered PIN is decrypted with the ICC private key and must contain the challenge returned by the
+ *    preceding GET CHALLENGE. The PIN Try Counter is decremented for each wrong PIN and reset to the PIN
+ *    Try Limit if the PIN is correct. The result is recorded in the card verification results.</p>
+ *
+ * @param {APDU} apdu the command APDU
+ */
+EMVCommandInterpreter.prototype.verify = function(apdu) {
+	var tr = this.transaction;
+	if (!tr) {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "GET PROCESSING OPTIONS must be performed before VERIFY");
+	}
+
+	var p2 = apdu.getP2();
+	if ((apdu.getP1() != 0x00) || ((p2 != 0x80) && (p2 != 0x88))) {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INCP1P2, "P1 must be 00 and P2 must be 80 or 88 in VERIFY");
+	}
+
+	var state = this.fileSelector.getMeta("ApplicationState");
+	if (state.pinTryCounter == 0) {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_AUTHMETHLOCKED, "PIN Try Limit exceeded");
+	}
+
+	var pinBlock = apdu.getCData();
+	if (p2 == 0x88) {
+		var challenge = this.challenge;
+		this.challenge = null;
+		if (!challenge) {
+			throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "GET CHALLENGE must be performed before VERIFY");
+		}
+		var icc = this.fileSelector.getMeta("ICCKeyPair");
+		if (!icc) {
+			throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "No ICC key pair for offline enciphered PIN");
+		}
+		var plain = this.crypto.decrypt(icc.privateKey, Crypto.RSA, pinBlock);
+		if (plain.byteAt(0) != 0x7F) {
+			throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INVDATA, "Invalid format of enciphered PIN");
+		}
+		if (!plain.bytes(9, 8).equals(challenge)) {
+			throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "Challenge in enciphered PIN does not match");
+		}
+		pinBlock = plain.bytes(1, 8);
+	}
+
+	tr.pin |= EMVCommandInterpreter.CVR_OFFLINE_PIN_PERFORMED;
+	if (!pinBlock.equals(this.fileSelector.getMeta("ReferencePIN"))) {
+		state.pinTryCounter--;
+		tr.pin |= EMVCommandInterpreter.CVR_OFFLINE_PIN_FAILED;
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_WARNINGCOUNT | state.pinTryCounter, "Wrong PIN");
+	}
+
+	state.pinTryCounter = state.pinTryLimit;
+	tr.pin &= ~EMVCommandInterpreter.CVR_OFFLINE_PIN_FAILED;
+	apdu.setSW(APDU.SW_OK);
+}
+
+
+
+/**
+ * Implements GET DATA for the Application Transaction Counter, the Last Online ATC Register, the PIN Try Counter,
+ * the Lower and Upper Consecutive Offline Limit and the Log Format
+ *
+ * @param {APDU} apdu the command APDU
+ */
+EMVCommandInterpreter.prototype.getData = function(apdu) {
+	var tag = (apdu.getP1() << 8) | apdu.getP2();
+	var state = this.fileSelector.getMeta("ApplicationState");
+
+	switch(tag) {
+	case EMV.ATC:
+		var value = ByteString.valueOf(state.atc, 2);
+		break;
+	case EMV.LOATC:
+		var value = ByteString.valueOf(state.lastOnlineATC, 2);
+		break;
+	case EMV.PTC:
+		var value = ByteString.valueOf(state.pinTryCounter, 1);
+		break;
+	case EMV.LCOL:
+		var value = this.fileSelector.getMeta("LCOL");
+		break;
+	case EMV.UCOL:
+		var value = this.fileSelector.getMeta("UCOL");
+		break;
+	case EMV.LOG_FORMAT:
+		var value = this.fileSelector.getMeta("LogFormat");
+		break;
+	default:
+		var value = undefined;
+	}
+
+	if (!value) {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_RDNOTFOUND, "Data object " + tag.toString(16) + " not found");
+	}
+
+	apdu.setRData(new ASN1(tag, value).getBytes());
+	apdu.setSW(APDU.SW_OK);
+}
+
+
+
+/**
+ * Implements EXTERNAL AUTHENTICATE
+ *
+ * <p>The Issuer Authentication Data contains the ARPC and the Authorisation Response Code. The command is accepted
+ *    once after an ARQC was returned in the first GENERATE AC. The result of the verification is used in the
+ *    card risk management for the second GENERATE AC.</p>
+ *
+ * @param {APDU} apdu the command APDU
+ */
+EMVCommandInterpreter.prototype.externalAuthenticate = function(apdu) {
+	var tr = this.transaction;
+	if (!tr || !tr.arqc || tr.second || (typeof(tr.issuerAuthenticated) != "undefined")) {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "EXTERNAL AUTHENTICATE not allowed in this state of the transaction");
+	}
+
+	if ((apdu.getP1() != 0x00) || (apdu.getP2() != 0x00)) {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INCP1P2, "P1 and P2 must be 00 in EXTERNAL AUTHENTICATE");
+	}
+
+	var iad = apdu.hasCData() ? apdu.getCData() : new ByteString("", HEX);
+	if ((iad.length < 10) || (iad.length > 16)) {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_WRONGLENGTH, "Issuer Authentication Data must be 10 to 16 bytes long");
+	}
+
+	var ac = new ApplicationCryptogram(this.crypto);
+	var sk = ac.deriveACSessionKey(this.fileSelector.getMeta("ICCMasterKeyAC"), tr.atc);
+	var arpc = ac.calculateARPC(sk, tr.arqc, iad.bytes(8, 2));
+
+	tr.issuerAuthenticated = arpc.equals(iad.left(8));
+	if (!tr.issuerAuthenticated) {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_WARNINGNVCHG, "Issuer authentication failed");
+	}
+	apdu.setSW(APDU.SW_OK);
+}
+
+
+
+/**
+ * Implements the issuer script commands APPLICATION BLOCK, APPLICATION UNBLOCK and PIN CHANGE/UNBLOCK
+ *
+ * <p>Issuer script commands must use CLA '84' and are only accepted after an ARQC was returned in the transaction.
+ *    The MAC in the last 8 bytes of the command data is verified with the session key derived from the ARQC.
+ *    PIN CHANGE/UNBLOCK only supports unblocking the PIN with P2 '00', which resets the PIN Try Counter.</p>
+ *
+ * @param {APDU} apdu the command APDU
+ */
+EMVCommandInterpreter.prototype.issuerScriptCommand = function(apdu) {
+	var tr = this.transaction;
+	if (!tr || !tr.arqc) {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "Issuer script commands are only accepted after an ARQC");
+	}
+
+	var data = apdu.hasCData() ? apdu.getCData() : new ByteString("", HEX);
+	if ((apdu.getCLA() != 0x84) || (data.length < 8)) {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_SMOBJMISSING, "Issuer script command without MAC");
+	}
+
+	var bb = new ByteBuffer();
+	bb.append(apdu.getCLA());
+	bb.append(apdu.getINS());
+	bb.append(apdu.getP1());
+	bb.append(apdu.getP2());
+	bb.append(data.length);
+
+	var ac = new ApplicationCryptogram(this.crypto);
+	var sk = ac.deriveSMSessionKey(this.fileSelector.getMeta("ICCMasterKeySMI"), tr.arqc);
+	var mac = ac.calculateScriptMAC(sk, bb.toByteString(), data.left(data.length - 8), tr.atc, tr.arqc);
+	if (!mac.equals(data.right(8))) {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INCSMDATAOBJECT, "MAC verification failed");
+	}
+
+	var state = this.fileSelector.getMeta("ApplicationState");
+	switch(apdu.getINS()) {
+	case EMV.INS_APPLICATION_BLOCK:
+		GPSystem.trace("Application blocked");
+		state.blocked = true;
+		break;
+	case EMV.INS_APPLICATION_UNBLOCK:
+		GPSystem.trace("Application unblocked");
+		state.blocked = false;
+		break;
+	case EMV.INS_PIN_CHANGE_UNBLOCK:
+		if ((apdu.getP1() != 0x00) || (apdu.getP2() != 0x00) || (data.length != 8)) {
+			throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INCP1P2, "Only PIN unblock is supported in PIN CHANGE/UNBLOCK");
+		}
+		GPSystem.trace("PIN unblocked");
+		state.pinTryCounter = state.pinTryLimit;
+		break;
+	}
+	apdu.setSW(APDU.SW_OK);
+}
+
+
+
+/**
+ * Perform card risk management for the first GENERATE AC and return the cryptogram type
+ *
+ * <p>The simulation returns the cryptogram type requested by the terminal. A blocked application returns an AAC
+ *    instead of a TC, but still goes online with an ARQC, so that the issuer can unblock it with an issuer script.</p>
+ *
+ * @param {Number} requested the cryptogram type requested in P1
+ * @type Number
+ * @return the cryptogram type returned
+ */
+EMVCommandInterpreter.prototype.firstCardRiskManagement = function(requested) {
+	this.transaction.cvr |= EMVCommandInterpreter.CVR_SECOND_NOT_REQUESTED;
+	if ((requested == ApplicationCryptogram.TC) && this.fileSelector.getMeta("ApplicationState").blocked) {
+		GPSystem.trace("Application is blocked");
+		requested = ApplicationCryptogram.AAC;
+	}
+	switch(requested) {
+	case ApplicationCryptogram.AAC:
+		this.transaction.cvr |= EMVCommandInterpreter.CVR_FIRST_AAC;
+		break;
+	case ApplicationCryptogram.TC:
+		this.transaction.cvr |= EMVCommandInterpreter.CVR_FIRST_TC;
+		break;
+	case ApplicationCryptogram.ARQC:
+		this.transaction.cvr |= EMVCommandInterpreter.CVR_FIRST_ARQC;
+		break;
+	}
+	return requested;
+}
+
+
+
+/**
+ * Perform card risk management for the second GENERATE AC and return the cryptogram type
+ *
+ * <p>The Issuer Authentication Data in tag '91' contains the ARPC and the Authorisation Response Code. If present,
+ *    the ARPC is verified and a failed verification in this command or in EXTERNAL AUTHENTICATE always results in an
+ *    AAC. A TC is returned if requested, the application is not blocked and the Authorisation Response Code is '00',
+ *    '10' or '11'.</p>
+ *
+ * <p>A missing Authorisation Response Code or the codes 'Y3' and 'Z3' indicate that the terminal was unable to go
+ *    online. The card then approves only with 'Y3' and if offline PIN verification did not fail. 'Z3' and a missing
+ *    code result in an AAC.</p>
+ *
+ * @param {Number} requested the cryptogram type requested in P1
+ * @param {ByteString[]} de the data elements from CDOL2
+ * @param {Key} sk the session key for application cryptograms
+ * @type Number
+ * @return the cryptogram type returned
+ */
+EMVCommandInterpreter.prototype.secondCardRiskManagement = function(requested, de, sk) {
+	var tr = this.transaction;
+	tr.cvr = EMVCommandInterpreter.CVR_FIRST_ARQC | tr.pin;
+
+	var failed = (tr.issuerAuthenticated == false);
+
+	var iad = de[0x91];
+	if (iad && (iad.length >= 10) && !iad.left(8).equals(new ByteString("0000000000000000", HEX))) {
+		var ac = new ApplicationCryptogram(this.crypto);
+		var arpc = ac.calculateARPC(sk, tr.arqc, iad.bytes(8, 2));
+		if (!arpc.equals(iad.left(8))) {
+			GPSystem.trace("Issuer authentication failed");
+			failed = true;
+		}
+	}
+
+	if (failed) {
+		tr.cvr |= EMVCommandInterpreter.CVR_ISSUER_AUTHENTICATION_FAILED;
+	}
+
+	var arc = de[0x8A] ? de[0x8A].toString(ASCII) : null;
+	var state = this.fileSelector.getMeta("ApplicationState");
+	if ((arc == null) || (arc == "Y3") || (arc == "Z3")) {
+		tr.cvr |= EMVCommandInterpreter.CVR_UNABLE_TO_GO_ONLINE;
+		var approved = (arc == "Y3") && !(tr.pin & EMVCommandInterpreter.CVR_OFFLINE_PIN_FAILED);
+	} else {
+		var approved = (arc == "00") || (arc == "10") || (arc == "11");
+		if (approved && !failed) {
+			state.lastOnlineATC = state.atc;
+		}
+	}
+
+	if (failed || state.blocked) {
+		approved = false;
+	}
+
+	if ((requested == ApplicationCryptogram.TC) && approved) {
+		tr.cvr |= EMVCommandInterpreter.CVR_SECOND_TC;
+		return ApplicationCryptogram.TC;
+	}
+	tr.cvr |= EMVCommandInterpreter.CVR_SECOND_AAC;
+	return ApplicationCryptogram.AAC;
+}
+
+
+
+/**
+ * Implements GENERATE AC
+ *
+ * <p>The first GENERATE AC decodes the data according to CDOL1. A second GENERATE AC with data according to
+ *    CDOL2 is only accepted after an ARQC was returned. Data elements required for the cryptogram, but not
+ *    contained in CDOL2, are taken from the first GENERATE AC. The response uses format 2 and contains the Cryptogram
+ *    Information Data, the Application Transaction Counter, the Application Cryptogram and the Issuer Application
+ *    Data with the card verification results.</p>
+ *
+ * <p>If a CDA signature is requested and the card returns a TC or ARQC, then the Application Cryptogram is
+ *    replaced by the Signed Dynamic Application Data. The transaction data hash code covers the PDOL data from
+ *    GET PROCESSING OPTIONS, the CDOL data of all GENERATE AC commands in the transaction and the data objects
+ *    returned in the response.</p>
+ *
+ * @param {APDU} apdu the command APDU
+ */
+EMVCommandInterpreter.prototype.generateAC = function(apdu) {
+	var tr = this.transaction;
+	if (!tr) {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "GET PROCESSING OPTIONS must be performed before GENERATE AC");
+	}
+
+	var requested = apdu.getP1() & 0xC0;
+	if ((requested == 0xC0) || (apdu.getP2() != 0x00)) {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INCP1P2, "Invalid P1 or P2 in GENERATE AC");
+	}
+
+	if (tr.cid == null) {
+		var second = false;
+		var dol = this.fileSelector.getMeta("CDOL1");
+	} else if ((tr.cid == ApplicationCryptogram.ARQC) && !tr.second) {
+		var second = true;
+		var dol = this.fileSelector.getMeta("CDOL2");
+		if (requested == ApplicationCryptogram.ARQC) {
+			throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INCP1P2, "ARQC can not be requested in the second GENERATE AC");
+		}
+	} else {
+		throw new GPError("EMVCommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "GENERATE AC not allowed in this state of the transaction");
+	}
+
+	var data = apdu.hasCData() ? apdu.getCData() : new ByteString("", HEX);
+	var de = EMVCommandInterpreter.decodeDOL(dol, data);
+	tr.transactionData = (tr.transactionData ? tr.transactionData : tr.pdolData).concat(data);
+	if (second) {
+		// Data elements not contained in CDOL2 are taken from the first GENERATE AC
+		for (var tag in tr.dataElements) {
+			if (typeof(de[tag]) == "undefined") {
+				de[tag] = tr.dataElements[tag];
+			}
+		}
+	}
+	de[0x82] = this.fileSelector.getMeta("ApplicationInterchangeProfile");
+	de[0x9F36] = tr.atc;
+	tr.dataElements = de;
+
+	var ac = new ApplicationCryptogram(this.crypto);
+	var sk = ac.deriveACSessionKey(this.fileSelector.getMeta("ICCMasterKeyAC"), tr.atc);
+
+	if (second) {
+		var cid = this.secondCardRiskManagement(requested, de, sk);
+		tr.second = true;
+	} else {
+		tr.cvr = tr.pin;
+		var cid = this.firstCardRiskManagement(requested);
+	}
+
+	var cvr = ByteString.valueOf(0x03000000 | (tr.cvr << 16), 4);
+	var cryptogram = ac.calculateAC(sk, de, cvr);
+
+	tr.cid = cid;
+	if (cid == ApplicationCryptogram.ARQC) {
+		tr.arqc = cryptogram;
+	}
+	GPSystem.trace("GENERATE AC returns " + ApplicationCryptogram.typeToString(cid) + " " + cryptogram.toString(HEX));
+
+	if (cid != ApplicationCryptogram.ARQC) {
+		this.logTransaction(apdu, cid);
+	}
+
+	var iad = ByteString.valueOf((0x06 << 16) | (EMVCommandInterpreter.DKI << 8) | EMVCommandInterpreter.CVN, 3).concat(cvr);
+
+	var cidObj = new ASN1(EMV.CID, ByteString.valueOf(cid));
+	var atcObj = new ASN1(EMV.ATC, tr.atc);
+	var iadObj = new ASN1(EMV.IAD, iad);
+
+	var icc = this.fileSelector.getMeta("ICCKeyPair");
+	if ((apdu.getP1() & EMV.CDA) && (cid != ApplicationCryptogram.AAC) && icc) {
+		var hash = this.crypto.digest(Crypto.SHA_1, tr.transactionData.concat(cidObj.getBytes()).concat(atcObj.getBytes()).concat(iadObj.getBytes()));
+		var dn = this.crypto.generateRandom(8);
+		var iccDynamicData = ByteString.valueOf(dn.length).concat(dn).concat(ByteString.valueOf(cid)).concat(cryptogram).concat(hash);
+
+		var kh = new EMVKeyHierarchy(this.crypto);
+		var sdad = kh.createSDAD(icc, iccDynamicData, de[EMV.UN]);
+
+		var resp = new ASN1(EMV.RMTF2, cidObj, atcObj, new ASN1(EMV.SDAD, sdad), iadObj);
+	} else {
+		var resp = new ASN1(EMV.RMTF2, cidObj, atcObj, new ASN1(EMV.AC, cryptogram), iadObj);
+	}
 	apdu.setRData(resp.getBytes());
 	apdu.setSW(APDU.SW_OK);
 }
@@ -78,6 +768,29 @@ EMVCommandInterpreter.prototype.dispatch = function(apdu, ins) {
 	case EMV.INS_GET_PROCESSING_OPTIONS:
 		this.getProcessingOptions(apdu);
 		break;
+	case EMV.INS_GENERATE_AC:
+		this.generateAC(apdu);
+		break;
+	case EMV.INS_INTERNAL_AUTHENTICATE:
+		this.internalAuthenticate(apdu);
+		break;
+	case EMV.INS_GET_DATA:
+		this.getData(apdu);
+		break;
+	case APDU.INS_GET_CHALLENGE:
+		this.getChallenge(apdu);
+		break;
+	case APDU.INS_VERIFY:
+		this.verify(apdu);
+		break;
+	case EMV.INS_EXTERNAL_AUTHENTICATE:
+		this.externalAuthenticate(apdu);
+		break;
+	case EMV.INS_APPLICATION_BLOCK:
+	case EMV.INS_APPLICATION_UNBLOCK:
+	case EMV.INS_PIN_CHANGE_UNBLOCK:
+		this.issuerScriptCommand(apdu);
+		break;
 	default:
 		CommandInterpreter.prototype.dispatch.call(this, apdu, ins);
 	}
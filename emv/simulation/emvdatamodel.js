@@ -28,11 +28,181 @@
 
 /**
  * Create an EMV data model
+ *
+ * <p>The data model initially contains the default application of the simulation. A data model with the
+ *    application exported from a card with EMVExport is created with EMVDataModel.decode().</p>
+ *
  * @class Class implementing an EMV data model
  * @constructor
  */ 
 function EMVDataModel() {
+	this.files = this.getDefaultFiles();
+}
+
+
+
+/** Format identifier and version of the export created by EMVExport */
+EMVDataModel.EXPORT_FORMAT = "EMVExport";
+EMVDataModel.EXPORT_VERSION = 1;
+
+
+
+/**
+ * Create a data model from an application export
+ *
+ * <p>The FCI, Application Interchange Profile, Application File Locator, records and values for GET DATA
+ *    are taken from the export. Missing records in a file are replaced by an empty record template. The decoded
+ *    data object lists in the export are informative only, the data object lists are taken from the records.</p>
+ *
+ * <p>The export does not contain keys, so the issuer master keys and the reference PIN are those of the
+ *    simulation. Certificates in the records remain unchanged and the data model has no ICC key pair, so
+ *    the simulation does not create dynamic signatures. The export must contain the Application PAN.</p>
+ *
+ * @param {Object} image the export as created by EMVExport.getExport()
+ * @type EMVDataModel
+ * @return the data model with the exported application
+ */
+EMVDataModel.decode = function(image) {
+	if (image.format != EMVDataModel.EXPORT_FORMAT) {
+		throw new GPError("EMVDataModel", GPError.INVALID_DATA, 0, "Not an EMV application export");
+	}
+	if (image.version > EMVDataModel.EXPORT_VERSION) {
+		throw new GPError("EMVDataModel", GPError.INVALID_DATA, image.version, "Unsupported export version " + image.version);
+	}
+
+	var model = new EMVDataModel();
+
+	model.aid = new ByteString(image.aid, HEX);
+	var fci = new ASN1(new ByteString(image.fci, HEX));
+	model.fciProprietaryTemplate = fci.find(EMV.FCI_ISSUER);
+	model.aip = new ByteString(image.aip, HEX);
+	model.afl = new ByteString(image.afl, HEX);
+
+	model.files = [];
+	for (var i = 0; i < image.files.length; i++) {
+		var file = image.files[i];
+		var records = [];
+		for (var j = 0; j < file.records.length; j++) {
+			var record = file.records[j];
+			records[record.recno - 1] = new ByteString(record.data, HEX);
+		}
+		for (var j = 0; j < records.length; j++) {
+			if (typeof(records[j]) == "undefined") {
+				records[j] = new ByteString("7000", HEX);
+			}
+		}
+		model.files.push({ sfi: file.sfi, records: records });
+	}
+
+	model.dataObjects = [];
+	for (var tag in image.getData) {
+		if (image.getData[tag] != null) {
+			model.dataObjects[parseInt(tag, 16)] = new ByteString(image.getData[tag], HEX);
+		}
+	}
+
+	if (!model.findDataElement(0x5A)) {
+		throw new GPError("EMVDataModel", GPError.OBJECT_NOT_FOUND, 0x5A, "Application PAN (5A) not contained in the records of the export");
+	}
+	return model;
+}
 
+
+
+/**
+ * Create a data model from a JSON encoded application export
+ *
+ * @param {String} str the JSON encoded export
+ * @type EMVDataModel
+ * @return the data model with the exported application
+ */
+EMVDataModel.fromJSONString = function(str) {
+	return EMVDataModel.decode(JSON.parse(str));
+}
+
+
+
+/**
+ * Create a data model from an application export saved in a JSON file
+ *
+ * <p>The file is read with UTF-8 encoding as written by EMVExport.save().</p>
+ *
+ * @param {String} filename the fully qualified file name
+ * @type EMVDataModel
+ * @return the data model with the exported application
+ */
+EMVDataModel.load = function(filename) {
+	var f = new java.io.InputStreamReader(new java.io.FileInputStream(filename), "UTF-8");
+	var bfr = new java.io.BufferedReader(f);
+
+	var str = "";
+	var line;
+	while ((line = bfr.readLine()) != null) {
+		str += line + "\n";
+	}
+	bfr.close();
+	f.close();
+
+	return EMVDataModel.fromJSONString(str);
+}
+
+
+
+/**
+ * Return the application identifier
+ *
+ * @type ByteString
+ * @return the AID
+ */
+EMVDataModel.prototype.getAID = function() {
+	if (this.aid) {
+		return this.aid;
+	}
+	return new ByteString("A000000000", HEX);
+}
+
+
+
+/**
+ * Return the application label
+ *
+ * @type ByteString
+ * @return the application label
+ */
+EMVDataModel.prototype.getApplicationLabel = function() {
+	if (this.fciProprietaryTemplate) {
+		var label = this.fciProprietaryTemplate.find(EMV.LABEL);
+		return label ? label.value : new ByteString("", ASCII);
+	}
+	return new ByteString("EMV Simulator", ASCII);
+}
+
+
+
+/**
+ * Return the FCI Proprietary Template returned when selecting the application
+ *
+ * <p>The template contains the application label, the Log Entry and in contactless mode the PDOL.</p>
+ *
+ * @param {boolean} contactless true for the contactless interface
+ * @type ASN1
+ * @return the FCI Proprietary Template
+ */
+EMVDataModel.prototype.getFCIProprietaryTemplate = function(contactless) {
+	if (this.fciProprietaryTemplate) {
+		return this.fciProprietaryTemplate;
+	}
+
+	var fcipt = new ASN1("FCI Proprietary Template", EMV.FCI_ISSUER,
+							new ASN1("Application Label", EMV.LABEL, this.getApplicationLabel())
+						);
+	if (contactless) {
+		fcipt.add(new ASN1("PDOL", EMV.PDOL, this.getProcessingOptionsDOL()));
+	}
+	fcipt.add(new ASN1("FCI Issuer Discretionary Data", EMV.FCI_ISSUER_DISCRETIONARY_DATA,
+					new ASN1("Log Entry", EMV.LOG_ENTRY, this.getLogEntry())
+				));
+	return fcipt;
 }
 
 
@@ -41,6 +211,9 @@ function EMVDataModel() {
  * Return the application file locator
  */
 EMVDataModel.prototype.getApplicationFileLocator = function() {
+	if (this.afl) {
+		return this.afl;
+	}
 	return new ByteString("08010100 10010101 18010200 20010200", HEX);
 }
 
@@ -50,27 +223,144 @@ EMVDataModel.prototype.getApplicationFileLocator = function() {
  * Return the application interchange profile
  */
 EMVDataModel.prototype.getApplicationInterchangeProfile = function() {
-	return new ByteString("1980", HEX);
+	if (this.aip) {
+		return this.aip;
+	}
+	return new ByteString("3980", HEX);
 }
 
 
 
 /**
- * Return the list of EFs and their records
+ * Return the initial application state with the counters
+ *
+ * <p>For an exported application the Application Transaction Counter, the Last Online ATC Register and the
+ *    PIN Try Counter are initialized with the values obtained with GET DATA.</p>
+ *
+ * @type Object
+ * @return the application state
  */
-EMVDataModel.prototype.getFiles = function() {
+EMVDataModel.prototype.getApplicationState = function() {
+	var state = { atc: 0, lastOnlineATC: 0, pinTryLimit: 3, pinTryCounter: 3, blocked: false };
+	if (this.dataObjects) {
+		if (this.dataObjects[EMV.ATC]) {
+			state.atc = this.dataObjects[EMV.ATC].toUnsigned();
+		}
+		if (this.dataObjects[EMV.LOATC]) {
+			state.lastOnlineATC = this.dataObjects[EMV.LOATC].toUnsigned();
+		}
+		if (this.dataObjects[EMV.PTC]) {
+			state.pinTryCounter = this.dataObjects[EMV.PTC].toUnsigned();
+		}
+	}
+	return state;
+}
+
+
+
+/**
+ * Return the value of a data object returned by GET DATA
+ *
+ * <p>Data objects not obtained with GET DATA from the exported application are searched in the records.</p>
+ *
+ * @param {Number} tag the tag of the data object
+ * @type ByteString
+ * @return the value or null if not found
+ */
+EMVDataModel.prototype.getDataObject = function(tag) {
+	if (this.dataObjects && this.dataObjects[tag]) {
+		return this.dataObjects[tag];
+	}
+	return this.findDataElement(tag);
+}
+
+
+
+/**
+ * Return the processing options data object list used in contactless mode
+ *
+ * <p>The PDOL requests the Terminal Transaction Qualifiers and the data elements for the application cryptogram
+ *    returned by GET PROCESSING OPTIONS.</p>
+ *
+ * @type ByteString
+ * @return the PDOL or null if an exported application has no PDOL
+ */
+EMVDataModel.prototype.getProcessingOptionsDOL = function() {
+	if (this.fciProprietaryTemplate) {
+		var pdol = this.fciProprietaryTemplate.find(EMV.PDOL);
+		return pdol ? pdol.value : null;
+	}
+	return new ByteString("9F6604 9F0206 9F0306 9F1A02 9505 5F2A02 9A03 9C01 9F3704", HEX);
+}
+
+
+
+/**
+ * Return the card transaction qualifiers used in contactless mode
+ *
+ * <p>The card requires online PIN or signature if the reader requests a CVM and prefers to go online if
+ *    fast DDA fails.</p>
+ *
+ * @type ByteString
+ * @return the 2 byte Card Transaction Qualifiers
+ */
+EMVDataModel.prototype.getCardTransactionQualifiers = function() {
+	return new ByteString("E000", HEX);
+}
+
+
+
+/**
+ * Return the Log Entry with the SFI and the number of records of the transaction log
+ *
+ * @type ByteString
+ * @return the 2 byte Log Entry or null if an exported application has no transaction log
+ */
+EMVDataModel.prototype.getLogEntry = function() {
+	if (this.fciProprietaryTemplate) {
+		var bf0c = this.fciProprietaryTemplate.find(EMV.FCI_ISSUER_DISCRETIONARY_DATA);
+		var logEntry = bf0c ? bf0c.find(EMV.LOG_ENTRY) : null;
+		return logEntry ? logEntry.value : null;
+	}
+	return new ByteString("0B0A", HEX);
+}
+
+
+
+/**
+ * Return the Log Format
+ *
+ * <p>Each log record contains the transaction date, the amounts, the country and currency code, the transaction
+ *    type, the Application Transaction Counter and the Cryptogram Information Data.</p>
+ *
+ * @type ByteString
+ * @return the Log Format, a data object list, or null if not provided by an exported application
+ */
+EMVDataModel.prototype.getLogFormat = function() {
+	if (this.dataObjects) {
+		return this.dataObjects[EMV.LOG_FORMAT] ? this.dataObjects[EMV.LOG_FORMAT] : null;
+	}
+	return new ByteString("9A03 9F0206 9F0306 9F1A02 5F2A02 9C01 9F3602 9F2701", HEX);
+}
+
+
+
+/**
+ * Return the list of EFs and their records as initially contained in the data model
+ */
+EMVDataModel.prototype.getDefaultFiles = function() {
 	return [
 		{ sfi: 1, records: [
 			new ByteString("70 81 8D 9F 6C 02 00 01 9F 62 06 00 00 00 00 01 C0 9F 63 06 00 00 00 07 80 00 56 4C 42 35 32 33 34 30 30 30 30 35 30 33 34 31 31 34 35 5E 20 2F 20 20 20 20 20 20 20 20 20 20 20 20 20 20 20 20 20 20 20 20 20 20 20 20 5E 31 36 30 32 32 30 32 34 39 39 32 30 30 33 39 38 39 31 34 39 38 31 30 30 30 37 34 31 39 36 36 9F 64 01 02 9F 65 02 00 E0 9F 66 02 00 1E 9F 6B 13 52 34 00 00 50 34 11 45 D1 60 22 02 14 98 10 00 04 00 0F 9F 67 01 02", HEX)
 			]
 		},
 		{ sfi: 2, records: [
-			new ByteString("70 81 A3 57 13 52 34 00 00 50 34 11 45 D1 60 22 01 14 98 19 09 04 00 0F 5A 08 52 34 00 00 50 34 11 45 5F 24 03 16 02 28 5F 30 02 02 02 9F 44 01 02 5F 28 02 02 80 5F 34 01 04 8C 21 9F 02 06 9F 03 06 9F 1A 02 95 05 5F 2A 02 9A 03 9C 01 9F 37 04 9F 35 01 9F 45 02 9F 4C 08 9F 34 03 8D 0C 91 0A 8A 02 95 05 9F 37 04 9F 4C 08 8E 0E 00 00 00 00 00 00 00 00 5E 03 42 03 1F 03 9F 07 02 FF 00 9F 08 02 00 02 9F 0D 05 B4 50 04 00 00 9F 0E 05 00 00 88 00 00 9F 0F 05 B4 70 04 98 00 9F 42 02 09 78 9F 4A 01 82", HEX)
+			new ByteString("70 81 A7 57 13 52 34 00 00 50 34 11 45 D1 60 22 01 14 98 19 09 04 00 0F 5A 08 52 34 00 00 50 34 11 45 5F 24 03 16 02 28 5F 30 02 02 02 9F 44 01 02 5F 28 02 02 80 5F 34 01 04 8C 21 9F 02 06 9F 03 06 9F 1A 02 95 05 5F 2A 02 9A 03 9C 01 9F 37 04 9F 35 01 9F 45 02 9F 4C 08 9F 34 03 8D 0C 91 0A 8A 02 95 05 9F 37 04 9F 4C 08 8E 12 00 00 00 00 00 00 00 00 44 03 41 03 5E 03 42 03 1F 03 9F 07 02 FF 00 9F 08 02 00 02 9F 0D 05 B4 50 04 00 00 9F 0E 05 00 00 88 00 00 9F 0F 05 B4 70 04 98 00 9F 42 02 09 78 9F 4A 01 82", HEX)
 			]
 		},
 		{ sfi: 3, records: [
 			new ByteString("70 81 C0 8F 01 04 9F 32 01 03 92 24 94 EE D1 88 44 B8 C9 0A 55 5C AE 8B 39 16 86 C1 2A 30 ED 71 C2 81 D3 FA 90 EE B0 5E AF 29 8A E2 C9 D1 40 0F 90 81 90 27 18 3B 7E 0B 7D E4 47 D9 C5 2B 5A D9 58 CF 41 60 FD C0 A7 0D 84 C8 8A C9 B0 1B B4 B7 58 61 D8 36 B1 8D 15 4E 28 89 EF 50 CC A8 3E 76 43 B5 27 91 FF 1C C6 1B 1F 0A D6 16 1A F9 E6 8E 14 36 F5 73 07 EC 07 DB B3 04 B6 F1 78 C1 AF 68 3E 3D B7 17 41 32 19 69 95 DB F6 72 1B 13 89 2A CF 46 8A 14 06 60 8E 95 FD 97 7A 3F 34 3D 18 B6 1F 5D 77 E4 E7 9F A0 ED 5A 4B 5D 4B 57 C4 1A 29 E7 B7 FD 1E 9F 42 36 B0 BE ED FF 58 32 C3 6C E0 CF 14 AA", HEX),
-			new ByteString("70 81 A3 9F 6E 0D 02 80 F0 01 22 09 92 00 39 89 74 19 66 93 81 90 06 8C 34 A1 42 BF A9 2B 88 FC 5D 86 AB 32 9C A8 19 DA E2 DF 38 85 F6 E1 4C 1B 8C CD 16 9F 58 F0 14 B9 3F 92 50 69 0C AC 6D 20 1F 9D 42 F3 00 B9 14 9C E4 C1 D1 6F FF 3B FB F5 F5 10 DC 6F A1 4F 9B F7 A3 8F BB 82 7F B5 18 FB 2C 00 6A 85 29 8B 84 1F 77 0F 3F 93 B8 33 9F 9F 83 63 6A 0C 49 88 4D 22 56 8F 32 70 E5 E0 7B F3 7F 77 58 5C C4 D4 B0 88 4C B0 24 3A 8C 3B 25 E8 85 AF EF 2E C3 2E CD 41 C7 44 DF AA 19 C7 30 2F 6F E0 4F 87 7F E5", HEX)
+			new ByteString("70 81 AB 9F 14 01 03 9F 23 01 05 9F 6E 0D 02 80 F0 01 22 09 92 00 39 89 74 19 66 93 81 90 06 8C 34 A1 42 BF A9 2B 88 FC 5D 86 AB 32 9C A8 19 DA E2 DF 38 85 F6 E1 4C 1B 8C CD 16 9F 58 F0 14 B9 3F 92 50 69 0C AC 6D 20 1F 9D 42 F3 00 B9 14 9C E4 C1 D1 6F FF 3B FB F5 F5 10 DC 6F A1 4F 9B F7 A3 8F BB 82 7F B5 18 FB 2C 00 6A 85 29 8B 84 1F 77 0F 3F 93 B8 33 9F 9F 83 63 6A 0C 49 88 4D 22 56 8F 32 70 E5 E0 7B F3 7F 77 58 5C C4 D4 B0 88 4C B0 24 3A 8C 3B 25 E8 85 AF EF 2E C3 2E CD 41 C7 44 DF AA 19 C7 30 2F 6F E0 4F 87 7F E5", HEX)
 			]
 		},
 		{ sfi: 4, records: [
@@ -81,3 +371,162 @@ EMVDataModel.prototype.getFiles = function() {
 	];
 }
 
+
+
+/**
+ * Return the list of EFs and their records
+ */
+EMVDataModel.prototype.getFiles = function() {
+	return this.files;
+}
+
+
+
+/**
+ * Find a data element in the records of the data model
+ *
+ * @param {Number} tag the tag of the data element
+ * @type ByteString
+ * @return the value of the data element or null if not found
+ */
+EMVDataModel.prototype.findDataElement = function(tag) {
+	var files = this.getFiles();
+	for (var i = 0; i < files.length; i++) {
+		var records = files[i].records;
+		for (var j = 0; j < records.length; j++) {
+			var o = new ASN1(records[j]).find(tag);
+			if (o) {
+				return o.value;
+			}
+		}
+	}
+	return null;
+}
+
+
+
+/**
+ * Return the issuer master key from which the ICC master key for application cryptograms is derived
+ *
+ * @type Key
+ * @return the double length issuer master key
+ */
+EMVDataModel.prototype.getIssuerMasterKeyAC = function() {
+	var key = new Key();
+	key.setComponent(Key.DES, new ByteString("0123456789ABCDEFFEDCBA9876543210", HEX));
+	return key;
+}
+
+
+
+/**
+ * Return the issuer master key from which the ICC master key for secure messaging integrity is derived
+ *
+ * @type Key
+ * @return the double length issuer master key
+ */
+EMVDataModel.prototype.getIssuerMasterKeySMI = function() {
+	var key = new Key();
+	key.setComponent(Key.DES, new ByteString("FEDCBA98765432100123456789ABCDEF", HEX));
+	return key;
+}
+
+
+
+/**
+ * Return the reference PIN for offline PIN verification
+ *
+ * @type ByteString
+ * @return the PIN 1234 encoded as format 2 PIN block
+ */
+EMVDataModel.prototype.getReferencePIN = function() {
+	return new ByteString("241234FFFFFFFFFF", HEX);
+}
+
+
+
+/**
+ * Return the ICC key pair for dynamic signatures and offline enciphered PIN
+ *
+ * <p>The key pair is set by EMVKeyHierarchy.personalize() together with the matching certificates.</p>
+ *
+ * @type Object
+ * @return the key pair with properties publicKey and privateKey or null if the data model was not personalized
+ */
+EMVDataModel.prototype.getICCKeyPair = function() {
+	return this.iccKeyPair ? this.iccKeyPair : null;
+}
+
+
+
+/**
+ * Replace the value of a data element in the records of the data model
+ *
+ * @param {Number} tag the tag of the data element
+ * @param {ByteString} value the new value
+ */
+EMVDataModel.prototype.setDataElement = function(tag, value) {
+	var files = this.getFiles();
+	for (var i = 0; i < files.length; i++) {
+		var records = files[i].records;
+		for (var j = 0; j < records.length; j++) {
+			var template = new ASN1(records[j]);
+			if (template.find(tag)) {
+				var tl = new TLVList(template.value, TLV.EMV);
+				var bb = new ByteBuffer();
+				for (var k = 0; k < tl.length; k++) {
+					var t = tl.index(k);
+					if (t.getTag() == tag) {
+						t = new TLV(tag, value, TLV.EMV);
+					}
+					bb.append(t.getTLV());
+				}
+				records[j] = new TLV(EMV.TEMPLATE, bb.toByteString(), TLV.EMV).getTLV();
+				return;
+			}
+		}
+	}
+	throw new GPError("EMVDataModel", GPError.OBJECT_NOT_FOUND, tag, "Data element " + tag.toString(16) + " not found");
+}
+
+
+
+/**
+ * Return the static data to be authenticated
+ *
+ * <p>The static data consists of the records marked in the Application File Locator, using only the value of the
+ *    record template for files with SFI 1 to 10, followed by the values of the data elements listed in the
+ *    Static Data Authentication Tag List.</p>
+ *
+ * @type ByteString
+ * @return the static data to be authenticated
+ */
+EMVDataModel.prototype.getStaticDataToBeAuthenticated = function() {
+	var afl = this.getApplicationFileLocator();
+	var files = this.getFiles();
+	var bb = new ByteBuffer();
+
+	for (var i = 0; i < afl.length; i += 4) {
+		var sfi = afl.byteAt(i) >> 3;
+		var srec = afl.byteAt(i + 1);
+		var dar = afl.byteAt(i + 3);
+
+		for (var j = 0; j < files.length; j++) {
+			if (files[j].sfi == sfi) {
+				for (var r = srec; r < srec + dar; r++) {
+					var record = files[j].records[r - 1];
+					bb.append(sfi <= 10 ? new ASN1(record).value : record);
+				}
+			}
+		}
+	}
+
+	var tagList = this.findDataElement(EMV.SDATL);
+	if (tagList) {
+		for (var i = 0; i < tagList.length; i++) {
+			var tag = tagList.byteAt(i);
+			bb.append(tag == EMV.AIP ? this.getApplicationInterchangeProfile() : this.findDataElement(tag));
+		}
+	}
+	return bb.toByteString();
+}
@@ -0,0 +1,295 @@
+/**
+ *  ---------
+ * |.##> <##.|  Open Smart Card Development Platform (www.openscdp.org)
+ * |#       #|
+ * |#       #|  Copyright (c) 1999-2009 CardContact Software & System Consulting
+ * |'##> <##'|  Andreas Schwier, 32429 Minden, Germany (www.cardcontact.de)
+ *  ---------
+ *
+ *  This file is part of OpenSCDP.
+ *
+ *  OpenSCDP is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License version 2 as
+ *  published by the Free Software Foundation.
+ *
+ *  OpenSCDP is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with OpenSCDP; if not, write to the Free Software
+ *  Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA  02110-1301  USA
+ *
+ * @fileoverview Test key hierarchy for offline data authentication in the EMV simulation
+ */
+
+
+
+/**
+ * Create a key hierarchy with certification authority, issuer and ICC key pairs
+ *
+ * <p>The key pairs are generated by generate(). The issuer public key is certified by the
+ *    certification authority and the ICC public key by the issuer. All signatures use the
+ *    format with message recovery defined in EMV 4.3 Book 2, Annex A2.1 with SHA-1 as hash algorithm.</p>
+ *
+ * <p>The key sizes are chosen so that the issuer public key and the ICC public key do not fit
+ *    into the certificate and a public key remainder is always present.</p>
+ *
+ * @class Class implementing a test key hierarchy for static and dynamic data authentication
+ * @constructor
+ * @param {Crypto} crypto the crypto provider
+ * @param {Number} index the certification authority public key index
+ */
+function EMVKeyHierarchy(crypto, index) {
+	this.crypto = crypto;
+	this.index = index;
+	this.serial = 0;
+}
+
+
+
+/** Hash algorithm and public key algorithm indicators */
+EMVKeyHierarchy.HASH_SHA1 = 0x01;
+EMVKeyHierarchy.PK_RSA = 0x01;
+
+/** Formats of the recovered data */
+EMVKeyHierarchy.ISSUER_PK_CERTIFICATE = 0x02;
+EMVKeyHierarchy.SIGNED_STATIC_DATA = 0x03;
+EMVKeyHierarchy.ICC_PK_CERTIFICATE = 0x04;
+EMVKeyHierarchy.SIGNED_DYNAMIC_DATA = 0x05;
+
+
+
+/**
+ * Generate a RSA key pair
+ *
+ * @param {Number} size the key size in bits
+ * @type Object
+ * @return the key pair with properties publicKey and privateKey
+ */
+EMVKeyHierarchy.prototype.generateKeyPair = function(size) {
+	var puk = new Key();
+	puk.setType(Key.PUBLIC);
+	puk.setSize(size);
+
+	var prk = new Key();
+	prk.setType(Key.PRIVATE);
+
+	this.crypto.generateKeyPair(Crypto.RSA, puk, prk);
+	return { publicKey: puk, privateKey: prk };
+}
+
+
+
+/**
+ * Generate the key pairs for certification authority and issuer with 1024 bit and for the ICC with 768 bit
+ */
+EMVKeyHierarchy.prototype.generate = function() {
+	this.ca = this.generateKeyPair(1024);
+	this.issuer = this.generateKeyPair(1024);
+	this.icc = this.generateKeyPair(768);
+}
+
+
+
+/**
+ * Return a pad pattern of 'BB' bytes
+ *
+ * @param {Number} length the length of the pad pattern
+ * @type ByteString
+ * @return the pad pattern
+ */
+EMVKeyHierarchy.getPadPattern = function(length) {
+	var bb = new ByteBuffer();
+	for (var i = 0; i < length; i++) {
+		bb.append(0xBB);
+	}
+	return bb.toByteString();
+}
+
+
+
+/**
+ * Sign data with message recovery
+ *
+ * <p>The recovered data is '6A' || data || hash || 'BC', with the hash calculated over the data followed
+ *    by the additional hash input.</p>
+ *
+ * @param {Object} keyPair the signer key pair
+ * @param {ByteString} data the recoverable data, which must be 22 bytes shorter than the modulus
+ * @param {ByteString} hashInput the additional data included in the hash
+ * @type ByteString
+ * @return the signature
+ */
+EMVKeyHierarchy.prototype.sign = function(keyPair, data, hashInput) {
+	var length = keyPair.publicKey.getComponent(Key.MODULUS).length;
+	if (data.length != length - 22) {
+		throw new GPError("EMVKeyHierarchy", GPError.INVALID_DATA, data.length, "Recoverable data must be " + (length - 22) + " bytes long");
+	}
+
+	var hash = this.crypto.digest(Crypto.SHA_1, data.concat(hashInput));
+
+	var bb = new ByteBuffer();
+	bb.append(0x6A);
+	bb.append(data);
+	bb.append(hash);
+	bb.append(0xBC);
+
+	return this.crypto.decrypt(keyPair.privateKey, Crypto.RSA, bb.toByteString());
+}
+
+
+
+/**
+ * Create a public key certificate for the issuer or ICC public key
+ *
+ * @param {Object} signer the key pair of the certificate issuer
+ * @param {Key} puk the public key to certify
+ * @param {ByteString} header the format and identifier preceding the expiration date
+ * @param {ByteString} expiry the certificate expiration date MMYY
+ * @param {ByteString} staticData the static data to be authenticated or an empty ByteString
+ * @type Object
+ * @return the certificate with properties certificate, remainder and exponent
+ */
+EMVKeyHierarchy.prototype.createPKCertificate = function(signer, puk, header, expiry, staticData) {
+	var length = signer.publicKey.getComponent(Key.MODULUS).length;
+	var modulus = puk.getComponent(Key.MODULUS);
+	var exponent = puk.getComponent(Key.EXPONENT);
+
+	var leftmost = length - 22 - header.length - 9;
+	if (modulus.length <= leftmost) {
+		throw new GPError("EMVKeyHierarchy", GPError.INVALID_KEY, modulus.length, "Public key must be longer than the leftmost digits in the certificate");
+	}
+
+	this.serial++;
+
+	var bb = new ByteBuffer();
+	bb.append(header);
+	bb.append(expiry);
+	bb.append(ByteString.valueOf(this.serial, 3));
+	bb.append(EMVKeyHierarchy.HASH_SHA1);
+	bb.append(EMVKeyHierarchy.PK_RSA);
+	bb.append(modulus.length);
+	bb.append(exponent.length);
+	bb.append(modulus.left(leftmost));
+
+	var remainder = modulus.bytes(leftmost);
+	var certificate = this.sign(signer, bb.toByteString(), remainder.concat(exponent).concat(staticData));
+
+	return { certificate: certificate, remainder: remainder, exponent: exponent };
+}
+
+
+
+/**
+ * Create the Issuer Public Key Certificate signed by the certification authority
+ *
+ * @param {ByteString} pan the Application Primary Account Number
+ * @param {ByteString} expiry the certificate expiration date MMYY
+ * @type Object
+ * @return the certificate with properties certificate, remainder and exponent
+ */
+EMVKeyHierarchy.prototype.createIssuerPKCertificate = function(pan, expiry) {
+	var header = ByteString.valueOf(EMVKeyHierarchy.ISSUER_PK_CERTIFICATE).concat(pan.left(4));
+	return this.createPKCertificate(this.ca, this.issuer.publicKey, header, expiry, new ByteString("", HEX));
+}
+
+
+
+/**
+ * Create the ICC Public Key Certificate signed by the issuer
+ *
+ * @param {ByteString} pan the Application Primary Account Number
+ * @param {ByteString} expiry the certificate expiration date MMYY
+ * @param {ByteString} staticData the static data to be authenticated
+ * @type Object
+ * @return the certificate with properties certificate, remainder and exponent
+ */
+EMVKeyHierarchy.prototype.createICCPKCertificate = function(pan, expiry, staticData) {
+	var bb = new ByteBuffer();
+	bb.append(EMVKeyHierarchy.ICC_PK_CERTIFICATE);
+	bb.append(pan);
+	while (bb.length < 11) {
+		bb.append(0xFF);
+	}
+	return this.createPKCertificate(this.issuer, this.icc.publicKey, bb.toByteString(), expiry, staticData);
+}
+
+
+
+/**
+ * Create the Signed Static Application Data signed by the issuer
+ *
+ * @param {ByteString} dac the two byte Data Authentication Code
+ * @param {ByteString} staticData the static data to be authenticated
+ * @type ByteString
+ * @return the Signed Static Application Data
+ */
+EMVKeyHierarchy.prototype.createSSAD = function(dac, staticData) {
+	var length = this.issuer.publicKey.getComponent(Key.MODULUS).length;
+
+	var bb = new ByteBuffer();
+	bb.append(EMVKeyHierarchy.SIGNED_STATIC_DATA);
+	bb.append(EMVKeyHierarchy.HASH_SHA1);
+	bb.append(dac);
+	bb.append(EMVKeyHierarchy.getPadPattern(length - 26));
+
+	return this.sign(this.issuer, bb.toByteString(), staticData);
+}
+
+
+
+/**
+ * Create the Signed Dynamic Application Data for INTERNAL AUTHENTICATE
+ *
+ * @param {Object} icc the ICC key pair
+ * @param {ByteString} iccDynamicData the ICC Dynamic Data, starting with the length of the ICC Dynamic Number
+ * @param {ByteString} terminalData the data sent by the terminal according to the DDOL
+ * @type ByteString
+ * @return the Signed Dynamic Application Data
+ */
+EMVKeyHierarchy.prototype.createSDAD = function(icc, iccDynamicData, terminalData) {
+	var length = icc.publicKey.getComponent(Key.MODULUS).length;
+
+	var bb = new ByteBuffer();
+	bb.append(EMVKeyHierarchy.SIGNED_DYNAMIC_DATA);
+	bb.append(EMVKeyHierarchy.HASH_SHA1);
+	bb.append(iccDynamicData.length);
+	bb.append(iccDynamicData);
+	bb.append(EMVKeyHierarchy.getPadPattern(length - iccDynamicData.length - 25));
+
+	return this.sign(icc, bb.toByteString(), terminalData);
+}
+
+
+
+/**
+ * Replace the certificates and signed data in the records of the data model
+ *
+ * <p>The Certification Authority Public Key Index, the issuer and ICC public key certificates with remainder
+ *    and exponent and the Signed Static Application Data must already be contained in the records. The ICC key
+ *    pair is assigned to the data model.</p>
+ *
+ * @param {EMVDataModel} dataModel the data model
+ */
+EMVKeyHierarchy.prototype.personalize = function(dataModel) {
+	var pan = dataModel.findDataElement(0x5A);
+	var staticData = dataModel.getStaticDataToBeAuthenticated();
+	var expiry = new ByteString("1249", HEX);
+
+	var cert = this.createIssuerPKCertificate(pan, expiry);
+	dataModel.setDataElement(EMV.CAPKI, ByteString.valueOf(this.index));
+	dataModel.setDataElement(0x90, cert.certificate);
+	dataModel.setDataElement(0x92, cert.remainder);
+	dataModel.setDataElement(0x9F32, cert.exponent);
+
+	dataModel.setDataElement(0x93, this.createSSAD(new ByteString("DAC1", HEX), staticData));
+
+	var cert = this.createICCPKCertificate(pan, expiry, staticData);
+	dataModel.setDataElement(0x9F46, cert.certificate);
+	dataModel.setDataElement(0x9F48, cert.remainder);
+	dataModel.setDataElement(0x9F47, cert.exponent);
+
+	dataModel.iccKeyPair = this.icc;
+}
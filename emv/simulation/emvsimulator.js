@@ -25,6 +25,7 @@
  */
 
 load("../../cardsim/filesystem.js");
+load("../../cardsim/cardcapabilities.js");
 load("../emv.js");
 
 load("emvcommandinterpreter.js");
@@ -33,17 +34,42 @@ load("emvdatamodel.js");
 
 var dataModel = new EMVDataModel();
 
+// Test key hierarchy for offline data authentication. The scheme public key is keyHierarchy.ca.publicKey
+// The keys are generated only once and reused if the simulation is loaded again
+if (typeof(keyHierarchy) == "undefined") {
+	var keyHierarchy = new EMVKeyHierarchy(new Crypto(), 0xF1);
+	keyHierarchy.generate();
+}
+keyHierarchy.personalize(dataModel);
+
 
 /**
  * Create a card simulation object
  *
+ * <p>In contactless mode the application is listed in the PPSE with kernel identifier 3 and returns the
+ *    application cryptogram in response to GET PROCESSING OPTIONS using the PDOL from the FCI.</p>
+ *
+ * <p>The application is created from the data model, which can contain an application exported from a card
+ *    with EMVExport.</p>
+ *
  * @class Class implementing a simple EMV card simulation
  * @constructor
+ * @param {CardCapabilities} capabilities the buffer sizes and logical channels supported (optional)
+ * @param {boolean} contactless true to simulate the contactless interface (optional, default false)
+ * @param {EMVDataModel} model the data model of the application (optional, default dataModel)
  */
-function EMVSimulator() {
-	this.mf = new DF(FCP.newDF("3F00", null));
+function EMVSimulator(capabilities, contactless, model) {
+	this.capabilities = (typeof(capabilities) == "undefined") ? new CardCapabilities() : capabilities;
+	this.contactless = contactless ? true : false;
+	if (typeof(model) == "undefined") {
+		model = dataModel;
+	}
 
-	var aid = new ByteString("A000000000", HEX);
+	this.mf = new DF(FCP.newDF("3F00", null),
+						new TransparentEF(FCP.newTransparentEF("2F01", -1, 100), this.capabilities.getExtendedLengthInfo())
+					);
+
+	var aid = model.getAID();
 	var fcipt = new ASN1("FCI Proprietary Template", 0xA5,
 							new ASN1("SFI of the Directory Elementary File", 0x88, ByteString.valueOf(1))
 						);
@@ -51,7 +77,7 @@ function EMVSimulator() {
 	var psd = new ASN1(0x70,
 							new ASN1(0x61,
 								new ASN1(0x4F, aid),
-								new ASN1(0x50, new ByteString("EMV Simulator", ASCII))
+								new ASN1(0x50, model.getApplicationLabel())
 							)
 						);
 	var records = [ psd.getBytes() ];
@@ -61,22 +87,70 @@ function EMVSimulator() {
 
 	this.mf.add(paysysddf);
 
-	var fcipt = new ASN1("FCI Proprietary Template", 0xA5,
-							new ASN1("Application Label", 0x50, new ByteString("EMV Simulator", ASCII))
-						);
+	if (this.contactless) {
+		var fcipt = new ASN1("FCI Proprietary Template", 0xA5,
+								new ASN1("FCI Issuer Discretionary Data", EMV.FCI_ISSUER_DISCRETIONARY_DATA,
+									new ASN1("Directory Entry", EMV.DIRECTORY_ENTRY,
+										new ASN1("ADF Name", EMV.AID, aid),
+										new ASN1("Application Label", EMV.LABEL, model.getApplicationLabel()),
+										new ASN1("Application Priority Indicator", EMV.PRIORITY, ByteString.valueOf(1)),
+										new ASN1("Kernel Identifier", EMV.KERNEL_ID, ByteString.valueOf(3))
+									)
+								)
+							);
+		this.mf.add(new DF(FCP.newDF(null, EMV.PSE2, fcipt.getBytes())));
+	}
 
+	var fcipt = model.getFCIProprietaryTemplate(this.contactless);
 	var adf = new DF(FCP.newDF(null, aid, fcipt.getBytes())
 						);
 
-	adf.addMeta("ApplicationInterchangeProfile", dataModel.getApplicationInterchangeProfile());
-	adf.addMeta("ApplicationFileLocator", dataModel.getApplicationFileLocator());
+	adf.addMeta("ApplicationInterchangeProfile", model.getApplicationInterchangeProfile());
+	adf.addMeta("ApplicationFileLocator", model.getApplicationFileLocator());
+
+	// The application state is kept across resets
+	this.applicationState = model.getApplicationState();
+	adf.addMeta("ApplicationState", this.applicationState);
+	adf.addMeta("ReferencePIN", model.getReferencePIN());
+
+	if (this.contactless) {
+		adf.addMeta("PDOL", model.getProcessingOptionsDOL());
+		adf.addMeta("CTQ", model.getCardTransactionQualifiers());
+	}
+
+	adf.addMeta("CDOL1", model.findDataElement(EMV.CDOL1));
+	adf.addMeta("CDOL2", model.findDataElement(EMV.CDOL2));
+
+	var ac = new ApplicationCryptogram(new Crypto());
+	var mk = ac.deriveICCMasterKey(model.getIssuerMasterKeyAC(), model.findDataElement(0x5A), model.findDataElement(0x5F34));
+	adf.addMeta("ICCMasterKeyAC", mk);
+
+	var mk = ac.deriveICCMasterKey(model.getIssuerMasterKeySMI(), model.findDataElement(0x5A), model.findDataElement(0x5F34));
+	adf.addMeta("ICCMasterKeySMI", mk);
+
+	adf.addMeta("DDOL", model.findDataElement(0x9F49));
+	adf.addMeta("LCOL", model.getDataObject(EMV.LCOL));
+	adf.addMeta("UCOL", model.getDataObject(EMV.UCOL));
+	adf.addMeta("ICCKeyPair", model.getICCKeyPair());
 
 	// Create file system from data model
-	for each (var file in dataModel.getFiles()) {
+	for each (var file in model.getFiles()) {
 		var fid = ByteString.valueOf(0xEF00 + file.sfi, 2).toString(HEX);
 		adf.add(new LinearEF(FCP.newLinearEF(fid, file.sfi, FCP.LINEARVARIABLE, file.records.length, 256), file.records));
 	}
 
+	// Transaction log with the most recent transaction in record 1 and fixed size records as defined by the Log Format
+	var logEntry = model.getLogEntry();
+	var logFormat = model.getLogFormat();
+	if (logEntry && logFormat) {
+		var fid = ByteString.valueOf(0xEF00 + logEntry.byteAt(0), 2).toString(HEX);
+		var recsize = EMVCommandInterpreter.encodeDOL(logFormat, []).length;
+		var log = new CyclicEF(FCP.newLinearEF(fid, logEntry.byteAt(0), FCP.CYCLIC, logEntry.byteAt(1), recsize), []);
+		adf.add(log);
+		adf.addMeta("LogFormat", logFormat);
+		adf.addMeta("TransactionLog", log);
+	}
+
 	this.mf.add(adf);
 
 	print(this.mf.dump(""));
@@ -92,6 +166,7 @@ function EMVSimulator() {
 EMVSimulator.prototype.initialize = function() {
 	this.fileSelector = new FileSelector(this.mf);
 	this.commandInterpreter = new EMVCommandInterpreter(this.fileSelector);
+	this.commandInterpreter.setCardCapabilities(this.capabilities);
 }
 
 
@@ -141,7 +216,7 @@ EMVSimulator.prototype.reset = function(type) {
 
 	this.initialize();
 
-	var atr = new ByteString("3B600000", HEX);
+	var atr = this.capabilities.getATR();
 	return atr;
 }
 
@@ -150,9 +225,12 @@ EMVSimulator.prototype.reset = function(type) {
 /**
  * Create new simulation and register with existing or newly created adapter singleton.
  *
+ * @param {boolean} contactless true to simulate the contactless interface (optional, default false)
+ * @param {String} filename the application export created with EMVExport.save() (optional, default dataModel)
  */
-EMVSimulator.newInstance = function() {
-	var sim = new EMVSimulator();
+EMVSimulator.newInstance = function(contactless, filename) {
+	var model = (typeof(filename) == "undefined") ? undefined : EMVDataModel.load(filename);
+	var sim = new EMVSimulator(undefined, contactless, model);
 
 	if (typeof(CARDSIM) == "undefined") {
 		var adapter = new CardSimulationAdapter("JCOPSimulation", "8050");
@@ -35,6 +35,14 @@ load("tools/TestProcedure.js");
 
 load("../emv.js");
 load("../emvView.js");
+load("../applicationCryptogram.js");
+load("../dataAuthentication.js");
+load("../emvTerminal.js");
+load("../cardholderVerification.js");
+load("../contactlessReader.js");
+load("../authorisationHost.js");
+load("../emvReport.js");
+load("../emvExport.js");
 
 
 var param = new Array();
@@ -43,6 +51,22 @@ param["card"] = new Card(_scsh3.reader);
 param["crypto"] = new Crypto();
 
 param["contactless"] = false;			// Use 1PAY.SYS.DDF01 or 2PAY.SYSDDF01
+param["pin"] = "1234";					// Offline PIN of the card as used in emv/simulation
+
+// Issuer master key for application cryptograms as used in emv/simulation
+var imkAC = new Key();
+imkAC.setComponent(Key.DES, new ByteString("0123456789ABCDEFFEDCBA9876543210", HEX));
+param["imkAC"] = imkAC;
+
+// Issuer master key for secure messaging integrity in issuer scripts as used in emv/simulation
+var imkSMI = new Key();
+imkSMI.setComponent(Key.DES, new ByteString("FEDCBA98765432100123456789ABCDEF", HEX));
+param["imkSMI"] = imkSMI;
+
+// Scheme public key of the test key hierarchy if emv/simulation runs in this shell
+if (typeof(keyHierarchy) != "undefined") {
+	param["schemePublicKey"] = { rid: new ByteString("A000000000", HEX), index: keyHierarchy.index, key: keyHierarchy.ca.publicKey };
+}
 
 
 
@@ -68,5 +92,22 @@ var testRunner = new TestRunner("EMV Simulation Test Suite");
 testRunner.addTestGroupFromXML("tg_application_selection.xml", param);
 testRunner.addTestGroupFromXML("tg_initiate_application_processing.xml", param);
 testRunner.addTestGroupFromXML("tg_read_application_data.xml", param);
+testRunner.addTestGroupFromXML("tg_offline_data_authentication.xml", param);
+testRunner.addTestGroupFromXML("tg_terminal_risk_management.xml", param);
+testRunner.addTestGroupFromXML("tg_cardholder_verification.xml", param);
+testRunner.addTestGroupFromXML("tg_transaction_log.xml", param);
+
+// Requires emv/simulation running in this shell and its issuer master keys
+if (typeof(EMVSimulator) != "undefined") {
+	testRunner.addTestGroupFromXML("tg_card_action_analysis.xml", param);
+	testRunner.addTestGroupFromXML("tg_online_completion.xml", param);
+	testRunner.addTestGroupFromXML("tg_authorisation_host.xml", param);
+	testRunner.addTestGroupFromXML("tg_application_export.xml", param);
+}
+
+// Requires the simulation in contactless mode, e.g. EMVSimulator.newInstance(true)
+if (param["contactless"]) {
+	testRunner.addTestGroupFromXML("tg_contactless.xml", param);
+}
 
 print("Test-Suite loaded...");
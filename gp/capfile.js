@@ -0,0 +1,566 @@
+/**
+ *  ---------
+ * |.##> <##.|  Open Smart Card Development Platform (www.openscdp.org)
+ * |#       #|
+ * |#       #|  Copyright (c) 1999-2009 CardContact Software & System Consulting
+ * |'##> <##'|  Andreas Schwier, 32429 Minden, Germany (www.cardcontact.de)
+ *  ---------
+ *
+ *  This file is part of OpenSCDP.
+ *
+ *  OpenSCDP is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License version 2 as
+ *  published by the Free Software Foundation.
+ *
+ *  OpenSCDP is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with OpenSCDP; if not, write to the Free Software
+ *  Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA  02110-1301  USA
+ *
+ * @fileoverview Decoder for Java Card CAP files and generator for GlobalPlatform LOAD commands
+ */
+
+
+
+/**
+ * Create an empty CAP file object
+ *
+ * <p>Components are added from the ZIP archive with readFile() or individually with addComponent().</p>
+ *
+ * @class Class implementing a decoder for Java Card CAP files
+ * @constructor
+ */
+function CAPFile() {
+	this.components = [];
+	this.dapBlocks = [];
+}
+
+
+CAPFile.HEADER = 1;
+CAPFile.DIRECTORY = 2;
+CAPFile.APPLET = 3;
+CAPFile.IMPORT = 4;
+CAPFile.CONSTANTPOOL = 5;
+CAPFile.CLASS = 6;
+CAPFile.METHOD = 7;
+CAPFile.STATICFIELD = 8;
+CAPFile.REFLOCATION = 9;
+CAPFile.EXPORT = 10;
+CAPFile.DESCRIPTOR = 11;
+CAPFile.DEBUG = 12;
+
+/** Component names as used for the files in the CAP archive */
+CAPFile.COMPONENTS = [ null, "Header", "Directory", "Applet", "Import", "ConstantPool", "Class", "Method",
+						"StaticField", "RefLocation", "Export", "Descriptor", "Debug" ];
+
+/** Order of components in the Load File Data Block */
+CAPFile.LOADORDER = [ CAPFile.HEADER, CAPFile.DIRECTORY, CAPFile.IMPORT, CAPFile.APPLET, CAPFile.CLASS,
+						CAPFile.METHOD, CAPFile.STATICFIELD, CAPFile.EXPORT, CAPFile.CONSTANTPOOL,
+						CAPFile.REFLOCATION, CAPFile.DESCRIPTOR ];
+
+CAPFile.ACC_INT = 0x01;
+CAPFile.ACC_EXPORT = 0x02;
+CAPFile.ACC_APPLET = 0x04;
+
+/** Default size of the data field in LOAD, leaving room for padding and C-MAC */
+CAPFile.DEFAULT_BLOCKSIZE = 0xE0;
+
+
+
+/**
+ * Read the components from a CAP file
+ *
+ * <p>The file name is mapped relative to the current working directory. Entries in the ZIP archive
+ *    that are not a component, e.g. the manifest, are ignored.</p>
+ *
+ * @param {String} name the name of the CAP file
+ */
+CAPFile.prototype.readFile = function(name) {
+	var filename = GPSystem.mapFilename(name, GPSystem.CWD);
+
+	var zis = new java.util.zip.ZipInputStream(new java.io.FileInputStream(filename));
+	var buffer = java.lang.reflect.Array.newInstance(java.lang.Byte.TYPE, 1024);
+
+	try	{
+		var entry;
+		while ((entry = zis.getNextEntry()) != null) {
+			var m = String(entry.getName()).match(/([A-Za-z]+)\.cap$/);
+			if (!m) {
+				continue;
+			}
+			var tag = CAPFile.getComponentTag(m[1]);
+			if (tag < 0) {
+				continue;
+			}
+
+			var bos = new java.io.ByteArrayOutputStream();
+			var len;
+			while ((len = zis.read(buffer, 0, buffer.length)) > 0) {
+				bos.write(buffer, 0, len);
+			}
+			this.addComponent(new ByteBuffer(bos.toByteArray()).toByteString());
+		}
+	}
+	finally {
+		zis.close();
+	}
+
+	if (!this.components[CAPFile.HEADER]) {
+		throw new GPError("CAPFile", GPError.INVALID_DATA, 0, "No Header component found in " + filename);
+	}
+}
+
+
+
+/**
+ * Return the component tag for a component name
+ *
+ * @param {String} name the component name, e.g. "Header"
+ * @type Number
+ * @return the tag or -1 if the name is unknown
+ */
+CAPFile.getComponentTag = function(name) {
+	for (var i = 1; i < CAPFile.COMPONENTS.length; i++) {
+		if (CAPFile.COMPONENTS[i] == name) {
+			return i;
+		}
+	}
+	return -1;
+}
+
+
+
+/**
+ * Add a component
+ *
+ * @param {ByteString} data the component, starting with the tag and two byte size
+ */
+CAPFile.prototype.addComponent = function(data) {
+	if ((data.length < 3) || (data.bytes(1, 2).toUnsigned() != data.length - 3)) {
+		throw new GPError("CAPFile", GPError.INVALID_DATA, 0, "Size of component does not match length of data");
+	}
+	var tag = data.byteAt(0);
+	if ((tag < CAPFile.HEADER) || (tag > CAPFile.DEBUG)) {
+		throw new GPError("CAPFile", GPError.INVALID_DATA, tag, "Unknown component tag " + tag);
+	}
+	this.components[tag] = data;
+}
+
+
+
+/**
+ * Return a component
+ *
+ * @param {Number} tag the component tag
+ * @type ByteString
+ * @return the component including tag and size or undefined if not contained
+ */
+CAPFile.prototype.getComponent = function(tag) {
+	return this.components[tag];
+}
+
+
+
+/**
+ * Return the info part of a component, i.e. without tag and size
+ *
+ * @param {Number} tag the component tag
+ * @type ByteString
+ * @return the component info
+ */
+CAPFile.prototype.getComponentInfo = function(tag) {
+	var c = this.components[tag];
+	if (!c) {
+		throw new GPError("CAPFile", GPError.OBJECT_NOT_FOUND, tag, CAPFile.COMPONENTS[tag] + " component not found");
+	}
+	return c.bytes(3);
+}
+
+
+
+/**
+ * Decode the Header component
+ *
+ * @type Object
+ * @return object with properties minorVersion, majorVersion, flags, packageMinorVersion,
+ *         packageMajorVersion, packageAID and the optional packageName
+ */
+CAPFile.prototype.getHeader = function() {
+	var c = this.getComponentInfo(CAPFile.HEADER);
+
+	if (!c.left(4).equals(new ByteString("DECAFFED", HEX))) {
+		throw new GPError("CAPFile", GPError.INVALID_DATA, 0, "Invalid magic in Header component");
+	}
+
+	var h = {
+		minorVersion: c.byteAt(4),
+		majorVersion: c.byteAt(5),
+		flags: c.byteAt(6),
+		packageMinorVersion: c.byteAt(7),
+		packageMajorVersion: c.byteAt(8)
+	};
+	var l = c.byteAt(9);
+	h.packageAID = c.bytes(10, l);
+
+	var ofs = 10 + l;
+	if (ofs < c.length) {
+		h.packageName = c.bytes(ofs + 1, c.byteAt(ofs)).toString(ASCII);
+	}
+	return h;
+}
+
+
+
+/**
+ * Return the package AID
+ *
+ * @type ByteString
+ * @return the package AID from the Header component
+ */
+CAPFile.prototype.getPackageAID = function() {
+	return this.getHeader().packageAID;
+}
+
+
+
+/**
+ * Decode the Directory component
+ *
+ * <p>CAP files in format 2.2 contain the size of the Debug component as twelfth entry.</p>
+ *
+ * @type Object
+ * @return object with properties componentSizes, imageSize, arrayInitCount, arrayInitSize,
+ *         importCount, appletCount and customCount
+ */
+CAPFile.prototype.getDirectory = function() {
+	var c = this.getComponentInfo(CAPFile.DIRECTORY);
+	var h = this.getHeader();
+
+	var count = ((h.majorVersion > 2) || ((h.majorVersion == 2) && (h.minorVersion >= 2))) ? 12 : 11;
+
+	var d = { componentSizes: [] };
+	var ofs = 0;
+	for (var i = 1; i <= count; i++) {
+		d.componentSizes[i] = c.bytes(ofs, 2).toUnsigned();
+		ofs += 2;
+	}
+	d.imageSize = c.bytes(ofs, 2).toUnsigned();
+	d.arrayInitCount = c.bytes(ofs + 2, 2).toUnsigned();
+	d.arrayInitSize = c.bytes(ofs + 4, 2).toUnsigned();
+	d.importCount = c.byteAt(ofs + 6);
+	d.appletCount = c.byteAt(ofs + 7);
+	d.customCount = c.byteAt(ofs + 8);
+	return d;
+}
+
+
+
+/**
+ * Decode the Applet component
+ *
+ * @type Object[]
+ * @return the list of applets with properties aid and installMethodOffset, empty for library packages
+ */
+CAPFile.prototype.getApplets = function() {
+	var list = [];
+	if (!this.components[CAPFile.APPLET]) {
+		return list;
+	}
+
+	var c = this.getComponentInfo(CAPFile.APPLET);
+	var count = c.byteAt(0);
+	var ofs = 1;
+	for (var i = 0; i < count; i++) {
+		var l = c.byteAt(ofs++);
+		list.push({ aid: c.bytes(ofs, l), installMethodOffset: c.bytes(ofs + l, 2).toUnsigned() });
+		ofs += l + 2;
+	}
+	return list;
+}
+
+
+
+/**
+ * Decode the Import component
+ *
+ * @type Object[]
+ * @return the list of imported packages with properties aid, minorVersion and majorVersion
+ */
+CAPFile.prototype.getImports = function() {
+	var list = [];
+	if (!this.components[CAPFile.IMPORT]) {
+		return list;
+	}
+
+	var c = this.getComponentInfo(CAPFile.IMPORT);
+	var count = c.byteAt(0);
+	var ofs = 1;
+	for (var i = 0; i < count; i++) {
+		var l = c.byteAt(ofs + 2);
+		list.push({ minorVersion: c.byteAt(ofs), majorVersion: c.byteAt(ofs + 1), aid: c.bytes(ofs + 3, l) });
+		ofs += 3 + l;
+	}
+	return list;
+}
+
+
+
+/**
+ * Return the Load File Data Block, which is the concatenation of all components except Debug
+ * in the order defined by the Java Card virtual machine specification
+ *
+ * @type ByteString
+ * @return the Load File Data Block
+ */
+CAPFile.prototype.getLoadFileDataBlock = function() {
+	var bb = new ByteBuffer();
+	for (var i = 0; i < CAPFile.LOADORDER.length; i++) {
+		var c = this.components[CAPFile.LOADORDER[i]];
+		if (c) {
+			bb.append(c);
+		}
+	}
+	return bb.toByteString();
+}
+
+
+
+/**
+ * Calculate the Load File Data Block Hash for INSTALL [for load] and the DAP signature
+ *
+ * @param {Crypto} crypto the crypto provider
+ * @param {Number} mech the hash algorithm (optional, default Crypto.SHA_1)
+ * @type ByteString
+ * @return the hash value
+ */
+CAPFile.prototype.getLoadFileDataBlockHash = function(crypto, mech) {
+	if (typeof(mech) == "undefined") {
+		mech = Crypto.SHA_1;
+	}
+	return crypto.digest(mech, this.getLoadFileDataBlock());
+}
+
+
+
+/**
+ * Add a DAP block to be sent in front of the Load File Data Block
+ *
+ * <p>The signature is calculated by the caller over the Load File Data Block Hash using the DAP key of
+ *    the security domain.</p>
+ *
+ * @param {ByteString} sdAid the AID of the security domain verifying the DAP
+ * @param {ByteString} signature the Load File Data Block signature
+ */
+CAPFile.prototype.addDAPBlock = function(sdAid, signature) {
+	this.dapBlocks.push({ aid: sdAid, signature: signature });
+}
+
+
+
+/**
+ * Encode the load file with the optional DAP blocks (tag 'E2') and the Load File Data Block (tag 'C4')
+ *
+ * @type ByteString
+ * @return the load file as sent with LOAD
+ */
+CAPFile.prototype.getLoadFile = function() {
+	var bb = new ByteBuffer();
+
+	for (var i = 0; i < this.dapBlocks.length; i++) {
+		var d = this.dapBlocks[i];
+		var dap = new ASN1("DAP Block", 0xE2,
+							new ASN1("Security Domain AID", 0x4F, d.aid),
+							new ASN1("Load File Data Block Signature", 0xC3, d.signature)
+						);
+		bb.append(dap.getBytes());
+	}
+
+	bb.append(new TLV(0xC4, this.getLoadFileDataBlock(), TLV.EMV).getTLV());
+	return bb.toByteString();
+}
+
+
+
+/**
+ * Split the load file into blocks for LOAD
+ *
+ * @param {Number} blockSize the maximum size of the data field (optional, default CAPFile.DEFAULT_BLOCKSIZE)
+ * @type ByteString[]
+ * @return the list of blocks
+ */
+CAPFile.prototype.getLoadBlocks = function(blockSize) {
+	if (typeof(blockSize) == "undefined") {
+		blockSize = CAPFile.DEFAULT_BLOCKSIZE;
+	}
+	if ((blockSize < 1) || (blockSize > 255)) {
+		throw new GPError("CAPFile", GPError.INVALID_ARGUMENTS, blockSize, "Block size must be in the range 1 to 255");
+	}
+
+	var lf = this.getLoadFile();
+	var list = [];
+	for (var ofs = 0; ofs < lf.length; ofs += blockSize) {
+		list.push(lf.bytes(ofs, Math.min(blockSize, lf.length - ofs)));
+	}
+	if (list.length > 256) {
+		throw new GPError("CAPFile", GPError.INVALID_ARGUMENTS, blockSize, "Load file requires more than 256 blocks, increase block size");
+	}
+	return list;
+}
+
+
+
+/**
+ * Create the LOAD command APDUs
+ *
+ * <p>P1 is '80' for the last block and P2 contains the block number.</p>
+ *
+ * @param {Number} blockSize the maximum size of the data field (optional, default CAPFile.DEFAULT_BLOCKSIZE)
+ * @type ByteString[]
+ * @return the list of command APDUs
+ */
+CAPFile.prototype.getLoadAPDUs = function(blockSize) {
+	var blocks = this.getLoadBlocks(blockSize);
+	var list = [];
+	for (var i = 0; i < blocks.length; i++) {
+		var bb = new ByteBuffer();
+		bb.append(0x80);
+		bb.append(0xE8);
+		bb.append(i == blocks.length - 1 ? 0x80 : 0x00);
+		bb.append(i);
+		bb.append(blocks[i].length);
+		bb.append(blocks[i]);
+		bb.append(0x00);
+		list.push(bb.toByteString());
+	}
+	return list;
+}
+
+
+
+/**
+ * Send the load file to the card using LOAD
+ *
+ * <p>INSTALL [for load] must have been performed before.</p>
+ *
+ * @param {Card} card the card
+ * @param {Number} blockSize the maximum size of the data field (optional, default CAPFile.DEFAULT_BLOCKSIZE)
+ */
+CAPFile.prototype.sendLoad = function(card, blockSize) {
+	var blocks = this.getLoadBlocks(blockSize);
+	for (var i = 0; i < blocks.length; i++) {
+		var p1 = (i == blocks.length - 1) ? 0x80 : 0x00;
+		card.sendApdu(0x80, 0xE8, p1, i, blocks[i], 0, [0x9000]);
+	}
+}
+
+
+
+/**
+ * Return a human readable string for this object
+ *
+ * @type String
+ * @return the string
+ */
+CAPFile.prototype.toString = function() {
+	var h = this.getHeader();
+	var str = "CAP file format " + h.majorVersion + "." + h.minorVersion + "\n";
+	str += "Package AID     : " + h.packageAID.toString(HEX) + "\n";
+	str += "Package version : " + h.packageMajorVersion + "." + h.packageMinorVersion + "\n";
+	if (h.packageName) {
+		str += "Package name    : " + h.packageName + "\n";
+	}
+
+	var flags = [];
+	if (h.flags & CAPFile.ACC_INT) {
+		flags.push("ACC_INT");
+	}
+	if (h.flags & CAPFile.ACC_EXPORT) {
+		flags.push("ACC_EXPORT");
+	}
+	if (h.flags & CAPFile.ACC_APPLET) {
+		flags.push("ACC_APPLET");
+	}
+	str += "Flags           : " + flags.join(" ") + "\n";
+
+	var applets = this.getApplets();
+	for (var i = 0; i < applets.length; i++) {
+		str += "Applet AID      : " + applets[i].aid.toString(HEX) + "\n";
+	}
+
+	var imports = this.getImports();
+	for (var i = 0; i < imports.length; i++) {
+		str += "Import          : " + imports[i].aid.toString(HEX) + " " + imports[i].majorVersion + "." + imports[i].minorVersion + "\n";
+	}
+
+	str += "Components      :";
+	for (var i = 1; i < this.components.length; i++) {
+		if (this.components[i]) {
+			str += " " + CAPFile.COMPONENTS[i] + "(" + (this.components[i].length - 3) + ")";
+		}
+	}
+	str += "\n";
+	return str;
+}
+
+
+
+CAPFile.test = function() {
+	var cap = new CAPFile();
+
+	// Components taken from musclecard/CardEdge.cap, Method and StaticField shortened
+	cap.addComponent(new ByteString("01000FDECAFFED010204010005A000000001", HEX));
+	cap.addComponent(new ByteString("02001F000F001F000A00290256006C21D8000A03F90000067F000600000000040100", HEX));
+	cap.addComponent(new ByteString("03000A0106A000000001011886", HEX));
+	cap.addComponent(new ByteString("04002904000107A0000000620101010107A0000000620102010107A0000000620201000107A0000000620001", HEX));
+	cap.addComponent(new ByteString("0700040640188C", HEX));
+	cap.addComponent(new ByteString("0C0002AABB", HEX));
+
+	print(cap);
+
+	var h = cap.getHeader();
+	assert(h.majorVersion == 2);
+	assert(h.minorVersion == 1);
+	assert(h.packageMajorVersion == 0);
+	assert(h.packageMinorVersion == 1);
+	assert(h.flags == CAPFile.ACC_APPLET);
+	assert(cap.getPackageAID().equals(new ByteString("A000000001", HEX)));
+
+	var d = cap.getDirectory();
+	assert(d.componentSizes[CAPFile.METHOD] == 0x21D8);
+	assert(d.importCount == 4);
+	assert(d.appletCount == 1);
+
+	var applets = cap.getApplets();
+	assert(applets.length == 1);
+	assert(applets[0].aid.equals(new ByteString("A00000000101", HEX)));
+	assert(applets[0].installMethodOffset == 0x1886);
+
+	var imports = cap.getImports();
+	assert(imports.length == 4);
+	assert(imports[0].aid.equals(new ByteString("A0000000620101", HEX)));
+	assert(imports[0].majorVersion == 1);
+
+	// Debug component is not loaded, Import precedes Applet
+	var lfdb = cap.getLoadFileDataBlock();
+	assert(lfdb.length == 18 + 34 + 44 + 13 + 7);
+	assert(lfdb.bytes(52, 1).toUnsigned() == CAPFile.IMPORT);
+	assert(lfdb.bytes(96, 1).toUnsigned() == CAPFile.APPLET);
+
+	var lf = cap.getLoadFile();
+	assert(lf.left(2).equals(new ByteString("C474", HEX)));
+
+	var apdus = cap.getLoadAPDUs(0x40);
+	assert(apdus.length == 2);
+	assert(apdus[0].left(5).equals(new ByteString("80E8000040", HEX)));
+	assert(apdus[1].left(5).equals(new ByteString("80E8800136", HEX)));
+	assert(apdus[0].bytes(5, 0x40).concat(apdus[1].bytes(5, 0x36)).equals(lf));
+
+	cap.addDAPBlock(new ByteString("A000000003000000", HEX), new ByteString("0102030405060708", HEX));
+	var lf = cap.getLoadFile();
+	assert(lf.left(22).equals(new ByteString("E2144F08A000000003000000C3080102030405060708", HEX)));
+	assert(lf.bytes(22, 2).equals(new ByteString("C474", HEX)));
+}
@@ -0,0 +1,413 @@
+/**
+ *  ---------
+ * |.##> <##.|  Open Smart Card Development Platform (www.openscdp.org)
+ * |#       #|
+ * |#       #|  Copyright (c) 1999-2009 CardContact Software & System Consulting
+ * |'##> <##'|  Andreas Schwier, 32429 Minden, Germany (www.cardcontact.de)
+ *  ---------
+ *
+ *  This file is part of OpenSCDP.
+ *
+ *  OpenSCDP is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License version 2 as
+ *  published by the Free Software Foundation.
+ *
+ *  OpenSCDP is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with OpenSCDP; if not, write to the Free Software
+ *  Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA  02110-1301  USA
+ *
+ * @fileoverview Delegated Management with tokens and receipts for GlobalPlatform security domains
+ */
+
+load("tools/eccutils.js");
+
+
+
+/**
+ * Create a Delegated Management helper
+ *
+ * <p>A supplementary security domain with the Delegated Management privilege can load, install and delete
+ *    content, if the commands carry a token signed by the card issuer. The card returns a receipt calculated
+ *    with the receipt generation key, which the card issuer uses to confirm the card content change.</p>
+ *
+ * <p>The token is a signature over P1, P2, the length of the command data without the token and the
+ *    command data without the token. The receipt is a MAC over the length prefixed confirmation counter,
+ *    security domain unique data and the AIDs affected by the command.</p>
+ *
+ * @class Class implementing the off-card side of Delegated Management
+ * @constructor
+ * @param {Crypto} crypto the crypto provider
+ */
+function GPDelegatedManagement(crypto) {
+	this.crypto = crypto;
+	this.tokenKey = null;
+	this.tokenMech = Crypto.RSA_SHA1;
+	this.receiptKey = null;
+	this.receiptMech = Crypto.DES_MAC;
+}
+
+
+
+/**
+ * Set the private key used to sign tokens
+ *
+ * @param {Key} key the RSA or ECC private key, e.g. from profiles/kp_rsa_private.xml
+ * @param {Number} mech the signature mechanism (optional, default Crypto.RSA_SHA1)
+ */
+GPDelegatedManagement.prototype.setTokenKey = function(key, mech) {
+	this.tokenKey = key;
+	if (typeof(mech) != "undefined") {
+		this.tokenMech = mech;
+	}
+}
+
+
+
+/**
+ * Set the key used to verify receipts
+ *
+ * <p>If no receipt key is set, then receipts are displayed but not verified.</p>
+ *
+ * @param {Key} key the DES or AES receipt generation key
+ * @param {Number} mech Crypto.DES_MAC for DES or Crypto.AES_CMAC for AES keys (optional, default Crypto.DES_MAC)
+ */
+GPDelegatedManagement.prototype.setReceiptKey = function(key, mech) {
+	this.receiptKey = key;
+	if (typeof(mech) != "undefined") {
+		this.receiptMech = mech;
+	}
+}
+
+
+
+/**
+ * Encode a list of byte strings with one byte length prefix
+ *
+ * <p>A GPError is thrown for fields longer than 255 bytes, e.g. a token signed with a RSA key
+ *    larger than 2040 bit.</p>
+ *
+ * @param {ByteString[]} list the list of fields, null for empty fields
+ * @type ByteString
+ * @return the encoded fields
+ */
+GPDelegatedManagement.encodeLV = function(list) {
+	var bb = new ByteBuffer();
+	for (var i = 0; i < list.length; i++) {
+		var f = list[i] ? list[i] : new ByteString("", HEX);
+		if (f.length > 255) {
+			throw new GPError("GPDelegatedManagement", GPError.INVALID_LENGTH, f.length, "Field " + i + " with " + f.length + " bytes exceeds the one byte length");
+		}
+		bb.append(f.length);
+		bb.append(f);
+	}
+	return bb.toByteString();
+}
+
+
+
+/**
+ * Return true if the mechanism produces an ECDSA signature
+ *
+ * @param {Number} mech the signature mechanism
+ * @type boolean
+ * @return true for ECDSA
+ */
+GPDelegatedManagement.isECDSA = function(mech) {
+	return (mech == Crypto.ECDSA) || (mech == Crypto.ECDSA_SHA1) || (mech == Crypto.ECDSA_SHA224) || (mech == Crypto.ECDSA_SHA256);
+}
+
+
+
+/**
+ * Calculate a token
+ *
+ * <p>ECDSA signatures are converted to the concatenation of r and s.</p>
+ *
+ * @param {Number} p1 the P1 byte of the command
+ * @param {Number} p2 the P2 byte of the command
+ * @param {ByteString} data the command data without the token
+ * @type ByteString
+ * @return the token
+ */
+GPDelegatedManagement.prototype.calculateToken = function(p1, p2, data) {
+	if (!this.tokenKey) {
+		throw new GPError("GPDelegatedManagement", GPError.INVALID_USAGE, 0, "No token key defined");
+	}
+
+	var bb = new ByteBuffer();
+	bb.append(p1);
+	bb.append(p2);
+	bb.append(data.length);
+	bb.append(data);
+
+	var token = this.crypto.sign(this.tokenKey, this.tokenMech, bb.toByteString());
+	if (GPDelegatedManagement.isECDSA(this.tokenMech)) {
+		token = ECCUtils.unwrapSignature(token, this.tokenKey.getSize() >> 3);
+	}
+	return token;
+}
+
+
+
+/**
+ * Build INSTALL [for load] with a load token
+ *
+ * @param {ByteString} loadFileAid the AID of the executable load file
+ * @param {ByteString} sdAid the AID of the security domain to associate the load file with
+ * @param {ByteString} hash the Load File Data Block Hash or null
+ * @param {ByteString} loadParams the load parameter or null
+ * @type Object
+ * @return object with properties p1, p2 and data
+ */
+GPDelegatedManagement.prototype.buildInstallForLoad = function(loadFileAid, sdAid, hash, loadParams) {
+	var data = GPDelegatedManagement.encodeLV([ loadFileAid, sdAid, hash, loadParams ]);
+	var token = this.calculateToken(0x02, 0x00, data);
+	return { p1: 0x02, p2: 0x00, data: data.concat(GPDelegatedManagement.encodeLV([ token ])) };
+}
+
+
+
+/**
+ * Build INSTALL [for install], [for make selectable] or both with an install token
+ *
+ * @param {Number} p1 '04' for install, '08' for make selectable or '0C' for both
+ * @param {ByteString} loadFileAid the AID of the executable load file
+ * @param {ByteString} moduleAid the AID of the executable module
+ * @param {ByteString} applAid the AID of the application instance
+ * @param {ByteString} privileges the privileges
+ * @param {ByteString} installParams the install parameter
+ * @type Object
+ * @return object with properties p1, p2 and data
+ */
+GPDelegatedManagement.prototype.buildInstall = function(p1, loadFileAid, moduleAid, applAid, privileges, installParams) {
+	var data = GPDelegatedManagement.encodeLV([ loadFileAid, moduleAid, applAid, privileges, installParams ]);
+	var token = this.calculateToken(p1, 0x00, data);
+	return { p1: p1, p2: 0x00, data: data.concat(GPDelegatedManagement.encodeLV([ token ])) };
+}
+
+
+
+/**
+ * Build DELETE with a delete token in tag '9E'
+ *
+ * @param {ByteString} aid the AID of the object to delete
+ * @param {boolean} related true to delete the load file and all related applications
+ * @type Object
+ * @return object with properties p1, p2 and data
+ */
+GPDelegatedManagement.prototype.buildDelete = function(aid, related) {
+	var p2 = related ? 0x80 : 0x00;
+	var data = new ASN1(0x4F, aid).getBytes();
+	var token = this.calculateToken(0x00, p2, data);
+	return { p1: 0x00, p2: p2, data: data.concat(new ASN1(0x9E, token).getBytes()) };
+}
+
+
+
+/**
+ * Calculate a receipt
+ *
+ * @param {ByteString} confirmationCounter the two byte confirmation counter
+ * @param {ByteString} sdUniqueData the security domain unique data
+ * @param {ByteString[]} aids the AIDs affected by the command
+ * @type ByteString
+ * @return the receipt
+ */
+GPDelegatedManagement.prototype.calculateReceipt = function(confirmationCounter, sdUniqueData, aids) {
+	var input = GPDelegatedManagement.encodeLV([ confirmationCounter, sdUniqueData ].concat(aids));
+
+	if (this.receiptMech == Crypto.AES_CMAC) {
+		return this.crypto.sign(this.receiptKey, Crypto.AES_CMAC, input);
+	}
+	return this.crypto.sign(this.receiptKey, this.receiptMech, input.pad(Crypto.ISO9797_METHOD_2));
+}
+
+
+
+/**
+ * Decode and verify the receipt returned by the card
+ *
+ * <p>The response contains the length prefixed receipt, confirmation counter and security domain unique data.</p>
+ *
+ * @param {ByteString} response the response data
+ * @param {ByteString[]} aids the AIDs affected by the command
+ * @type Object
+ * @return object with properties receipt, confirmationCounter and sdUniqueData
+ */
+GPDelegatedManagement.prototype.verifyReceipt = function(response, aids) {
+	var fields = [];
+	var ofs = 0;
+	while ((fields.length < 3) && (ofs < response.length)) {
+		var l = response.byteAt(ofs++);
+		if (ofs + l > response.length) {
+			throw new GPError("GPDelegatedManagement", GPError.INVALID_DATA, 0, "Invalid receipt encoding " + response.toString(HEX));
+		}
+		fields.push(response.bytes(ofs, l));
+		ofs += l;
+	}
+
+	if ((fields.length < 3) || (fields[0].length == 0)) {
+		throw new GPError("GPDelegatedManagement", GPError.OBJECT_NOT_FOUND, 0, "Response does not contain a receipt");
+	}
+
+	var r = { receipt: fields[0], confirmationCounter: fields[1], sdUniqueData: fields[2] };
+	print("Receipt " + r.receipt.toString(HEX) + " confirmation counter " + r.confirmationCounter.toString(HEX));
+
+	if (this.receiptKey) {
+		var receipt = this.calculateReceipt(r.confirmationCounter, r.sdUniqueData, aids);
+		if (!receipt.equals(r.receipt)) {
+			throw new GPError("GPDelegatedManagement", GPError.CRYPTO_FAILED, 0, "Receipt verification failed");
+		}
+		print("Receipt verified");
+	}
+	return r;
+}
+
+
+
+/**
+ * Send INSTALL [for load] with a load token
+ *
+ * @param {Card} card the card or security domain application
+ * @param {ByteString} loadFileAid the AID of the executable load file
+ * @param {ByteString} sdAid the AID of the security domain
+ * @param {ByteString} hash the Load File Data Block Hash or null
+ * @param {ByteString} loadParams the load parameter or null
+ */
+GPDelegatedManagement.prototype.installForLoad = function(card, loadFileAid, sdAid, hash, loadParams) {
+	var cmd = this.buildInstallForLoad(loadFileAid, sdAid, hash, loadParams);
+	card.sendApdu(0x80, 0xE6, cmd.p1, cmd.p2, cmd.data, 0x00, [0x9000]);
+}
+
+
+
+/**
+ * Load a CAP file and verify the load receipt returned for the last block
+ *
+ * @param {Card} card the card or security domain application
+ * @param {CAPFile} cap the CAP file
+ * @param {ByteString} sdAid the AID of the security domain
+ * @param {Number} blockSize the maximum size of the data field (optional)
+ * @type Object
+ * @return the decoded receipt
+ */
+GPDelegatedManagement.prototype.load = function(card, cap, sdAid, blockSize) {
+	var blocks = cap.getLoadBlocks(blockSize);
+	var rsp;
+	for (var i = 0; i < blocks.length; i++) {
+		var p1 = (i == blocks.length - 1) ? 0x80 : 0x00;
+		rsp = card.sendApdu(0x80, 0xE8, p1, i, blocks[i], 0x00, [0x9000]);
+	}
+	return this.verifyReceipt(rsp, [ cap.getPackageAID(), sdAid ]);
+}
+
+
+
+/**
+ * Send INSTALL [for install and make selectable] with an install token and verify the install receipt
+ *
+ * @param {Card} card the card or security domain application
+ * @param {ByteString} loadFileAid the AID of the executable load file
+ * @param {ByteString} moduleAid the AID of the executable module
+ * @param {ByteString} applAid the AID of the application instance
+ * @param {ByteString} privileges the privileges
+ * @param {ByteString} installParams the install parameter
+ * @type Object
+ * @return the decoded receipt
+ */
+GPDelegatedManagement.prototype.installForInstallAndSelectable = function(card, loadFileAid, moduleAid, applAid, privileges, installParams) {
+	var cmd = this.buildInstall(0x0C, loadFileAid, moduleAid, applAid, privileges, installParams);
+	var rsp = card.sendApdu(0x80, 0xE6, cmd.p1, cmd.p2, cmd.data, 0x00, [0x9000]);
+	return this.verifyReceipt(rsp, [ loadFileAid, applAid ]);
+}
+
+
+
+/**
+ * Send DELETE with a delete token and verify the delete receipt
+ *
+ * @param {Card} card the card or security domain application
+ * @param {ByteString} aid the AID of the object to delete
+ * @param {boolean} related true to delete the load file and all related applications
+ * @type Object
+ * @return the decoded receipt
+ */
+GPDelegatedManagement.prototype.deleteAID = function(card, aid, related) {
+	var cmd = this.buildDelete(aid, related);
+	var rsp = card.sendApdu(0x80, 0xE4, cmd.p1, cmd.p2, cmd.data, 0x00, [0x9000]);
+	return this.verifyReceipt(rsp, [ aid ]);
+}
+
+
+
+GPDelegatedManagement.test = function() {
+	var crypto = new Crypto();
+
+	var puk = new Key();
+	var prk = new Key();
+	puk.setType(Key.PUBLIC);
+	prk.setType(Key.PRIVATE);
+	puk.setSize(1024);
+	crypto.generateKeyPair(Crypto.RSA, puk, prk);
+
+	var receiptKey = new Key();
+	receiptKey.setComponent(Key.DES, new ByteString("606162636465666768696A6B6C6D6E6F", HEX));
+
+	var dm = new GPDelegatedManagement(crypto);
+	dm.setTokenKey(prk);
+	dm.setReceiptKey(receiptKey);
+
+	var loadFileAid = new ByteString("A000000001", HEX);
+	var sdAid = new ByteString("A000000003535344", HEX);
+
+	var cmd = dm.buildInstallForLoad(loadFileAid, sdAid, null, null);
+	assert(cmd.p1 == 0x02);
+	var data = new ByteString("05A000000001 08A000000003535344 00 00", HEX);
+	assert(cmd.data.left(data.length).equals(data));
+	assert(cmd.data.byteAt(data.length) == 0x80);
+	var token = cmd.data.bytes(data.length + 1);
+	assert(crypto.verify(puk, Crypto.RSA_SHA1, new ByteString("020011", HEX).concat(data), token));
+
+	var cmd = dm.buildDelete(loadFileAid, true);
+	assert(cmd.p2 == 0x80);
+	var data = new ByteString("4F05A000000001", HEX);
+	var token = new ASN1(cmd.data.bytes(data.length)).value;
+	assert(crypto.verify(puk, Crypto.RSA_SHA1, new ByteString("008007", HEX).concat(data), token));
+
+	var cc = new ByteString("0001", HEX);
+	var unique = new ByteString("1234560102030405060708", HEX);
+	var receipt = dm.calculateReceipt(cc, unique, [ loadFileAid ]);
+	var rsp = GPDelegatedManagement.encodeLV([ receipt, cc, unique ]);
+	var r = dm.verifyReceipt(rsp, [ loadFileAid ]);
+	assert(r.confirmationCounter.equals(cc));
+	assert(r.sdUniqueData.equals(unique));
+
+	var failed = false;
+	try	{
+		dm.verifyReceipt(rsp, [ sdAid ]);
+	}
+	catch(e) {
+		failed = e instanceof GPError;
+	}
+	assert(failed);
+
+	var bb = new ByteBuffer();
+	for (var i = 0; i < 256; i++) {
+		bb.append(i);
+	}
+	assert(GPDelegatedManagement.encodeLV([ bb.toByteString().left(255) ]).byteAt(0) == 0xFF);
+
+	var failed = false;
+	try	{
+		GPDelegatedManagement.encodeLV([ bb.toByteString() ]);
+	}
+	catch(e) {
+		failed = e instanceof GPError;
+	}
+	assert(failed);
+}
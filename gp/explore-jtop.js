@@ -25,6 +25,8 @@
  */
 
 load("tools.js");
+load("keymanagement.js");
+load("delegatedmanagement.js");
 load("tools/CardOutlineFactory.js");
 
 if (typeof(masterSENC) == "undefined")
@@ -33,6 +35,18 @@ if (typeof(masterSENC) == "undefined")
 if (typeof(masterSMAC) == "undefined")
 	masterSMAC = new Key("kp_jcop_default_s-mac.xml");
 
+if (typeof(masterDEK) == "undefined")
+	masterDEK = new Key("kp_jcop_default_dek.xml");
+
+// Private key to sign Delegated Management tokens, loaded on first use, and optional key to verify receipts
+if (typeof(tokenKey) == "undefined")
+	tokenKey = null;
+
+var tokenKeyFile = GPSystem.mapFilename("../profiles/kp_rsa_private.xml", GPSystem.CWD);
+
+if (typeof(receiptKey) == "undefined")
+	receiptKey = null;
+
 
 function OutlineCardManager(factory, application) {
 	this.factory = factory;
@@ -46,10 +60,11 @@ function OutlineCardManager(factory, application) {
 	// Create OutlineNode object and register in OutlineCardManager object
 	var view = new OutlineNode("Card Manager (" + application.aid + ")", true);
 	view.setUserObject(this);
-	view.setContextMenu(["Authenticate"]);
+	view.setContextMenu(["Authenticate", "Put Key"]);
 	this.view = view;
 
 	this.authenticated = false;
+	this.session = null;
 }
 
 
@@ -112,7 +127,12 @@ OutlineCardManager.prototype.authenticate = function() {
 		return;
 	}
 	
-	GPAuthenticate(this.application.card, this.application.crypto, masterSENC, masterSMAC);
+	if (this.session && (this.session.scp == 3)) {
+		// INITIALIZE UPDATE must not be wrapped by the secure channel installed by Put Key
+		this.session.close();
+	}
+
+	this.session = GPAuthenticate(this.application.card, this.application.crypto, masterSENC, masterSMAC);
 
 	this.authenticated = true;
 	
@@ -153,6 +173,31 @@ OutlineCardManager.prototype.authenticate = function() {
 }
 
 
+//
+// Add or replace a key set using PUT KEY
+//
+// A key set with the version number of the current session replaces the keys used
+// for authentication and establishes a new session
+//
+OutlineCardManager.prototype.putKey = function() {
+
+	if (!this.authenticated) {
+		print("Please authenticate before changing keys");
+		return;
+	}
+
+	var r = GPPutKey(this.application, this.session, [masterSENC, masterSMAC, masterDEK]);
+	if (r) {
+		masterSENC = r.keys[0];
+		masterSMAC = r.keys[1];
+		masterDEK = r.keys[2];
+		this.session = r.session;
+		print("Keys for authentication updated");
+	}
+}
+
+
+
 //
 // Action handler
 //
@@ -161,6 +206,9 @@ OutlineCardManager.prototype.actionListener = function(node, action) {
 		case "Authenticate":
 			node.userObject.authenticate();
 			break;
+		case "Put Key":
+			node.userObject.putKey();
+			break;
 	}
 }
 
@@ -276,7 +324,7 @@ function OutlineModuleListEntry(cm, name, aid, deletable) {
 	var view = new OutlineNode(name, false);
 	view.setUserObject(this);
 	if (deletable) {
-		view.setContextMenu(["Delete"]);
+		view.setContextMenu(["Delete", "Delete with Token"]);
 	}
 	this.view = view;
 }
@@ -292,7 +340,29 @@ OutlineModuleListEntry.prototype.actionListener = function(node, action) {
 	
 	this.cm.sendApdu(0x80, 0xE4, 0x00, 0x00, b);
 */
-	this.cm.deleteAID(aid);
+	if (action == "Delete with Token") {
+		if (!tokenKey) {
+			tokenKey = new Key(tokenKeyFile);
+		}
+		var dm = new GPDelegatedManagement(this.cm.crypto);
+		dm.setTokenKey(tokenKey);
+		if (receiptKey) {
+			dm.setReceiptKey(receiptKey);
+		}
+		try	{
+			dm.deleteAID(this.cm, aid, false);
+		}
+		catch(e) {
+			if (this.cm.card.SW != 0x9000) {
+				print("Delete with token failed: " + e);
+				return;
+			}
+			// The object is deleted, only the receipt could not be verified
+			print("Delete receipt not accepted: " + e);
+		}
+	} else {
+		this.cm.deleteAID(aid);
+	}
 	print("Delete " + aid + " : " + this.cm.card.SWMSG);
 	
 	node.remove();
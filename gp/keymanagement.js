@@ -0,0 +1,383 @@
+/**
+ *  ---------
+ * |.##> <##.|  Open Smart Card Development Platform (www.openscdp.org)
+ * |#       #|
+ * |#       #|  Copyright (c) 1999-2009 CardContact Software & System Consulting
+ * |'##> <##'|  Andreas Schwier, 32429 Minden, Germany (www.cardcontact.de)
+ *  ---------
+ *
+ *  This file is part of OpenSCDP.
+ *
+ *  OpenSCDP is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License version 2 as
+ *  published by the Free Software Foundation.
+ *
+ *  OpenSCDP is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with OpenSCDP; if not, write to the Free Software
+ *  Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA  02110-1301  USA
+ *
+ * @fileoverview Key management for GlobalPlatform security domains using PUT KEY
+ */
+
+
+
+/**
+ * Create a key manager for an authenticated session
+ *
+ * <p>The key data in PUT KEY is encrypted with the data encryption key. For SCP02 this is the
+ *    session DEK derived from the static DEK and the sequence counter, for SCP01 and SCP03 it
+ *    is the static DEK. SCP03 key sets use AES keys, all others double length DES keys.</p>
+ *
+ * @class Class implementing the key management of a security domain
+ * @constructor
+ * @param {Card} card the card or application used to send the commands
+ * @param {Crypto} crypto the crypto provider
+ * @param {Object} session the session returned by GPAuthenticate()
+ * @param {Key} masterDEK the static data encryption key of the key set used in the session
+ */
+function GPKeyManager(card, crypto, session, masterDEK) {
+	this.card = card;
+	this.crypto = crypto;
+	this.session = session;
+
+	if (session.scp == 3) {
+		this.keyType = GPKeyManager.KEYTYPE_AES;
+		this.dek = masterDEK;
+	} else {
+		this.keyType = GPKeyManager.KEYTYPE_DES;
+		if (session.scp == 2) {
+			var param = new ByteString("0181", HEX).concat(session.sequenceCounter).concat(new ByteString("000000000000000000000000", HEX));
+			this.dek = new Key();
+			crypto.deriveKey(masterDEK, Crypto.DES_CBC, param, this.dek);
+		} else {
+			this.dek = masterDEK;
+		}
+	}
+}
+
+
+GPKeyManager.KEYTYPE_DES = 0x80;
+GPKeyManager.KEYTYPE_AES = 0x88;
+
+GPKeyManager.INS_PUT_KEY = 0xD8;
+
+
+
+/**
+ * Return the key value for the key type of the session
+ *
+ * @param {Key} key the key
+ * @type ByteString
+ * @return the key value
+ */
+GPKeyManager.prototype.getKeyValue = function(key) {
+	return key.getComponent(this.keyType == GPKeyManager.KEYTYPE_AES ? Key.AES : Key.DES);
+}
+
+
+
+/**
+ * Calculate the key check value
+ *
+ * <p>The key check value are the leftmost three bytes of the encryption of zero bytes for DES keys
+ *    and of '01' bytes for AES keys.</p>
+ *
+ * @param {Key} key the key
+ * @type ByteString
+ * @return the three byte key check value
+ */
+GPKeyManager.prototype.calculateKCV = function(key) {
+	if (this.keyType == GPKeyManager.KEYTYPE_AES) {
+		return this.crypto.encrypt(key, Crypto.AES_ECB, new ByteString("01010101010101010101010101010101", HEX)).left(3);
+	}
+	return this.crypto.encrypt(key, Crypto.DES_ECB, new ByteString("0000000000000000", HEX)).left(3);
+}
+
+
+
+/**
+ * Encode a key for PUT KEY, consisting of key type, encrypted key data and key check value
+ *
+ * @param {Key} key the key
+ * @type ByteString
+ * @return the encoded key
+ */
+GPKeyManager.prototype.encodeKey = function(key) {
+	var value = this.getKeyValue(key);
+	var bb = new ByteBuffer();
+	bb.append(this.keyType);
+
+	if (this.keyType == GPKeyManager.KEYTYPE_AES) {
+		if (value.length % 16) {
+			throw new GPError("GPKeyManager", GPError.INVALID_KEY, value.length, "AES key length must be a multiple of 16");
+		}
+		var cryptogram = this.crypto.encrypt(this.dek, Crypto.AES_CBC, value, new ByteString("00000000000000000000000000000000", HEX));
+		bb.append(cryptogram.length + 1);
+		bb.append(value.length);
+		bb.append(cryptogram);
+	} else {
+		if (value.length != 16) {
+			throw new GPError("GPKeyManager", GPError.INVALID_KEY, value.length, "DES key must be a double length key");
+		}
+		var cryptogram = this.crypto.encrypt(this.dek, Crypto.DES_ECB, value);
+		bb.append(cryptogram.length);
+		bb.append(cryptogram);
+	}
+
+	bb.append(3);
+	bb.append(this.calculateKCV(key));
+	return bb.toByteString();
+}
+
+
+
+/**
+ * Build the PUT KEY command for a key set
+ *
+ * @param {Number} newKvn the key version number of the new key set
+ * @param {Key[]} keys the keys starting with key identifier 1, i.e. ENC, MAC and DEK
+ * @param {Number} replaceKvn the key version number to replace or 0 to add a new key set
+ * @type Object
+ * @return object with properties p1, p2, data and the expected response
+ */
+GPKeyManager.prototype.buildPutKey = function(newKvn, keys, replaceKvn) {
+	if ((newKvn < 0x01) || (newKvn > 0x7F)) {
+		throw new GPError("GPKeyManager", GPError.INVALID_ARGUMENTS, newKvn, "Key version number must be in the range 1 to 127");
+	}
+
+	var data = new ByteBuffer();
+	var response = new ByteBuffer();
+	data.append(newKvn);
+	response.append(newKvn);
+
+	for (var i = 0; i < keys.length; i++) {
+		data.append(this.encodeKey(keys[i]));
+		response.append(this.calculateKCV(keys[i]));
+	}
+
+	return {
+		p1: replaceKvn ? replaceKvn : 0x00,
+		p2: keys.length > 1 ? 0x81 : 0x01,
+		data: data.toByteString(),
+		response: response.toByteString()
+	};
+}
+
+
+
+/**
+ * Send PUT KEY to add or replace a key set and check the returned key check values
+ *
+ * @param {Number} newKvn the key version number of the new key set
+ * @param {Key[]} keys the keys starting with key identifier 1, i.e. ENC, MAC and DEK
+ * @param {Number} replaceKvn the key version number to replace or 0 to add a new key set
+ */
+GPKeyManager.prototype.putKeySet = function(newKvn, keys, replaceKvn) {
+	var cmd = this.buildPutKey(newKvn, keys, replaceKvn);
+
+	print((cmd.p1 ? "Replacing key set " + cmd.p1.toString(16) : "Adding key set") + " with version " + newKvn.toString(16) + "...");
+	var rsp = this.card.sendApdu(0x80, GPKeyManager.INS_PUT_KEY, cmd.p1, cmd.p2, cmd.data, 0x00, [0x9000]);
+
+	if (!rsp.equals(cmd.response)) {
+		throw new GPError("GPKeyManager", GPError.CRYPTO_FAILED, 0, "Key check values in response " + rsp.toString(HEX) + " do not match " + cmd.response.toString(HEX));
+	}
+}
+
+
+
+/**
+ * Read and decode the key information template with GET DATA
+ *
+ * @type Object[]
+ * @return list of keys with properties id, kvn, type and length
+ */
+GPKeyManager.prototype.getKeyInformation = function() {
+	var rsp = this.card.sendApdu(0x80, 0xCA, 0x00, 0xE0, 0x00, [0x9000]);
+	var kit = new ASN1(rsp);
+
+	var list = [];
+	for (var i = 0; i < kit.elements; i++) {
+		var v = kit.get(i).value;
+		list.push({ id: v.byteAt(0), kvn: v.byteAt(1), type: v.byteAt(2), length: v.byteAt(3) });
+	}
+	return list;
+}
+
+
+
+/**
+ * Confirm that the key information template lists the key set with the expected key types and lengths
+ *
+ * @param {Number} kvn the key version number
+ * @param {Key[]} keys the keys starting with key identifier 1
+ * @type boolean
+ * @return true if all keys are listed
+ */
+GPKeyManager.prototype.verifyKeySet = function(kvn, keys) {
+	var kit = this.getKeyInformation();
+
+	for (var i = 0; i < keys.length; i++) {
+		var found = false;
+		for (var j = 0; j < kit.length; j++) {
+			var k = kit[j];
+			if ((k.kvn == kvn) && (k.id == i + 1)) {
+				found = (k.type == this.keyType) && (k.length == this.getKeyValue(keys[i]).length);
+				break;
+			}
+		}
+		if (!found) {
+			print("Key " + (i + 1) + " with version " + kvn.toString(16) + " not found in key information template");
+			return false;
+		}
+	}
+	return true;
+}
+
+
+
+/**
+ * Add or replace a key set and confirm the result with the key information template
+ *
+ * <p>A key set with the same version number is replaced, otherwise a new key set is added.</p>
+ *
+ * @param {Number} kvn the key version number of the new key set
+ * @param {Key[]} keys the keys starting with key identifier 1, i.e. ENC, MAC and DEK
+ */
+GPKeyManager.prototype.rotateKeySet = function(kvn, keys) {
+	var kit = this.getKeyInformation();
+	var replaceKvn = 0;
+	for (var i = 0; i < kit.length; i++) {
+		if (kit[i].kvn == kvn) {
+			replaceKvn = kvn;
+		}
+	}
+
+	this.putKeySet(kvn, keys, replaceKvn);
+
+	if (!this.verifyKeySet(kvn, keys)) {
+		throw new GPError("GPKeyManager", GPError.INVALID_DATA, kvn, "Key set " + kvn.toString(16) + " not confirmed by key information template");
+	}
+	print("Key set " + kvn.toString(16) + " confirmed");
+}
+
+
+
+/**
+ * Prompt for a key set and add or replace it with PUT KEY
+ *
+ * <p>The current keys are proposed as default values. SCP03 requires AES keys, for which the value of a
+ *    DES key, e.g. the JCOP default keys, is proposed.</p>
+ *
+ * <p>If the key set used for the session is replaced, then a new session is established with the new
+ *    keys. For SCP03 the new secure channel is installed as credential with C-MAC.</p>
+ *
+ * @param {GPSecurityDomain} application the security domain used to send the commands
+ * @param {Object} session the session returned by GPAuthenticate()
+ * @param {Key[]} current the ENC, MAC and DEK keys used for the session
+ * @type Object
+ * @return object with properties keys and session if the key set of the session was replaced, otherwise null
+ */
+function GPPutKey(application, session, current) {
+	var km = new GPKeyManager(application, application.crypto, session, current[2]);
+	var component = (session.scp == 3) ? Key.AES : Key.DES;
+
+	var kvn = Dialog.prompt("Key version number (hex)", session.keyVersion.toString(16));
+	if (kvn == null)
+		return null;
+	kvn = parseInt(kvn, 16);
+
+	var names = ["ENC", "MAC", "DEK"];
+	var keys = [];
+	for (var i = 0; i < names.length; i++) {
+		var value = current[i].getComponent(component);
+		if (!value) {
+			value = current[i].getComponent(component == Key.AES ? Key.DES : Key.AES);
+		}
+		value = Dialog.prompt("New " + names[i] + " key value (hex)", value.toString(HEX));
+		if (value == null)
+			return null;
+		var key = new Key();
+		key.setComponent(component, new ByteString(value, HEX));
+		keys.push(key);
+	}
+
+	try	{
+		km.rotateKeySet(kvn, keys);
+	}
+	catch(e) {
+		print("PUT KEY failed: " + e);
+		return null;
+	}
+
+	if (kvn != session.keyVersion) {
+		return null;
+	}
+
+	if (session.scp == 3) {
+		// INITIALIZE UPDATE must not be wrapped by the secure channel of the current session
+		session.close();
+	}
+
+	session = GPAuthenticate(application.card, application.crypto, keys[0], keys[1], SCP03SecureChannel.C_MAC);
+	if (session.scp == 3) {
+		application.card.setCredential(session);
+	}
+	return { keys: keys, session: session };
+}
+
+
+
+GPKeyManager.test = function() {
+	var crypto = new Crypto();
+	var value = new ByteString("404142434445464748494A4B4C4D4E4F", HEX);
+
+	// SCP02 with session DEK
+	var dek = new Key();
+	dek.setComponent(Key.DES, value);
+	var km = new GPKeyManager(null, crypto, { scp: 2, keyVersion: 1, sequenceCounter: new ByteString("0001", HEX) }, dek);
+
+	var keys = [];
+	for (var i = 0; i < 3; i++) {
+		var k = new Key();
+		k.setComponent(Key.DES, crypto.generateRandom(16));
+		keys.push(k);
+	}
+
+	var cmd = km.buildPutKey(0x02, keys, 0);
+	assert(cmd.p1 == 0x00);
+	assert(cmd.p2 == 0x81);
+	assert(cmd.data.length == 1 + 3 * 22);
+	assert(cmd.data.byteAt(0) == 0x02);
+	assert(cmd.data.bytes(1, 2).equals(new ByteString("8010", HEX)));
+	assert(cmd.data.byteAt(19) == 0x03);
+	assert(cmd.response.length == 1 + 3 * 3);
+
+	var plain = crypto.decrypt(km.dek, Crypto.DES_ECB, cmd.data.bytes(3, 16));
+	assert(plain.equals(keys[0].getComponent(Key.DES)));
+	assert(cmd.data.bytes(20, 3).equals(cmd.response.bytes(1, 3)));
+
+	var cmd = km.buildPutKey(0x01, keys, 0x01);
+	assert(cmd.p1 == 0x01);
+
+	// SCP03 with static AES DEK
+	var dek = new Key();
+	dek.setComponent(Key.AES, value);
+	var km = new GPKeyManager(null, crypto, { scp: 3, keyVersion: 1 }, dek);
+
+	var k = new Key();
+	k.setComponent(Key.AES, value);
+	var cmd = km.buildPutKey(0x30, [ k ], 0);
+	assert(cmd.p2 == 0x01);
+	assert(cmd.data.bytes(1, 3).equals(new ByteString("881110", HEX)));
+
+	var plain = crypto.decrypt(dek, Crypto.AES_CBC, cmd.data.bytes(4, 16), new ByteString("00000000000000000000000000000000", HEX));
+	assert(plain.equals(value));
+
+	var kcv = crypto.encrypt(k, Crypto.AES_ECB, new ByteString("01010101010101010101010101010101", HEX)).left(3);
+	assert(cmd.data.bytes(20, 4).equals(new ByteString("03", HEX).concat(kcv)));
+}
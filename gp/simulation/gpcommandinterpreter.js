@@ -0,0 +1,1025 @@
+/**
+ *  ---------
+ * |.##> <##.|  Open Smart Card Development Platform (www.openscdp.org)
+ * |#       #|
+ * |#       #|  Copyright (c) 1999-2009 CardContact Software & System Consulting
+ * |'##> <##'|  Andreas Schwier, 32429 Minden, Germany (www.cardcontact.de)
+ *  ---------
+ *
+ *  This file is part of OpenSCDP.
+ *
+ *  OpenSCDP is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License version 2 as
+ *  published by the Free Software Foundation.
+ *
+ *  OpenSCDP is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with OpenSCDP; if not, write to the Free Software
+ *  Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA  02110-1301  USA
+ *
+ * @fileoverview Command interpreter for the GlobalPlatform card manager
+ */
+
+load("tools/eccutils.js");
+load("../../cardsim/commandinterpreter.js");
+load("gpregistry.js");
+load("gpsecurechannel.js");
+
+
+
+/**
+ * Create a command interpreter
+ *
+ * <p>The GlobalPlatform commands are processed if the registry is found in the meta information
+ *    "gpRegistry" of the selected DF. The key set is taken from "gpKeySet" and data objects
+ *    returned by GET DATA from "gpDataObjects", which maps tags to the encoded data objects.</p>
+ *
+ * @class Class implementing a command interpreter that handles GlobalPlatform command APDUs
+ * @constructor
+ * @param {FileSelector} fileSelector the file selector object
+ */
+function GPCommandInterpreter(fileSelector) {
+	CommandInterpreter.call(this, fileSelector);
+	this.crypto = new Crypto();
+}
+
+// Inherit from CommandInterpreter
+GPCommandInterpreter.prototype = new CommandInterpreter();
+GPCommandInterpreter.constructor = GPCommandInterpreter;
+
+
+GPCommandInterpreter.INS_INITIALIZE_UPDATE = 0x50;
+GPCommandInterpreter.INS_GET_DATA = 0xCA;
+GPCommandInterpreter.INS_GET_STATUS = 0xF2;
+GPCommandInterpreter.INS_SET_STATUS = 0xF0;
+GPCommandInterpreter.INS_INSTALL = 0xE6;
+GPCommandInterpreter.INS_LOAD = 0xE8;
+GPCommandInterpreter.INS_DELETE = 0xE4;
+
+/** Host side of the secure channel protocols used in the unit test, located relative to this script */
+GPCommandInterpreter.toolsFile = GPSystem.mapFilename("../tools.js", GPSystem.CWD);
+
+
+
+/**
+ * Decode a sequence of length prefixed fields as used in INSTALL
+ *
+ * @param {ByteString} data the command data
+ * @type ByteString[]
+ * @return the list of fields
+ */
+GPCommandInterpreter.decodeLVList = function(data) {
+	var list = [];
+	var ofs = 0;
+	while (ofs < data.length) {
+		var len = data.byteAt(ofs++);
+		if (ofs + len > data.length) {
+			throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INVDATA, "Length field exceeds command data");
+		}
+		list.push(data.bytes(ofs, len));
+		ofs += len;
+	}
+	return list;
+}
+
+
+
+/**
+ * Encode a list of fields with one byte length prefix
+ *
+ * @param {ByteString[]} list the list of fields
+ * @type ByteString
+ * @return the encoded fields
+ */
+GPCommandInterpreter.encodeLVList = function(list) {
+	var bb = new ByteBuffer();
+	for (var i = 0; i < list.length; i++) {
+		bb.append(list[i].length);
+		bb.append(list[i]);
+	}
+	return bb.toByteString();
+}
+
+
+
+/**
+ * Check that a secure channel has been established on the logical channel
+ */
+GPCommandInterpreter.prototype.checkAuthenticated = function() {
+	var session = this.channel.gpSession;
+	if (!session || !session.isAuthenticated()) {
+		throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_SECSTATNOTSAT, "Secure channel not established");
+	}
+}
+
+
+
+/**
+ * Check that the card life cycle state allows card content management
+ *
+ * @param {GPRegistry} registry the registry
+ */
+GPCommandInterpreter.prototype.checkCardContentManagement = function(registry) {
+	var lcs = registry.isd.lifeCycle;
+	if ((lcs == GPRegistry.CARD_LOCKED) || (lcs == GPRegistry.CARD_TERMINATED)) {
+		throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "Card content management not allowed in card life cycle state " + lcs.toString(16));
+	}
+}
+
+
+
+/**
+ * Determine if card content management is performed by a supplementary security domain
+ *
+ * <p>A supplementary security domain requires the Delegated Management privilege and commands
+ *    must contain a token signed by the card issuer.</p>
+ *
+ * @param {GPRegistry} registry the registry
+ * @type boolean
+ * @return true if the selected security domain performs Delegated Management
+ */
+GPCommandInterpreter.prototype.isDelegatedManagement = function(registry) {
+	var aid = this.fileSelector.getCurrentDF().getFCP().getAID();
+	var sd = aid ? registry.getEntry(aid) : null;
+	if (!sd || (sd.type == GPRegistryEntry.ISD)) {
+		return false;
+	}
+	if (!(sd.privileges & GPRegistry.PRIV_DELEGATED_MANAGEMENT)) {
+		throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "Security domain " + aid.toString(HEX) + " has no Delegated Management privilege");
+	}
+	return true;
+}
+
+
+
+/**
+ * Verify a Delegated Management token
+ *
+ * <p>The token is a signature over P1, P2, the length of the command data without the token and
+ *    the command data without the token. ECDSA tokens contain the concatenation of r and s.</p>
+ *
+ * @param {GPRegistry} registry the registry with the token verification key
+ * @param {Number} p1 the P1 byte
+ * @param {Number} p2 the P2 byte
+ * @param {ByteString} data the command data without the token
+ * @param {ByteString} token the token
+ */
+GPCommandInterpreter.prototype.verifyToken = function(registry, p1, p2, data, token) {
+	if (!registry.tokenKey) {
+		throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "No token verification key");
+	}
+	if (!token || (token.length == 0)) {
+		throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_SECSTATNOTSAT, "Token required for Delegated Management");
+	}
+
+	var bb = new ByteBuffer();
+	bb.append(p1);
+	bb.append(p2);
+	bb.append(data.length);
+	bb.append(data);
+
+	var mech = registry.tokenMech;
+	if ((mech == Crypto.ECDSA) || (mech == Crypto.ECDSA_SHA1) || (mech == Crypto.ECDSA_SHA224) || (mech == Crypto.ECDSA_SHA256)) {
+		token = ECCUtils.wrapSignature(token);
+	}
+
+	if (!this.crypto.verify(registry.tokenKey, mech, bb.toByteString(), token)) {
+		throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INVDATA, "Token verification failed");
+	}
+}
+
+
+
+/**
+ * Generate a receipt for a card content change made through Delegated Management
+ *
+ * <p>The receipt is a MAC over the length prefixed confirmation counter, security domain unique data,
+ *    which is the concatenation of the IIN and CIN of the security domain, and the AIDs affected.</p>
+ *
+ * @param {GPRegistry} registry the registry with the receipt generation key
+ * @param {ByteString[]} aids the AIDs affected by the command
+ * @type ByteString
+ * @return the response data with receipt, confirmation counter and security domain unique data
+ */
+GPCommandInterpreter.prototype.generateReceipt = function(registry, aids) {
+	if (!registry.receiptKey) {
+		return new ByteString("00", HEX);
+	}
+
+	registry.confirmationCounter++;
+	var cc = ByteString.valueOf(registry.confirmationCounter, 2);
+
+	var unique = new ByteString("", HEX);
+	var dataObjects = this.fileSelector.getMeta("gpDataObjects");
+	var tags = [ 0x42, 0x45 ];
+	for (var i = 0; i < tags.length; i++) {
+		if (dataObjects && dataObjects[tags[i]]) {
+			unique = unique.concat(new ASN1(dataObjects[tags[i]]).value);
+		}
+	}
+
+	var input = GPCommandInterpreter.encodeLVList([ cc, unique ].concat(aids));
+	if (registry.receiptMech == Crypto.AES_CMAC) {
+		var receipt = this.crypto.sign(registry.receiptKey, Crypto.AES_CMAC, input);
+	} else {
+		var receipt = this.crypto.sign(registry.receiptKey, registry.receiptMech, input.pad(Crypto.ISO9797_METHOD_2));
+	}
+	return GPCommandInterpreter.encodeLVList([ receipt, cc, unique ]);
+}
+
+
+
+/**
+ * Verify and remove the C-MAC from commands with a proprietary class byte
+ *
+ * <p>Commands with bit b3 set in CLA must carry a valid C-MAC. If the security level requires a C-MAC,
+ *    then commands without are rejected. In both error cases the secure channel session is terminated.</p>
+ *
+ * @param {APDU} apdu the command APDU
+ */
+GPCommandInterpreter.prototype.handleSecMsgCommandAPDU = function(apdu) {
+	if (apdu.isISO()) {
+		CommandInterpreter.prototype.handleSecMsgCommandAPDU.call(this, apdu);
+		return;
+	}
+
+	var ins = apdu.getINS();
+	if ((ins == GPCommandInterpreter.INS_INITIALIZE_UPDATE) || (ins == APDU.INS_EXTERNAL_AUTHENTICATE)) {
+		return;
+	}
+
+	var session = this.channel.gpSession;
+	if (apdu.getCLA() & 0x04) {
+		if (!session) {
+			throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_SECSTATNOTSAT, "Secure channel not established");
+		}
+		try	{
+			session.unwrap(apdu);
+		}
+		catch(e) {
+			delete this.channel.gpSession;
+			throw e;
+		}
+	} else if (session && session.isAuthenticated() && (session.securityLevel & GPSecureChannel.C_MAC)) {
+		delete this.channel.gpSession;
+		throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_SECSTATNOTSAT, "C-MAC required by security level");
+	}
+}
+
+
+
+/**
+ * Add R-MAC and R-ENCRYPTION to responses of commands with a C-MAC, if required by the security level
+ *
+ * @param {APDU} apdu the response APDU
+ */
+GPCommandInterpreter.prototype.handleSecMsgResponseAPDU = function(apdu) {
+	if (apdu.isISO()) {
+		CommandInterpreter.prototype.handleSecMsgResponseAPDU.call(this, apdu);
+		return;
+	}
+
+	var ins = apdu.getINS();
+	if ((ins == GPCommandInterpreter.INS_INITIALIZE_UPDATE) || (ins == APDU.INS_EXTERNAL_AUTHENTICATE)) {
+		return;
+	}
+
+	var session = this.channel.gpSession;
+	if (session && session.isAuthenticated() && (apdu.getCLA() & 0x04)) {
+		session.wrap(apdu);
+	}
+}
+
+
+
+/**
+ * Implements INITIALIZE UPDATE
+ *
+ * @param {APDU} apdu the command APDU
+ */
+GPCommandInterpreter.prototype.initializeUpdate = function(apdu) {
+	var keySet = this.fileSelector.getMeta("gpKeySet");
+	var dataObjects = this.fileSelector.getMeta("gpDataObjects");
+
+	var kdd = dataObjects[0xCF];
+	kdd = kdd ? new ASN1(kdd).value : new ByteString("00000000000000000000", HEX);
+
+	var session = new GPSecureChannel(this.crypto, keySet);
+	delete this.channel.gpSession;
+	session.initializeUpdate(apdu, kdd);
+	this.channel.gpSession = session;
+}
+
+
+
+/**
+ * Implements EXTERNAL AUTHENTICATE
+ *
+ * @param {APDU} apdu the command APDU
+ */
+GPCommandInterpreter.prototype.externalAuthenticate = function(apdu) {
+	var session = this.channel.gpSession;
+	if (!session) {
+		throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "INITIALIZE UPDATE required");
+	}
+	try	{
+		session.externalAuthenticate(apdu);
+	}
+	catch(e) {
+		delete this.channel.gpSession;
+		throw e;
+	}
+}
+
+
+
+/**
+ * Implements GET DATA
+ *
+ * <p>Returns the data objects from the meta information, the key information template
+ *    and sequence counter from the key set and the confirmation counter from the registry.</p>
+ *
+ * @param {APDU} apdu the command APDU
+ */
+GPCommandInterpreter.prototype.getData = function(apdu) {
+	var tag = apdu.getP1() ? (apdu.getP1() << 8) | apdu.getP2() : apdu.getP2();
+	var keySet = this.fileSelector.getMeta("gpKeySet");
+	var dataObjects = this.fileSelector.getMeta("gpDataObjects");
+
+	var data = null;
+	switch(tag) {
+	case 0xE0:
+		data = keySet.getKeyInformationTemplate();
+		break;
+	case 0xC1:
+		data = new ASN1(0xC1, ByteString.valueOf(keySet.sequenceCounter, 2)).getBytes();
+		break;
+	case 0xC2:
+		var registry = this.fileSelector.getMeta("gpRegistry");
+		data = new ASN1(0xC2, ByteString.valueOf(registry.confirmationCounter, 2)).getBytes();
+		break;
+	default:
+		data = dataObjects[tag];
+	}
+
+	if (!data) {
+		throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_RDNOTFOUND, "Data object " + tag.toString(16) + " not found");
+	}
+	apdu.setRData(data);
+	apdu.setSW(APDU.SW_OK);
+}
+
+
+
+/**
+ * Implements GET STATUS
+ *
+ * @param {APDU} apdu the command APDU
+ */
+GPCommandInterpreter.prototype.getStatus = function(apdu) {
+	this.checkAuthenticated();
+
+	var p2 = apdu.getP2();
+	if ((p2 != 0x00) && (p2 != 0x02)) {
+		throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INCP1P2, "Only P2 00 and 02 supported in GET STATUS");
+	}
+
+	var filter = new ByteString("", HEX);
+	if (apdu.hasCData()) {
+		var t = new TLVList(apdu.getCData(), TLV.EMV).find(0x4F);
+		if (!t) {
+			throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INVDATA, "Search criteria must contain tag 4F");
+		}
+		filter = t.getValue();
+	}
+
+	var registry = this.fileSelector.getMeta("gpRegistry");
+	apdu.setRData(registry.getStatus(apdu.getP1(), p2, filter));
+	apdu.setSW(APDU.SW_OK);
+}
+
+
+
+/**
+ * Implements SET STATUS
+ *
+ * <p>P1 '80' changes the card life cycle state, P1 '40' locks, unlocks or sets an application
+ *    specific life cycle state of the application identified in the command data.</p>
+ *
+ * @param {APDU} apdu the command APDU
+ */
+GPCommandInterpreter.prototype.setStatus = function(apdu) {
+	this.checkAuthenticated();
+
+	var registry = this.fileSelector.getMeta("gpRegistry");
+	var lcs = apdu.getP2();
+
+	switch(apdu.getP1()) {
+	case 0x80:
+		var current = registry.isd.lifeCycle;
+		var valid;
+		switch(lcs) {
+		case GPRegistry.CARD_INITIALIZED:
+			valid = (current == GPRegistry.CARD_OP_READY);
+			break;
+		case GPRegistry.CARD_SECURED:
+			valid = (current == GPRegistry.CARD_INITIALIZED) || (current == GPRegistry.CARD_LOCKED);
+			break;
+		case GPRegistry.CARD_LOCKED:
+			valid = (current == GPRegistry.CARD_SECURED);
+			break;
+		case GPRegistry.CARD_TERMINATED:
+			valid = (current != GPRegistry.CARD_TERMINATED);
+			break;
+		default:
+			valid = false;
+		}
+		if (!valid) {
+			throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "Transition from card life cycle state " + current.toString(16) + " to " + lcs.toString(16) + " not allowed");
+		}
+		registry.isd.lifeCycle = lcs;
+		break;
+	case 0x40:
+		if (!apdu.hasCData()) {
+			throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_WRONGLENGTH, "AID expected in command data");
+		}
+		var e = registry.getEntry(apdu.getCData());
+		if (!e || (e.type != GPRegistryEntry.APPLICATION)) {
+			throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_RDNOTFOUND, "Application " + apdu.getCData().toString(HEX) + " not found");
+		}
+		if (lcs & GPRegistry.APPLICATION_LOCKED) {
+			e.lifeCycle |= GPRegistry.APPLICATION_LOCKED;
+		} else if (lcs == 0x00) {
+			e.lifeCycle &= ~GPRegistry.APPLICATION_LOCKED;
+		} else {
+			if ((e.lifeCycle & 0x07) != GPRegistry.APPLICATION_SELECTABLE) {
+				throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "Application must be selectable");
+			}
+			e.lifeCycle = (e.lifeCycle & GPRegistry.APPLICATION_LOCKED) | (lcs & 0x7F) | GPRegistry.APPLICATION_SELECTABLE;
+		}
+		if (e.node) {
+			e.node.getFCP().setLifeCycleStatus((e.lifeCycle & GPRegistry.APPLICATION_LOCKED) ? FCP.DEACTIVATED : FCP.ACTIVATED);
+		}
+		break;
+	default:
+		throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INCP1P2, "Only P1 80 and 40 supported in SET STATUS");
+	}
+	apdu.setSW(APDU.SW_OK);
+}
+
+
+
+/**
+ * Implements INSTALL [for load], [for install] and [for make selectable]
+ *
+ * <p>Applications made selectable are added as DF with the application identifier to the MF. Under
+ *    Delegated Management the last field must contain the token and an install receipt is returned.</p>
+ *
+ * @param {APDU} apdu the command APDU
+ */
+GPCommandInterpreter.prototype.install = function(apdu) {
+	this.checkAuthenticated();
+
+	var registry = this.fileSelector.getMeta("gpRegistry");
+	this.checkCardContentManagement(registry);
+	var dm = this.isDelegatedManagement(registry);
+
+	var p1 = apdu.getP1() & 0x7F;
+	var f = GPCommandInterpreter.decodeLVList(apdu.hasCData() ? apdu.getCData() : new ByteString("", HEX));
+
+	if (p1 == 0x02) {
+		if ((f.length < 5) || (f[0].length < 5)) {
+			throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INVDATA, "Invalid INSTALL [for load] data");
+		}
+		if ((f[2].length != 0) && (f[2].length != 20) && (f[2].length != 32)) {
+			throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INVDATA, "Load File Data Block Hash must be SHA-1 or SHA-256");
+		}
+		if (dm) {
+			this.verifyToken(registry, apdu.getP1(), apdu.getP2(), GPCommandInterpreter.encodeLVList(f.slice(0, 4)), f[4]);
+		}
+		if (registry.getEntry(f[0])) {
+			throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "Load file " + f[0].toString(HEX) + " already exists");
+		}
+		var sd = f[1].length > 0 ? f[1] : registry.isd.aid;
+		this.channel.loadState = { aid: f[0], securityDomain: sd, hash: f[2], data: new ByteBuffer(), block: 0, dm: dm };
+		apdu.setRData(new ByteString("00", HEX));
+		apdu.setSW(APDU.SW_OK);
+		return;
+	}
+
+	if ((p1 != 0x04) && (p1 != 0x08) && (p1 != 0x0C)) {
+		throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INCP1P2, "INSTALL for " + p1.toString(16) + " not supported");
+	}
+
+	if ((f.length < 5) || (f[2].length < 5)) {
+		throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INVDATA, "Invalid INSTALL data");
+	}
+
+	if (dm) {
+		this.verifyToken(registry, apdu.getP1(), apdu.getP2(), GPCommandInterpreter.encodeLVList(f.slice(0, 5)), f[5]);
+	}
+
+	var privileges = f[3].length > 0 ? f[3].byteAt(0) : 0x00;
+
+	if (p1 & 0x04) {
+		var e = registry.addApplication(f[2], f[0], f[1], privileges);
+		if (f[4].length > 0) {
+			e.installParameter = f[4];
+		}
+	} else {
+		var e = registry.getEntry(f[2]);
+		if (!e || (e.type != GPRegistryEntry.APPLICATION)) {
+			throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_RDNOTFOUND, "Application " + f[2].toString(HEX) + " not found");
+		}
+		if (e.lifeCycle != GPRegistry.APPLICATION_INSTALLED) {
+			throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "Application not in state INSTALLED");
+		}
+	}
+
+	if (p1 & 0x08) {
+		e.lifeCycle = GPRegistry.APPLICATION_SELECTABLE;
+		e.node = new DF(FCP.newDF(null, e.aid));
+		this.fileSelector.mf.add(e.node);
+	}
+
+	apdu.setRData(dm ? this.generateReceipt(registry, [ f[0], f[2] ]) : new ByteString("00", HEX));
+	apdu.setSW(APDU.SW_OK);
+}
+
+
+
+/**
+ * Implements LOAD
+ *
+ * <p>The blocks are collected for the logical channel until the last block indicated by P1 = '80'. The
+ *    package AID in the load file must match the load file AID and the Load File Data Block must match
+ *    the hash given in INSTALL [for load]. Under Delegated Management a load receipt is returned for
+ *    the last block.</p>
+ *
+ * @param {APDU} apdu the command APDU
+ */
+GPCommandInterpreter.prototype.load = function(apdu) {
+	this.checkAuthenticated();
+
+	var ls = this.channel.loadState;
+	if (!ls) {
+		throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "INSTALL [for load] required");
+	}
+
+	if (apdu.getP2() != (ls.block & 0xFF)) {
+		delete this.channel.loadState;
+		throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INCP1P2, "Unexpected block number " + apdu.getP2());
+	}
+	ls.block++;
+
+	if (apdu.hasCData()) {
+		ls.data.append(apdu.getCData());
+	}
+
+	if (!(apdu.getP1() & 0x80)) {
+		apdu.setSW(APDU.SW_OK);
+		return;
+	}
+
+	delete this.channel.loadState;
+
+	var t = new TLVList(ls.data.toByteString(), TLV.EMV).find(0xC4);
+	if (!t) {
+		throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INVDATA, "Load file data block 'C4' missing");
+	}
+
+	if (ls.hash.length > 0) {
+		var mech = ls.hash.length == 32 ? Crypto.SHA_256 : Crypto.SHA_1;
+		if (!this.crypto.digest(mech, t.getValue()).equals(ls.hash)) {
+			throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INVDATA, "Load File Data Block Hash does not match load file");
+		}
+	}
+
+	var lf = GPRegistry.decodeLoadFile(t.getValue());
+	if (!lf.aid.equals(ls.aid)) {
+		throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INVDATA, "Package AID " + lf.aid.toString(HEX) + " does not match load file AID " + ls.aid.toString(HEX));
+	}
+
+	var registry = this.fileSelector.getMeta("gpRegistry");
+	registry.addLoadFile(ls.aid, lf.modules, ls.securityDomain);
+
+	apdu.setRData(ls.dm ? this.generateReceipt(registry, [ ls.aid, ls.securityDomain ]) : new ByteString("00", HEX));
+	apdu.setSW(APDU.SW_OK);
+}
+
+
+
+/**
+ * Implements DELETE for applications and executable load files
+ *
+ * <p>P2 = '80' deletes the applications instantiated from a load file as well. Under Delegated Management
+ *    the command data must contain the token in tag '9E' and a delete receipt is returned.</p>
+ *
+ * @param {APDU} apdu the command APDU
+ */
+GPCommandInterpreter.prototype.deleteObject = function(apdu) {
+	this.checkAuthenticated();
+
+	var registry = this.fileSelector.getMeta("gpRegistry");
+	this.checkCardContentManagement(registry);
+	var dm = this.isDelegatedManagement(registry);
+
+	var list = apdu.hasCData() ? new TLVList(apdu.getCData(), TLV.EMV) : null;
+	var t = list ? list.find(0x4F) : null;
+	if (!t) {
+		throw new GPError("GPCommandInterpreter", GPError.INVALID_DATA, APDU.SW_INVDATA, "AID '4F' expected in command data");
+	}
+
+	if (dm) {
+		var data = new ByteBuffer();
+		var token = null;
+		for (var i = 0; i < list.length; i++) {
+			var o = list.index(i);
+			if (o.getTag() == 0x9E) {
+				token = o.getValue();
+			} else {
+				data.append(o.getTLV());
+			}
+		}
+		this.verifyToken(registry, apdu.getP1(), apdu.getP2(), data.toByteString(), token);
+	}
+
+	var removed = registry.remove(t.getValue(), (apdu.getP2() & 0x80) == 0x80);
+	for (var i = 0; i < removed.length; i++) {
+		var node = removed[i].node;
+		if (node && node.getParent()) {
+			node.getParent().remove(node);
+		}
+	}
+
+	apdu.setRData(dm ? this.generateReceipt(registry, [ t.getValue() ]) : new ByteString("00", HEX));
+	apdu.setSW(APDU.SW_OK);
+}
+
+
+
+/**
+ * Dispatch to command handler based in INS byte in APDU
+ *
+ * <p>Commands with a proprietary class byte are handled only if the selected DF has a GlobalPlatform
+ *    registry. Selecting a different application terminates the secure channel session.</p>
+ *
+ * @param {APDU} apdu the apdu
+ * @param {Number} ins the normalized instruction code
+ */
+GPCommandInterpreter.prototype.dispatch = function(apdu, ins) {
+	var registry = this.fileSelector.getMeta("gpRegistry");
+
+	if (apdu.isISO()) {
+		if (ins == APDU.INS_SELECT) {
+			delete this.channel.gpSession;
+		}
+		if (registry && (ins == GPCommandInterpreter.INS_GET_DATA)) {
+			this.getData(apdu);
+		} else {
+			CommandInterpreter.prototype.dispatch.call(this, apdu, ins);
+		}
+		return;
+	}
+
+	if (!registry) {
+		apdu.setSW(APDU.SW_INVCLA);
+		return;
+	}
+
+	switch(ins) {
+	case GPCommandInterpreter.INS_INITIALIZE_UPDATE:
+		this.initializeUpdate(apdu);
+		break;
+	case APDU.INS_EXTERNAL_AUTHENTICATE:
+		this.externalAuthenticate(apdu);
+		break;
+	case GPCommandInterpreter.INS_GET_DATA:
+		this.getData(apdu);
+		break;
+	case GPCommandInterpreter.INS_GET_STATUS:
+		this.getStatus(apdu);
+		break;
+	case GPCommandInterpreter.INS_SET_STATUS:
+		this.setStatus(apdu);
+		break;
+	case GPCommandInterpreter.INS_INSTALL:
+		this.install(apdu);
+		break;
+	case GPCommandInterpreter.INS_LOAD:
+		this.load(apdu);
+		break;
+	case GPCommandInterpreter.INS_DELETE:
+		this.deleteObject(apdu);
+		break;
+	default:
+		apdu.setSW(APDU.SW_INVINS);
+	}
+}
+
+
+
+GPCommandInterpreter.test = function() {
+	var crypto = new Crypto();
+	var isdAid = new ByteString("A000000003000000", HEX);
+	var key = new Key();
+	key.setComponent(Key.DES, new ByteString("404142434445464748494A4B4C4D4E4F", HEX));
+
+	var isd = new DF(FCP.newDF(null, isdAid));
+	isd.addMeta("gpRegistry", new GPRegistry(isdAid));
+	isd.addMeta("gpKeySet", new GPKeySet(0x01, GPSecureChannel.SCP02, 0x55, key, key, key));
+	var dataObjects = [];
+	dataObjects[0x9F7F] = new ByteString("9F7F03010203", HEX);
+	isd.addMeta("gpDataObjects", dataObjects);
+
+	var mf = new DF(FCP.newDF("3F00", null), isd);
+	var fs = new FileSelector(mf);
+	fs.select(0x04, isdAid);
+	var ci = new GPCommandInterpreter(fs);
+
+	// Host side of SCP02 as implemented in GPAuthenticate()
+	var host = {};
+	var authenticate = function() {
+		var hostChallenge = crypto.generateRandom(8);
+		var a = new APDU(0x80, 0x50, 0x00, 0x00, hostChallenge, 0);
+		ci.processAPDU(a);
+		assert(a.getSW() == APDU.SW_OK);
+		var r = a.getRData();
+		assert(r.byteAt(11) == 0x02);
+		var sequence = r.bytes(12, 2);
+
+		var derive = function(c) {
+			var sk = new Key();
+			crypto.deriveKey(key, Crypto.DES_CBC, new ByteString(c, HEX).concat(sequence).concat(new ByteString("000000000000000000000000", HEX)), sk);
+			return sk;
+		};
+		var senc = derive("0182");
+		host.smac = derive("0101");
+
+		var input = GPSecureChannel.pad(hostChallenge.concat(sequence).concat(r.bytes(14, 6)), 8);
+		assert(crypto.sign(senc, Crypto.DES_MAC, input).equals(r.bytes(20, 8)));
+
+		var input = GPSecureChannel.pad(sequence.concat(r.bytes(14, 6)).concat(hostChallenge), 8);
+		var hostCryptogram = crypto.sign(senc, Crypto.DES_MAC, input);
+
+		host.icv = new ByteString("0000000000000000", HEX);
+		host.authenticated = false;
+		var a = wrap(0x84, 0x82, 0x01, 0x00, hostCryptogram);
+		ci.processAPDU(a);
+		assert(a.getSW() == APDU.SW_OK);
+		host.authenticated = true;
+	};
+
+	var wrap = function(cla, ins, p1, p2, data) {
+		var icv = host.icv;
+		if (host.authenticated) {
+			var k = new Key();
+			k.setComponent(Key.DES, host.smac.getComponent(Key.DES).left(8));
+			icv = crypto.encrypt(k, Crypto.DES_ECB, icv);
+		}
+		var header = ByteString.valueOf((cla << 24) | (ins << 16) | (p1 << 8) | p2, 4);
+		var input = GPSecureChannel.pad(header.concat(ByteString.valueOf(data.length + 8)).concat(data), 8);
+		host.icv = crypto.sign(host.smac, Crypto.DES_MAC_EMV, input, icv);
+		return new APDU(cla, ins, p1, p2, data.concat(host.icv));
+	};
+
+	var a = new APDU(0x00, 0xCA, 0x9F, 0x7F, 0);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+	assert(a.getRData().equals(dataObjects[0x9F7F]));
+
+	var a = new APDU(0x80, 0xF2, 0x80, 0x00, new ByteString("4F00", HEX), 0);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_SECSTATNOTSAT);
+
+	// R-MAC is not supported with SCP02
+	var a = new APDU(0x80, 0x50, 0x00, 0x00, crypto.generateRandom(8), 0);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x84, 0x82, 0x11, 0x00, new ByteString("00000000000000000000000000000000", HEX));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_INCP1P2);
+
+	authenticate();
+
+	// Unwrapped command rejected at security level C-MAC
+	var a = new APDU(0x80, 0xF2, 0x80, 0x00, new ByteString("4F00", HEX), 0);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_SECSTATNOTSAT);
+
+	authenticate();
+
+	var a = wrap(0x84, 0xF2, 0x80, 0x00, new ByteString("4F00", HEX));
+	ci.processAPDU(a);
+	print(a);
+	assert(a.getSW() == APDU.SW_OK);
+	assert(a.getRData().equals(new ByteString("08A000000003000000079E", HEX)));
+
+	// Load a load file with a header and applet component and install the applet
+	var pkgAid = new ByteString("A000000001", HEX);
+	var appAid = new ByteString("A00000000101", HEX);
+	var cap = new ByteString("01000F DECAFFED 0102 04 0001 05 A000000001" +
+							 "03000A 01 06 A00000000101 0000", HEX);
+	var lf = new ASN1(0xC4, cap).getBytes();
+	var hash = crypto.digest(Crypto.SHA_1, cap);
+	var data = new ByteString("05A000000001 08A000000003000000 14", HEX);
+
+	// The load file must match the Load File Data Block Hash
+	var a = wrap(0x84, 0xE6, 0x02, 0x00, data.concat(hash.not()).concat(new ByteString("0000", HEX)));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = wrap(0x84, 0xE8, 0x80, 0x00, lf);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_INVDATA);
+
+	var a = wrap(0x84, 0xE8, 0x80, 0x00, lf);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_CONDOFUSENOTSAT);
+
+	var a = wrap(0x84, 0xE6, 0x02, 0x00, data.concat(hash).concat(new ByteString("0000", HEX)));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = wrap(0x84, 0xE8, 0x00, 0x00, lf.left(16));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = wrap(0x84, 0xE8, 0x80, 0x01, lf.bytes(16));
+	ci.processAPDU(a);
+	print(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = wrap(0x84, 0xE6, 0x0C, 0x00, new ByteString("05A000000001 06A00000000101 06A00000000101 0100 02C900 00", HEX));
+	ci.processAPDU(a);
+	print(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = wrap(0x84, 0xF2, 0x40, 0x00, new ByteString("4F00", HEX));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+	assert(a.getRData().equals(new ByteString("06A000000001010700", HEX)));
+
+	var a = new APDU(0x00, 0xA4, 0x04, 0x0C, appAid);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x00, 0xA4, 0x04, 0x0C, isdAid);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	// Selecting the ISD terminated the secure channel session
+	var a = wrap(0x84, 0xE4, 0x00, 0x80, new ByteString("4F05A000000001", HEX));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_SECSTATNOTSAT);
+
+	authenticate();
+
+	var a = wrap(0x84, 0xE4, 0x00, 0x00, new ByteString("4F05A000000001", HEX));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_CONDOFUSENOTSAT);
+
+	authenticate();
+
+	var a = wrap(0x84, 0xE4, 0x00, 0x80, new ByteString("4F05A000000001", HEX));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = new APDU(0x00, 0xA4, 0x04, 0x0C, appAid);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_FILENOTFOUND);
+
+	// Delegated Management through a supplementary security domain
+	var puk = new Key();
+	var prk = new Key();
+	puk.setType(Key.PUBLIC);
+	prk.setType(Key.PRIVATE);
+	puk.setSize(1024);
+	crypto.generateKeyPair(Crypto.RSA, puk, prk);
+
+	var registry = fs.getMeta("gpRegistry");
+	registry.setDelegatedManagementKeys(puk, Crypto.RSA_SHA1, key, Crypto.DES_MAC);
+
+	var ssdAid = new ByteString("A000000003535344", HEX);
+	var ssd = new DF(FCP.newDF(null, ssdAid));
+	ssd.addMeta("gpRegistry", registry);
+	ssd.addMeta("gpKeySet", new GPKeySet(0x01, GPSecureChannel.SCP02, 0x55, key, key, key));
+	var ssdDataObjects = [];
+	ssdDataObjects[0x42] = new ByteString("4203123456", HEX);
+	ssdDataObjects[0x45] = new ByteString("45020001", HEX);
+	ssd.addMeta("gpDataObjects", ssdDataObjects);
+	mf.add(ssd);
+	registry.addSecurityDomain(ssdAid, GPRegistry.PRIV_DELEGATED_MANAGEMENT).node = ssd;
+
+	var token = function(p1, p2, data) {
+		var input = ByteString.valueOf((p1 << 16) | (p2 << 8) | data.length, 3).concat(data);
+		return crypto.sign(prk, Crypto.RSA_SHA1, input);
+	};
+
+	var verifyReceipt = function(rsp, aids) {
+		var f = GPCommandInterpreter.decodeLVList(rsp);
+		assert(f[2].equals(new ByteString("1234560001", HEX)));
+		var input = GPCommandInterpreter.encodeLVList([ f[1], f[2] ].concat(aids));
+		assert(crypto.sign(key, Crypto.DES_MAC, input.pad(Crypto.ISO9797_METHOD_2)).equals(f[0]));
+		return f[1];
+	};
+
+	var a = new APDU(0x00, 0xA4, 0x04, 0x0C, ssdAid);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	authenticate();
+
+	var data = new ByteString("05A000000001 08A000000003535344 00 00", HEX);
+	var a = wrap(0x84, 0xE6, 0x02, 0x00, data.concat(new ByteString("00", HEX)));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_SECSTATNOTSAT);
+
+	authenticate();
+
+	var t = token(0x02, 0x00, data);
+	var a = wrap(0x84, 0xE6, 0x02, 0x00, data.concat(ByteString.valueOf(t.length)).concat(t));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+
+	var a = wrap(0x84, 0xE8, 0x80, 0x00, lf);
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+	assert(verifyReceipt(a.getRData(), [ pkgAid, ssdAid ]).equals(new ByteString("0001", HEX)));
+
+	var data = new ByteString("4F05A000000001", HEX);
+	var a = wrap(0x84, 0xE4, 0x00, 0x00, data.concat(new ASN1(0x9E, token(0x00, 0x00, data)).getBytes()));
+	ci.processAPDU(a);
+	assert(a.getSW() == APDU.SW_OK);
+	assert(verifyReceipt(a.getRData(), [ pkgAid ]).equals(new ByteString("0002", HEX)));
+
+	var a = new APDU(0x00, 0xCA, 0x00, 0xC2, 0);
+	ci.processAPDU(a);
+	assert(a.getRData().equals(new ByteString("C2020002", HEX)));
+
+	// SCP03 with the host side implemented in SCP03SecureChannel
+	load(GPCommandInterpreter.toolsFile);
+
+	var aesKey = new Key();
+	aesKey.setComponent(Key.AES, new ByteString("404142434445464748494A4B4C4D4E4F", HEX));
+
+	var isd = new DF(FCP.newDF(null, isdAid));
+	isd.addMeta("gpRegistry", new GPRegistry(isdAid));
+	isd.addMeta("gpKeySet", new GPKeySet(0x01, GPSecureChannel.SCP03, GPSecureChannel.I_R_MAC | GPSecureChannel.I_R_ENCRYPTION, aesKey, aesKey, aesKey));
+	isd.addMeta("gpDataObjects", []);
+
+	var fs = new FileSelector(new DF(FCP.newDF("3F00", null), isd));
+	fs.select(0x04, isdAid);
+	var ci = new GPCommandInterpreter(fs);
+
+	var card = {
+		sendApdu: function(cla, ins, p1, p2, data) {
+			var a = new APDU(cla, ins, p1, p2, data, 0);
+			ci.processAPDU(a);
+			assert(a.getSW() == APDU.SW_OK);
+			return a.getRData();
+		}
+	};
+
+	var open = function(level) {
+		var session = new SCP03SecureChannel(crypto, aesKey, aesKey);
+		var hostChallenge = crypto.generateRandom(8);
+		var r = card.sendApdu(0x80, 0x50, 0x00, 0x00, hostChallenge);
+		assert(r.byteAt(11) == 0x03);
+		session.authenticate(card, hostChallenge, r, level);
+		return session;
+	};
+
+	var transmit = function(session, cla, ins, p1, p2, data) {
+		var capdu = ByteString.valueOf((cla << 24) | (ins << 16) | (p1 << 8) | p2, 4).concat(ByteString.valueOf(data.length)).concat(data).concat(new ByteString("00", HEX));
+		var a = new APDU(session.wrap(capdu));
+		ci.processAPDU(a);
+		host.rapdu = (a.hasRData() ? a.getRData() : new ByteString("", HEX)).concat(ByteString.valueOf(a.getSW(), 2));
+		return session.unwrap(host.rapdu);
+	};
+
+	var status = new ByteString("08A000000003000000079E9000", HEX);
+	var levels = [ 0x01, 0x03, 0x13, 0x33 ];
+	for (var i = 0; i < levels.length; i++) {
+		var session = open(levels[i]);
+
+		// Two commands to cover the MAC chaining and the encryption counter
+		assert(transmit(session, 0x80, 0xF2, 0x80, 0x00, new ByteString("4F00", HEX)).equals(status));
+		assert(transmit(session, 0x80, 0xF2, 0x80, 0x00, new ByteString("4F00", HEX)).equals(status));
+
+		if (levels[i] & GPSecureChannel.R_MAC) {
+			assert(host.rapdu.length == (levels[i] & GPSecureChannel.R_ENCRYPTION ? 16 : 11) + 8 + 2);
+		} else {
+			assert(host.rapdu.equals(status));
+		}
+	}
+
+	// Error status words are returned without R-MAC
+	var session = open(0x33);
+	assert(transmit(session, 0x80, 0xE4, 0x00, 0x00, new ByteString("4F05A0000000FF", HEX)).equals(new ByteString("6A88", HEX)));
+}
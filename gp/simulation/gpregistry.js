@@ -0,0 +1,447 @@
+/**
+ *  ---------
+ * |.##> <##.|  Open Smart Card Development Platform (www.openscdp.org)
+ * |#       #|
+ * |#       #|  Copyright (c) 1999-2009 CardContact Software & System Consulting
+ * |'##> <##'|  Andreas Schwier, 32429 Minden, Germany (www.cardcontact.de)
+ *  ---------
+ *
+ *  This file is part of OpenSCDP.
+ *
+ *  OpenSCDP is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License version 2 as
+ *  published by the Free Software Foundation.
+ *
+ *  OpenSCDP is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with OpenSCDP; if not, write to the Free Software
+ *  Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA  02110-1301  USA
+ *
+ * @fileoverview GlobalPlatform registry with security domains, applications and executable load files
+ */
+
+
+
+/**
+ * Create a registry entry
+ *
+ * @class Class implementing an entry in the GlobalPlatform registry
+ * @constructor
+ * @param {ByteString} aid the application identifier
+ * @param {Number} type one of GPRegistryEntry.ISD, GPRegistryEntry.APPLICATION or GPRegistryEntry.LOADFILE
+ * @param {Number} lifeCycle the life cycle state
+ * @param {Number} privileges the privileges byte
+ */
+function GPRegistryEntry(aid, type, lifeCycle, privileges) {
+	this.aid = aid;
+	this.type = type;
+	this.lifeCycle = lifeCycle;
+	this.privileges = privileges;
+	this.modules = [];
+	this.loadFile = null;
+	this.module = null;
+	this.securityDomain = null;
+	this.installParameter = null;
+	this.node = null;
+}
+
+
+/** Type of the Issuer Security Domain, using the same coding as in gp/explore-jcop.js */
+GPRegistryEntry.ISD = 0;
+
+/** Type of an application or supplementary security domain */
+GPRegistryEntry.APPLICATION = 1;
+
+/** Type of an executable load file */
+GPRegistryEntry.LOADFILE = 2;
+
+
+
+/**
+ * Return a human readable string for this object
+ *
+ * @type String
+ * @return the string
+ */
+GPRegistryEntry.prototype.toString = function() {
+	var str = ["ISD", "Application", "Load File"][this.type] + " " + this.aid.toString(HEX) +
+				" LCS=" + this.lifeCycle.toString(16) + " Privileges=" + this.privileges.toString(16);
+	for (var i = 0; i < this.modules.length; i++) {
+		str += "\n  Module " + this.modules[i].toString(HEX);
+	}
+	return str;
+}
+
+
+
+/**
+ * Create a registry containing the Issuer Security Domain
+ *
+ * <p>The registry also holds the card wide keys for Delegated Management and the confirmation counter.</p>
+ *
+ * @class Class implementing the GlobalPlatform registry
+ * @constructor
+ * @param {ByteString} isdAid the application identifier of the Issuer Security Domain
+ */
+function GPRegistry(isdAid) {
+	this.entries = [];
+	this.isd = new GPRegistryEntry(isdAid, GPRegistryEntry.ISD, GPRegistry.CARD_INITIALIZED, 0x9E);
+	this.entries.push(this.isd);
+
+	this.tokenKey = null;
+	this.tokenMech = null;
+	this.receiptKey = null;
+	this.receiptMech = null;
+	this.confirmationCounter = 0;
+}
+
+
+/** Card life cycle states */
+GPRegistry.CARD_OP_READY = 0x01;
+GPRegistry.CARD_INITIALIZED = 0x07;
+GPRegistry.CARD_SECURED = 0x0F;
+GPRegistry.CARD_LOCKED = 0x7F;
+GPRegistry.CARD_TERMINATED = 0xFF;
+
+/** Application life cycle states */
+GPRegistry.APPLICATION_INSTALLED = 0x03;
+GPRegistry.APPLICATION_SELECTABLE = 0x07;
+GPRegistry.APPLICATION_LOCKED = 0x80;
+
+/** Executable load file life cycle state */
+GPRegistry.LOADFILE_LOADED = 0x01;
+
+/** Security domain life cycle state */
+GPRegistry.SD_PERSONALIZED = 0x0F;
+
+/** Privileges */
+GPRegistry.PRIV_SECURITY_DOMAIN = 0x80;
+GPRegistry.PRIV_DAP_VERIFICATION = 0x40;
+GPRegistry.PRIV_DELEGATED_MANAGEMENT = 0x20;
+GPRegistry.PRIV_CARD_LOCK = 0x10;
+GPRegistry.PRIV_CARD_TERMINATE = 0x08;
+GPRegistry.PRIV_DEFAULT_SELECTED = 0x04;
+GPRegistry.PRIV_CVM_MANAGEMENT = 0x02;
+GPRegistry.PRIV_MANDATED_DAP = 0x01;
+
+
+
+/**
+ * Return the registry entry for an AID
+ *
+ * @param {ByteString} aid the application identifier
+ * @type GPRegistryEntry
+ * @return the entry or null if not found
+ */
+GPRegistry.prototype.getEntry = function(aid) {
+	for (var i = 0; i < this.entries.length; i++) {
+		if (this.entries[i].aid.equals(aid)) {
+			return this.entries[i];
+		}
+	}
+	return null;
+}
+
+
+
+/**
+ * Return all application entries instantiated from a load file
+ *
+ * @param {ByteString} aid the application identifier of the executable load file
+ * @type GPRegistryEntry[]
+ * @return the list of application entries
+ */
+GPRegistry.prototype.getInstances = function(aid) {
+	var list = [];
+	for (var i = 0; i < this.entries.length; i++) {
+		var e = this.entries[i];
+		if ((e.type == GPRegistryEntry.APPLICATION) && e.loadFile && e.loadFile.equals(aid)) {
+			list.push(e);
+		}
+	}
+	return list;
+}
+
+
+
+/**
+ * Add an executable load file
+ *
+ * @param {ByteString} aid the application identifier of the load file
+ * @param {ByteString[]} modules the application identifier of the executable modules
+ * @param {ByteString} sdAid the associated security domain
+ * @type GPRegistryEntry
+ * @return the new entry
+ */
+GPRegistry.prototype.addLoadFile = function(aid, modules, sdAid) {
+	if (this.getEntry(aid)) {
+		throw new GPError("GPRegistry", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "AID " + aid.toString(HEX) + " already in registry");
+	}
+	var e = new GPRegistryEntry(aid, GPRegistryEntry.LOADFILE, GPRegistry.LOADFILE_LOADED, 0x00);
+	e.modules = modules;
+	e.securityDomain = sdAid;
+	this.entries.push(e);
+	return e;
+}
+
+
+
+/**
+ * Add an application instantiated from an executable module
+ *
+ * @param {ByteString} aid the application identifier of the instance
+ * @param {ByteString} loadFileAid the application identifier of the executable load file
+ * @param {ByteString} moduleAid the application identifier of the executable module
+ * @param {Number} privileges the privileges
+ * @type GPRegistryEntry
+ * @return the new entry
+ */
+GPRegistry.prototype.addApplication = function(aid, loadFileAid, moduleAid, privileges) {
+	var lf = this.getEntry(loadFileAid);
+	if (!lf || (lf.type != GPRegistryEntry.LOADFILE)) {
+		throw new GPError("GPRegistry", GPError.INVALID_DATA, APDU.SW_RDNOTFOUND, "Load file " + loadFileAid.toString(HEX) + " not found");
+	}
+
+	var found = false;
+	for (var i = 0; i < lf.modules.length; i++) {
+		if (lf.modules[i].equals(moduleAid)) {
+			found = true;
+		}
+	}
+	if (!found) {
+		throw new GPError("GPRegistry", GPError.INVALID_DATA, APDU.SW_RDNOTFOUND, "Module " + moduleAid.toString(HEX) + " not found in load file");
+	}
+
+	if (this.getEntry(aid)) {
+		throw new GPError("GPRegistry", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "AID " + aid.toString(HEX) + " already in registry");
+	}
+
+	var e = new GPRegistryEntry(aid, GPRegistryEntry.APPLICATION, GPRegistry.APPLICATION_INSTALLED, privileges);
+	e.loadFile = loadFileAid;
+	e.module = moduleAid;
+	e.securityDomain = lf.securityDomain;
+	this.entries.push(e);
+	return e;
+}
+
+
+
+/**
+ * Add a supplementary security domain
+ *
+ * @param {ByteString} aid the application identifier of the security domain
+ * @param {Number} privileges the privileges, the Security Domain privilege is always set
+ * @type GPRegistryEntry
+ * @return the new entry
+ */
+GPRegistry.prototype.addSecurityDomain = function(aid, privileges) {
+	if (this.getEntry(aid)) {
+		throw new GPError("GPRegistry", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "AID " + aid.toString(HEX) + " already in registry");
+	}
+	var e = new GPRegistryEntry(aid, GPRegistryEntry.APPLICATION, GPRegistry.SD_PERSONALIZED, privileges | GPRegistry.PRIV_SECURITY_DOMAIN);
+	e.securityDomain = this.isd.aid;
+	this.entries.push(e);
+	return e;
+}
+
+
+
+/**
+ * Set the keys used for Delegated Management
+ *
+ * @param {Key} tokenKey the public key to verify tokens
+ * @param {Number} tokenMech the signature mechanism, e.g. Crypto.RSA_SHA1
+ * @param {Key} receiptKey the receipt generation key or null if no receipts are generated
+ * @param {Number} receiptMech Crypto.DES_MAC or Crypto.AES_CMAC
+ */
+GPRegistry.prototype.setDelegatedManagementKeys = function(tokenKey, tokenMech, receiptKey, receiptMech) {
+	this.tokenKey = tokenKey;
+	this.tokenMech = tokenMech;
+	this.receiptKey = receiptKey;
+	this.receiptMech = receiptMech;
+}
+
+
+
+/**
+ * Remove an application or executable load file
+ *
+ * <p>A load file can only be removed if no application instantiated from it remains in the registry,
+ *    unless related objects are deleted as well.</p>
+ *
+ * @param {ByteString} aid the application identifier
+ * @param {boolean} related true to remove the applications instantiated from a load file as well
+ * @type GPRegistryEntry[]
+ * @return the list of removed entries
+ */
+GPRegistry.prototype.remove = function(aid, related) {
+	var e = this.getEntry(aid);
+	if (!e) {
+		throw new GPError("GPRegistry", GPError.INVALID_DATA, APDU.SW_RDNOTFOUND, "AID " + aid.toString(HEX) + " not found");
+	}
+	if (e.type == GPRegistryEntry.ISD) {
+		throw new GPError("GPRegistry", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "The Issuer Security Domain can not be deleted");
+	}
+
+	var removed = [ e ];
+	if (e.type == GPRegistryEntry.LOADFILE) {
+		var instances = this.getInstances(aid);
+		if ((instances.length > 0) && !related) {
+			throw new GPError("GPRegistry", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "Load file " + aid.toString(HEX) + " has instances");
+		}
+		removed = removed.concat(instances);
+	}
+
+	for (var i = 0; i < removed.length; i++) {
+		for (var j = 0; j < this.entries.length; j++) {
+			if (this.entries[j] === removed[i]) {
+				this.entries.splice(j, 1);
+				break;
+			}
+		}
+	}
+	return removed;
+}
+
+
+
+/**
+ * Encode the entries selected by GET STATUS
+ *
+ * @param {Number} p1 the subset, one of '80' (ISD), '40' (applications), '20' (load files) or '10' (load files and modules)
+ * @param {Number} p2 the response format, '00' for the deprecated format or '02' for the TLV format
+ * @param {ByteString} aidFilter the leading bytes of the AID to match or an empty ByteString to match all
+ * @type ByteString
+ * @return the encoded entries
+ */
+GPRegistry.prototype.getStatus = function(p1, p2, aidFilter) {
+	var bb = new ByteBuffer();
+	var found = false;
+
+	for (var i = 0; i < this.entries.length; i++) {
+		var e = this.entries[i];
+
+		var match;
+		switch(p1) {
+		case 0x80:
+			match = (e.type == GPRegistryEntry.ISD);
+			break;
+		case 0x40:
+			match = (e.type == GPRegistryEntry.APPLICATION);
+			break;
+		case 0x20:
+		case 0x10:
+			match = (e.type == GPRegistryEntry.LOADFILE);
+			break;
+		default:
+			throw new GPError("GPRegistry", GPError.INVALID_DATA, APDU.SW_INCP1P2, "Invalid P1 " + p1.toString(16) + " for GET STATUS");
+		}
+
+		if (!match || ((aidFilter.length > 0) && ((e.aid.length < aidFilter.length) || !e.aid.left(aidFilter.length).equals(aidFilter)))) {
+			continue;
+		}
+		found = true;
+
+		if (p2 == 0x02) {
+			var t = new ASN1(0xE3, new ASN1(0x4F, e.aid));
+			t.add(new ASN1(0x9F70, ByteString.valueOf(e.lifeCycle)));
+			t.add(new ASN1(0xC5, ByteString.valueOf(e.privileges)));
+			if (e.loadFile) {
+				t.add(new ASN1(0xC4, e.loadFile));
+			}
+			if (p1 == 0x10) {
+				for (var j = 0; j < e.modules.length; j++) {
+					t.add(new ASN1(0x84, e.modules[j]));
+				}
+			}
+			if (e.securityDomain) {
+				t.add(new ASN1(0xCC, e.securityDomain));
+			}
+			bb.append(t.getBytes());
+		} else {
+			bb.append(e.aid.length);
+			bb.append(e.aid);
+			bb.append(e.lifeCycle);
+			bb.append(e.privileges);
+			if (p1 == 0x10) {
+				bb.append(e.modules.length);
+				for (var j = 0; j < e.modules.length; j++) {
+					bb.append(e.modules[j].length);
+					bb.append(e.modules[j]);
+				}
+			}
+		}
+	}
+
+	if (!found) {
+		throw new GPError("GPRegistry", GPError.INVALID_DATA, APDU.SW_RDNOTFOUND, "No matching entry in registry");
+	}
+	return bb.toByteString();
+}
+
+
+
+/**
+ * Decode the package and applet AIDs from the load file data block
+ *
+ * <p>The load file data block contains the components of a CAP file. The package AID is taken
+ *    from the Header component, the applet AIDs from the optional Applet component.</p>
+ *
+ * @param {ByteString} data the load file data block, without tag 'C4'
+ * @type Object
+ * @return an object with properties aid and modules
+ */
+GPRegistry.decodeLoadFile = function(data) {
+	var lf = { aid: null, modules: [] };
+	var ofs = 0;
+
+	while (ofs + 3 <= data.length) {
+		var tag = data.byteAt(ofs);
+		var len = (data.byteAt(ofs + 1) << 8) + data.byteAt(ofs + 2);
+		if (ofs + 3 + len > data.length) {
+			throw new GPError("GPRegistry", GPError.INVALID_DATA, APDU.SW_INVDATA, "Component " + tag + " exceeds load file data block");
+		}
+		var c = data.bytes(ofs + 3, len);
+
+		if (tag == 1) {						// Header component
+			if ((c.length < 10) || !c.left(4).equals(new ByteString("DECAFFED", HEX)) || (c.length < 10 + c.byteAt(9))) {
+				throw new GPError("GPRegistry", GPError.INVALID_DATA, APDU.SW_INVDATA, "Invalid header component");
+			}
+			lf.aid = c.bytes(10, c.byteAt(9));
+		} else if (tag == 3) {				// Applet component
+			var count = c.byteAt(0);
+			var o = 1;
+			for (var i = 0; i < count; i++) {
+				var l = c.byteAt(o++);
+				lf.modules.push(c.bytes(o, l));
+				o += l + 2;
+			}
+		}
+		ofs += 3 + len;
+	}
+
+	if (!lf.aid) {
+		throw new GPError("GPRegistry", GPError.INVALID_DATA, APDU.SW_INVDATA, "Missing header component in load file");
+	}
+	return lf;
+}
+
+
+
+/**
+ * Return a human readable string for this object
+ *
+ * @type String
+ * @return the string
+ */
+GPRegistry.prototype.toString = function() {
+	var str = "";
+	for (var i = 0; i < this.entries.length; i++) {
+		str += this.entries[i].toString() + "\n";
+	}
+	return str;
+}
@@ -0,0 +1,496 @@
+/**
+ *  ---------
+ * |.##> <##.|  Open Smart Card Development Platform (www.openscdp.org)
+ * |#       #|
+ * |#       #|  Copyright (c) 1999-2009 CardContact Software & System Consulting
+ * |'##> <##'|  Andreas Schwier, 32429 Minden, Germany (www.cardcontact.de)
+ *  ---------
+ *
+ *  This file is part of OpenSCDP.
+ *
+ *  OpenSCDP is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License version 2 as
+ *  published by the Free Software Foundation.
+ *
+ *  OpenSCDP is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with OpenSCDP; if not, write to the Free Software
+ *  Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA  02110-1301  USA
+ *
+ * @fileoverview Card side of the GlobalPlatform secure channel protocols SCP02 and SCP03
+ */
+
+
+
+/**
+ * Create a key set for a security domain
+ *
+ * @class Class implementing a key set of a security domain
+ * @constructor
+ * @param {Number} kvn the key version number
+ * @param {Number} scp the secure channel protocol, one of GPSecureChannel.SCP02 or GPSecureChannel.SCP03
+ * @param {Number} i the implementation option of the secure channel protocol
+ * @param {Key} enc the static encryption key
+ * @param {Key} mac the static message authentication key
+ * @param {Key} dek the static data encryption key
+ */
+function GPKeySet(kvn, scp, i, enc, mac, dek) {
+	this.kvn = kvn;
+	this.scp = scp;
+	this.i = i;
+	this.enc = enc;
+	this.mac = mac;
+	this.dek = dek;
+	this.sequenceCounter = 0;
+}
+
+
+
+/**
+ * Encode the key information template returned by GET DATA with tag 'E0'
+ *
+ * @type ByteString
+ * @return the key information template
+ */
+GPKeySet.prototype.getKeyInformationTemplate = function() {
+	var t = new ASN1(0xE0);
+	var keys = [ this.enc, this.mac, this.dek ];
+
+	for (var i = 0; i < keys.length; i++) {
+		var bb = new ByteBuffer();
+		bb.append(i + 1);
+		bb.append(this.kvn);
+		if (this.scp == GPSecureChannel.SCP03) {
+			bb.append(0x88);
+			bb.append(keys[i].getComponent(Key.AES).length);
+		} else {
+			bb.append(0x80);
+			bb.append(keys[i].getComponent(Key.DES).length);
+		}
+		t.add(new ASN1(0xC0, bb.toByteString()));
+	}
+	return t.getBytes();
+}
+
+
+
+/**
+ * Create a secure channel session for a key set
+ *
+ * <p>The session is established with INITIALIZE UPDATE and EXTERNAL AUTHENTICATE. Afterwards the
+ *    command MAC and, depending on the security level, the encryption of the command data is verified
+ *    and removed by unwrap().</p>
+ *
+ * <p>For SCP03 the security level can additionally request R-MAC and R-ENCRYPTION, if indicated in the
+ *    implementation option of the key set. The response is then protected by wrap().</p>
+ *
+ * @class Class implementing the card side of a GlobalPlatform secure channel session
+ * @constructor
+ * @param {Crypto} crypto the crypto provider
+ * @param {GPKeySet} keySet the key set of the security domain
+ */
+function GPSecureChannel(crypto, keySet) {
+	this.crypto = crypto;
+	this.keySet = keySet;
+	this.authenticated = false;
+	this.securityLevel = 0;
+}
+
+
+GPSecureChannel.SCP02 = 0x02;
+GPSecureChannel.SCP03 = 0x03;
+
+/** Security level bits in P1 of EXTERNAL AUTHENTICATE */
+GPSecureChannel.C_MAC = 0x01;
+GPSecureChannel.C_DECRYPTION = 0x02;
+GPSecureChannel.R_MAC = 0x10;
+GPSecureChannel.R_ENCRYPTION = 0x20;
+
+/** SCP03 implementation option bits */
+GPSecureChannel.I_R_MAC = 0x20;
+GPSecureChannel.I_R_ENCRYPTION = 0x40;
+
+
+
+/**
+ * Returns true if the host has been authenticated
+ *
+ * @type boolean
+ * @return true if EXTERNAL AUTHENTICATE was successful
+ */
+GPSecureChannel.prototype.isAuthenticated = function() {
+	return this.authenticated;
+}
+
+
+
+/**
+ * Pad data using ISO 9797-1 padding method 2
+ *
+ * @param {ByteString} data the data to pad
+ * @param {Number} blockSize the block size
+ * @type ByteString
+ * @return the padded data
+ */
+GPSecureChannel.pad = function(data, blockSize) {
+	var bb = new ByteBuffer();
+	bb.append(data);
+	bb.append(0x80);
+	while (bb.length % blockSize) {
+		bb.append(0x00);
+	}
+	return bb.toByteString();
+}
+
+
+
+/**
+ * Remove ISO 9797-1 padding method 2
+ *
+ * @param {ByteString} data the padded data
+ * @type ByteString
+ * @return the data without padding
+ */
+GPSecureChannel.unpad = function(data) {
+	var i = data.length - 1;
+	while ((i >= 0) && (data.byteAt(i) == 0x00)) {
+		i--;
+	}
+	if ((i < 0) || (data.byteAt(i) != 0x80)) {
+		throw new GPError("GPSecureChannel", GPError.INVALID_DATA, APDU.SW_INVDATA, "Invalid padding");
+	}
+	return data.left(i);
+}
+
+
+
+/**
+ * Derive a SCP02 session key from a static key
+ *
+ * @param {Key} key the static key
+ * @param {String} constant the derivation constant
+ * @param {ByteString} sequence the sequence counter
+ * @type Key
+ * @return the session key
+ */
+GPSecureChannel.prototype.deriveSCP02Key = function(key, constant, sequence) {
+	var param = new ByteString(constant, HEX).concat(sequence).concat(new ByteString("000000000000000000000000", HEX));
+	var sk = new Key();
+	this.crypto.deriveKey(key, Crypto.DES_CBC, param, sk);
+	return sk;
+}
+
+
+
+/**
+ * Derive data using the SCP03 key derivation function, a counter mode KDF using AES-CMAC as defined in NIST SP 800-108
+ *
+ * @param {Key} key the key
+ * @param {Number} constant the derivation constant
+ * @param {ByteString} context the context, i.e. the host and card challenge
+ * @param {Number} bits the length of the derived data in bits
+ * @type ByteString
+ * @return the derived data
+ */
+GPSecureChannel.prototype.deriveSCP03 = function(key, constant, context, bits) {
+	var bb = new ByteBuffer();
+	for (var i = 1; bb.length < (bits >> 3); i++) {
+		var param = new ByteBuffer();
+		param.append(new ByteString("0000000000000000000000", HEX));
+		param.append(constant);
+		param.append(0x00);
+		param.append(bits >> 8);
+		param.append(bits & 0xFF);
+		param.append(i);
+		param.append(context);
+		bb.append(this.crypto.sign(key, Crypto.AES_CMAC, param.toByteString()));
+	}
+	return bb.toByteString().left(bits >> 3);
+}
+
+
+
+/**
+ * Derive a SCP03 session key from a static key
+ *
+ * @param {Key} key the static key
+ * @param {Number} constant the derivation constant
+ * @param {ByteString} context the host and card challenge
+ * @type Key
+ * @return the session key
+ */
+GPSecureChannel.prototype.deriveSCP03Key = function(key, constant, context) {
+	var sk = new Key();
+	sk.setComponent(Key.AES, this.deriveSCP03(key, constant, context, key.getComponent(Key.AES).length << 3));
+	return sk;
+}
+
+
+
+/**
+ * Process INITIALIZE UPDATE
+ *
+ * <p>Derive the session keys and return the key diversification data, the key information,
+ *    the card challenge and the card cryptogram.</p>
+ *
+ * @param {APDU} apdu the command APDU
+ * @param {ByteString} diversificationData the 10 byte key diversification data
+ */
+GPSecureChannel.prototype.initializeUpdate = function(apdu, diversificationData) {
+	var ks = this.keySet;
+
+	if ((apdu.getP1() != 0x00) && (apdu.getP1() != ks.kvn)) {
+		throw new GPError("GPSecureChannel", GPError.INVALID_DATA, APDU.SW_RDNOTFOUND, "Key version " + apdu.getP1() + " not found");
+	}
+	if (!apdu.hasCData() || (apdu.getCData().length != 8)) {
+		throw new GPError("GPSecureChannel", GPError.INVALID_DATA, APDU.SW_WRONGLENGTH, "Host challenge must be 8 bytes");
+	}
+
+	this.hostChallenge = apdu.getCData();
+	this.authenticated = false;
+
+	var bb = new ByteBuffer();
+	bb.append(diversificationData);
+	bb.append(ks.kvn);
+	bb.append(ks.scp);
+
+	if (ks.scp == GPSecureChannel.SCP03) {
+		bb.append(ks.i);
+		this.cardChallenge = this.crypto.generateRandom(8);
+		var context = this.hostChallenge.concat(this.cardChallenge);
+
+		this.sessionENC = this.deriveSCP03Key(ks.enc, 0x04, context);
+		this.sessionMAC = this.deriveSCP03Key(ks.mac, 0x06, context);
+		this.sessionRMAC = this.deriveSCP03Key(ks.mac, 0x07, context);
+
+		var cardCryptogram = this.deriveSCP03(this.sessionMAC, 0x00, context, 64);
+		this.hostCryptogram = this.deriveSCP03(this.sessionMAC, 0x01, context, 64);
+
+		bb.append(this.cardChallenge);
+		bb.append(cardCryptogram);
+		this.macChaining = new ByteString("00000000000000000000000000000000", HEX);
+		this.encryptionCounter = 0;
+	} else {
+		var sequence = ByteString.valueOf(ks.sequenceCounter, 2);
+		this.cardChallenge = this.crypto.generateRandom(6);
+
+		this.sessionENC = this.deriveSCP02Key(ks.enc, "0182", sequence);
+		this.sessionMAC = this.deriveSCP02Key(ks.mac, "0101", sequence);
+
+		var input = GPSecureChannel.pad(this.hostChallenge.concat(sequence).concat(this.cardChallenge), 8);
+		var cardCryptogram = this.crypto.sign(this.sessionENC, Crypto.DES_MAC, input);
+
+		var input = GPSecureChannel.pad(sequence.concat(this.cardChallenge).concat(this.hostChallenge), 8);
+		this.hostCryptogram = this.crypto.sign(this.sessionENC, Crypto.DES_MAC, input);
+
+		bb.append(sequence);
+		bb.append(this.cardChallenge);
+		bb.append(cardCryptogram);
+		this.macChaining = new ByteString("0000000000000000", HEX);
+	}
+
+	apdu.setRData(bb.toByteString());
+	apdu.setSW(APDU.SW_OK);
+}
+
+
+
+/**
+ * Calculate the C-MAC for a command
+ *
+ * @param {ByteString} header the CLA, INS, P1 and P2 bytes
+ * @param {ByteString} data the command data without C-MAC
+ * @type ByteString
+ * @return the 8 byte C-MAC
+ */
+GPSecureChannel.prototype.calculateMAC = function(header, data) {
+	var bb = new ByteBuffer();
+	bb.append(header);
+	bb.append(data.length + 8);
+	bb.append(data);
+
+	if (this.keySet.scp == GPSecureChannel.SCP03) {
+		var mac = this.crypto.sign(this.sessionMAC, Crypto.AES_CMAC, this.macChaining.concat(bb.toByteString()));
+		this.macChaining = mac;
+		return mac.left(8);
+	}
+
+	var icv = this.macChaining;
+	if (this.authenticated && (this.keySet.i & 0x10)) {
+		var k = new Key();
+		k.setComponent(Key.DES, this.sessionMAC.getComponent(Key.DES).left(8));
+		icv = this.crypto.encrypt(k, Crypto.DES_ECB, icv);
+	}
+	var mac = this.crypto.sign(this.sessionMAC, Crypto.DES_MAC_EMV, GPSecureChannel.pad(bb.toByteString(), 8), icv);
+	this.macChaining = mac;
+	return mac;
+}
+
+
+
+/**
+ * Check that the security level is supported by the key set
+ *
+ * <p>SCP02 supports the levels '00', '01' and '03'. SCP03 supports in addition '11', '13' and '33',
+ *    if R-MAC and R-ENCRYPTION are indicated in the implementation option.</p>
+ *
+ * @param {Number} level the security level
+ * @type boolean
+ * @return true if supported
+ */
+GPSecureChannel.prototype.isSupportedSecurityLevel = function(level) {
+	var supported = GPSecureChannel.C_MAC | GPSecureChannel.C_DECRYPTION;
+	if (this.keySet.scp == GPSecureChannel.SCP03) {
+		if (this.keySet.i & GPSecureChannel.I_R_MAC) {
+			supported |= GPSecureChannel.R_MAC;
+		}
+		if (this.keySet.i & GPSecureChannel.I_R_ENCRYPTION) {
+			supported |= GPSecureChannel.R_ENCRYPTION;
+		}
+	}
+
+	if (level & ~supported) {
+		return false;
+	}
+	if ((level & (GPSecureChannel.C_DECRYPTION | GPSecureChannel.R_MAC)) && !(level & GPSecureChannel.C_MAC)) {
+		return false;
+	}
+	if ((level & GPSecureChannel.R_ENCRYPTION) && (!(level & GPSecureChannel.R_MAC) || !(level & GPSecureChannel.C_DECRYPTION))) {
+		return false;
+	}
+	return true;
+}
+
+
+
+/**
+ * Process EXTERNAL AUTHENTICATE
+ *
+ * <p>Verify the host cryptogram and the C-MAC and set the security level requested in P1.</p>
+ *
+ * @param {APDU} apdu the command APDU
+ */
+GPSecureChannel.prototype.externalAuthenticate = function(apdu) {
+	if (!this.hostCryptogram) {
+		throw new GPError("GPSecureChannel", GPError.INVALID_DATA, APDU.SW_CONDOFUSENOTSAT, "INITIALIZE UPDATE required");
+	}
+
+	var level = apdu.getP1();
+	if (!this.isSupportedSecurityLevel(level)) {
+		throw new GPError("GPSecureChannel", GPError.INVALID_DATA, APDU.SW_INCP1P2, "Security level " + level.toString(16) + " not supported");
+	}
+
+	if (!apdu.hasCData() || (apdu.getCData().length != 16)) {
+		throw new GPError("GPSecureChannel", GPError.INVALID_DATA, APDU.SW_WRONGLENGTH, "Host cryptogram and C-MAC expected");
+	}
+
+	var data = apdu.getCData();
+	var header = new ByteString("8482", HEX).concat(ByteString.valueOf(apdu.getP1())).concat(ByteString.valueOf(apdu.getP2()));
+
+	var hostCryptogram = this.hostCryptogram;
+	this.hostCryptogram = null;
+
+	if (!data.left(8).equals(hostCryptogram)) {
+		throw new GPError("GPSecureChannel", GPError.INVALID_DATA, APDU.SW_WARNINGNVCHG, "Host cryptogram verification failed");
+	}
+
+	if (!this.calculateMAC(header, data.left(8)).equals(data.bytes(8))) {
+		throw new GPError("GPSecureChannel", GPError.INVALID_DATA, APDU.SW_SECSTATNOTSAT, "C-MAC verification failed");
+	}
+
+	this.securityLevel = level;
+	this.authenticated = true;
+
+	if (this.keySet.scp == GPSecureChannel.SCP02) {
+		this.keySet.sequenceCounter++;
+	}
+	apdu.setSW(APDU.SW_OK);
+}
+
+
+
+/**
+ * Verify and remove the C-MAC and decrypt the command data if required by the security level
+ *
+ * @param {APDU} apdu the command APDU with bit b3 set in CLA
+ */
+GPSecureChannel.prototype.unwrap = function(apdu) {
+	if (!this.authenticated) {
+		throw new GPError("GPSecureChannel", GPError.INVALID_DATA, APDU.SW_SECSTATNOTSAT, "Secure channel not established");
+	}
+
+	var data = apdu.hasCData() ? apdu.getCData() : new ByteString("", HEX);
+	if (data.length < 8) {
+		throw new GPError("GPSecureChannel", GPError.INVALID_DATA, APDU.SW_SECSTATNOTSAT, "C-MAC missing");
+	}
+
+	var mac = data.right(8);
+	data = data.left(data.length - 8);
+
+	var header = new ByteBuffer();
+	header.append(apdu.getCLA());
+	header.append(apdu.getINS());
+	header.append(apdu.getP1());
+	header.append(apdu.getP2());
+	header = header.toByteString();
+
+	var decrypt = (this.securityLevel & GPSecureChannel.C_DECRYPTION) && (data.length > 0);
+
+	if (this.keySet.scp == GPSecureChannel.SCP03) {
+		if (!this.calculateMAC(header, data).equals(mac)) {
+			throw new GPError("GPSecureChannel", GPError.INVALID_DATA, APDU.SW_SECSTATNOTSAT, "C-MAC verification failed");
+		}
+		this.commandMAC = this.macChaining;
+		this.encryptionCounter++;
+		if (decrypt) {
+			var iv = this.crypto.encrypt(this.sessionENC, Crypto.AES_ECB, ByteString.valueOf(this.encryptionCounter, 16));
+			data = GPSecureChannel.unpad(this.crypto.decrypt(this.sessionENC, Crypto.AES_CBC, data, iv));
+		}
+	} else {
+		if (decrypt) {
+			data = GPSecureChannel.unpad(this.crypto.decrypt(this.sessionENC, Crypto.DES_CBC, data, new ByteString("0000000000000000", HEX)));
+		}
+		if (!this.calculateMAC(header, data).equals(mac)) {
+			throw new GPError("GPSecureChannel", GPError.INVALID_DATA, APDU.SW_SECSTATNOTSAT, "C-MAC verification failed");
+		}
+	}
+
+	apdu.setCData(data);
+}
+
+
+
+/**
+ * Encrypt the response data and append the R-MAC if required by the security level
+ *
+ * <p>Only responses to commands unwrapped with unwrap() are protected. Responses with an error
+ *    status word are returned without R-MAC.</p>
+ *
+ * @param {APDU} apdu the response APDU
+ */
+GPSecureChannel.prototype.wrap = function(apdu) {
+	if (!(this.securityLevel & GPSecureChannel.R_MAC)) {
+		return;
+	}
+
+	var sw = apdu.getSW();
+	if ((sw != APDU.SW_OK) && ((sw >> 8) != 0x62) && ((sw >> 8) != 0x63)) {
+		return;
+	}
+
+	var data = apdu.hasRData() ? apdu.getRData() : new ByteString("", HEX);
+
+	if ((this.securityLevel & GPSecureChannel.R_ENCRYPTION) && (data.length > 0)) {
+		var iv = this.crypto.encrypt(this.sessionENC, Crypto.AES_ECB, new ByteString("80", HEX).concat(ByteString.valueOf(this.encryptionCounter, 15)));
+		data = this.crypto.encrypt(this.sessionENC, Crypto.AES_CBC, GPSecureChannel.pad(data, 16), iv);
+	}
+
+	var input = this.commandMAC.concat(data).concat(ByteString.valueOf(sw, 2));
+	var mac = this.crypto.sign(this.sessionRMAC, Crypto.AES_CMAC, input).left(8);
+
+	apdu.setRData(data.concat(mac));
+}
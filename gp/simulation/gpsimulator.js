@@ -0,0 +1,260 @@
+/**
+ *  ---------
+ * |.##> <##.|  Open Smart Card Development Platform (www.openscdp.org)
+ * |#       #|
+ * |#       #|  Copyright (c) 1999-2009 CardContact Software & System Consulting
+ * |'##> <##'|  Andreas Schwier, 32429 Minden, Germany (www.cardcontact.de)
+ *  ---------
+ *
+ *  This file is part of OpenSCDP.
+ *
+ *  OpenSCDP is free software; you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License version 2 as
+ *  published by the Free Software Foundation.
+ *
+ *  OpenSCDP is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with OpenSCDP; if not, write to the Free Software
+ *  Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA  02110-1301  USA
+ *
+ * @fileoverview A simple GlobalPlatform card simulation with an Issuer Security Domain
+ *
+ * <p>The simulation uses the JCOP default keys, so that gp/explore-jcop.js and the MuscleCard
+ *    load scripts can be used against the simulated card.</p>
+ *
+ * <p>A supplementary security domain with the Delegated Management privilege uses the key value
+ *    505152...5F. Tokens are verified with profiles/kp_rsa_public.xml and receipts are generated
+ *    with the key value 606162...6F.</p>
+ */
+
+load("../../cardsim/filesystem.js");
+load("../../cardsim/cardcapabilities.js");
+
+load("gpcommandinterpreter.js");
+
+
+
+/**
+ * Create a card simulation object
+ *
+ * @class Class implementing a GlobalPlatform card simulation
+ * @constructor
+ * @param {Number} scp the secure channel protocol, GPSecureChannel.SCP02 or GPSecureChannel.SCP03 (optional, default SCP02)
+ * @param {CardCapabilities} capabilities the buffer sizes and logical channels supported (optional)
+ */
+function GPSimulator(scp, capabilities) {
+	this.capabilities = (typeof(capabilities) == "undefined") ? new CardCapabilities() : capabilities;
+	this.scp = (typeof(scp) == "undefined") ? GPSecureChannel.SCP02 : scp;
+
+	this.isdAid = new ByteString("A000000003000000", HEX);
+
+	var cardData = GPSimulator.getCardRecognitionData(this.scp);
+
+	var fcipt = new ASN1("FCI Proprietary Template", 0xA5,
+							cardData,
+							new ASN1("Maximum length of data field in command message", 0x9F65, ByteString.valueOf(0xFF))
+						);
+
+	this.isd = new DF(FCP.newDF(null, this.isdAid, fcipt.getBytes()));
+
+	var registry = new GPRegistry(this.isdAid);
+	this.isd.addMeta("gpRegistry", registry);
+	this.isd.addMeta("gpKeySet", GPSimulator.getDefaultKeySet(this.scp));
+
+	// IC fabricator, IC type, OS identifier, OS release date, OS release level, IC fabrication date and serial number,
+	// followed by zero filled batch, module and personalization data
+	var cplc = new ByteString("479050404791" + "0000" + "0000" + "12345678" + "00000000000000000000000000000000000000000000000000000000", HEX);
+
+	var dataObjects = [];
+	dataObjects[0x42] = new ASN1("Issuer Identification Number", 0x42, new ByteString("123456", HEX)).getBytes();
+	dataObjects[0x45] = new ASN1("Card Image Number", 0x45, new ByteString("0102030405060708", HEX)).getBytes();
+	dataObjects[0x66] = new ASN1("Card Data", 0x66, GPSimulator.getCardRecognitionData(this.scp)).getBytes();
+	dataObjects[0xCF] = new ASN1("Key Diversification Data", 0xCF, new ByteString("00001234567847909050", HEX)).getBytes();
+	dataObjects[0x9F7F] = new ASN1("Card Production Life Cycle", 0x9F7F, cplc).getBytes();
+	this.isd.addMeta("gpDataObjects", dataObjects);
+
+	this.ssdAid = new ByteString("A000000003535344", HEX);
+	this.ssd = new DF(FCP.newDF(null, this.ssdAid, fcipt.getBytes()));
+
+	registry.addSecurityDomain(this.ssdAid, GPRegistry.PRIV_DELEGATED_MANAGEMENT).node = this.ssd;
+
+	var receiptKey = new Key();
+	if (this.scp == GPSecureChannel.SCP03) {
+		receiptKey.setComponent(Key.AES, new ByteString("606162636465666768696A6B6C6D6E6F", HEX));
+		registry.setDelegatedManagementKeys(new Key(GPSimulator.tokenKeyFile), Crypto.RSA_SHA1, receiptKey, Crypto.AES_CMAC);
+	} else {
+		receiptKey.setComponent(Key.DES, new ByteString("606162636465666768696A6B6C6D6E6F", HEX));
+		registry.setDelegatedManagementKeys(new Key(GPSimulator.tokenKeyFile), Crypto.RSA_SHA1, receiptKey, Crypto.DES_MAC);
+	}
+
+	this.ssd.addMeta("gpRegistry", registry);
+	this.ssd.addMeta("gpKeySet", GPSimulator.getDefaultKeySet(this.scp, new ByteString("505152535455565758595A5B5C5D5E5F", HEX)));
+
+	var dataObjects = [];
+	dataObjects[0x42] = new ASN1("Issuer Identification Number", 0x42, new ByteString("654321", HEX)).getBytes();
+	dataObjects[0x45] = new ASN1("Card Image Number", 0x45, new ByteString("0102030405060708", HEX)).getBytes();
+	dataObjects[0x66] = new ASN1("Card Data", 0x66, GPSimulator.getCardRecognitionData(this.scp)).getBytes();
+	this.ssd.addMeta("gpDataObjects", dataObjects);
+
+	this.mf = new DF(FCP.newDF("3F00", null),
+						new TransparentEF(FCP.newTransparentEF("2F01", -1, 100), this.capabilities.getExtendedLengthInfo()),
+						this.isd,
+						this.ssd
+					);
+
+	this.initialize();
+}
+
+
+
+/** Public key to verify Delegated Management tokens, located relative to this script */
+GPSimulator.tokenKeyFile = GPSystem.mapFilename("../../profiles/kp_rsa_public.xml", GPSystem.CWD);
+
+
+
+/**
+ * Encode the card recognition data for the Issuer Security Domain
+ *
+ * @param {Number} scp the secure channel protocol
+ * @type ASN1
+ * @return the card recognition data object '73'
+ */
+GPSimulator.getCardRecognitionData = function(scp) {
+	var i = (scp == GPSecureChannel.SCP03) ? GPSecureChannel.I_R_MAC | GPSecureChannel.I_R_ENCRYPTION : 0x55;
+
+	return new ASN1("Card Recognition Data", 0x73,
+						new ASN1(ASN1.OBJECT_IDENTIFIER, new ByteString("1.2.840.114283.1", OID)),
+						new ASN1("Card Management Type and Version", 0x60,
+							new ASN1(ASN1.OBJECT_IDENTIFIER, new ByteString("1.2.840.114283.2.2.2.1", OID))
+						),
+						new ASN1("Card Identification Scheme", 0x63,
+							new ASN1(ASN1.OBJECT_IDENTIFIER, new ByteString("1.2.840.114283.3", OID))
+						),
+						new ASN1("Secure Channel Protocol", 0x64,
+							new ASN1(ASN1.OBJECT_IDENTIFIER, new ByteString("1.2.840.114283.4." + scp + "." + i, OID))
+						)
+					);
+}
+
+
+
+/**
+ * Create the key set with the JCOP default key value 404142...4F
+ *
+ * @param {Number} scp the secure channel protocol
+ * @param {ByteString} value the key value used for ENC, MAC and DEK (optional, default 404142...4F)
+ * @type GPKeySet
+ * @return the key set using DES keys for SCP02 and AES keys for SCP03
+ */
+GPSimulator.getDefaultKeySet = function(scp, value) {
+	if (typeof(value) == "undefined") {
+		value = new ByteString("404142434445464748494A4B4C4D4E4F", HEX);
+	}
+	var keys = [];
+
+	for (var i = 0; i < 3; i++) {
+		var k = new Key();
+		k.setComponent(scp == GPSecureChannel.SCP03 ? Key.AES : Key.DES, value);
+		keys.push(k);
+	}
+
+	if (scp == GPSecureChannel.SCP03) {
+		return new GPKeySet(0x01, GPSecureChannel.SCP03, GPSecureChannel.I_R_MAC | GPSecureChannel.I_R_ENCRYPTION, keys[0], keys[1], keys[2]);
+	}
+	return new GPKeySet(0x01, GPSecureChannel.SCP02, 0x55, keys[0], keys[1], keys[2]);
+}
+
+
+
+/**
+ * Initialize card runtime
+ *
+ * <p>The Issuer Security Domain is selected after reset.</p>
+ */
+GPSimulator.prototype.initialize = function() {
+	this.fileSelector = new FileSelector(this.mf);
+	this.fileSelector.select(0x04, this.isdAid);
+	this.commandInterpreter = new GPCommandInterpreter(this.fileSelector);
+	this.commandInterpreter.setCardCapabilities(this.capabilities);
+}
+
+
+
+/**
+ * Process an inbound APDU
+ *
+ * @param {ByteString} capdu the command APDU
+ * @type ByteString
+ * @return the response APDU
+ */
+GPSimulator.prototype.processAPDU = function(capdu) {
+	print("Command APDU : " + capdu);
+
+	var apdu;
+
+	try	{
+		apdu = new APDU(capdu);
+	}
+	catch(e) {
+		GPSystem.trace(e);
+		var sw = APDU.SW_GENERALERROR;
+		if (e instanceof GPError) {
+			sw = e.reason;
+		}
+		return ByteString.valueOf(sw, 2);
+	}
+
+	this.commandInterpreter.processAPDU(apdu);
+
+	var rapdu = apdu.getResponseAPDU();
+	print("Response APDU: " + rapdu);
+	return rapdu;
+}
+
+
+
+/**
+ * Respond to reset request
+ *
+ * @param {Number} type reset type (One of Card.RESET_COLD or Card.RESET.WARM)
+ * @type ByteString
+ * @return answer to reset
+ */
+GPSimulator.prototype.reset = function(type) {
+	print("Reset type: " + type);
+
+	this.initialize();
+
+	var atr = this.capabilities.getATR();
+	return atr;
+}
+
+
+
+/**
+ * Create new simulation and register with existing or newly created adapter singleton.
+ *
+ * @param {Number} scp the secure channel protocol (optional, default SCP02)
+ */
+GPSimulator.newInstance = function(scp) {
+	var sim = new GPSimulator(scp);
+
+	if (typeof(CARDSIM) == "undefined") {
+		var adapter = new CardSimulationAdapter("JCOPSimulation", "8050");
+		adapter.setSimulationObject(sim);
+		adapter.start();
+		CARDSIM = adapter;
+		print("Simulation running...");
+	} else {
+		CARDSIM.setSimulationObject(sim);
+		print("Simulation replaced...");
+	}
+}
+
+
+
+GPSimulator.newInstance();
@@ -24,15 +24,32 @@
  *  Global Platform Card Tools
  */
 
-function GPAuthenticate(card, crypto, masterSENC, masterSMAC) {
+//
+// Authenticate against the card manager using SCP01, SCP02 or SCP03
+//
+// securityLevel is the P1 byte of EXTERNAL AUTHENTICATE for SCP03 (default '00' for no secure messaging).
+// Returns an object describing the session with the properties scp and keyVersion and for SCP02
+// the sequenceCounter. For SCP03 this is the established SCP03SecureChannel, which can be used
+// as credential with card.setCredential() or CardFile.setCredential().
+//
+function GPAuthenticate(card, crypto, masterSENC, masterSMAC, securityLevel) {
 
 	print("Sending INIT-UPDATE with host challenge...");
 	var hostchallenge = crypto.generateRandom(8);
 	var responseAPDU = card.sendApdu(0x80, 0x50, 0x00, 0x00, hostchallenge, 0x00, [0x9000]);
             
+	var kvn = responseAPDU.byteAt(10);
 	var scp = responseAPDU.byteAt(11);
+	var session;
 	
-	if (scp == 1) {		// SCP01
+	if (scp == 3) {		// SCP03
+		print("Using SCP03...");
+		if (typeof(securityLevel) == "undefined") {
+			securityLevel = 0x00;
+		}
+		session = new SCP03SecureChannel(crypto, masterSENC, masterSMAC);
+		session.authenticate(card, hostchallenge, responseAPDU, securityLevel);
+	} else if (scp == 1) {		// SCP01
 		print("Using SCP01...");
 		// Extract card challenge
 		var cardChallenge = responseAPDU.bytes(12, 8);
@@ -97,6 +114,7 @@ function GPAuthenticate(card, crypto, masterSENC, masterSMAC) {
 
 		print("Performing external authentication...");
 		card.sendApdu(0x84, 0x82, 0x00, 0x00, cdata, [0x9000]);
+		session = { scp: 1, keyVersion: kvn };
 	} else {	// SCP 02
 		print("Using SCP02...");
 		// Extract sequence number and card challenge
@@ -168,8 +186,436 @@ function GPAuthenticate(card, crypto, masterSENC, masterSMAC) {
 
 		print("Performing external authentication...");
 		card.sendApdu(0x84, 0x82, 0x00, 0x00, cdata, [0x9000]);
+		session = { scp: 2, keyVersion: kvn, sequenceCounter: sequence };
 	}
 	print("Done...");
+	return session;
 }
 
+
  
+
+
+
+/**
+ * Create a SCP03 secure channel using the static keys of the security domain
+ *
+ * <p>The secure channel is established with authenticate(). Afterwards the object can be used as
+ *    credential, as it implements wrap() for command APDUs and unwrap() for response APDUs.</p>
+ *
+ * @class Class implementing the host side of the GlobalPlatform SCP03 secure channel protocol
+ * @constructor
+ * @param {Crypto} crypto the crypto provider
+ * @param {Key} masterSENC the static AES encryption key
+ * @param {Key} masterSMAC the static AES message authentication key
+ */
+function SCP03SecureChannel(crypto, masterSENC, masterSMAC) {
+	this.scp = 3;
+	this.crypto = crypto;
+	this.masterSENC = masterSENC;
+	this.masterSMAC = masterSMAC;
+	this.securityLevel = 0;
+	this.trace = false;
+}
+
+
+/** Security level bits in P1 of EXTERNAL AUTHENTICATE */
+SCP03SecureChannel.C_MAC = 0x01;
+SCP03SecureChannel.C_DECRYPTION = 0x02;
+SCP03SecureChannel.R_MAC = 0x10;
+SCP03SecureChannel.R_ENCRYPTION = 0x20;
+
+/** Derivation constants */
+SCP03SecureChannel.CARD_CRYPTOGRAM = 0x00;
+SCP03SecureChannel.HOST_CRYPTOGRAM = 0x01;
+SCP03SecureChannel.S_ENC = 0x04;
+SCP03SecureChannel.S_MAC = 0x06;
+SCP03SecureChannel.S_RMAC = 0x07;
+
+
+
+/**
+ * Enable tracing of wrapped and unwrapped APDUs
+ */
+SCP03SecureChannel.prototype.enableTrace = function() {
+	this.trace = true;
+}
+
+
+
+/**
+ * Check that the security level is one of '00', '01', '03', '11', '13' or '33'
+ *
+ * @param {Number} level the security level
+ * @type boolean
+ * @return true if valid
+ */
+SCP03SecureChannel.isValidSecurityLevel = function(level) {
+	if (level & ~0x33) {
+		return false;
+	}
+	if ((level & SCP03SecureChannel.C_DECRYPTION) && !(level & SCP03SecureChannel.C_MAC)) {
+		return false;
+	}
+	if ((level & SCP03SecureChannel.R_MAC) && !(level & SCP03SecureChannel.C_MAC)) {
+		return false;
+	}
+	if ((level & SCP03SecureChannel.R_ENCRYPTION) && (!(level & SCP03SecureChannel.R_MAC) || !(level & SCP03SecureChannel.C_DECRYPTION))) {
+		return false;
+	}
+	return true;
+}
+
+
+
+/**
+ * Derive data using the counter mode KDF with AES-CMAC as pseudo random function defined in NIST SP 800-108
+ *
+ * @param {Key} key the key
+ * @param {Number} constant the derivation constant
+ * @param {ByteString} context the context, i.e. host challenge and card challenge
+ * @param {Number} bits the length of the derived data in bits
+ * @type ByteString
+ * @return the derived data
+ */
+SCP03SecureChannel.prototype.derive = function(key, constant, context, bits) {
+	var bb = new ByteBuffer();
+	for (var i = 1; bb.length < (bits >> 3); i++) {
+		var param = new ByteBuffer();
+		param.append(new ByteString("0000000000000000000000", HEX));
+		param.append(constant);
+		param.append(0x00);
+		param.append(bits >> 8);
+		param.append(bits & 0xFF);
+		param.append(i);
+		param.append(context);
+		bb.append(this.crypto.sign(key, Crypto.AES_CMAC, param.toByteString()));
+	}
+	return bb.toByteString().left(bits >> 3);
+}
+
+
+
+/**
+ * Derive a session key with the length of the static key
+ *
+ * @param {Key} key the static key
+ * @param {Number} constant the derivation constant
+ * @param {ByteString} context the host challenge and card challenge
+ * @type Key
+ * @return the session key
+ */
+SCP03SecureChannel.prototype.deriveSessionKey = function(key, constant, context) {
+	var sk = new Key();
+	sk.setComponent(Key.AES, this.derive(key, constant, context, key.getComponent(Key.AES).length << 3));
+	return sk;
+}
+
+
+
+/**
+ * Pad data using ISO 9797-1 padding method 2 to the AES block size
+ *
+ * @param {ByteString} data the data to pad
+ * @type ByteString
+ * @return the padded data
+ */
+SCP03SecureChannel.pad = function(data) {
+	var bb = new ByteBuffer(data);
+	bb.append(0x80);
+	while (bb.length % 16) {
+		bb.append(0x00);
+	}
+	return bb.toByteString();
+}
+
+
+
+/**
+ * Remove ISO 9797-1 padding method 2
+ *
+ * @param {ByteString} data the padded data
+ * @type ByteString
+ * @return the data without padding
+ */
+SCP03SecureChannel.unpad = function(data) {
+	var i = data.length - 1;
+	while ((i >= 0) && (data.byteAt(i) == 0x00)) {
+		i--;
+	}
+	if ((i < 0) || (data.byteAt(i) != 0x80)) {
+		throw new GPError("SCP03SecureChannel", GPError.CRYPTO_FAILED, 0, "Invalid padding in decrypted response data");
+	}
+	return data.left(i);
+}
+
+
+
+/**
+ * Derive the session keys, verify the card cryptogram and perform EXTERNAL AUTHENTICATE
+ *
+ * @param {Card} card the card
+ * @param {ByteString} hostChallenge the host challenge sent with INITIALIZE UPDATE
+ * @param {ByteString} response the response to INITIALIZE UPDATE
+ * @param {Number} securityLevel the security level for the session
+ */
+SCP03SecureChannel.prototype.authenticate = function(card, hostChallenge, response, securityLevel) {
+	if (!SCP03SecureChannel.isValidSecurityLevel(securityLevel)) {
+		throw new GPError("SCP03SecureChannel", GPError.INVALID_ARGUMENTS, securityLevel, "Invalid security level " + securityLevel.toString(16));
+	}
+
+	this.keyVersion = response.byteAt(10);
+	var cardChallenge = response.bytes(13, 8);
+	var cardCryptogram = response.bytes(21, 8);
+	var context = hostChallenge.concat(cardChallenge);
+
+	this.sessionSENC = this.deriveSessionKey(this.masterSENC, SCP03SecureChannel.S_ENC, context);
+	this.sessionSMAC = this.deriveSessionKey(this.masterSMAC, SCP03SecureChannel.S_MAC, context);
+	this.sessionSRMAC = this.deriveSessionKey(this.masterSMAC, SCP03SecureChannel.S_RMAC, context);
+
+	var cryptogram = this.derive(this.sessionSMAC, SCP03SecureChannel.CARD_CRYPTOGRAM, context, 64);
+	if (!cryptogram.equals(cardCryptogram)) {
+		throw new GPError("SCP03SecureChannel", GPError.CRYPTO_FAILED, 0, "Card cryptogram verification failed");
+	}
+
+	var hostCryptogram = this.derive(this.sessionSMAC, SCP03SecureChannel.HOST_CRYPTOGRAM, context, 64);
+	print("Host cryptogram: " + hostCryptogram);
+
+	this.macChaining = new ByteString("00000000000000000000000000000000", HEX);
+	this.encryptionCounter = 0;
+	this.securityLevel = 0;
+
+	var header = new ByteString("8482", HEX).concat(ByteString.valueOf(securityLevel)).concat(new ByteString("00", HEX));
+	var cdata = hostCryptogram.concat(this.calculateCMAC(header, hostCryptogram));
+
+	print("Performing external authentication...");
+	card.sendApdu(0x84, 0x82, securityLevel, 0x00, cdata, [0x9000]);
+
+	this.securityLevel = securityLevel;
+}
+
+
+
+/**
+ * Close the secure channel
+ *
+ * <p>Afterwards wrap() and unwrap() pass APDUs unchanged, e.g. for the INITIALIZE UPDATE of a new session.
+ *    The session keys, the MAC chaining value and the encryption counter are discarded.</p>
+ */
+SCP03SecureChannel.prototype.close = function() {
+	this.securityLevel = 0;
+	this.macChaining = undefined;
+	this.encryptionCounter = 0;
+	this.sessionSENC = undefined;
+	this.sessionSMAC = undefined;
+	this.sessionSRMAC = undefined;
+}
+
+
+
+/**
+ * Calculate the C-MAC and update the MAC chaining value
+ *
+ * @param {ByteString} header the CLA, INS, P1 and P2 bytes
+ * @param {ByteString} data the command data field without C-MAC
+ * @type ByteString
+ * @return the 8 byte C-MAC
+ */
+SCP03SecureChannel.prototype.calculateCMAC = function(header, data) {
+	var bb = new ByteBuffer(this.macChaining);
+	bb.append(header);
+	bb.append(data.length + 8);
+	bb.append(data);
+	this.macChaining = this.crypto.sign(this.sessionSMAC, Crypto.AES_CMAC, bb.toByteString());
+	return this.macChaining.left(8);
+}
+
+
+
+/**
+ * Wrap command APDU according to the security level
+ *
+ * <p>The command data is encrypted for C-DECRYPTION and the C-MAC is appended for C-MAC. Only
+ *    short command APDUs are supported. A GPError is thrown if the padded command data and the
+ *    C-MAC exceed 255 bytes.</p>
+ *
+ * @param {ByteString} apduToWrap the plain command APDU
+ * @type ByteString
+ * @return the wrapped command APDU
+ */
+SCP03SecureChannel.prototype.wrap = function(apduToWrap) {
+	if (this.trace) {
+		print("Command-APDU to wrap :");
+		print(apduToWrap);
+	}
+
+	if (!(this.securityLevel & SCP03SecureChannel.C_MAC)) {
+		return apduToWrap;
+	}
+
+	var data = new ByteString("", HEX);
+	var le = new ByteString("", HEX);
+	if (apduToWrap.length == 5) {
+		le = apduToWrap.bytes(4, 1);
+	} else if (apduToWrap.length > 5) {
+		var lc = apduToWrap.byteAt(4);
+		data = apduToWrap.bytes(5, lc);
+		le = apduToWrap.bytes(5 + lc);
+	}
+
+	var lc = data.length;
+	if ((this.securityLevel & SCP03SecureChannel.C_DECRYPTION) && (lc > 0)) {
+		lc = (lc + 16) & ~15;
+	}
+	if (lc + 8 > 255) {
+		throw new GPError("SCP03SecureChannel", GPError.INVALID_DATA, lc + 8, "Wrapped command data exceeds 255 bytes");
+	}
+
+	this.encryptionCounter++;
+
+	if ((this.securityLevel & SCP03SecureChannel.C_DECRYPTION) && (data.length > 0)) {
+		var iv = this.crypto.encrypt(this.sessionSENC, Crypto.AES_ECB, ByteString.valueOf(this.encryptionCounter, 16));
+		data = this.crypto.encrypt(this.sessionSENC, Crypto.AES_CBC, SCP03SecureChannel.pad(data), iv);
+	}
+
+	var header = new ByteBuffer();
+	header.append(apduToWrap.byteAt(0) | 0x04);
+	header.append(apduToWrap.bytes(1, 3));
+	header = header.toByteString();
+
+	var mac = this.calculateCMAC(header, data);
+	this.commandMAC = this.macChaining;
+
+	var bb = new ByteBuffer(header);
+	bb.append(data.length + 8);
+	bb.append(data);
+	bb.append(mac);
+	bb.append(le);
+
+	if (this.trace) {
+		print("Wrapped Command-APDU :");
+		print(bb.toByteString());
+	}
+
+	return bb.toByteString();
+}
+
+
+
+/**
+ * Unwrap response APDU according to the security level
+ *
+ * <p>The R-MAC is verified and the response data decrypted for R-ENCRYPTION. Responses with an
+ *    error status word do not contain a R-MAC.</p>
+ *
+ * @param {ByteString} apduToUnwrap the response APDU
+ * @type ByteString
+ * @return the plain response APDU
+ */
+SCP03SecureChannel.prototype.unwrap = function(apduToUnwrap) {
+	if (this.trace) {
+		print("Response-APDU to unwrap :");
+		print(apduToUnwrap);
+	}
+
+	if (!(this.securityLevel & SCP03SecureChannel.R_MAC)) {
+		return apduToUnwrap;
+	}
+
+	var sw = apduToUnwrap.right(2);
+	var sw1 = sw.byteAt(0);
+	if (!sw.equals(new ByteString("9000", HEX)) && (sw1 != 0x62) && (sw1 != 0x63)) {
+		return apduToUnwrap;
+	}
+
+	if (apduToUnwrap.length < 10) {
+		throw new GPError("SCP03SecureChannel", GPError.OBJECT_NOT_FOUND, 0, "R-MAC missing");
+	}
+
+	var data = apduToUnwrap.left(apduToUnwrap.length - 10);
+	var mac = apduToUnwrap.bytes(apduToUnwrap.length - 10, 8);
+
+	var macinput = this.commandMAC.concat(data).concat(sw);
+	if (!this.crypto.sign(this.sessionSRMAC, Crypto.AES_CMAC, macinput).left(8).equals(mac)) {
+		throw new GPError("SCP03SecureChannel", GPError.CRYPTO_FAILED, 0, "R-MAC verification failed");
+	}
+
+	if ((this.securityLevel & SCP03SecureChannel.R_ENCRYPTION) && (data.length > 0)) {
+		var iv = this.crypto.encrypt(this.sessionSENC, Crypto.AES_ECB, new ByteString("80", HEX).concat(ByteString.valueOf(this.encryptionCounter, 15)));
+		data = SCP03SecureChannel.unpad(this.crypto.decrypt(this.sessionSENC, Crypto.AES_CBC, data, iv));
+	}
+
+	var plain = data.concat(sw);
+	if (this.trace) {
+		print("Unwrapped Response-APDU :");
+		print(plain);
+	}
+	return plain;
+}
+
+
+
+/**
+ * Unit test with fixed keys and challenges
+ */
+SCP03SecureChannel.test = function() {
+	var crypto = new Crypto();
+	var key = new Key();
+	key.setComponent(Key.AES, new ByteString("404142434445464748494A4B4C4D4E4F", HEX));
+
+	var card = {
+		sendApdu: function(cla, ins, p1, p2, data) {
+			this.command = ByteString.valueOf((cla << 24) | (ins << 16) | (p1 << 8) | p2, 4).concat(data);
+			return new ByteString("", HEX);
+		}
+	};
+
+	var hostChallenge = new ByteString("0001020304050607", HEX);
+	var response = new ByteString("00000000000000000000 01 03 60 08090A0B0C0D0E0F 114F6BC5052C5228", HEX);
+
+	var sc = new SCP03SecureChannel(crypto, key, key);
+	sc.authenticate(card, hostChallenge, response, 0x33);
+
+	// Session keys and cryptograms derived with the KDF
+	assert(sc.sessionSENC.getComponent(Key.AES).toString(HEX) == "EB845BBC703969A9B312A5F8E4834AA2");
+	assert(sc.sessionSMAC.getComponent(Key.AES).toString(HEX) == "94D9141C5E50A39EF3939B9A4616C910");
+	assert(sc.sessionSRMAC.getComponent(Key.AES).toString(HEX) == "F034ED3222D3466EE1531F3FA3561DEF");
+	assert(card.command.toString(HEX) == "84823300FAFA93C2EDE62463CB51E38EC18EB00B");
+
+	// C-DECRYPTION and C-MAC chained from EXTERNAL AUTHENTICATE
+	var c = sc.wrap(new ByteString("80F28000024F0000", HEX));
+	assert(c.toString(HEX) == "84F2800018C63BB560BD6757CD706C51D7DCBBF52F4E8A2B08AA7172EF00");
+
+	// R-ENCRYPTION and R-MAC chained from the C-MAC
+	var r = sc.unwrap(new ByteString("EC53ADC8E3BFCD198A667BD79268D33F2422DFFC6B266D399000", HEX));
+	assert(r.toString(HEX) == "08A000000003000000079E9000");
+
+	// Command data exceeding 255 bytes after padding and C-MAC is rejected without changing the session
+	var bb = new ByteBuffer();
+	for (var i = 0; i < 240; i++) {
+		bb.append(0x00);
+	}
+	try	{
+		sc.wrap(new ByteString("80E20000F0", HEX).concat(bb.toByteString()));
+		assert(false);
+	}
+	catch(e) {
+		assert(e instanceof GPError);
+	}
+
+	var c = sc.wrap(new ByteString("80CA00E000", HEX));
+	assert(c.toString(HEX) == "84CA00E0082E4C25E40766C73A00");
+
+	var r = sc.unwrap(new ByteString("2BF61D4AC7974913AF1209F5EEAB0263181019E70C822926F390CE64C3BA92CCAE4344FA236530079000", HEX));
+	assert(r.toString(HEX) == "E012C00401018810C00402018810C004030188109000");
+
+	// Error status words carry no R-MAC
+	var r = sc.unwrap(new ByteString("6A88", HEX));
+	assert(r.toString(HEX) == "6A88");
+
+	// A closed channel passes APDUs unchanged
+	sc.close();
+	var c = sc.wrap(new ByteString("8050000008", HEX).concat(hostChallenge));
+	assert(c.toString(HEX) == "80500000080001020304050607");
+	assert(typeof(sc.macChaining) == "undefined");
+}
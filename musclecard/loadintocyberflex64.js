@@ -26,6 +26,7 @@
 
 load("const.js");
 load("gp/tools.js");
+load("gp/capfile.js");
 
 
 var sdAid = new ByteString("A000000003000000", HEX);
@@ -63,16 +64,20 @@ sd.deleteAID(applAid, [0x9000, 0x6A88, 0x6A80] );
 print("Delete old load file...");
 sd.deleteAID(loadFileAid, [0x9000, 0x6A88, 0x6A80] );
 
+var cap = new CAPFile();
+cap.readFile("musclecard/CardEdgeCF.cap");
+print(cap);
+
 print("InstallForLoad...");
 
 // EF 04		- System parameter
 //    C6 02 40 00  	- Code Size (16K)
 //
 var loadParameter = new ByteString("EF04C6024000", HEX);
-sd.installForLoad(loadFileAid, sdAid, null, loadParameter, null);
+sd.installForLoad(loadFileAid, sdAid, cap.getLoadFileDataBlockHash(crypto), loadParameter, null);
 
 print("Loading applet...");
-sd.loadByName("musclecard/CardEdgeCF.cap");
+cap.sendLoad(card);
 
 print("Instantiating applet...");
 
@@ -26,6 +26,7 @@
 
 load("const.js");
 load("gp/tools.js");
+load("gp/capfile.js");
 
 
 var sdAid = new ByteString("A000000003000000", HEX);
@@ -63,11 +64,15 @@ sd.deleteAID(applAid, [0x9000, 0x6A88, 0x6A80] );
 print("Delete old load file...");
 sd.deleteAID(loadFileAid, [0x9000, 0x6A88, 0x6A80] );
 
+var cap = new CAPFile();
+cap.readFile("musclecard/CardEdge.cap");
+print(cap);
+
 print("InstallForLoad...");
-sd.installForLoad(loadFileAid, sdAid, null, null, null);
+sd.installForLoad(loadFileAid, sdAid, cap.getLoadFileDataBlockHash(crypto), null, null);
 
 print("Loading applet...");
-sd.loadByName("musclecard/CardEdge.cap");
+cap.sendLoad(card);
 
 print("Instantiating applet...");
 